@@ -0,0 +1,3 @@
+import { serverlessRoute } from '../server/routes.js';
+
+export default serverlessRoute('/api/probe');
@@ -0,0 +1,3 @@
+import { serverlessRoute } from '../../../server/routes.js';
+
+export default serverlessRoute('/v1/status/:id');
@@ -0,0 +1,201 @@
+import { slugify } from './targets.js';
+
+// Alert rules are evaluated after every scan. An alert is keyed by rule and
+// target (or 'global'), notifies once when it starts firing, escalates on a
+// schedule until acknowledged, and sends a recovery once it clears. Targets
+// in planned maintenance are not evaluated: their alerts neither fire nor
+// resolve until the window ends.
+
+export const RULE_TYPES = ['consecutive-down', 'latency', 'global-health'];
+export const SEVERITIES = ['critical', 'warning', 'info'];
+
+const MINUTE = 60 * 1000;
+
+export const normalizeRule = (input) => ({
+  id: String(input.id || slugify(input.name)).trim(),
+  name: String(input.name || '').trim(),
+  type: input.type,
+  enabled: input.enabled !== false,
+  severity: input.severity || 'critical',
+  // Empty targets and tags means every target
+  targets: Array.isArray(input.targets) ? input.targets.map(String) : [],
+  tags: Array.isArray(input.tags) ? input.tags.map(String) : [],
+  count: Number(input.count ?? 3),
+  threshold: Number(input.threshold ?? 2000),
+  minutes: Number(input.minutes ?? 5),
+  below: Number(input.below ?? 80),
+  channels: Array.isArray(input.channels) ? input.channels.map(String) : [],
+  escalation: Array.isArray(input.escalation)
+    ? input.escalation.map(step => ({ afterMinutes: Number(step.afterMinutes), channels: (step.channels || []).map(String) }))
+    : [],
+});
+
+export const validateRule = (rule) => {
+  const errors = [];
+  if (!rule.id) errors.push('id is required');
+  if (!rule.name) errors.push('name is required');
+  if (!RULE_TYPES.includes(rule.type)) errors.push(`type must be one of ${RULE_TYPES.join(', ')}`);
+  if (!SEVERITIES.includes(rule.severity)) errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  if (rule.type === 'consecutive-down' && !(Number.isInteger(rule.count) && rule.count >= 1)) errors.push('count must be a positive integer');
+  if (rule.type === 'latency' && !(rule.threshold > 0)) errors.push('threshold must be a positive number of ms');
+  if (rule.type === 'latency' && !(rule.minutes > 0)) errors.push('minutes must be positive');
+  if (rule.type === 'global-health' && !(rule.below > 0 && rule.below <= 100)) errors.push('below must be between 1 and 100');
+  if (rule.escalation.some(step => !(step.afterMinutes > 0) || step.channels.length === 0)) {
+    errors.push('escalation steps need afterMinutes > 0 and at least one channel');
+  }
+  return errors;
+};
+
+const inScope = (rule, target) => (
+  (rule.targets.length === 0 || rule.targets.includes(target.id))
+  && (rule.tags.length === 0 || rule.tags.some(tag => target.tags?.includes(tag)))
+);
+
+// Each condition returns { value, message } while breached, null otherwise
+const CONDITIONS = {
+  'consecutive-down': {
+    scope: 'target',
+    check: (rule, { recent }) => {
+      const last = recent(rule.count);
+      if (last.length < rule.count || !last.every(s => s.status === 'DOWN')) return null;
+      return { value: rule.count, message: `DOWN for ${rule.count} consecutive checks` };
+    },
+  },
+  latency: {
+    scope: 'target',
+    // Breached once every check for the last `minutes` was slower than threshold
+    check: (rule, { since, now }) => {
+      const window = rule.minutes * MINUTE;
+      const samples = since(now - 2 * window).filter(s => s.status !== 'DOWN' && s.status !== 'MAINTENANCE');
+      let runStart = null;
+      for (let i = samples.length - 1; i >= 0 && samples[i].latency > rule.threshold; i--) {
+        runStart = samples[i].timestamp;
+      }
+      if (runStart == null || now - runStart < window) return null;
+      const latest = samples[samples.length - 1].latency;
+      return { value: latest, message: `latency above ${rule.threshold}ms for ${rule.minutes}m (now ${latest}ms)` };
+    },
+  },
+  'global-health': {
+    scope: 'global',
+    check: (rule, { globalHealth }) => {
+      if (globalHealth == null || globalHealth >= rule.below) return null;
+      return { value: globalHealth, message: `global health ${globalHealth}% below ${rule.below}%` };
+    },
+  },
+};
+
+// Silences match on rule and/or target and apply between startsAt and endsAt
+export const isSilenced = (silences, alert, now = Date.now()) => silences.some(s => (
+  Date.parse(s.startsAt) <= now && now < Date.parse(s.endsAt)
+  && (!s.ruleId || s.ruleId === alert.ruleId)
+  && (!s.targetId || s.targetId === alert.targetId)
+));
+
+const notification = (kind, rule, alert, channels, now) => ({
+  kind,
+  channels,
+  timestamp: new Date(now).toISOString(),
+  alert: {
+    key: alert.key,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    targetId: alert.targetId,
+    targetName: alert.targetName,
+    startedAt: new Date(alert.startedAt).toISOString(),
+    resolvedAt: kind === 'resolved' ? new Date(now).toISOString() : null,
+    value: alert.value,
+    message: alert.message,
+  },
+});
+
+const present = (alert) => ({ ...alert, startedAt: new Date(alert.startedAt).toISOString() });
+
+export const createAlertEngine = () => {
+  const active = new Map();
+
+  // context: { targets, globalHealth, recent(id, n), since(id, ts), inMaintenance(id) }
+  // Returns the notifications to deliver for this evaluation.
+  const evaluate = ({ rules, silences = [], context, now = Date.now() }) => {
+    const notifications = [];
+    const breached = new Set();
+    const held = new Set(context.targets.filter(t => context.inMaintenance?.(t.id)).map(t => t.id));
+
+    rules.filter(rule => rule.enabled && CONDITIONS[rule.type]).forEach(rule => {
+      const condition = CONDITIONS[rule.type];
+      const scopes = condition.scope === 'global'
+        ? [null]
+        : context.targets.filter(t => inScope(rule, t) && !held.has(t.id));
+
+      scopes.forEach(target => {
+        const hit = condition.check(rule, {
+          now,
+          globalHealth: context.globalHealth,
+          recent: (n) => context.recent(target.id, n),
+          since: (ts) => context.since(target.id, ts),
+        });
+        if (!hit) return;
+
+        const key = `${rule.id}:${target ? target.id : 'global'}`;
+        breached.add(key);
+        let alert = active.get(key);
+        if (!alert) {
+          alert = {
+            key,
+            ruleId: rule.id,
+            targetId: target?.id ?? null,
+            targetName: target?.name ?? null,
+            startedAt: now,
+            notified: false,
+            acknowledged: false,
+            escalationLevel: 0,
+          };
+          active.set(key, alert);
+        }
+        alert.value = hit.value;
+        alert.message = hit.message;
+        alert.silenced = isSilenced(silences, alert, now);
+        if (alert.silenced) return;
+
+        // Deduplicated: one firing notification per alert, however long it lasts
+        if (!alert.notified) {
+          alert.notified = true;
+          notifications.push(notification('firing', rule, alert, rule.channels, now));
+        }
+
+        const step = rule.escalation[alert.escalationLevel];
+        if (step && !alert.acknowledged && now - alert.startedAt >= step.afterMinutes * MINUTE) {
+          alert.escalationLevel += 1;
+          notifications.push(notification('escalated', rule, alert, step.channels, now));
+        }
+      });
+    });
+
+    // Anything no longer breached has recovered; only announce it if we
+    // announced the alert in the first place
+    active.forEach((alert, key) => {
+      if (breached.has(key) || held.has(alert.targetId)) return;
+      active.delete(key);
+      const rule = rules.find(r => r.id === alert.ruleId);
+      if (!rule || !alert.notified) return;
+      const escalated = rule.escalation.slice(0, alert.escalationLevel).flatMap(step => step.channels);
+      notifications.push(notification('resolved', rule, alert, [...new Set([...rule.channels, ...escalated])], now));
+    });
+
+    return notifications;
+  };
+
+  const acknowledge = (key) => {
+    const alert = active.get(key);
+    if (!alert) return null;
+    alert.acknowledged = true;
+    return present(alert);
+  };
+
+  return {
+    evaluate,
+    acknowledge,
+    list: () => [...active.values()].map(present),
+  };
+};
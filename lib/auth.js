@@ -0,0 +1,76 @@
+// Accounts and access. Every /v1 route belongs to a resource; reading it
+// needs '<resource>:read' and changing it '<resource>:write'. Members get
+// the scopes of their role in a workspace, API keys the scopes they were
+// created with. Managing members and keys takes a signed-in admin.
+
+export const ROLES = {
+  viewer: 'Read-only',
+  admin: 'Admin',
+};
+
+export const RESOURCES = {
+  status: 'Status, history, live feed and scans',
+  targets: 'Target registry',
+  settings: 'Scoring policy, maintenance and pause',
+  incidents: 'Incidents, notes and postmortems',
+  alerts: 'Alert rules, channels and silences',
+  agents: 'Probe agent reports',
+  metrics: 'Prometheus metrics',
+};
+
+export const KEY_SCOPES = Object.keys(RESOURCES).flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+export const ROLE_SCOPES = {
+  viewer: KEY_SCOPES.filter(scope => scope.endsWith(':read')),
+  admin: [...KEY_SCOPES, 'workspace:read', 'workspace:write'],
+};
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+export const requiredScope = (resource, method) => `${resource}:${READ_METHODS.includes(method) ? 'read' : 'write'}`;
+
+export const hasScope = (scopes, resource, method) => scopes.includes(requiredScope(resource, method));
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD = 8;
+
+export const normalizeSignup = (input) => ({
+  email: String(input.email || '').trim().toLowerCase(),
+  name: String(input.name || '').trim(),
+  password: String(input.password || ''),
+  workspace: String(input.workspace || '').trim(),
+});
+
+export const validateSignup = (signup) => {
+  const errors = [];
+  if (!EMAIL_PATTERN.test(signup.email)) errors.push('email must be an email address');
+  if (!signup.name) errors.push('name is required');
+  if (signup.password.length < MIN_PASSWORD) errors.push(`password must be at least ${MIN_PASSWORD} characters`);
+  return errors;
+};
+
+export const normalizeMember = (input) => ({
+  email: String(input.email || '').trim().toLowerCase(),
+  role: input.role || 'viewer',
+});
+
+export const validateMember = (member) => {
+  const errors = [];
+  if (!EMAIL_PATTERN.test(member.email)) errors.push('email must be an email address');
+  if (!ROLES[member.role]) errors.push(`role must be one of ${Object.keys(ROLES).join(', ')}`);
+  return errors;
+};
+
+export const normalizeKeyRequest = (input) => ({
+  name: String(input.name || '').trim(),
+  scopes: Array.isArray(input.scopes) ? [...new Set(input.scopes.map(String))] : [],
+});
+
+export const validateKeyRequest = (request) => {
+  const errors = [];
+  if (!request.name) errors.push('name is required');
+  if (request.scopes.length === 0) errors.push('scopes must list at least one scope');
+  const unknown = request.scopes.filter(scope => !KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) errors.push(`unknown scopes: ${unknown.join(', ')} (expected ${KEY_SCOPES.join(', ')})`);
+  return errors;
+};
@@ -0,0 +1,121 @@
+// Check types a target can use. Each probe lives in server/checks/; this
+// module describes their options so the same validation runs in the browser,
+// on import and in the API. The target's checkUrl says what to probe:
+//   http, keyword, json   http(s)://host/path
+//   tcp                   tcp://host:port
+//   dns                   dns://hostname
+//   tls                   tls://host[:port] (or https://host)
+
+export const CHECK_TYPES = {
+  http: { label: 'HTTP', protocols: ['http:', 'https:'] },
+  keyword: { label: 'Keyword', protocols: ['http:', 'https:'] },
+  json: { label: 'JSON', protocols: ['http:', 'https:'] },
+  tcp: { label: 'TCP', protocols: ['tcp:'] },
+  dns: { label: 'DNS', protocols: ['dns:'] },
+  tls: { label: 'TLS', protocols: ['tls:', 'https:'] },
+};
+
+export const HTTP_CHECKS = ['http', 'keyword', 'json'];
+
+export const ASSERTION_OPS = ['exists', 'missing', 'equals', 'notEquals', 'contains', 'lt', 'gt'];
+
+export const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'TXT'];
+
+// Options under target.check, per type
+const CHECK_DEFAULTS = {
+  http: () => ({}),
+  keyword: (check) => ({
+    keyword: String(check.keyword || ''),
+    absent: Boolean(check.absent),
+  }),
+  json: (check) => ({
+    assertions: (Array.isArray(check.assertions) ? check.assertions : []).map(a => ({
+      path: String(a.path || '').trim(),
+      op: a.op || 'exists',
+      ...(a.value !== undefined ? { value: a.value } : {}),
+    })),
+  }),
+  tcp: () => ({}),
+  dns: (check) => ({
+    recordType: String(check.recordType || 'A').toUpperCase(),
+    expected: (Array.isArray(check.expected) ? check.expected : []).map(String),
+  }),
+  tls: (check) => ({
+    warnDays: Number(check.warnDays ?? 14),
+  }),
+};
+
+export const normalizeCheck = (type, check) => (CHECK_DEFAULTS[type] || CHECK_DEFAULTS.http)(check || {});
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+// Where a tcp:// or tls:// checkUrl points; tls defaults to port 443
+export const endpointOf = (checkUrl, defaultPort = null) => {
+  const url = parseUrl(checkUrl);
+  if (!url) return null;
+  return { host: url.hostname.replace(/^\[|\]$/g, ''), port: Number(url.port) || defaultPort };
+};
+
+export const validateCheck = (target) => {
+  const definition = CHECK_TYPES[target.type];
+  if (!definition) return [`type must be one of ${Object.keys(CHECK_TYPES).join(', ')}`];
+
+  const errors = [];
+  const url = parseUrl(target.checkUrl);
+  if (!url || !definition.protocols.includes(url.protocol)) {
+    errors.push(`checkUrl must be a ${definition.protocols.map(p => `${p}//`).join(' or ')} URL for ${target.type} checks`);
+  }
+  const { check } = target;
+
+  if (target.type === 'keyword' && !check.keyword) errors.push('check.keyword is required');
+  if (target.type === 'json') {
+    if (check.assertions.length === 0) errors.push('check.assertions needs at least one assertion');
+    check.assertions.forEach((a, i) => {
+      if (!a.path) errors.push(`check.assertions[${i}].path is required`);
+      if (!ASSERTION_OPS.includes(a.op)) errors.push(`check.assertions[${i}].op must be one of ${ASSERTION_OPS.join(', ')}`);
+      if (!['exists', 'missing'].includes(a.op) && a.value === undefined) errors.push(`check.assertions[${i}].value is required for ${a.op}`);
+    });
+  }
+  if (target.type === 'tcp' && url && !url.port) errors.push('checkUrl must include a port for tcp checks');
+  if (target.type === 'dns' && !RECORD_TYPES.includes(check.recordType)) errors.push(`check.recordType must be one of ${RECORD_TYPES.join(', ')}`);
+  if (target.type === 'tls' && !(Number.isInteger(check.warnDays) && check.warnDays >= 0)) errors.push('check.warnDays must be a whole number of days');
+  return errors;
+};
+
+// Minimal JSON path: '$.status.indicator', 'components[0].status' or 'a.b.0'
+export const readPath = (document, path) => {
+  const keys = path.replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+  let value = document;
+  for (const key of keys) {
+    if (value == null || typeof value !== 'object' || !(key in value)) return { found: false, value: undefined };
+    value = value[key];
+  }
+  return { found: true, value };
+};
+
+const sameValue = (a, b) => (typeof a === 'object' || typeof b === 'object'
+  ? JSON.stringify(a) === JSON.stringify(b)
+  : String(a) === String(b));
+
+// Returns { pass, actual } for one assertion against a parsed document
+export const evaluateAssertion = (document, { path, op, value }) => {
+  const { found, value: actual } = readPath(document, path);
+  const pass = {
+    exists: () => found,
+    missing: () => !found,
+    equals: () => found && sameValue(actual, value),
+    notEquals: () => !found || !sameValue(actual, value),
+    contains: () => found && (Array.isArray(actual)
+      ? actual.some(item => sameValue(item, value))
+      : String(actual).includes(String(value))),
+    lt: () => found && Number(actual) < Number(value),
+    gt: () => found && Number(actual) > Number(value),
+  }[op]();
+  return { pass, actual: found ? actual : null };
+};
@@ -0,0 +1,137 @@
+import { QUORUM_RULES } from './regions.js';
+
+// Scoring policy: how check results turn into globalHealth. Targets carry
+// their own latency threshold and weight; the policy holds the rest and is
+// shared by the server and browser-only mode.
+
+export const FORMULAS = {
+  weighted: 'Weighted mean',
+  mean: 'Mean, equal weights',
+  worst: 'Worst target',
+  critical: 'Weighted mean, capped by critical targets',
+};
+
+export const DEFAULT_POLICY = {
+  formula: 'weighted',
+  scores: { UP: 1, DEGRADED: 0.5, DOWN: 0 },
+  // A target only changes status once `required` of its last `window`
+  // checks agree; 1 of 1 reports every check as-is
+  damping: { required: 1, window: 1 },
+  // How probe regions agree on a status (see lib/regions.js)
+  quorum: 'majority',
+};
+
+const MAX_WINDOW = 10;
+
+export const normalizePolicy = (input = {}) => ({
+  formula: String(input.formula || DEFAULT_POLICY.formula),
+  scores: Object.fromEntries(Object.entries(DEFAULT_POLICY.scores).map(([status, score]) => [
+    status,
+    Number(input.scores?.[status] ?? score),
+  ])),
+  damping: {
+    required: Number(input.damping?.required ?? DEFAULT_POLICY.damping.required),
+    window: Number(input.damping?.window ?? DEFAULT_POLICY.damping.window),
+  },
+  quorum: String(input.quorum || DEFAULT_POLICY.quorum),
+});
+
+export const validatePolicy = (policy) => {
+  const errors = [];
+  const { scores, damping } = policy;
+  if (!FORMULAS[policy.formula]) errors.push(`formula must be one of ${Object.keys(FORMULAS).join(', ')}`);
+  if (Object.values(scores).some(s => !(s >= 0 && s <= 1))) errors.push('scores must be between 0 and 1');
+  if (!(scores.UP >= scores.DEGRADED && scores.DEGRADED >= scores.DOWN)) errors.push('scores must not increase from UP to DEGRADED to DOWN');
+  if (!Number.isInteger(damping.window) || damping.window < 1 || damping.window > MAX_WINDOW) errors.push(`damping.window must be between 1 and ${MAX_WINDOW}`);
+  if (!Number.isInteger(damping.required) || damping.required < 1 || damping.required > damping.window) errors.push('damping.required must be between 1 and damping.window');
+  if (!QUORUM_RULES[policy.quorum]) errors.push(`quorum must be one of ${Object.keys(QUORUM_RULES).join(', ')}`);
+  return errors;
+};
+
+// Flap damping. `observed` holds the latest raw statuses, newest last; the
+// reported status only moves once enough of them agree on the new one.
+export const dampStatus = (reported, observed, { required, window }) => {
+  const latest = observed[observed.length - 1];
+  if (!reported || reported === latest || !(reported in DEFAULT_POLICY.scores) || !(latest in DEFAULT_POLICY.scores)) return latest;
+  const agreeing = observed.slice(-window).filter(status => status === latest).length;
+  return agreeing >= required ? latest : reported;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Per-target scores and the aggregate, with enough detail to explain the
+// number. Targets we could not probe, or that are in planned maintenance,
+// say nothing about their health, so they are left out.
+export const healthBreakdown = (results, targets = null, policy = DEFAULT_POLICY) => {
+  const list = targets || Object.keys(results).map(id => ({ id, name: id }));
+  const rows = list.map(target => {
+    const result = results[target.id];
+    const row = {
+      id: target.id,
+      name: target.name,
+      status: result?.status || 'PENDING',
+      weight: policy.formula === 'mean' ? 1 : target.weight ?? 1,
+      critical: Boolean(target.critical),
+      counted: false,
+      score: null,
+      share: null,
+      notes: [],
+    };
+    if (!result || !(result.status in policy.scores)) {
+      row.notes.push(result?.status === 'MAINTENANCE' ? `in maintenance: ${result.maintenance.title}` : 'not probed yet');
+      return row;
+    }
+    row.score = policy.scores[result.status];
+    // A status page that answers but reports an outage of its own is only
+    // as healthy as its feed says
+    const reported = policy.scores[result.upstream?.status];
+    if (reported != null && reported < row.score) {
+      row.score = reported;
+      row.notes.push(`feed reports ${result.upstream.status}`);
+    }
+    if (result.rawStatus && result.rawStatus !== result.status) row.notes.push(`held; last check was ${result.rawStatus}`);
+    if (row.weight === 0) row.notes.push('weight 0');
+    row.counted = row.weight > 0;
+    return row;
+  });
+
+  const counted = rows.filter(row => row.counted);
+  if (counted.length === 0) {
+    // Planned downtime across the board is not an outage
+    if (rows.some(row => row.status === 'MAINTENANCE')) {
+      return { formula: policy.formula, health: 100, rows, explanation: 'Every probed target is in scheduled maintenance' };
+    }
+    // Probed, but weighted out of the score: nothing counts against it
+    if (rows.some(row => row.score != null)) {
+      return { formula: policy.formula, health: 100, rows, explanation: 'Every probed target has weight 0, so none counts towards health' };
+    }
+    return { formula: policy.formula, health: 0, rows, explanation: 'No targets have been probed yet' };
+  }
+
+  const totalWeight = counted.reduce((acc, row) => acc + row.weight, 0);
+  const weighted = counted.reduce((acc, row) => acc + row.score * row.weight, 0);
+  counted.forEach(row => { row.share = round2(((row.score * row.weight) / totalWeight) * 100); });
+  const mean = weighted / totalWeight;
+  const meanText = policy.formula === 'mean'
+    ? `Σscore / targets = ${round2(weighted)} / ${counted.length}`
+    : `Σ(score × weight) / Σweight = ${round2(weighted)} / ${round2(totalWeight)}`;
+
+  let health = mean;
+  let explanation = meanText;
+  if (policy.formula === 'worst') {
+    const worst = counted.reduce((a, b) => (b.score < a.score ? b : a));
+    health = worst.score;
+    explanation = `Lowest score: ${worst.name} (${[worst.status, ...worst.notes].join(', ')}) = ${worst.score}`;
+  } else if (policy.formula === 'critical') {
+    const critical = counted.filter(row => row.critical);
+    const cap = critical.length > 0 ? Math.min(...critical.map(row => row.score)) : 1;
+    health = Math.min(mean, cap);
+    explanation = cap < mean
+      ? `${meanText} = ${round2(mean)}, capped at ${cap} by a critical target`
+      : `${meanText}; no critical target below ${round2(mean)}`;
+  }
+
+  return { formula: policy.formula, health: Math.round(health * 100), rows, explanation };
+};
+
+export const computeHealth = (results, targets, policy) => healthBreakdown(results, targets, policy).health;
@@ -0,0 +1,179 @@
+// Time-series history for one target. Raw samples cover the last day;
+// older data survives only as hourly and daily rollups. The same document
+// shape is kept in the server's file store and in the browser's IndexedDB.
+
+export const HOUR = 60 * 60 * 1000;
+export const DAY = 24 * HOUR;
+
+export const RETENTION = {
+  raw: 25 * HOUR,
+  hourly: 8 * DAY,
+  daily: 90 * DAY,
+};
+
+export const WINDOWS = {
+  '24h': { span: DAY, tier: 'raw' },
+  '7d': { span: 7 * DAY, tier: 'hourly' },
+  '30d': { span: 30 * DAY, tier: 'daily' },
+};
+
+const BUCKET_SIZE = { hourly: HOUR, daily: DAY };
+
+// Upper bounds (ms) of the latency histogram kept in each rollup bucket
+export const LATENCY_BOUNDS = [50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 7500, 10000, Infinity];
+
+export const createSeries = () => ({ raw: [], hourly: [], daily: [] });
+
+const emptyBucket = (start) => ({
+  start,
+  count: 0,
+  up: 0,
+  degraded: 0,
+  down: 0,
+  maintenance: 0,
+  latencySum: 0,
+  latencyCount: 0,
+  histogram: LATENCY_BOUNDS.map(() => 0),
+});
+
+// Samples without a latency (DOWN, unknown) count toward uptime only;
+// planned maintenance counts toward neither
+const hasLatency = (sample) => sample.status !== 'DOWN' && sample.status !== 'MAINTENANCE' && sample.latency > 0;
+
+const addToBucket = (bucket, sample) => {
+  bucket.count += 1;
+  if (sample.status === 'UP') bucket.up += 1;
+  else if (sample.status === 'DEGRADED') bucket.degraded += 1;
+  else if (sample.status === 'MAINTENANCE') bucket.maintenance = (bucket.maintenance || 0) + 1;
+  else bucket.down += 1;
+  if (hasLatency(sample)) {
+    bucket.latencySum += sample.latency;
+    bucket.latencyCount += 1;
+    bucket.histogram[LATENCY_BOUNDS.findIndex(bound => sample.latency <= bound)] += 1;
+  }
+};
+
+const rollup = (buckets, tier, sample) => {
+  const start = Math.floor(sample.timestamp / BUCKET_SIZE[tier]) * BUCKET_SIZE[tier];
+  let bucket = buckets[buckets.length - 1];
+  if (!bucket || bucket.start !== start) {
+    bucket = emptyBucket(start);
+    buckets.push(bucket);
+  }
+  addToBucket(bucket, sample);
+};
+
+const prune = (list, cutoff, key) => {
+  const keep = list.findIndex(item => item[key] >= cutoff);
+  list.splice(0, keep === -1 ? list.length : keep);
+};
+
+// Record a sample and apply retention. Samples must arrive in time order.
+export const addSample = (series, sample) => {
+  series.raw.push(sample);
+  rollup(series.hourly, 'hourly', sample);
+  rollup(series.daily, 'daily', sample);
+
+  prune(series.raw, sample.timestamp - RETENTION.raw, 'timestamp');
+  prune(series.hourly, sample.timestamp - RETENTION.hourly, 'start');
+  prune(series.daily, sample.timestamp - RETENTION.daily, 'start');
+  return series;
+};
+
+// Nearest-rank percentile of a sorted list
+const percentile = (sorted, p) => (sorted.length === 0 ? null : sorted[Math.ceil((p / 100) * sorted.length) - 1]);
+
+// Percentile estimated from histogram counts, interpolating inside the bucket
+const histogramPercentile = (histogram, total, p) => {
+  if (total === 0) return null;
+  const rank = (p / 100) * total;
+  let seen = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    if (seen + histogram[i] >= rank) {
+      const low = i === 0 ? 0 : LATENCY_BOUNDS[i - 1];
+      const high = Number.isFinite(LATENCY_BOUNDS[i]) ? LATENCY_BOUNDS[i] : low * 2;
+      return Math.round(low + ((rank - seen) / histogram[i]) * (high - low));
+    }
+    seen += histogram[i];
+  }
+  return null;
+};
+
+// Availability counts DEGRADED as up: the target answered, just slowly.
+// Maintenance samples are left out of both sides.
+const uptimeOf = (count, down, maintenance = 0) => {
+  const counted = count - maintenance;
+  return counted === 0 ? null : Math.round(((counted - down) / counted) * 10000) / 100;
+};
+
+// Percent uptime of one rollup bucket; null when it holds only maintenance
+export const bucketUptime = (bucket) => uptimeOf(bucket.count, bucket.down, bucket.maintenance || 0);
+
+const summarizeRaw = (samples) => {
+  const latencies = samples.filter(hasLatency).map(s => s.latency).sort((a, b) => a - b);
+  const down = samples.filter(s => s.status === 'DOWN').length;
+  const maintenance = samples.filter(s => s.status === 'MAINTENANCE').length;
+  return {
+    samples: samples.length,
+    uptime: uptimeOf(samples.length, down, maintenance),
+    p50: percentile(latencies, 50),
+    p95: percentile(latencies, 95),
+    p99: percentile(latencies, 99),
+  };
+};
+
+const summarizeBuckets = (buckets) => {
+  const merged = emptyBucket(0);
+  buckets.forEach(b => {
+    // Buckets from before maintenance windows existed have no count for them
+    ['count', 'up', 'degraded', 'down', 'maintenance', 'latencySum', 'latencyCount'].forEach(key => { merged[key] += b[key] || 0; });
+    b.histogram.forEach((n, i) => { merged.histogram[i] += n; });
+  });
+  return {
+    samples: merged.count,
+    uptime: uptimeOf(merged.count, merged.down, merged.maintenance),
+    p50: histogramPercentile(merged.histogram, merged.latencyCount, 50),
+    p95: histogramPercentile(merged.histogram, merged.latencyCount, 95),
+    p99: histogramPercentile(merged.histogram, merged.latencyCount, 99),
+  };
+};
+
+// Uptime and latency percentiles for every window in WINDOWS
+export const seriesStats = (series, now = Date.now()) => Object.fromEntries(
+  Object.entries(WINDOWS).map(([name, { span, tier }]) => {
+    const since = now - span;
+    const stats = tier === 'raw'
+      ? summarizeRaw(series.raw.filter(s => s.timestamp >= since))
+      : summarizeBuckets(series[tier].filter(b => b.start + BUCKET_SIZE[tier] > since));
+    return [name, stats];
+  })
+);
+
+// Samples ('raw') or rollup buckets ('hourly' / 'daily') since a timestamp
+export const samplesSince = (series, since = 0, resolution = 'raw') => {
+  if (resolution === 'raw') return series.raw.filter(s => s.timestamp >= since);
+  return series[resolution].filter(b => b.start + BUCKET_SIZE[resolution] > since);
+};
+
+export const RESOLUTIONS = ['raw', 'hourly', 'daily'];
+
+// Contiguous DOWN / DEGRADED runs in raw samples, newest first. A run ends
+// at the first sample with a different status; end is null while ongoing.
+export const statusIntervals = (samples, now = Date.now()) => {
+  const intervals = [];
+  let current = null;
+  samples.forEach(sample => {
+    if (current && sample.status !== current.status) {
+      current.end = sample.timestamp;
+      current.duration = current.end - current.start;
+      current = null;
+    }
+    if (!current && (sample.status === 'DOWN' || sample.status === 'DEGRADED')) {
+      current = { status: sample.status, start: sample.timestamp, end: null, duration: 0, samples: 0 };
+      intervals.push(current);
+    }
+    if (current) current.samples += 1;
+  });
+  if (current) current.duration = now - current.start;
+  return intervals.reverse();
+};
@@ -0,0 +1,179 @@
+// Incidents are opened and resolved from scan results. A target that goes
+// DOWN or DEGRADED joins the open incident, or opens one; the incident
+// resolves once every affected target is UP again. Targets that could not
+// be probed or are in planned maintenance leave an incident as it is.
+
+// Resolved incidents beyond this many are dropped, oldest first
+export const MAX_INCIDENTS = 200;
+const MAX_TEXT = 20000;
+
+const FAILING = ['DOWN', 'DEGRADED'];
+const SEVERITY = { DEGRADED: 1, DOWN: 2 };
+
+const iso = (ms) => new Date(ms).toISOString();
+
+const entry = (at, kind, message, author = null) => ({ at: iso(at), kind, message, author });
+
+const newIncident = (target, status, at) => ({
+  id: `inc-${at.toString(36)}`,
+  title: `${target.name} ${status}`,
+  status: 'open',
+  severity: status,
+  startedAt: iso(at),
+  resolvedAt: null,
+  duration: null,
+  acknowledgedAt: null,
+  acknowledgedBy: null,
+  targets: [],
+  timeline: [],
+  postmortem: '',
+});
+
+// Each time a target fails within an incident is one outage; incidents
+// recorded before outages were tracked have the target's whole span as one
+const outagesOf = (target) => target.outages ?? [{ startedAt: target.startedAt, resolvedAt: target.resolvedAt }];
+
+const recover = (target, at) => {
+  target.resolvedAt = iso(at);
+  target.outages = outagesOf(target).map((outage, i, all) => (i === all.length - 1 ? { ...outage, resolvedAt: iso(at) } : outage));
+};
+
+const copy = (incident) => ({
+  ...incident,
+  targets: incident.targets.map(t => ({ ...t, outages: outagesOf(t) })),
+  timeline: [...incident.timeline],
+});
+
+const resolve = (incident, at) => {
+  incident.status = 'resolved';
+  incident.resolvedAt = iso(at);
+  incident.duration = at - Date.parse(incident.startedAt);
+  incident.timeline.push(entry(at, 'resolved', 'All affected targets recovered'));
+};
+
+// Apply one scan's results ({ id: result }, as reported after damping and
+// maintenance) to the incident list, newest first. Returns the new list and
+// what happened, as [{ kind: 'opened' | 'updated' | 'resolved', incident }].
+export const trackIncidents = (incidents, results, targets, now = Date.now()) => {
+  const names = Object.fromEntries(targets.map(t => [t.id, t.name]));
+  const existing = incidents.find(i => i.status === 'open');
+  let open = existing ? copy(existing) : null;
+  let opened = false;
+  let changed = false;
+
+  Object.entries(results).forEach(([id, result]) => {
+    const at = Date.parse(result.lastChecked) || now;
+    const affected = open?.targets.find(t => t.id === id);
+    if (FAILING.includes(result.status)) {
+      if (!open) {
+        open = newIncident({ name: names[id] || id }, result.status, at);
+        opened = true;
+      }
+      if (!affected) {
+        open.targets.push({ id, name: names[id] || id, worst: result.status, startedAt: iso(at), resolvedAt: null, outages: [{ startedAt: iso(at), resolvedAt: null }] });
+        open.timeline.push(entry(at, 'affected', `${names[id] || id} ${result.status}${result.error ? `: ${result.error}` : ''}`));
+      } else if (affected.resolvedAt) {
+        // A relapse within the same incident is a new outage of its own
+        affected.resolvedAt = null;
+        affected.outages = [...outagesOf(affected), { startedAt: iso(at), resolvedAt: null }];
+        if (SEVERITY[result.status] > SEVERITY[affected.worst]) affected.worst = result.status;
+        open.timeline.push(entry(at, 'affected', `${affected.name} ${result.status} again`));
+      } else if (SEVERITY[result.status] > SEVERITY[affected.worst]) {
+        affected.worst = result.status;
+        open.timeline.push(entry(at, 'affected', `${affected.name} now ${result.status}`));
+      } else {
+        return;
+      }
+      if (SEVERITY[result.status] > SEVERITY[open.severity]) open.severity = result.status;
+      changed = true;
+    } else if (result.status === 'UP' && affected && !affected.resolvedAt) {
+      recover(affected, at);
+      open.timeline.push(entry(at, 'recovered', `${affected.name} recovered`));
+      changed = true;
+    }
+  });
+
+  // Targets removed from the registry will never recover on their own
+  open?.targets.filter(t => !t.resolvedAt && !(t.id in names)).forEach(t => {
+    recover(t, now);
+    open.timeline.push(entry(now, 'recovered', `${t.name} no longer monitored`));
+    changed = true;
+  });
+
+  if (!changed) return { incidents, changes: [] };
+
+  if (open.targets.every(t => t.resolvedAt)) resolve(open, Math.max(...open.targets.map(t => Date.parse(t.resolvedAt))));
+  const kind = opened ? 'opened' : open.status === 'resolved' ? 'resolved' : 'updated';
+  const next = [open, ...incidents.filter(i => i.id !== open.id)];
+  return {
+    incidents: next.length > MAX_INCIDENTS ? next.filter((i, index) => index < MAX_INCIDENTS || i.status === 'open') : next,
+    changes: [{ kind, incident: open }],
+  };
+};
+
+export const acknowledgeIncident = (incident, by = null, now = Date.now()) => ({
+  ...incident,
+  acknowledgedAt: iso(now),
+  acknowledgedBy: by,
+  timeline: [...incident.timeline, entry(now, 'acknowledged', `Acknowledged${by ? ` by ${by}` : ''}`, by)],
+});
+
+export const normalizeNote = (input) => ({
+  text: String(input.text || '').trim(),
+  author: input.author ? String(input.author).trim() : null,
+});
+
+export const validateNote = (note) => {
+  if (!note.text) return ['text is required'];
+  if (note.text.length > MAX_TEXT) return [`text must be at most ${MAX_TEXT} characters`];
+  return [];
+};
+
+export const addIncidentNote = (incident, note, now = Date.now()) => ({
+  ...incident,
+  timeline: [...incident.timeline, entry(now, 'note', note.text, note.author)],
+});
+
+// Title and postmortem are the only fields operators edit directly
+export const normalizeIncidentEdit = (input) => ({
+  ...(input.title !== undefined ? { title: String(input.title).trim() } : {}),
+  ...(input.postmortem !== undefined ? { postmortem: String(input.postmortem) } : {}),
+});
+
+export const validateIncidentEdit = (edit) => {
+  const errors = [];
+  if (edit.title === '') errors.push('title must not be empty');
+  if (edit.postmortem?.length > MAX_TEXT) errors.push(`postmortem must be at most ${MAX_TEXT} characters`);
+  return errors;
+};
+
+export const editIncident = (incident, edit, author = null, now = Date.now()) => {
+  const timeline = [...incident.timeline];
+  if (edit.postmortem !== undefined && edit.postmortem !== incident.postmortem) {
+    timeline.push(entry(now, 'postmortem', incident.postmortem ? 'Postmortem updated' : 'Postmortem written', author));
+  }
+  return { ...incident, ...edit, timeline };
+};
+
+const mean = (values) => (values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+// Per-target reliability from its outages across incidents: MTTR is the
+// mean time from failing to recovered, MTBF the mean time between
+// recovering and failing again. Both are null until there is something to
+// average.
+export const incidentStats = (incidents, id, now = Date.now()) => {
+  const affected = incidents.flatMap(incident => incident.targets.filter(t => t.id === id));
+  const outages = affected
+    .flatMap(outagesOf)
+    .map(o => ({ start: Date.parse(o.startedAt), end: o.resolvedAt ? Date.parse(o.resolvedAt) : null }))
+    .sort((a, b) => a.start - b.start);
+  const resolved = outages.filter(o => o.end != null);
+  return {
+    incidents: affected.length,
+    outages: outages.length,
+    open: outages.some(o => o.end == null),
+    downtime: outages.reduce((acc, o) => acc + ((o.end ?? now) - o.start), 0),
+    mttr: mean(resolved.map(o => o.end - o.start)),
+    mtbf: mean(outages.slice(1).map((o, i) => (outages[i].end != null ? o.start - outages[i].end : null)).filter(gap => gap != null)),
+  };
+};
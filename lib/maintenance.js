@@ -0,0 +1,163 @@
+import { slugify } from './targets.js';
+
+// Planned maintenance. A window is one-off (start/end) or recurring (a
+// five-field cron expression in UTC plus a duration in minutes) and covers
+// the listed targets, or every target when the list is empty. Results taken
+// inside a window are reported as MAINTENANCE: they stay out of
+// globalHealth and uptime, and alerts for those targets hold.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// How far ahead to look for the next cron match
+const SEARCH_LIMIT = 366 * DAY;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`invalid ${name}: ${part}`);
+    const [, , from, to, step] = match;
+    const low = from === undefined ? min : Number(from);
+    const high = to !== undefined ? Number(to) : from === undefined || step ? max : low;
+    const every = step ? Number(step) : 1;
+    if (low < min || high > max || low > high || every < 1) throw new Error(`${name} out of range: ${part}`);
+    for (let v = low; v <= high; v += every) values.add(v);
+  });
+  return values;
+};
+
+// 'm h dom mon dow'. As in cron, when both day fields are restricted a day
+// matching either one qualifies.
+export const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron needs 5 fields: minute hour day-of-month month day-of-week');
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+};
+
+const dayMatches = (cron, date) => {
+  const byDate = cron.days.has(date.getUTCDate());
+  const byWeekday = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay) return byWeekday;
+  if (cron.anyWeekday) return byDate;
+  return byDate || byWeekday;
+};
+
+// First minute at or after `from` that matches, or null within a year
+export const nextOccurrence = (cron, from) => {
+  let t = Math.ceil(from / MINUTE) * MINUTE;
+  const limit = from + SEARCH_LIMIT;
+  while (t <= limit) {
+    const d = new Date(t);
+    const [y, mo, day, h] = [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours()];
+    if (!cron.months.has(mo + 1)) t = Date.UTC(y, mo + 1, 1);
+    else if (!dayMatches(cron, d)) t = Date.UTC(y, mo, day + 1);
+    else if (!cron.hours.has(h)) t = Date.UTC(y, mo, day, h + 1);
+    else if (!cron.minutes.has(d.getUTCMinutes())) t += MINUTE;
+    else return t;
+  }
+  return null;
+};
+
+const toIso = (value) => {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+};
+
+export const normalizeWindow = (input) => {
+  const recurring = Boolean(input.cron);
+  return {
+    id: String(input.id || slugify(input.title || '')).trim(),
+    title: String(input.title || '').trim(),
+    targets: Array.isArray(input.targets) ? input.targets.map(String) : [],
+    start: recurring ? null : toIso(input.start),
+    end: recurring ? null : toIso(input.end),
+    cron: recurring ? String(input.cron).trim() : null,
+    duration: recurring ? Number(input.duration) : null,
+  };
+};
+
+export const validateWindow = (window) => {
+  const errors = [];
+  if (!window.id) errors.push('id is required');
+  if (!window.title) errors.push('title is required');
+  if (window.cron) {
+    try {
+      parseCron(window.cron);
+    } catch (error) {
+      errors.push(`cron: ${error.message}`);
+    }
+    if (!(Number.isInteger(window.duration) && window.duration > 0 && window.duration <= 7 * 24 * 60)) {
+      errors.push('duration must be a whole number of minutes, up to a week');
+    }
+  } else {
+    if (!window.start) errors.push('start must be a date (or give cron and duration for a recurring window)');
+    if (!window.end) errors.push('end must be a date');
+    if (window.start && window.end && Date.parse(window.end) <= Date.parse(window.start)) errors.push('end must be after start');
+  }
+  return errors;
+};
+
+export const coversTarget = (window, id) => window.targets.length === 0 || window.targets.includes(id);
+
+const occurrence = (window, start, end) => ({
+  id: window.id,
+  title: window.title,
+  start: new Date(start).toISOString(),
+  end: new Date(end).toISOString(),
+});
+
+// The occurrence in progress at `now`, or else the next one; null when
+// there is none (a one-off window that has ended)
+export const currentOrNext = (window, now = Date.now()) => {
+  if (!window.cron) {
+    return Date.parse(window.end) > now ? occurrence(window, Date.parse(window.start), Date.parse(window.end)) : null;
+  }
+  const span = window.duration * MINUTE;
+  let cron;
+  try {
+    cron = parseCron(window.cron);
+  } catch {
+    return null;
+  }
+  // A run that started less than `duration` ago is still going
+  const start = nextOccurrence(cron, now - span + 1);
+  return start == null ? null : occurrence(window, start, start + span);
+};
+
+// The window a target is in right now, if any
+export const activeWindow = (windows, id, now = Date.now()) => {
+  for (const window of windows) {
+    if (!coversTarget(window, id)) continue;
+    const next = currentOrNext(window, now);
+    if (next && Date.parse(next.start) <= now) return next;
+  }
+  return null;
+};
+
+// Current and next occurrences covering a target (every window when id is
+// null), soonest first
+export const upcomingWindows = (windows, id = null, now = Date.now(), limit = 3) => windows
+  .filter(window => id == null || coversTarget(window, id))
+  .map(window => currentOrNext(window, now))
+  .filter(Boolean)
+  .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+  .slice(0, limit);
+
+// Report a result taken during a window as MAINTENANCE; rawStatus keeps the
+// check's own verdict
+export const applyMaintenance = (result, window) => (window ? {
+  ...result,
+  status: 'MAINTENANCE',
+  rawStatus: result.rawStatus || result.status,
+  maintenance: window,
+} : result);
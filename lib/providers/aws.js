@@ -0,0 +1,57 @@
+import { parseRss } from './rss.js';
+
+// AWS Health RSS (status.aws.amazon.com/rss/all.rss). Every update is its
+// own item; the guid fragment ('ec2-us-east-1_1700000000') names the
+// service, and the latest item per service says whether it has recovered.
+
+const RECENT = 24 * 60 * 60 * 1000;
+
+const RESOLVED = /operating normally|\[RESOLVED\]/i;
+
+const impactOf = (title) => {
+  if (/disruption/i.test(title)) return 'major';
+  if (/performance issues/i.test(title)) return 'minor';
+  return 'none';
+};
+
+const serviceOf = (item) => {
+  const fragment = (item.guid || item.link || '').split('#')[1] || item.title;
+  return fragment.replace(/_\d+$/, '');
+};
+
+export const parse = (text, now = Date.now()) => {
+  const latest = new Map();
+  parseRss(text)
+    .filter(item => item.pubDate && now - item.pubDate < RECENT)
+    .forEach(item => {
+      const service = serviceOf(item);
+      if (!latest.has(service) || latest.get(service).pubDate < item.pubDate) latest.set(service, item);
+    });
+
+  const components = [...latest].map(([service, item]) => ({
+    id: service,
+    name: service,
+    status: RESOLVED.test(item.title) ? 'UP' : impactOf(item.title) === 'major' ? 'DOWN' : 'DEGRADED',
+  }));
+  const incidents = [...latest]
+    .filter(([, item]) => !RESOLVED.test(item.title))
+    .map(([service, item]) => ({
+      id: item.guid || `${service}-${item.pubDate}`,
+      title: item.title.replace(/^[^:]+:\s*/, ''),
+      status: 'investigating',
+      impact: impactOf(item.title),
+      startedAt: new Date(item.pubDate).toISOString(),
+      updatedAt: new Date(item.pubDate).toISOString(),
+      url: item.link,
+      components: [service],
+    }));
+
+  const status = components.some(c => c.status === 'DOWN') ? 'DOWN'
+    : components.some(c => c.status === 'DEGRADED') ? 'DEGRADED' : 'UP';
+  return {
+    status,
+    summary: incidents.length > 0 ? `${incidents.length} service${incidents.length === 1 ? '' : 's'} affected` : 'All services operating normally',
+    components,
+    incidents,
+  };
+};
@@ -0,0 +1,33 @@
+import { parseRss } from './rss.js';
+
+// Azure status RSS (azure.status.microsoft/en-us/status/feed/). The feed
+// only carries current incidents and is empty when everything is healthy;
+// mitigated ones linger for a while and are skipped.
+
+const MITIGATED = /\b(mitigated|resolved)\b/i;
+
+export const parse = (text) => {
+  const items = parseRss(text).filter(item => !MITIGATED.test(item.title));
+  const incidents = items.map(item => ({
+    id: item.guid || item.link || item.title,
+    title: item.title,
+    status: 'investigating',
+    impact: /outage|unavailable|unable to/i.test(`${item.title} ${item.description}`) ? 'major' : 'minor',
+    startedAt: item.pubDate ? new Date(item.pubDate).toISOString() : null,
+    updatedAt: item.pubDate ? new Date(item.pubDate).toISOString() : null,
+    url: item.link,
+    components: item.category ? [item.category] : [],
+  }));
+  const affected = [...new Set(incidents.flatMap(i => i.components))];
+
+  return {
+    status: incidents.some(i => i.impact === 'major') ? 'DOWN' : incidents.length > 0 ? 'DEGRADED' : 'UP',
+    summary: incidents.length > 0 ? `${incidents.length} active incident${incidents.length === 1 ? '' : 's'}` : 'No active incidents',
+    components: affected.map(name => ({
+      id: name,
+      name,
+      status: incidents.some(i => i.impact === 'major' && i.components.includes(name)) ? 'DOWN' : 'DEGRADED',
+    })),
+    incidents,
+  };
+};
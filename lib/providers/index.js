@@ -0,0 +1,18 @@
+import * as statuspage from './statuspage.js';
+import * as aws from './aws.js';
+import * as azure from './azure.js';
+
+// Upstream status adapters. Each exports parse(text, now) turning a fetched
+// feed into { status, summary, components, incidents } and never touches
+// the network, so recorded payloads can be replayed through it.
+export const PROVIDERS = {
+  statuspage: { label: 'Statuspage', parse: statuspage.parse },
+  aws: { label: 'AWS Health RSS', parse: aws.parse },
+  azure: { label: 'Azure Status RSS', parse: azure.parse },
+};
+
+export const parseUpstream = (type, text, now = Date.now()) => ({
+  provider: type,
+  ...PROVIDERS[type].parse(text, now),
+  fetchedAt: new Date(now).toISOString(),
+});
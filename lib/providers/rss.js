@@ -0,0 +1,33 @@
+// Just enough RSS 2.0 parsing for status feeds: <item> elements and their
+// simple text children. Works the same in Node and the browser.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[entity] ?? match;
+});
+
+const textOf = (xml, tag) => {
+  const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+  if (!match) return null;
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+  return (cdata ? cdata[1] : decodeEntities(match[1])).trim();
+};
+
+export const stripHtml = (html) => decodeEntities(String(html || '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+export const parseRss = (xml) => {
+  if (!/<rss[\s>]|<channel[\s>]/i.test(xml)) throw new Error('Not an RSS document');
+  return [...xml.matchAll(/<item(?:\s[^>]*)?>([\s\S]*?)<\/item>/gi)].map(([, item]) => ({
+    title: textOf(item, 'title') || '',
+    link: textOf(item, 'link'),
+    guid: textOf(item, 'guid'),
+    category: textOf(item, 'category'),
+    description: stripHtml(textOf(item, 'description')),
+    pubDate: Date.parse(textOf(item, 'pubDate')) || null,
+  }));
+};
@@ -0,0 +1,38 @@
+// Atlassian Statuspage /api/v2/summary.json (Cloudflare and most SaaS
+// status pages)
+
+const COMPONENT_STATUS = {
+  operational: 'UP',
+  under_maintenance: 'UP',
+  degraded_performance: 'DEGRADED',
+  partial_outage: 'DEGRADED',
+  major_outage: 'DOWN',
+};
+
+const INDICATOR_STATUS = { none: 'UP', maintenance: 'UP', minor: 'DEGRADED', major: 'DOWN', critical: 'DOWN' };
+
+export const parse = (text) => {
+  const summary = JSON.parse(text);
+  if (!summary.status || !Array.isArray(summary.components)) throw new Error('Not a Statuspage summary');
+
+  return {
+    status: INDICATOR_STATUS[summary.status.indicator] || 'UNKNOWN',
+    summary: summary.status.description,
+    // Group rows only aggregate their children
+    components: summary.components.filter(c => !c.group).map(c => ({
+      id: c.id,
+      name: c.name,
+      status: COMPONENT_STATUS[c.status] || 'UNKNOWN',
+    })),
+    incidents: (summary.incidents || []).map(incident => ({
+      id: incident.id,
+      title: incident.name,
+      status: incident.status,
+      impact: incident.impact,
+      startedAt: incident.started_at || incident.created_at,
+      updatedAt: incident.updated_at,
+      url: incident.shortlink || null,
+      components: (incident.components || []).map(c => c.name),
+    })),
+  };
+};
@@ -0,0 +1,81 @@
+// Multi-region agreement. The monitor's own probe and every probe agent
+// (server/agent.js) that reported recently each vote with their raw status;
+// the policy's quorum rule decides what the target is.
+
+export const QUORUM_RULES = {
+  majority: 'Majority of regions',
+  any: 'Any region',
+  all: 'All regions',
+};
+
+// Name of the monitor's own vote unless METAMONITOR_REGION says otherwise
+export const LOCAL_REGION = 'local';
+
+// Agent reports older than this many check intervals no longer vote
+const STALE_INTERVALS = 2;
+const STALE_SLACK = 15000;
+
+const VOTING = ['UP', 'DEGRADED', 'DOWN'];
+
+const needed = (rule, total) => (rule === 'any' ? 1 : rule === 'all' ? total : Math.floor(total / 2) + 1);
+
+// DOWN when enough regions say DOWN, DEGRADED when enough say DEGRADED or
+// worse, UP otherwise. Regions that could not probe (UNKNOWN) abstain.
+export const quorumStatus = (statuses, rule = 'majority') => {
+  const votes = statuses.filter(status => VOTING.includes(status));
+  if (votes.length === 0) return 'UNKNOWN';
+  const need = needed(rule, votes.length);
+  if (votes.filter(status => status === 'DOWN').length >= need) return 'DOWN';
+  if (votes.filter(status => status !== 'UP').length >= need) return 'DEGRADED';
+  return 'UP';
+};
+
+export const isFresh = (report, target, now = Date.now()) => (
+  now - Date.parse(report.lastChecked) <= target.interval * STALE_INTERVALS + STALE_SLACK
+);
+
+const summarize = (result) => ({
+  status: result.status,
+  latency: result.latency,
+  statusCode: result.statusCode ?? null,
+  errorClass: result.errorClass ?? null,
+  error: result.error ?? null,
+  lastChecked: result.lastChecked,
+});
+
+// Merge per-region results ({ region: result }, the monitor's own first)
+// into one. The details shown come from a region that agrees with the
+// verdict, preferring the first.
+export const combineRegions = (results, rule = 'majority') => {
+  const entries = Object.entries(results);
+  const status = quorumStatus(entries.map(([, result]) => result.status), rule);
+  const [, base] = entries.find(([, result]) => result.status === status) || entries[0];
+  const voting = entries.filter(([, result]) => VOTING.includes(result.status));
+  return {
+    ...base,
+    status,
+    regions: Object.fromEntries(entries.map(([region, result]) => [region, summarize(result)])),
+    quorum: {
+      rule,
+      agreeing: voting.filter(([, result]) => result.status === status).length,
+      total: voting.length,
+    },
+  };
+};
+
+const REGION_PATTERN = /^[a-z0-9][a-z0-9._-]{0,39}$/i;
+
+// Body of POST /v1/agents/report
+export const validateReport = (report) => {
+  const errors = [];
+  if (!report || typeof report !== 'object') return ['report must be an object'];
+  if (!REGION_PATTERN.test(report.region || '')) errors.push('region must be 1-40 letters, digits, dots, dashes or underscores');
+  if (!Array.isArray(report.results)) return [...errors, 'results must be an array'];
+  report.results.forEach((result, i) => {
+    if (typeof result?.id !== 'string') errors.push(`results[${i}].id must be a string`);
+    if (![...VOTING, 'UNKNOWN'].includes(result?.status)) errors.push(`results[${i}].status must be one of ${[...VOTING, 'UNKNOWN'].join(', ')}`);
+    if (!(result?.latency >= 0)) errors.push(`results[${i}].latency must be a non-negative number`);
+    if (Number.isNaN(Date.parse(result?.lastChecked))) errors.push(`results[${i}].lastChecked must be a date`);
+  });
+  return errors;
+};
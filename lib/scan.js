@@ -0,0 +1,71 @@
+import { DEFAULT_POLICY, dampStatus } from './health.js';
+import { DEFAULT_CONCURRENCY, createPool } from './scheduler.js';
+import { activeWindow, applyMaintenance } from './maintenance.js';
+
+// The checking pipeline shared by the monitor, browser-only mode and the
+// CLI: a probe result is damped against the target's recent checks, then
+// overridden by any active maintenance window. Only the probe differs
+// between them (server/checks, /api/probe), so it is passed in.
+
+// Flap damping state per target. Reports the damped status; the check's own
+// verdict stays in rawStatus.
+export const createDamper = () => {
+  const observations = new Map();
+  const reported = new Map();
+
+  const damp = (target, result, damping) => {
+    const observed = [...(observations.get(target.id) || []), result.status].slice(-damping.window);
+    observations.set(target.id, observed);
+    const status = dampStatus(reported.get(target.id), observed, damping);
+    reported.set(target.id, status);
+    return { ...result, status, rawStatus: result.status };
+  };
+
+  const forget = (id) => {
+    observations.delete(id);
+    reported.delete(id);
+  };
+
+  return { damp, forget };
+};
+
+// Scan ids: scans overlap, so the time alone can repeat
+export const createScanIds = () => {
+  let count = 0;
+  return () => `scan-${Date.now().toString(36)}-${(count += 1).toString(36)}`;
+};
+
+// probe(target): resolves to a check result. vote(target, result): a chance
+// to combine it with other regions first. policy() and maintenance() return
+// the current scoring policy and maintenance windows.
+export const createScanner = ({
+  probe,
+  vote = (target, result) => result,
+  policy = () => DEFAULT_POLICY,
+  maintenance = () => [],
+  concurrency = DEFAULT_CONCURRENCY,
+}) => {
+  const damper = createDamper();
+  const pool = createPool(concurrency);
+
+  const check = async (target) => {
+    const result = damper.damp(target, await vote(target, await probe(target)), policy().damping);
+    return applyMaintenance(result, activeWindow(maintenance(), target.id));
+  };
+
+  // Check every target, calling onResult(target, result) as each one
+  // finishes; overlapping scans share `concurrency` probes between them.
+  // Resolves to { [id]: result }.
+  const scan = async (targets, onResult = () => {}) => {
+    const results = {};
+    await pool(targets, async (target) => {
+      const result = await check(target);
+      results[target.id] = result;
+      await onResult(target, result);
+    });
+    return results;
+  };
+
+  return { check, scan, forget: damper.forget };
+};
+
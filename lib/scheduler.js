@@ -0,0 +1,187 @@
+// Per-target scheduling, shared by the monitor and browser-only mode. Each
+// target runs on its own interval from a jittered first run; failing targets
+// are re-checked sooner, backing off exponentially to their normal interval.
+// Targets that come due together are probed as one scan; scans overlap
+// rather than wait for each other.
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_PAUSE = { all: false, targets: [] };
+
+const TICK = 1000;
+// First runs are spread over up to this much, so a restart does not probe
+// every target in the same instant
+const MAX_JITTER = 5000;
+// First re-check of a failing target; doubles per consecutive failure
+const RETRY_BASE = 10000;
+
+// Targets in maintenance are expected to fail and keep their normal interval
+export const isFailing = (result) => (
+  result.status !== 'MAINTENANCE' && ['DOWN', 'UNKNOWN'].includes(result.rawStatus || result.status)
+);
+
+export const nextDelay = (interval, failures) => (
+  failures > 0 ? Math.min(interval, RETRY_BASE * 2 ** (failures - 1)) : interval
+);
+
+// A limit on work in flight, shared by every call: pool(items, work) runs
+// work(item) for each item as slots free up and resolves once all are done
+export const createPool = (limit) => {
+  let active = 0;
+  const waiting = [];
+  const acquire = () => {
+    if (active < limit) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+  // A freed slot goes straight to the next waiter
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  };
+  return (items, work) => Promise.all(items.map(async (item) => {
+    await acquire();
+    try {
+      await work(item);
+    } finally {
+      release();
+    }
+  }));
+};
+
+export const normalizePause = (input = {}) => ({
+  all: Boolean(input.all),
+  targets: Array.isArray(input.targets) ? [...new Set(input.targets)] : DEFAULT_PAUSE.targets,
+});
+
+export const validatePause = (pause) => (
+  pause.targets.every(id => typeof id === 'string') ? [] : ['targets must be a list of target ids']
+);
+
+// targets(): the current registry. scan(list, settle): probes the given
+// targets, calling settle(target, result) as each one finishes, and
+// resolves to { [id]: result }; scans may overlap, so it should share one
+// concurrency pool across calls. paused(): the pause flags ({ all, targets }).
+// Each target is scheduled on its own: a slow one only holds back itself,
+// and one already being probed is not started again; runNow waits for it.
+export const createScheduler = ({ targets, scan, paused, tick = TICK, random = Math.random }) => {
+  const entries = new Map();
+  const listeners = new Set();
+  // Result promise per target being probed
+  const inFlight = new Map();
+  let timer = null;
+
+  const isPaused = (id) => {
+    const flags = paused();
+    return flags.all || flags.targets.includes(id);
+  };
+
+  const snapshot = () => ({
+    paused: paused(),
+    targets: Object.fromEntries(targets().map(t => {
+      const entry = entries.get(t.id);
+      return [t.id, {
+        nextRun: entry ? new Date(entry.nextRun).toISOString() : null,
+        failures: entry?.failures ?? 0,
+        paused: isPaused(t.id),
+        running: inFlight.has(t.id),
+      }];
+    })),
+  });
+
+  const notify = () => {
+    const state = snapshot();
+    listeners.forEach(listener => listener(state));
+  };
+
+  // Targets we have not seen yet get a jittered first run; removed ones are forgotten
+  const sync = (list, now) => {
+    const ids = new Set(list.map(t => t.id));
+    let changed = false;
+    [...entries.keys()].filter(id => !ids.has(id)).forEach(id => entries.delete(id));
+    list.filter(t => !entries.has(t.id)).forEach(t => {
+      entries.set(t.id, { nextRun: now + Math.floor(random() * Math.min(MAX_JITTER, t.interval)), failures: 0 });
+      changed = true;
+    });
+    return changed;
+  };
+
+  // Schedule from the start of the scan so targets that ran together stay
+  // together. A target the scan never answered for counts as failing.
+  const reschedule = (target, result, startedAt) => {
+    const entry = entries.get(target.id);
+    if (!entry) return;
+    entry.failures = !result || isFailing(result) ? entry.failures + 1 : 0;
+    entry.nextRun = startedAt + nextDelay(target.interval, entry.failures);
+  };
+
+  const start = (list) => {
+    const startedAt = Date.now();
+    sync(targets(), startedAt);
+    const resolvers = new Map();
+    list.forEach(target => inFlight.set(target.id, new Promise(resolve => resolvers.set(target.id, resolve))));
+
+    const settle = (target, result) => {
+      const resolve = resolvers.get(target.id);
+      if (!resolve) return;
+      resolvers.delete(target.id);
+      inFlight.delete(target.id);
+      reschedule(target, result, startedAt);
+      resolve(result);
+      notify();
+    };
+
+    Promise.resolve()
+      .then(() => scan(list, settle))
+      .then(
+        results => list.forEach(target => settle(target, results?.[target.id])),
+        (error) => {
+          console.error('[scheduler] scan failed:', error);
+          list.forEach(target => settle(target, undefined));
+        },
+      );
+    notify();
+  };
+
+  // Probe the targets not already in flight, and resolve to the results of
+  // all of them once each has finished
+  const run = async (list) => {
+    const fresh = list.filter(t => !inFlight.has(t.id));
+    if (fresh.length > 0) start(fresh);
+    const settled = await Promise.all(list.map(async t => [t.id, await inFlight.get(t.id)]));
+    return Object.fromEntries(settled.filter(([, result]) => result));
+  };
+
+  const check = () => {
+    const now = Date.now();
+    const list = targets();
+    const changed = sync(list, now);
+    const due = list.filter(t => !isPaused(t.id) && !inFlight.has(t.id) && entries.get(t.id).nextRun <= now);
+    if (due.length > 0) run(due);
+    else if (changed) notify();
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      check();
+      timer = setInterval(check, tick);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    // Every target that is not paused, now
+    runNow: () => run(targets().filter(t => !isPaused(t.id))),
+    get running() { return inFlight.size > 0; },
+    snapshot,
+    // Pause flags changed elsewhere; tell listeners
+    refresh: notify,
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
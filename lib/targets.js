@@ -0,0 +1,157 @@
+import { CHECK_TYPES, HTTP_CHECKS, normalizeCheck, validateCheck } from './checks.js';
+import { PROVIDERS } from './providers/index.js';
+
+// Real targets to monitor
+export const TARGETS = [
+  { id: 'dd', name: 'DownDetector', url: 'https://downdetector.com', type: 'http', checkUrl: 'https://downdetector.com' },
+  {
+    id: 'iidrn',
+    name: 'IsItDownRightNow',
+    url: 'https://isitdownrightnow.com',
+    type: 'keyword',
+    checkUrl: 'https://isitdownrightnow.com',
+    check: { keyword: 'isitdownrightnow' },
+  },
+  { id: 'dfeojm', name: 'DownForEveryoneOrJustMe', url: 'https://downforeveryoneorjustme.com', type: 'http', checkUrl: 'https://downforeveryoneorjustme.com' },
+  {
+    id: 'aws',
+    name: 'AWS Health',
+    url: 'https://health.aws.amazon.com/health/status',
+    type: 'http',
+    checkUrl: 'https://health.aws.amazon.com/health/status',
+    provider: { type: 'aws', url: 'https://status.aws.amazon.com/rss/all.rss' },
+  },
+  {
+    id: 'azure',
+    name: 'Azure Status',
+    url: 'https://status.azure.com',
+    type: 'http',
+    checkUrl: 'https://status.azure.com',
+    provider: { type: 'azure', url: 'https://azure.status.microsoft/en-us/status/feed/' },
+  },
+  {
+    id: 'cloudflare',
+    name: 'Cloudflare Status',
+    url: 'https://www.cloudflarestatus.com',
+    type: 'json',
+    checkUrl: 'https://www.cloudflarestatus.com/api/v2/status.json',
+    check: { assertions: [{ path: '$.status.indicator', op: 'exists' }] },
+    provider: { type: 'statuspage', url: 'https://www.cloudflarestatus.com/api/v2/summary.json' },
+  },
+];
+
+export const METHODS = ['HEAD', 'GET'];
+
+export const TARGET_DEFAULTS = {
+  type: 'http',
+  method: 'HEAD',
+  interval: 60000,
+  timeout: 10000,
+  expectedStatus: [],
+  tags: [],
+  // Slower responses than this are DEGRADED
+  degradedLatency: 5000,
+  weight: 1,
+  critical: false,
+};
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const STATUS_PATTERN = /^([1-5])xx$|^(\d{3})(?:-(\d{3}))?$/i;
+
+export const slugify = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 64);
+
+const PAGE_PROTOCOLS = [...new Set(Object.values(CHECK_TYPES).flatMap(t => t.protocols))];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const isPageUrl = (value) => {
+  try {
+    return PAGE_PROTOCOLS.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Host shown on cards, e.g. 'downdetector.com'
+export const displayHost = (target) => {
+  try {
+    return new URL(target.checkUrl || target.url).host;
+  } catch {
+    return target.checkUrl || target.url;
+  }
+};
+
+// expectedStatus entries are codes (200), ranges ('200-299') or classes ('2xx')
+export const matchesStatus = (statusCode, expected) => expected.some(entry => {
+  const match = STATUS_PATTERN.exec(String(entry));
+  if (!match) return false;
+  if (match[1]) return Math.floor(statusCode / 100) === Number(match[1]);
+  const low = Number(match[2]);
+  const high = match[3] ? Number(match[3]) : low;
+  return statusCode >= low && statusCode <= high;
+});
+
+const toList = (value) => {
+  if (value == null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+};
+
+// Fill in defaults and coerce loosely-typed input (form fields, YAML)
+export const normalizeTarget = (input) => {
+  const url = String(input.url || input.checkUrl || '').trim();
+  const type = String(input.type || TARGET_DEFAULTS.type);
+  return {
+    id: String(input.id || slugify(input.name)).trim(),
+    name: String(input.name || '').trim(),
+    url,
+    type,
+    checkUrl: String(input.checkUrl || url).trim(),
+    // Keyword and JSON checks need the body
+    method: HTTP_CHECKS.includes(type) && type !== 'http' ? 'GET' : String(input.method || TARGET_DEFAULTS.method).toUpperCase(),
+    interval: Number(input.interval ?? TARGET_DEFAULTS.interval),
+    timeout: Number(input.timeout ?? TARGET_DEFAULTS.timeout),
+    expectedStatus: toList(input.expectedStatus).map(v => (/^\d+$/.test(String(v)) ? Number(v) : String(v))),
+    tags: toList(input.tags).map(String),
+    degradedLatency: Number(input.degradedLatency ?? TARGET_DEFAULTS.degradedLatency),
+    weight: Number(input.weight ?? TARGET_DEFAULTS.weight),
+    critical: input.critical === true || input.critical === 'true',
+    check: normalizeCheck(type, input.check),
+    // Machine-readable feed published by the target itself, if any
+    provider: input.provider?.type
+      ? { type: String(input.provider.type), url: String(input.provider.url || '').trim() }
+      : null,
+  };
+};
+
+// Returns a list of problems; empty when the (normalized) target is valid
+export const validateTarget = (target) => {
+  const errors = [];
+  if (!ID_PATTERN.test(target.id)) errors.push('id must be 1-64 lowercase letters, digits, "-" or "_"');
+  if (!target.name) errors.push('name is required');
+  if (!isPageUrl(target.url)) errors.push('url must be a valid URL');
+  errors.push(...validateCheck(target));
+  if (!METHODS.includes(target.method)) errors.push(`method must be one of ${METHODS.join(', ')}`);
+  if (!Number.isInteger(target.interval) || target.interval < 10000) errors.push('interval must be at least 10000 ms');
+  if (!Number.isInteger(target.timeout) || target.timeout < 1000 || target.timeout > 30000) errors.push('timeout must be between 1000 and 30000 ms');
+  if (!Number.isInteger(target.degradedLatency) || target.degradedLatency < 100 || target.degradedLatency > 60000) errors.push('degradedLatency must be between 100 and 60000 ms');
+  if (!(target.weight >= 0 && target.weight <= 100)) errors.push('weight must be between 0 and 100');
+  if (target.provider && !PROVIDERS[target.provider.type]) errors.push(`provider.type must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  if (target.provider && !isHttpUrl(target.provider.url)) errors.push('provider.url must be an http(s) URL');
+  if (target.expectedStatus.some(s => !STATUS_PATTERN.test(String(s)))) errors.push('expectedStatus entries must look like 200, 200-299 or 2xx');
+  return errors;
+};
+
+export const DEFAULT_TARGETS = TARGETS.map(normalizeTarget);
+
+export const findTarget = (id) => DEFAULT_TARGETS.find(t => t.id === id);
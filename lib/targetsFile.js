@@ -0,0 +1,52 @@
+import YAML from 'yaml';
+import { normalizeTarget, validateTarget } from './targets.js';
+
+export const FILE_VERSION = 1;
+
+// Everything normalizeTarget reads back, so an export re-imports as it was
+const FIELDS = [
+  'id', 'name', 'type', 'url', 'checkUrl', 'method', 'interval', 'timeout', 'expectedStatus', 'tags',
+  'degradedLatency', 'weight', 'critical', 'check', 'provider',
+];
+
+const pick = (target) => Object.fromEntries(FIELDS.map(field => [field, target[field]]));
+
+export const serializeTargets = (targets, format = 'json') => {
+  const document = { version: FILE_VERSION, targets: targets.map(pick) };
+  return format === 'yaml' ? YAML.stringify(document) : `${JSON.stringify(document, null, 2)}\n`;
+};
+
+// Normalize and validate a whole list, throwing with every problem found so
+// an import is all-or-nothing
+export const validateTargetList = (list) => {
+  if (!Array.isArray(list)) throw new Error('Targets file must contain a list of targets');
+
+  const targets = list.map(item => normalizeTarget(item || {}));
+  const problems = [];
+  const seen = new Set();
+  targets.forEach((target, i) => {
+    validateTarget(target).forEach(error => problems.push(`#${i + 1} (${target.id || 'no id'}): ${error}`));
+    if (seen.has(target.id)) problems.push(`#${i + 1}: duplicate id "${target.id}"`);
+    seen.add(target.id);
+  });
+  if (problems.length > 0) throw new Error(`Invalid targets file:\n${problems.join('\n')}`);
+
+  return targets;
+};
+
+// Accepts either { version, targets: [...] } or a bare list, as JSON or YAML
+// (JSON is valid YAML, so one parser covers both)
+export const parseTargets = (text) => {
+  let document;
+  try {
+    document = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse targets file: ${error.message}`);
+  }
+
+  if (!Array.isArray(document) && document?.version != null && document.version !== FILE_VERSION) {
+    throw new Error(`Unsupported targets file version: ${document.version}`);
+  }
+
+  return validateTargetList(Array.isArray(document) ? document : document?.targets);
+};
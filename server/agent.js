@@ -0,0 +1,79 @@
+import os from 'node:os';
+import { parseArgs } from 'node:util';
+import { probeTarget } from './checks/index.js';
+
+// A probe agent: runs the monitor's checks from wherever it is started and
+// reports the results to a collector (npm run server), which counts each
+// agent's region as one vote. Start several with different regions to
+// stand in for a distributed deployment:
+//
+//   npm run agent -- --region eu-west --collector http://localhost:3001
+//
+// The collector only accepts reports with a credential: the token set as
+// METAMONITOR_AGENT_TOKEN on both sides, or, once the collector has
+// accounts, an API key with the targets:read and agents:write scopes as
+// --token.
+
+const { values: args } = parseArgs({
+  options: {
+    region: { type: 'string', default: process.env.METAMONITOR_REGION },
+    collector: { type: 'string', default: process.env.METAMONITOR_COLLECTOR || 'http://localhost:3001' },
+    token: { type: 'string', default: process.env.METAMONITOR_AGENT_TOKEN },
+  },
+});
+
+if (!args.region) {
+  console.error('[agent] --region (or METAMONITOR_REGION) is required');
+  process.exit(1);
+}
+
+// How often to look for due targets; each target keeps its own interval
+const TICK = 5000;
+const name = `${os.hostname()}:${process.pid}`;
+const log = (...parts) => console.log(`[agent ${args.region}]`, ...parts);
+const lastProbed = new Map();
+
+const collector = async (path, options = {}) => {
+  const response = await fetch(new URL(path, args.collector), {
+    ...options,
+    headers: {
+      'content-type': 'application/json',
+      ...(args.token ? { authorization: `Bearer ${args.token}` } : {}),
+    },
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) throw new Error(body?.details?.join('; ') || body?.error || `HTTP ${response.status}`);
+  return body;
+};
+
+const round = async () => {
+  const { targets } = await collector('/v1/targets');
+  const now = Date.now();
+  const due = targets.filter(t => now - (lastProbed.get(t.id) || 0) >= t.interval);
+  if (due.length === 0) return;
+
+  due.forEach(t => lastProbed.set(t.id, now));
+  // Status feeds say the same thing from every region; the monitor reads them
+  const results = await Promise.all(due.map(async (target) => {
+    const { upstream, ...result } = await probeTarget({ ...target, provider: null });
+    return { id: target.id, ...result };
+  }));
+  const { accepted } = await collector('/v1/agents/report', {
+    method: 'POST',
+    body: JSON.stringify({ region: args.region, agent: name, results }),
+  });
+  log(results.map(r => `${r.id}=${r.status}(${r.latency}ms)`).join(' '), `- ${accepted} accepted`);
+};
+
+// Rounds never overlap; a collector outage is logged and retried next tick
+const loop = async () => {
+  try {
+    await round();
+  } catch (error) {
+    log(`collector ${args.collector} unavailable: ${error.message}`);
+  }
+  setTimeout(loop, TICK);
+};
+
+log(`reporting to ${args.collector} as ${name}`);
+loop();
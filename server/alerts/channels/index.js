@@ -0,0 +1,62 @@
+import { slugify } from '../../../lib/targets.js';
+import * as webhook from './webhook.js';
+import * as slack from './slack.js';
+import * as smtp from './smtp.js';
+
+// Delivery plugins: each exports FIELDS (what its channels store),
+// validate(channel) and send(channel, notification, { untrusted })
+export const CHANNEL_TYPES = { webhook, slack, smtp };
+
+const SECRET = '********';
+
+const pick = (input, fields) => Object.fromEntries(fields.filter(field => input[field] !== undefined).map(field => [field, input[field]]));
+
+export const normalizeChannel = (input) => ({
+  ...pick(input, CHANNEL_TYPES[input.type]?.FIELDS || []),
+  id: String(input.id || slugify(input.name)).trim(),
+  name: String(input.name || '').trim(),
+  type: input.type,
+});
+
+export const validateChannel = (channel) => {
+  const plugin = CHANNEL_TYPES[channel.type];
+  if (!plugin) return [`type must be one of ${Object.keys(CHANNEL_TYPES).join(', ')}`];
+  return [
+    ...(channel.id ? [] : ['id is required']),
+    ...(channel.name ? [] : ['name is required']),
+    ...plugin.validate(channel),
+  ];
+};
+
+// Webhook and Slack URLs carry their token, so only scheme and host show
+const maskUrl = (url) => {
+  try {
+    return `${new URL(url).origin}/${SECRET}`;
+  } catch {
+    return SECRET;
+  }
+};
+
+// Hide credentials when channels are listed over the API: passwords, URLs
+// and header values (Authorization and the like)
+export const redactChannel = (channel) => ({
+  ...channel,
+  ...(channel.pass ? { pass: SECRET } : {}),
+  ...(channel.url ? { url: maskUrl(channel.url) } : {}),
+  ...(channel.headers ? { headers: Object.fromEntries(Object.keys(channel.headers).map(name => [name, SECRET])) } : {}),
+});
+
+// Keep the stored secrets when an edit round-trips their redacted values
+export const mergeSecrets = (existing, input) => ({
+  ...input,
+  ...(input.pass === SECRET ? { pass: existing.pass } : {}),
+  ...(existing.url && input.url === maskUrl(existing.url) ? { url: existing.url } : {}),
+  ...(input.headers && typeof input.headers === 'object' ? {
+    headers: Object.fromEntries(Object.entries(input.headers)
+      .map(([name, value]) => [name, value === SECRET ? existing.headers?.[name] : value])
+      .filter(([, value]) => value !== undefined)),
+  } : {}),
+});
+
+// options.untrusted: the channel may not reach private addresses
+export const deliver = (channel, notification, options = {}) => CHANNEL_TYPES[channel.type].send(channel, notification, options);
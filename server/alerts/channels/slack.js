@@ -0,0 +1,28 @@
+import { validateUrl, post } from './webhook.js';
+import { subject } from '../format.js';
+
+const COLORS = { firing: '#ef4444', escalated: '#b91c1c', resolved: '#22c55e' };
+
+export const FIELDS = ['url'];
+
+export const validate = validateUrl;
+
+// Slack incoming-webhook format; also accepted by Mattermost and Rocket.Chat
+export const send = (channel, notification, options) => {
+  const { kind, alert } = notification;
+  return post(channel.url, {
+    text: subject(notification),
+    attachments: [{
+      color: COLORS[kind],
+      text: alert.message,
+      fields: [
+        { title: 'Severity', value: alert.severity, short: true },
+        { title: 'Target', value: alert.targetName || 'all targets', short: true },
+        { title: 'Started', value: alert.startedAt, short: true },
+        ...(alert.resolvedAt ? [{ title: 'Resolved', value: alert.resolvedAt, short: true }] : []),
+      ],
+      footer: `MetaMonitor · ${alert.key}`,
+      ts: Math.floor(Date.parse(notification.timestamp) / 1000),
+    }],
+  }, {}, options);
+};
@@ -0,0 +1,36 @@
+import nodemailer from 'nodemailer';
+import { publicAddress } from '../../probe.js';
+import { subject, body } from '../format.js';
+
+export const FIELDS = ['host', 'port', 'secure', 'user', 'pass', 'from', 'to', 'allowInsecure'];
+
+export const validate = (channel) => {
+  const errors = [];
+  if (!channel.host) errors.push('host is required');
+  if (!(Number(channel.port) > 0)) errors.push('port must be a number');
+  if (!channel.from) errors.push('from is required');
+  if (!channel.to) errors.push('to is required');
+  return errors;
+};
+
+// Plain SMTP; point host/port at a local sink (e.g. MailHog on 1025) to test.
+// Untrusted channels connect to the public address checked here, so the
+// name cannot resolve somewhere private in between.
+export const send = async (channel, notification, { untrusted = false } = {}) => {
+  const host = untrusted ? await publicAddress(channel.host) : channel.host;
+  const transport = nodemailer.createTransport({
+    host,
+    ...(host !== channel.host ? { servername: channel.host } : {}),
+    port: Number(channel.port),
+    secure: Boolean(channel.secure),
+    auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined,
+    // Local sinks rarely have a valid certificate
+    tls: { rejectUnauthorized: !channel.allowInsecure },
+  });
+  return transport.sendMail({
+    from: channel.from,
+    to: channel.to,
+    subject: `[MetaMonitor] ${subject(notification)}`,
+    text: body(notification),
+  });
+};
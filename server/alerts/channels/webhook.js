@@ -0,0 +1,54 @@
+import http from 'node:http';
+import https from 'node:https';
+import { guardConnection } from '../../probe.js';
+
+const TIMEOUT = 10000;
+
+// What a webhook channel stores besides id, name and type
+export const FIELDS = ['url', 'headers'];
+
+export const validateUrl = (channel) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(channel.url).protocol) ? [] : ['url must be an http(s) URL'];
+  } catch {
+    return ['url must be an http(s) URL'];
+  }
+};
+
+const validHeaders = (headers) => (
+  headers == null
+  || (typeof headers === 'object' && !Array.isArray(headers) && Object.values(headers).every(value => typeof value === 'string'))
+);
+
+export const validate = (channel) => [
+  ...validateUrl(channel),
+  ...(validHeaders(channel.headers) ? [] : ['headers must map header names to strings']),
+];
+
+// Untrusted channels may not post to private addresses (see server/probe.js)
+export const post = (url, payload, headers = {}, { untrusted = false } = {}) => new Promise((resolve, reject) => {
+  const parsed = new URL(url);
+  const guard = guardConnection(parsed.hostname, untrusted);
+  if (guard.error) return reject(guard.error);
+  const body = JSON.stringify(payload);
+  const req = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+    ...guard.options,
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body), ...headers },
+    signal: AbortSignal.timeout(TIMEOUT),
+  }, (res) => {
+    res.resume();
+    if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+    else reject(new Error(`Webhook responded ${res.statusCode}`));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+// Generic JSON webhook: the notification as-is, versioned for receivers
+export const send = (channel, notification, options) => post(channel.url, {
+  version: 1,
+  kind: notification.kind,
+  timestamp: notification.timestamp,
+  alert: notification.alert,
+}, channel.headers, options);
@@ -0,0 +1,15 @@
+const LABELS = { firing: 'FIRING', escalated: 'ESCALATED', resolved: 'RESOLVED' };
+
+export const subject = ({ kind, alert }) => (
+  `[${LABELS[kind]}] ${alert.ruleName}${alert.targetName ? ` - ${alert.targetName}` : ''}`
+);
+
+export const body = ({ kind, alert }) => [
+  subject({ kind, alert }),
+  '',
+  alert.message,
+  `Severity: ${alert.severity}`,
+  `Started: ${alert.startedAt}`,
+  ...(alert.resolvedAt ? [`Resolved: ${alert.resolvedAt}`] : []),
+  `Alert: ${alert.key}`,
+].join('\n');
@@ -0,0 +1,86 @@
+import { createAlertEngine } from '../../lib/alerts.js';
+import { activeWindow } from '../../lib/maintenance.js';
+import { monitor as defaultMonitor } from '../monitor.js';
+import { ruleStore, channelStore, silenceStore } from '../stores/alerts.js';
+import { maintenanceStore } from '../stores/maintenance.js';
+import { HttpError } from '../http.js';
+import { deliver } from './channels/index.js';
+
+export const createAlertManager = ({
+  monitor = defaultMonitor,
+  rules = ruleStore,
+  channels = channelStore,
+  silences = silenceStore,
+  maintenance = maintenanceStore,
+  engine = createAlertEngine(),
+  untrusted = false,
+} = {}) => {
+  // Deliver to every channel of a notification; failures are reported on
+  // the event stream rather than retried
+  const dispatch = async (notification) => {
+    const deliveries = await Promise.all(notification.channels.map(async (id) => {
+      const channel = channels.get(id);
+      if (!channel) return { channel: id, ok: false, error: 'Unknown channel' };
+      try {
+        await deliver(channel, notification, { untrusted });
+        return { channel: id, ok: true };
+      } catch (error) {
+        console.error(`[alerts] delivery to ${id} failed:`, error.message);
+        return { channel: id, ok: false, error: error.message };
+      }
+    }));
+    monitor.publish('alert', { ...notification, deliveries });
+  };
+
+  const evaluate = () => {
+    const notifications = engine.evaluate({
+      rules: rules.list(),
+      silences: silences.list(),
+      context: {
+        targets: monitor.targets,
+        globalHealth: monitor.globalHealth,
+        recent: (id, count) => monitor.getRecent(id, count),
+        since: (id, ts) => monitor.getHistory(id, ts),
+        inMaintenance: (id) => activeWindow(maintenance.list(), id) != null,
+      },
+    });
+    return Promise.all(notifications.map(dispatch));
+  };
+
+  const start = () => monitor.subscribe((event) => {
+    if (event.type === 'scan-complete') evaluate();
+  });
+
+  // Send a sample notification so a channel can be verified end to end
+  const test = async (id) => {
+    const channel = channels.get(id);
+    if (!channel) throw new HttpError(404, `Unknown channel: ${id}`);
+    await deliver(channel, {
+      kind: 'firing',
+      channels: [id],
+      timestamp: new Date().toISOString(),
+      alert: {
+        key: 'test:global',
+        ruleId: 'test',
+        ruleName: 'Test notification',
+        severity: 'info',
+        targetId: null,
+        targetName: null,
+        startedAt: new Date().toISOString(),
+        resolvedAt: null,
+        value: null,
+        message: `Channel "${channel.name}" is configured correctly`,
+      },
+    }, { untrusted });
+  };
+
+  return {
+    start,
+    evaluate,
+    test,
+    acknowledge: engine.acknowledge,
+    active: engine.list,
+  };
+};
+
+export const alertManager = createAlertManager();
@@ -0,0 +1,290 @@
+import crypto from 'node:crypto';
+import {
+  ROLE_SCOPES,
+  requiredScope,
+  normalizeSignup,
+  validateSignup,
+  normalizeMember,
+  validateMember,
+  normalizeKeyRequest,
+  validateKeyRequest,
+} from '../../lib/auth.js';
+import { userStore, workspaceStore, keyStore, sessionStore, DEFAULT_WORKSPACE } from '../stores/auth.js';
+import { workspaceContext } from '../workspaces.js';
+import { HttpError } from '../http.js';
+
+// Until the first account is created the API stays open, exactly as a
+// single-user install always was. From then on every route with a scope
+// (see routes.js) needs a session cookie or an API key.
+
+export const SESSION_COOKIE = 'metamonitor_session';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const KEY_PREFIX = 'mm_';
+
+// METAMONITOR_SIGNUP=closed stops new accounts once the first admin exists
+export const signupOpen = () => process.env.METAMONITOR_SIGNUP !== 'closed' || userStore.list().length === 0;
+
+export const authRequired = () => userStore.list().length > 0;
+
+const randomId = (prefix) => `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// 'scrypt$<salt>$<hash>', both hex
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// --- Workspaces and membership ---
+
+export const roleIn = (workspaceId, userId) => (
+  workspaceStore.get(workspaceId)?.members.find(member => member.userId === userId)?.role || null
+);
+
+export const workspacesOf = (userId) => workspaceStore.list()
+  .filter(workspace => workspace.members.some(member => member.userId === userId))
+  .map(workspace => ({ id: workspace.id, name: workspace.name, role: roleIn(workspace.id, userId) }));
+
+const slugify = (name) => name.toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'workspace';
+
+export const createWorkspace = (name, ownerId) => {
+  const base = slugify(name);
+  let id = base;
+  for (let n = 2; workspaceStore.get(id); n++) id = `${base}-${n}`;
+  const workspace = workspaceStore.create({ id, name, members: [{ userId: ownerId, role: 'admin' }] });
+  workspaceContext(workspace.id);
+  return workspace;
+};
+
+const setMembers = (workspaceId, members) => {
+  if (!members.some(member => member.role === 'admin')) {
+    throw new HttpError(409, 'A workspace needs at least one admin');
+  }
+  return workspaceStore.update(workspaceId, { members });
+};
+
+export const listMembers = (workspaceId) => workspaceStore.get(workspaceId).members.map(({ userId, role }) => {
+  const user = userStore.get(userId);
+  return { userId, email: user?.email ?? null, name: user?.name ?? null, role };
+});
+
+// A member's API keys never outlive their access: a new role trims the
+// keys they created in the workspace to its scopes, and removal revokes them
+const rescopeKeys = (workspaceId, userId, role) => keyStore.list()
+  .filter(key => key.workspace === workspaceId && key.createdBy === userId)
+  .forEach((key) => {
+    const scopes = key.scopes.filter(scope => (ROLE_SCOPES[role] || []).includes(scope));
+    if (scopes.length === 0) keyStore.remove(key.id);
+    else if (scopes.length < key.scopes.length) keyStore.update(key.id, { scopes });
+  });
+
+// Members need an account of their own first; they sign up or sign in
+// through SSO, then an admin adds them by email
+export const addMember = (workspaceId, input) => {
+  const member = normalizeMember(input || {});
+  const errors = validateMember(member);
+  if (errors.length > 0) throw new HttpError(400, 'Invalid member', errors);
+  const user = userStore.list().find(u => u.email === member.email);
+  if (!user) throw new HttpError(404, `No account for ${member.email}; they need to sign up first`);
+  if (roleIn(workspaceId, user.id)) throw new HttpError(409, `${member.email} is already a member`);
+  const { members } = workspaceStore.get(workspaceId);
+  setMembers(workspaceId, [...members, { userId: user.id, role: member.role }]);
+  return listMembers(workspaceId).find(m => m.userId === user.id);
+};
+
+export const updateMember = (workspaceId, userId, input) => {
+  if (!roleIn(workspaceId, userId)) throw new HttpError(404, `Not a member: ${userId}`);
+  const role = input?.role;
+  const errors = validateMember({ email: 'member@example.com', role });
+  if (errors.length > 0) throw new HttpError(400, 'Invalid member', errors);
+  const { members } = workspaceStore.get(workspaceId);
+  setMembers(workspaceId, members.map(member => (member.userId === userId ? { userId, role } : member)));
+  rescopeKeys(workspaceId, userId, role);
+  return listMembers(workspaceId).find(m => m.userId === userId);
+};
+
+export const removeMember = (workspaceId, userId) => {
+  if (!roleIn(workspaceId, userId)) throw new HttpError(404, `Not a member: ${userId}`);
+  const { members } = workspaceStore.get(workspaceId);
+  setMembers(workspaceId, members.filter(member => member.userId !== userId));
+  rescopeKeys(workspaceId, userId, null);
+};
+
+// --- Accounts ---
+
+const presentUser = (user) => ({ id: user.id, email: user.email, name: user.name });
+
+// The first account takes over the default workspace (and its existing
+// targets) as admin; later ones start a workspace of their own
+export const createAccount = (input) => {
+  if (!signupOpen()) throw new HttpError(403, 'Sign-up is closed on this server');
+  const signup = normalizeSignup(input || {});
+  const errors = validateSignup(signup);
+  if (errors.length > 0) throw new HttpError(400, 'Invalid sign-up', errors);
+  if (userStore.list().some(u => u.email === signup.email)) {
+    throw new HttpError(409, `An account already exists for ${signup.email}`);
+  }
+  return createUser({ email: signup.email, name: signup.name, passwordHash: hashPassword(signup.password) }, signup.workspace);
+};
+
+const createUser = (fields, workspaceName) => {
+  const first = !authRequired();
+  const user = userStore.create({ id: randomId('usr'), ...fields });
+  if (first) {
+    const { members } = workspaceStore.get(DEFAULT_WORKSPACE);
+    workspaceStore.update(DEFAULT_WORKSPACE, { members: [...members, { userId: user.id, role: 'admin' }] });
+    return { user: presentUser(user), workspace: DEFAULT_WORKSPACE };
+  }
+  const workspace = createWorkspace(workspaceName || `${user.name}'s workspace`, user.id);
+  return { user: presentUser(user), workspace: workspace.id };
+};
+
+export const login = (input) => {
+  const email = String(input?.email || '').trim().toLowerCase();
+  const user = userStore.list().find(u => u.email === email);
+  if (!user || !verifyPassword(String(input?.password || ''), user.passwordHash)) {
+    throw new HttpError(401, 'Wrong email or password');
+  }
+  return { user: presentUser(user), workspace: workspacesOf(user.id)[0]?.id || null };
+};
+
+// SSO accounts are matched on the provider's subject, then on a verified
+// email so an existing local account can start signing in through the provider
+export const oidcAccount = ({ subject, email, emailVerified, name }) => {
+  const existing = userStore.list().find(u => u.oidcSubject === subject)
+    || (email && emailVerified && userStore.list().find(u => u.email === email));
+  if (existing) {
+    if (existing.oidcSubject !== subject) userStore.update(existing.id, { oidcSubject: subject });
+    return { user: presentUser(existing), workspace: workspacesOf(existing.id)[0]?.id || null };
+  }
+  if (email && userStore.list().some(u => u.email === email)) {
+    throw new HttpError(409, `An account already exists for ${email}, and the provider has not verified that address`);
+  }
+  if (!signupOpen()) throw new HttpError(403, 'Sign-up is closed on this server');
+  return createUser({ email: email || `${subject}@oidc.invalid`, name: name || email || subject, oidcSubject: subject });
+};
+
+// --- Sessions ---
+
+export const parseCookies = (req) => Object.fromEntries(String(req.headers.cookie || '')
+  .split(';')
+  .map(part => part.trim().split('='))
+  .filter(([name, value]) => name && value)
+  .map(([name, value]) => [name, decodeURIComponent(value)]));
+
+const cookie = (name, value, maxAge) => [
+  `${name}=${value}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${maxAge}`,
+  ...(String(process.env.METAMONITOR_PUBLIC_URL || '').startsWith('https:') ? ['Secure'] : []),
+].join('; ');
+
+// Appends, so one response can set several (SSO sign-in ends its state cookie)
+export const setCookie = (res, name, value, maxAge) => res.appendHeader('set-cookie', cookie(name, value, maxAge));
+
+const currentSession = (req) => {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) return null;
+  const session = sessionStore.get(hashToken(token));
+  if (!session) return null;
+  if (Date.parse(session.expiresAt) < Date.now()) {
+    sessionStore.remove(session.id);
+    return null;
+  }
+  return session;
+};
+
+export const startSession = (res, { user, workspace }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  sessionStore.create({
+    id: hashToken(token),
+    userId: user.id,
+    workspace: workspace || DEFAULT_WORKSPACE,
+    expiresAt: new Date(Date.now() + SESSION_TTL).toISOString(),
+  });
+  setCookie(res, SESSION_COOKIE, token, SESSION_TTL / 1000);
+};
+
+export const endSession = (req, res) => {
+  const session = currentSession(req);
+  if (session) sessionStore.remove(session.id);
+  setCookie(res, SESSION_COOKIE, '', 0);
+};
+
+export const switchWorkspace = (req, workspaceId) => {
+  const session = currentSession(req);
+  if (!session) throw new HttpError(401, 'Sign in to switch workspaces');
+  if (!roleIn(workspaceId, session.userId)) throw new HttpError(403, `Not a member of ${workspaceId}`);
+  sessionStore.update(session.id, { workspace: workspaceId });
+};
+
+// --- API keys ---
+
+export const presentKey = ({ hash, ...key }) => key;
+
+// The secret is only returned here; the store keeps its hash
+export const createKey = (workspaceId, input, createdBy) => {
+  const request = normalizeKeyRequest(input || {});
+  const errors = validateKeyRequest(request);
+  if (errors.length > 0) throw new HttpError(400, 'Invalid API key', errors);
+  const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const key = keyStore.create({
+    id: randomId('key'),
+    ...request,
+    workspace: workspaceId,
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    hash: hashToken(secret),
+    createdBy,
+  });
+  return { ...presentKey(key), secret };
+};
+
+export const removeKey = (workspaceId, id) => {
+  if (keyStore.get(id)?.workspace !== workspaceId) throw new HttpError(404, `Unknown API key: ${id}`);
+  keyStore.remove(id);
+};
+
+// --- Requests ---
+
+// { user, key, workspace, role, scopes } for the caller, or null if
+// they sent neither a valid API key nor a live session
+export const identify = (req) => {
+  const header = String(req.headers.authorization || '');
+  if (header.startsWith(`Bearer ${KEY_PREFIX}`)) {
+    const key = keyStore.list().find(k => k.hash === hashToken(header.slice('Bearer '.length)));
+    return key ? { user: null, key: presentKey(key), workspace: key.workspace, role: null, scopes: key.scopes } : null;
+  }
+  const session = currentSession(req);
+  const user = session && userStore.get(session.userId);
+  if (!user) return null;
+  const role = roleIn(session.workspace, user.id);
+  return { user: presentUser(user), key: null, workspace: session.workspace, role, scopes: ROLE_SCOPES[role] || [] };
+};
+
+// Router guard (see createRouter). Sets req.auth and req.workspace for the
+// handlers; routes without a scope are public. route.token is a legacy
+// shared secret (agent or metrics token) that still works on its own.
+export const authorize = (req, route) => {
+  if (!authRequired()) return;
+  req.auth = identify(req);
+  if (req.auth) req.workspace = workspaceContext(req.auth.workspace);
+  if (route.scope == null) return;
+  if (route.token && req.headers.authorization === `Bearer ${route.token}`) return;
+  if (!req.auth) {
+    const sentKey = String(req.headers.authorization || '').startsWith(`Bearer ${KEY_PREFIX}`);
+    throw new HttpError(401, sentKey ? 'Invalid API key' : 'Sign in or send an API key');
+  }
+  const scope = route.write ? `${route.scope}:write` : requiredScope(route.scope, req.method);
+  if (!req.auth.scopes.includes(scope)) throw new HttpError(403, `Missing scope: ${scope}`);
+};
@@ -0,0 +1,107 @@
+import crypto from 'node:crypto';
+import { HttpError } from '../http.js';
+
+// Sign-in through any OpenID Connect provider using the authorization code
+// flow. Set METAMONITOR_OIDC_ISSUER, _CLIENT_ID and _CLIENT_SECRET, plus
+// METAMONITOR_PUBLIC_URL for the redirect back; `npm run oidc-mock` starts
+// a stand-in provider for local runs.
+
+const ISSUER = process.env.METAMONITOR_OIDC_ISSUER;
+const CLIENT_ID = process.env.METAMONITOR_OIDC_CLIENT_ID;
+const CLIENT_SECRET = process.env.METAMONITOR_OIDC_CLIENT_SECRET || '';
+const PUBLIC_URL = (process.env.METAMONITOR_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+export const PENDING_TTL = 10 * 60 * 1000;
+// Holds the state of a sign-in in the browser that started it
+export const STATE_COOKIE = 'metamonitor_oidc';
+
+export const oidcEnabled = () => Boolean(ISSUER && CLIENT_ID);
+
+const redirectUri = () => `${PUBLIC_URL}/auth/oidc/callback`;
+
+let discovery = null;
+
+const discover = async () => {
+  if (discovery) return discovery;
+  const response = await fetch(`${ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  if (!response.ok) throw new HttpError(502, `OIDC discovery failed with HTTP ${response.status}`);
+  discovery = await response.json();
+  return discovery;
+};
+
+// state -> { nonce, createdAt } for logins in flight
+const pending = new Map();
+
+// { url, state }: the provider's sign-in page, and the state to keep in
+// STATE_COOKIE until the callback
+export const authorizationUrl = async () => {
+  const { authorization_endpoint: endpoint } = await discover();
+  const now = Date.now();
+  pending.forEach((login, state) => { if (now - login.createdAt > PENDING_TTL) pending.delete(state); });
+  const state = crypto.randomBytes(16).toString('hex');
+  const nonce = crypto.randomBytes(16).toString('hex');
+  pending.set(state, { nonce, createdAt: now });
+  const url = new URL(endpoint);
+  Object.entries({
+    response_type: 'code',
+    client_id: CLIENT_ID,
+    redirect_uri: redirectUri(),
+    scope: 'openid email profile',
+    state,
+    nonce,
+  }).forEach(([key, value]) => url.searchParams.set(key, value));
+  return { url: url.toString(), state };
+};
+
+const decodePart = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+// The token comes straight from the provider over TLS, so only HS256
+// tokens (signed with the client secret) have their signature checked
+const verifyIdToken = (token, nonce) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload) throw new HttpError(502, 'Provider returned no id_token');
+  const { alg } = decodePart(header);
+  if (alg === 'HS256') {
+    const expected = crypto.createHmac('sha256', CLIENT_SECRET).update(`${header}.${payload}`).digest('base64url');
+    if (!signature || expected.length !== signature.length
+      || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+      throw new HttpError(401, 'id_token signature does not match');
+    }
+  }
+  const claims = decodePart(payload);
+  const audiences = [].concat(claims.aud);
+  if (claims.iss !== discovery.issuer) throw new HttpError(401, `id_token issued by ${claims.iss}, expected ${discovery.issuer}`);
+  if (!audiences.includes(CLIENT_ID)) throw new HttpError(401, 'id_token is for another client');
+  if (claims.exp && claims.exp * 1000 < Date.now()) throw new HttpError(401, 'id_token has expired');
+  if (claims.nonce !== nonce) throw new HttpError(401, 'id_token nonce does not match');
+  return claims;
+};
+
+// Exchange the code from the callback for the user's
+// { subject, email, emailVerified, name }. browserState is STATE_COOKIE:
+// a callback for a sign-in started elsewhere (login CSRF) is refused.
+export const completeLogin = async ({ code, state }, browserState) => {
+  if (!state || state !== browserState) throw new HttpError(400, 'Sign-in was started in another browser; try again');
+  const login = pending.get(state);
+  pending.delete(state);
+  if (!login || Date.now() - login.createdAt > PENDING_TTL) throw new HttpError(400, 'Sign-in expired; try again');
+  const { token_endpoint: endpoint } = await discover();
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code || ''),
+      redirect_uri: redirectUri(),
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+    }),
+  });
+  if (!response.ok) throw new HttpError(502, `OIDC token exchange failed with HTTP ${response.status}`);
+  const claims = verifyIdToken((await response.json()).id_token, login.nonce);
+  return {
+    subject: `${claims.iss}|${claims.sub}`,
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true,
+    name: claims.name || null,
+  };
+};
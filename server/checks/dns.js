@@ -0,0 +1,68 @@
+import { Resolver } from 'node:dns/promises';
+import { performance } from 'node:perf_hooks';
+import { classifyError, isPrivateAddress, round, DEFAULT_TIMEOUT, DEGRADED_LATENCY } from '../probe.js';
+
+const FORMAT = {
+  MX: (record) => `${record.priority} ${record.exchange}`,
+  TXT: (record) => record.join(''),
+};
+
+const canonical = (value) => String(value).trim().toLowerCase().replace(/\.$/, '');
+
+const ADDRESS_TYPES = ['A', 'AAAA'];
+
+// Resolve dns://hostname and require every expected record to be present.
+// Untrusted checks (ad-hoc probes) never show the records themselves and
+// refuse names that resolve to private addresses, so the server's resolver
+// does not map the internal network for the caller.
+export const run = async (target, { untrusted = false } = {}) => {
+  const hostname = new URL(target.checkUrl).hostname;
+  const { recordType, expected } = target.check;
+  const resolver = new Resolver({ timeout: target.timeout || DEFAULT_TIMEOUT, tries: 1 });
+  const start = performance.now();
+
+  let records;
+  try {
+    records = (await resolver.resolve(hostname, recordType)).map(FORMAT[recordType] || String);
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      latency: 0,
+      timings: { dns: null, tcp: null, tls: null, ttfb: null, total: round(performance.now() - start) },
+      error: `${recordType} lookup failed: ${error.code || error.message}`,
+      errorClass: classifyError(error) === 'UNKNOWN' ? 'DNS' : classifyError(error),
+      details: { hostname, recordType, ...(untrusted ? {} : { records: [] }), missing: expected },
+    };
+  }
+
+  const total = round(performance.now() - start);
+  const timings = { dns: total, tcp: null, tls: null, ttfb: null, total };
+  const blocked = untrusted && ADDRESS_TYPES.includes(recordType) && records.find(isPrivateAddress);
+  if (blocked) {
+    return {
+      status: 'DOWN',
+      latency: 0,
+      timings,
+      error: `Refusing to probe private address ${blocked}`,
+      errorClass: 'BLOCKED',
+      details: { hostname, recordType, missing: expected },
+    };
+  }
+
+  const found = records.map(canonical);
+  const missing = expected.filter(value => !found.includes(canonical(value)));
+  const details = { hostname, recordType, ...(untrusted ? {} : { records }), missing };
+
+  if (missing.length > 0) {
+    return { status: 'DOWN', latency: total, timings, error: `Missing ${recordType} records: ${missing.join(', ')}`, errorClass: 'DNS', details };
+  }
+  const degraded = total > (target.degradedLatency ?? DEGRADED_LATENCY);
+  return {
+    status: degraded ? 'DEGRADED' : 'UP',
+    latency: total,
+    timings,
+    error: degraded ? 'High latency detected' : null,
+    errorClass: null,
+    details,
+  };
+};
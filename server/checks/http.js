@@ -0,0 +1,43 @@
+import { request, requestFollowing, classify, isHttpFailure, DEFAULT_TIMEOUT } from '../probe.js';
+
+// Request the target's checkUrl with its configured method. HEAD falls back
+// to GET for servers that reject it. Keyword and JSON checks build on this
+// with readBody set, and follow redirects to the document they check; a
+// plain HTTP check reports the redirect itself, which expectedStatus may
+// ask for.
+export const fetchTarget = async (target, { readBody = false, untrusted = false } = {}) => {
+  const { method: configured = 'HEAD', timeout = DEFAULT_TIMEOUT, expectedStatus = [] } = target;
+  const url = target.checkUrl || target.url;
+  const send = readBody ? requestFollowing : request;
+  let method = configured;
+  let outcome = await send(url, { method, timeout, readBody, untrusted });
+
+  if (method === 'HEAD' && (outcome.statusCode === 405 || outcome.statusCode === 501)) {
+    method = 'GET';
+    outcome = await send(url, { method, timeout, readBody, untrusted });
+  }
+
+  const status = classify(outcome, expectedStatus, target.degradedLatency);
+  const httpFailure = !outcome.errorClass && isHttpFailure(outcome.statusCode, expectedStatus);
+  let error = outcome.error;
+  if (httpFailure) {
+    error = `${expectedStatus.length > 0 ? 'Unexpected ' : ''}HTTP ${outcome.statusCode}`;
+  } else if (!error && status === 'DEGRADED') {
+    error = 'High latency detected';
+  }
+
+  return {
+    body: outcome.body,
+    result: {
+      status,
+      latency: outcome.errorClass ? 0 : outcome.timings.total,
+      statusCode: outcome.statusCode,
+      method,
+      timings: outcome.timings,
+      error,
+      errorClass: outcome.errorClass || (httpFailure ? 'HTTP' : null),
+    },
+  };
+};
+
+export const run = async (target, options) => (await fetchTarget(target, options)).result;
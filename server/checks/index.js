@@ -0,0 +1,39 @@
+import * as http from './http.js';
+import * as keyword from './keyword.js';
+import * as json from './json.js';
+import * as tcp from './tcp.js';
+import * as dns from './dns.js';
+import * as tls from './tls.js';
+import { fetchUpstream } from './upstream.js';
+
+// Probe plugins, keyed by target.type (see lib/checks.js). Each exports
+// run(target) resolving to { status, latency, timings, error, errorClass,
+// details } plus statusCode and method for HTTP-based checks.
+export const CHECKS = { http, keyword, json, tcp, dns, tls };
+
+// The upstream feed, when configured, is read alongside the check.
+// options.untrusted marks a target described by an API caller rather than
+// the registry, or kept by a workspace other than the default one: private
+// addresses are refused and document values that assertions saw stay out
+// of the result.
+export const probeTarget = async (target, options = {}) => {
+  const type = target.type || 'http';
+  const [{ status, latency, ...result }, upstream] = await Promise.all([
+    CHECKS[type].run(target, options),
+    target.provider ? fetchUpstream(target, options) : null,
+  ]);
+  return {
+    type,
+    status,
+    latency,
+    statusCode: null,
+    method: null,
+    timings: null,
+    error: null,
+    errorClass: null,
+    details: null,
+    ...result,
+    upstream,
+    lastChecked: new Date().toISOString(),
+  };
+};
@@ -0,0 +1,37 @@
+import { evaluateAssertion } from '../../lib/checks.js';
+import { fetchTarget } from './http.js';
+
+// GET a JSON document and check every assertion against it. Untrusted
+// probes only learn whether each assertion passed, not what the document
+// holds.
+export const run = async (target, { untrusted = false } = {}) => {
+  const { assertions } = target.check;
+  const { result, body } = await fetchTarget(target, { readBody: true, untrusted });
+  if (result.status === 'DOWN') return { ...result, details: { assertions: [] } };
+
+  let document;
+  try {
+    document = JSON.parse(body);
+  } catch {
+    return { ...result, status: 'DOWN', error: 'Response is not valid JSON', errorClass: 'JSON', details: { assertions: [] } };
+  }
+
+  const checked = assertions.map((assertion) => {
+    const { actual, ...outcome } = evaluateAssertion(document, assertion);
+    return { ...assertion, ...outcome, ...(untrusted ? {} : { actual }) };
+  });
+  const failed = checked.filter(a => !a.pass);
+  const details = { assertions: checked };
+  if (failed.length > 0) {
+    const { path, op, value, actual } = failed[0];
+    return {
+      ...result,
+      status: 'DOWN',
+      error: `${path} ${op}${value !== undefined ? ` ${JSON.stringify(value)}` : ''} failed${untrusted ? '' : ` (got ${JSON.stringify(actual)})`}`
+        + (failed.length > 1 ? ` and ${failed.length - 1} more` : ''),
+      errorClass: 'ASSERTION',
+      details,
+    };
+  }
+  return { ...result, details };
+};
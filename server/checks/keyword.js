@@ -0,0 +1,22 @@
+import { fetchTarget } from './http.js';
+
+// GET the page and require the keyword to be present (or absent).
+// Matching is case-insensitive.
+export const run = async (target, { untrusted = false } = {}) => {
+  const { keyword, absent } = target.check;
+  const { result, body } = await fetchTarget(target, { readBody: true, untrusted });
+  if (result.status === 'DOWN') return { ...result, details: { keyword, absent, found: null } };
+
+  const found = body.toLowerCase().includes(keyword.toLowerCase());
+  const details = { keyword, absent, found };
+  if (found === absent) {
+    return {
+      ...result,
+      status: 'DOWN',
+      error: absent ? `Keyword "${keyword}" is present` : `Keyword "${keyword}" not found`,
+      errorClass: 'KEYWORD',
+      details,
+    };
+  }
+  return { ...result, details };
+};
@@ -0,0 +1,54 @@
+import net from 'node:net';
+import { performance } from 'node:perf_hooks';
+import { endpointOf } from '../../lib/checks.js';
+import { classifyError, guardConnection, round, DEFAULT_TIMEOUT, DEGRADED_LATENCY, NO_TIMINGS } from '../probe.js';
+
+// Open a TCP connection to tcp://host:port and close it straight away
+export const run = (target, { untrusted = false } = {}) => new Promise((resolve) => {
+  const { host, port } = endpointOf(target.checkUrl);
+  const guard = guardConnection(host, untrusted);
+  if (guard.error) {
+    resolve({ status: 'DOWN', latency: 0, timings: NO_TIMINGS, error: guard.error.message, errorClass: classifyError(guard.error), details: { host, port } });
+    return;
+  }
+  const start = performance.now();
+  const marks = {};
+  let settled = false;
+
+  const finish = (error) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    socket.destroy();
+    const total = round(performance.now() - start);
+    const status = error ? 'DOWN' : total > (target.degradedLatency ?? DEGRADED_LATENCY) ? 'DEGRADED' : 'UP';
+    resolve({
+      status,
+      latency: error ? 0 : total,
+      timings: {
+        dns: round(marks.lookup != null ? marks.lookup - start : null),
+        tcp: round(marks.connect != null ? marks.connect - (marks.lookup ?? start) : null),
+        tls: null,
+        ttfb: null,
+        total,
+      },
+      error: error ? error.message : status === 'DEGRADED' ? 'High latency detected' : null,
+      errorClass: classifyError(error),
+      details: { host, port },
+    });
+  };
+
+  const socket = net.connect({ ...guard.options, host, port });
+  socket.once('lookup', () => { marks.lookup = performance.now(); });
+  socket.once('connect', () => {
+    marks.connect = performance.now();
+    finish(null);
+  });
+  socket.on('error', finish);
+
+  const timer = setTimeout(() => {
+    const error = new Error('Connection timeout');
+    error.code = 'ETIMEDOUT';
+    finish(error);
+  }, target.timeout || DEFAULT_TIMEOUT);
+});
@@ -0,0 +1,92 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import { performance } from 'node:perf_hooks';
+import { endpointOf } from '../../lib/checks.js';
+import { classifyError, guardConnection, round, DEFAULT_TIMEOUT, NO_TIMINGS } from '../probe.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const describe = (cert) => {
+  const validTo = Date.parse(cert.valid_to);
+  return {
+    subject: cert.subject?.CN || null,
+    issuer: cert.issuer?.O || cert.issuer?.CN || null,
+    validFrom: new Date(cert.valid_from).toISOString(),
+    validTo: new Date(validTo).toISOString(),
+    daysRemaining: Math.floor((validTo - Date.now()) / DAY),
+  };
+};
+
+// Complete a TLS handshake and grade the peer certificate: expired or
+// untrusted is DOWN, expiring within check.warnDays is DEGRADED
+export const run = (target, { untrusted = false } = {}) => new Promise((resolve) => {
+  const { host, port } = endpointOf(target.checkUrl, 443);
+  const guard = guardConnection(host, untrusted);
+  if (guard.error) {
+    resolve({ status: 'DOWN', latency: 0, timings: NO_TIMINGS, error: guard.error.message, errorClass: classifyError(guard.error), details: null });
+    return;
+  }
+  const { warnDays } = target.check;
+  const start = performance.now();
+  const marks = {};
+  let settled = false;
+
+  const finish = (error, details = null) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    socket.destroy();
+    const total = round(performance.now() - start);
+    const timings = {
+      dns: round(marks.lookup != null ? marks.lookup - start : null),
+      tcp: round(marks.connect != null ? marks.connect - (marks.lookup ?? start) : null),
+      tls: round(marks.secureConnect != null ? marks.secureConnect - marks.connect : null),
+      ttfb: null,
+      total,
+    };
+    if (error) {
+      resolve({ status: 'DOWN', latency: 0, timings, error: error.message, errorClass: classifyError(error), details });
+      return;
+    }
+
+    let status = 'UP';
+    let message = null;
+    if (details.daysRemaining < 0) {
+      status = 'DOWN';
+      message = `Certificate expired ${-details.daysRemaining} days ago`;
+    } else if (!details.authorized) {
+      status = 'DOWN';
+      message = `Certificate not trusted: ${details.authorizationError}`;
+    } else if (details.daysRemaining < warnDays) {
+      status = 'DEGRADED';
+      message = `Certificate expires in ${details.daysRemaining} days`;
+    }
+    resolve({ status, latency: total, timings, error: message, errorClass: status === 'DOWN' ? 'TLS' : null, details });
+  };
+
+  // Verification is graded above rather than failing the handshake, so an
+  // untrusted certificate still reports its expiry
+  const socket = tls.connect({ ...guard.options, host, port, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: false });
+  socket.once('lookup', () => { marks.lookup = performance.now(); });
+  socket.once('connect', () => { marks.connect = performance.now(); });
+  socket.once('secureConnect', () => {
+    marks.secureConnect = performance.now();
+    const cert = socket.getPeerCertificate();
+    if (!cert || !cert.valid_to) {
+      finish(Object.assign(new Error('No peer certificate'), { code: 'ERR_TLS_CERT_MISSING' }));
+      return;
+    }
+    finish(null, {
+      ...describe(cert),
+      authorized: socket.authorized,
+      authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+    });
+  });
+  socket.on('error', (error) => finish(error));
+
+  const timer = setTimeout(() => {
+    const error = new Error('Connection timeout');
+    error.code = 'ETIMEDOUT';
+    finish(error);
+  }, target.timeout || DEFAULT_TIMEOUT);
+});
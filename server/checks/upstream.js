@@ -0,0 +1,24 @@
+import { parseUpstream } from '../../lib/providers/index.js';
+import { requestFollowing, DEFAULT_TIMEOUT } from '../probe.js';
+
+// Fetch and parse the target's own status feed (target.provider). Feed
+// failures never fail the check; they come back as an UNKNOWN report.
+export const fetchUpstream = async (target, { untrusted = false } = {}) => {
+  const { type, url: feedUrl } = target.provider;
+  try {
+    const outcome = await requestFollowing(feedUrl, { method: 'GET', timeout: target.timeout || DEFAULT_TIMEOUT, readBody: true, untrusted });
+    if (outcome.error) throw new Error(outcome.error);
+    if (outcome.statusCode !== 200) throw new Error(`Feed returned HTTP ${outcome.statusCode}`);
+    return parseUpstream(type, outcome.body);
+  } catch (error) {
+    return {
+      provider: type,
+      status: 'UNKNOWN',
+      summary: null,
+      components: [],
+      incidents: [],
+      fetchedAt: new Date().toISOString(),
+      error: error.message,
+    };
+  }
+};
@@ -0,0 +1,46 @@
+import { readFile } from 'node:fs/promises';
+import YAML from 'yaml';
+import { DEFAULT_TARGETS } from '../../lib/targets.js';
+import { parseTargets } from '../../lib/targetsFile.js';
+import { DEFAULT_POLICY, normalizePolicy, validatePolicy } from '../../lib/health.js';
+import { normalizeWindow, validateWindow } from '../../lib/maintenance.js';
+
+// A CLI config is a targets file as the dashboard exports it (JSON or YAML,
+// see lib/targetsFile.js), optionally with the scoring policy and
+// maintenance windows alongside:
+//
+//   version: 1
+//   targets: [...]
+//   policy: { formula: critical, damping: { required: 2, window: 3 } }
+//   maintenance: [{ title: Nightly backup, cron: '0 3 * * *', duration: 30 }]
+
+const checked = (label, value, validate) => {
+  const errors = validate(value);
+  if (errors.length > 0) throw new Error(`Invalid ${label}:\n${errors.join('\n')}`);
+  return value;
+};
+
+export const parseConfig = (text) => {
+  const targets = parseTargets(text);
+  const document = YAML.parse(text);
+  const extras = Array.isArray(document) ? {} : document;
+  const maintenance = extras.maintenance ?? [];
+  if (!Array.isArray(maintenance)) throw new Error('maintenance must be a list of windows');
+  return {
+    targets,
+    policy: extras.policy ? checked('policy', normalizePolicy(extras.policy), validatePolicy) : DEFAULT_POLICY,
+    maintenance: maintenance.map((entry, i) => checked(`maintenance window #${i + 1}`, normalizeWindow(entry || {}), validateWindow)),
+  };
+};
+
+// Without a file, the built-in targets the dashboard starts with
+export const loadConfig = async (file) => {
+  if (!file) return { targets: DEFAULT_TARGETS, policy: DEFAULT_POLICY, maintenance: [] };
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  return parseConfig(text);
+};
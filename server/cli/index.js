@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createScanner } from '../../lib/scan.js';
+import { DEFAULT_PAUSE, createScheduler } from '../../lib/scheduler.js';
+import { probeTarget } from '../checks/index.js';
+import { loadConfig } from './config.js';
+import { buildReport, FORMATS } from './reports.js';
+
+// The dashboard's checks without the dashboard, for CI gates and cron:
+//
+//   npm run metamonitor -- --config targets.yaml --format junit --output report.xml --threshold 90
+//
+// Runs one scan (or keeps scanning with --watch), prints a report and exits
+// non-zero when globalHealth falls below the threshold.
+
+const USAGE = `Usage: metamonitor [options]
+
+  -c, --config <file>     targets file (JSON or YAML); the built-in targets without one
+  -f, --format <format>   ${Object.keys(FORMATS).join(' | ')} (default: table)
+  -o, --output <file>     write the report to a file instead of stdout
+  -t, --threshold <n>     lowest passing globalHealth, 0-100 (default: 80)
+  -w, --watch             keep checking each target on its interval, reporting every scan
+  -h, --help              show this help
+
+Exit status: 0 at or above the threshold, 1 below it, 2 for a usage or config error.
+`;
+
+const EXIT_PASSED = 0;
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_USAGE = 2;
+// Where the dashboard's scan log turns red
+const DEFAULT_THRESHOLD = 80;
+
+const log = (...parts) => console.error('[metamonitor]', ...parts);
+
+const fail = (message) => {
+  log(message);
+  process.exit(EXIT_USAGE);
+};
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      format: { type: 'string', short: 'f', default: 'table' },
+      output: { type: 'string', short: 'o' },
+      threshold: { type: 'string', short: 't', default: String(DEFAULT_THRESHOLD) },
+      watch: { type: 'boolean', short: 'w', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  }));
+} catch (error) {
+  fail(`${error.message}\n\n${USAGE}`);
+}
+
+if (args.help) {
+  process.stdout.write(USAGE);
+  process.exit(EXIT_PASSED);
+}
+
+const threshold = Number(args.threshold);
+if (!(threshold >= 0 && threshold <= 100)) fail('--threshold must be a number from 0 to 100');
+const format = FORMATS[args.format];
+if (!format) fail(`--format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+let config;
+try {
+  config = await loadConfig(args.config);
+} catch (error) {
+  fail(error.message);
+}
+const { targets, policy, maintenance } = config;
+
+const scanner = createScanner({ probe: probeTarget, policy: () => policy, maintenance: () => maintenance });
+// Latest result per target; a watch scan only covers the targets that were due
+const results = {};
+
+// Watch mode prints one JSON document per line so the output stays parseable
+const report = async () => {
+  const current = buildReport({ targets, results, policy, threshold });
+  const text = format(current, { compact: args.watch });
+  if (args.output) await writeFile(args.output, text);
+  else process.stdout.write(text);
+  if (args.watch) log(`globalHealth ${current.globalHealth}% at ${current.timestamp}`);
+  return current;
+};
+
+const scan = async (list, settle) => {
+  const scanned = await scanner.scan(list, (target, result) => {
+    results[target.id] = result;
+    settle(target, result);
+  });
+  await report();
+  return scanned;
+};
+
+if (!args.watch) {
+  log(`checking ${targets.length} target${targets.length === 1 ? '' : 's'}`);
+  Object.assign(results, await scanner.scan(targets));
+  const { passed } = await report();
+  process.exit(passed ? EXIT_PASSED : EXIT_BELOW_THRESHOLD);
+}
+
+const scheduler = createScheduler({ targets: () => targets, scan, paused: () => DEFAULT_PAUSE });
+log(`watching ${targets.length} target${targets.length === 1 ? '' : 's'}; Ctrl-C to stop`);
+scheduler.start();
+
+// Stopping a watch exits the way a single scan would have, on the latest results
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  scheduler.stop();
+  const passed = buildReport({ targets, results, policy, threshold }).passed;
+  process.exit(passed ? EXIT_PASSED : EXIT_BELOW_THRESHOLD);
+}));
@@ -0,0 +1,106 @@
+import { healthBreakdown } from '../../lib/health.js';
+import { displayHost } from '../../lib/targets.js';
+import { escapeHtml } from '../pages/common.js';
+
+// One scan as the CLI reports it: the same globalHealth and per-target
+// scores the dashboard shows, plus whether it clears the threshold.
+export const buildReport = ({ targets, results, policy, threshold, timestamp = new Date() }) => {
+  const { health, rows, explanation } = healthBreakdown(results, targets, policy);
+  const byId = Object.fromEntries(rows.map(row => [row.id, row]));
+  return {
+    timestamp: timestamp.toISOString(),
+    globalHealth: health,
+    threshold,
+    passed: health >= threshold,
+    formula: policy.formula,
+    explanation,
+    targets: targets.map(target => {
+      const result = results[target.id] || {};
+      return {
+        id: target.id,
+        name: target.name,
+        type: target.type,
+        host: displayHost(target),
+        status: result.status || 'PENDING',
+        rawStatus: result.rawStatus ?? null,
+        latency: result.latency ?? null,
+        statusCode: result.statusCode ?? null,
+        error: result.error ?? null,
+        errorClass: result.errorClass ?? null,
+        maintenance: result.maintenance?.title ?? null,
+        score: byId[target.id].score,
+        notes: byId[target.id].notes,
+        lastChecked: result.lastChecked ?? null,
+      };
+    }),
+  };
+};
+
+const detail = (row) => {
+  if (row.maintenance) return `maintenance: ${row.maintenance}`;
+  if (row.error) return row.error;
+  return row.notes.join(', ');
+};
+
+export const formatTable = (report) => {
+  const header = ['TARGET', 'STATUS', 'LATENCY', 'CODE', 'DETAIL'];
+  const lines = report.targets.map(row => [
+    row.name,
+    row.status,
+    row.latency == null ? '-' : `${row.latency}ms`,
+    row.statusCode == null ? '-' : String(row.statusCode),
+    detail(row),
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map(line => line[i].length)));
+  const format = (line) => line.map((cell, i) => (i === line.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ').trimEnd();
+  const verdict = report.passed ? 'PASS' : 'FAIL';
+  return [
+    format(header),
+    ...lines.map(format),
+    '',
+    `globalHealth ${report.globalHealth}% (threshold ${report.threshold}%) ${verdict}`,
+    `${report.formula}: ${report.explanation}`,
+    '',
+  ].join('\n');
+};
+
+export const formatJson = (report, { compact = false } = {}) => `${JSON.stringify(report, null, compact ? 0 : 2)}\n`;
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+// DOWN is a failure, a target we could not check an error and one in
+// maintenance skipped; the threshold gets a test case of its own
+const testCase = (row) => {
+  const open = `    <testcase classname="metamonitor.${escapeHtml(row.type)}" name="${escapeHtml(row.name)}" time="${seconds(row.latency)}">`;
+  const message = escapeHtml(detail(row));
+  if (row.status === 'DOWN') return `${open}\n      <failure type="${escapeHtml(row.errorClass || 'DOWN')}" message="${message}">${escapeHtml(row.host)}</failure>\n    </testcase>`;
+  if (row.status === 'UNKNOWN' || row.status === 'PENDING') return `${open}\n      <error type="${escapeHtml(row.errorClass || row.status)}" message="${message}" />\n    </testcase>`;
+  if (row.status === 'MAINTENANCE') return `${open}\n      <skipped message="${message}" />\n    </testcase>`;
+  if (row.status === 'DEGRADED') return `${open}\n      <system-out>DEGRADED: ${message}</system-out>\n    </testcase>`;
+  return `${open}</testcase>`;
+};
+
+export const formatJunit = (report) => {
+  const count = (status) => report.targets.filter(row => status.includes(row.status)).length;
+  const failures = count(['DOWN']) + (report.passed ? 0 : 1);
+  const errors = count(['UNKNOWN', 'PENDING']);
+  const skipped = count(['MAINTENANCE']);
+  const tests = report.targets.length + 1;
+  const time = seconds(report.targets.reduce((acc, row) => acc + (row.latency || 0), 0));
+  const threshold = `    <testcase classname="metamonitor" name="globalHealth &gt;= ${report.threshold}%" time="0.000">`;
+  const gate = report.passed
+    ? `${threshold}</testcase>`
+    : `${threshold}\n      <failure type="THRESHOLD" message="globalHealth ${report.globalHealth}% is below ${report.threshold}%">${escapeHtml(report.explanation)}</failure>\n    </testcase>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="metamonitor" tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time}">`,
+    `  <testsuite name="metamonitor" timestamp="${report.timestamp}" tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time}">`,
+    ...report.targets.map(testCase),
+    gate,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+};
+
+export const FORMATS = { table: formatTable, json: formatJson, junit: formatJunit };
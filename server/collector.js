@@ -0,0 +1,57 @@
+import { isFresh } from '../lib/regions.js';
+
+const RESULT_FIELDS = ['type', 'status', 'latency', 'statusCode', 'method', 'timings', 'error', 'errorClass', 'details', 'lastChecked'];
+
+// Regions that may report at once, and how long a silent one is kept
+export const MAX_REGIONS = 16;
+const REGION_TTL = 60 * 60 * 1000;
+
+// Latest result per target and region from probe agents (server/agent.js).
+// Memory only: a report stops voting within a couple of check intervals
+// anyway, and agents resend on their next round after a restart.
+export const createCollector = ({ maxRegions = MAX_REGIONS, ttl = REGION_TTL } = {}) => {
+  const reports = new Map();
+  const agents = new Map();
+
+  // Regions that stopped reporting are forgotten with their results
+  const expire = (now) => {
+    agents.forEach(({ lastSeen }, region) => {
+      if (now - Date.parse(lastSeen) <= ttl) return;
+      agents.delete(region);
+      reports.forEach(byRegion => byRegion.delete(region));
+    });
+  };
+
+  // `results` are already validated: [{ id, status, latency, lastChecked, ... }].
+  // False when the region is new and maxRegions are already reporting.
+  const record = (region, agent, results, now = Date.now()) => {
+    expire(now);
+    if (!agents.has(region) && agents.size >= maxRegions) return false;
+    results.forEach(result => {
+      if (!reports.has(result.id)) reports.set(result.id, new Map());
+      const entry = Object.fromEntries(RESULT_FIELDS.map(field => [field, result[field] ?? null]));
+      // An agent with a fast clock must not vote forever
+      entry.lastChecked = new Date(Math.min(Date.parse(result.lastChecked), now)).toISOString();
+      reports.get(result.id).set(region, entry);
+    });
+    agents.set(region, { region, agent, lastSeen: new Date(now).toISOString(), results: results.length });
+    return true;
+  };
+
+  // Fresh reports for a target, keyed by region
+  const resultsFor = (target, now = Date.now()) => Object.fromEntries(
+    [...(reports.get(target.id) || [])].filter(([, result]) => isFresh(result, target, now))
+  );
+
+  return {
+    record,
+    resultsFor,
+    drop: (id) => reports.delete(id),
+    list: (now = Date.now()) => {
+      expire(now);
+      return [...agents.values()];
+    },
+  };
+};
+
+export const collector = createCollector();
@@ -0,0 +1,37 @@
+import { validateReport } from '../../lib/regions.js';
+import { workspaceOf } from '../workspaces.js';
+import { MAX_REGIONS } from '../collector.js';
+import { sendJson, sendError, HttpError } from '../http.js';
+
+// Reports are votes on every target's status, so they always need a
+// credential: this bearer token, or (once the server has accounts) an API
+// key with agents:write, which server/auth checks. Without either, agents
+// are turned away.
+export const AGENT_TOKEN = process.env.METAMONITOR_AGENT_TOKEN;
+
+// GET /v1/agents — regions that have reported, including the monitor's own
+export const agents = (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { monitor, collector } = workspaceOf(req);
+  sendJson(res, 200, { region: monitor.region, agents: collector.list() });
+};
+
+// POST /v1/agents/report — { region, agent, results: [{ id, status, latency, lastChecked, ... }] }
+export const agentReport = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  if (!req.auth && !(AGENT_TOKEN && req.headers.authorization === `Bearer ${AGENT_TOKEN}`)) {
+    throw new HttpError(401, AGENT_TOKEN ? 'Invalid agent token' : 'Agent reports need METAMONITOR_AGENT_TOKEN set on the server, or an API key');
+  }
+  const errors = validateReport(req.body);
+  if (errors.length > 0) throw new HttpError(400, 'Invalid report', errors);
+  const { region, agent = null, results } = req.body;
+  const { monitor, collector } = workspaceOf(req);
+  if (region === monitor.region) throw new HttpError(409, `Region ${region} is the monitor's own`);
+
+  // Targets removed since the agent last listed them are dropped quietly
+  const known = results.filter(result => monitor.getTarget(result.id));
+  if (!collector.record(region, agent == null ? null : String(agent), known)) {
+    throw new HttpError(409, `Already collecting from ${MAX_REGIONS} regions; ${region} is not one of them`);
+  }
+  sendJson(res, 202, { accepted: known.length, ignored: results.length - known.length });
+};
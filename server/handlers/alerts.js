@@ -0,0 +1,34 @@
+import { redactChannel, mergeSecrets } from '../alerts/channels/index.js';
+import { workspaceOf } from '../workspaces.js';
+import { sendJson, sendError } from '../http.js';
+import { collectionHandlers } from './collection.js';
+
+export const rules = collectionHandlers(req => workspaceOf(req).rules);
+export const channels = collectionHandlers(req => workspaceOf(req).channels, { present: redactChannel, merge: mergeSecrets });
+export const silences = collectionHandlers(req => workspaceOf(req).silences);
+
+// GET /v1/alerts — currently firing alerts
+export const activeAlerts = (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  sendJson(res, 200, { alerts: workspaceOf(req).alerts.active() });
+};
+
+// POST /v1/alerts/:key/ack — stop escalation for a firing alert
+export const acknowledgeAlert = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  const alert = workspaceOf(req).alerts.acknowledge(req.query.key);
+  if (!alert) return sendError(res, 404, `No active alert: ${req.query.key}`);
+  sendJson(res, 200, alert);
+};
+
+// POST /v1/alerts/channels/:id/test
+export const testChannel = async (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  try {
+    await workspaceOf(req).alerts.test(req.query.id);
+  } catch (error) {
+    if (error.statusCode) throw error;
+    return sendError(res, 502, `Delivery failed: ${error.message}`);
+  }
+  sendJson(res, 200, { ok: true });
+};
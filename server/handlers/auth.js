@@ -0,0 +1,159 @@
+import { ROLE_SCOPES } from '../../lib/auth.js';
+import {
+  authRequired,
+  signupOpen,
+  identify,
+  createAccount,
+  login as checkPassword,
+  oidcAccount,
+  parseCookies,
+  setCookie,
+  startSession,
+  endSession,
+  switchWorkspace,
+  workspacesOf,
+  createWorkspace,
+  listMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  createKey,
+  removeKey,
+  presentKey,
+} from '../auth/index.js';
+import { oidcEnabled, authorizationUrl, completeLogin, PENDING_TTL, STATE_COOKIE } from '../auth/oidc.js';
+import { keyStore, workspaceStore } from '../stores/auth.js';
+import { sendJson, sendError, HttpError } from '../http.js';
+
+// Members and keys are managed by signed-in people, never by API keys
+const signedIn = (req) => {
+  if (!req.auth?.user) throw new HttpError(401, 'Sign in first');
+  return req.auth.user;
+};
+
+const session = (auth) => ({
+  authRequired: authRequired(),
+  signup: signupOpen(),
+  oidc: oidcEnabled(),
+  user: auth?.user || null,
+  workspace: auth?.user && auth.workspace ? { id: auth.workspace, name: workspaceStore.get(auth.workspace)?.name ?? auth.workspace } : null,
+  role: auth?.role || null,
+  // Without accounts everyone may do everything, as before
+  scopes: auth ? auth.scopes : (authRequired() ? [] : ROLE_SCOPES.admin),
+  workspaces: auth?.user ? workspacesOf(auth.user.id) : [],
+});
+
+// GET /v1/auth/session — who the caller is; PUT { workspace } switches workspace
+export const authSession = (req, res) => {
+  if (req.method === 'GET') return sendJson(res, 200, session(req.auth));
+  if (req.method === 'PUT') {
+    switchWorkspace(req, String(req.body?.workspace || ''));
+    return sendJson(res, 200, session(identify(req)));
+  }
+  sendError(res, 405, 'Method not allowed');
+};
+
+// POST /v1/auth/signup { email, name, password, workspace? } — signs in as well
+export const signup = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  const account = createAccount(req.body);
+  startSession(res, account);
+  sendJson(res, 201, account);
+};
+
+// POST /v1/auth/login { email, password }
+export const login = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  const account = checkPassword(req.body);
+  startSession(res, account);
+  sendJson(res, 200, account);
+};
+
+// POST /v1/auth/logout
+export const logout = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  endSession(req, res);
+  res.statusCode = 204;
+  res.end();
+};
+
+const redirect = (res, location) => {
+  res.statusCode = 302;
+  res.setHeader('location', location);
+  res.end();
+};
+
+// GET /auth/oidc/login — off to the provider's sign-in page
+export const oidcLogin = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  if (!oidcEnabled()) return sendError(res, 404, 'Single sign-on is not configured');
+  const { url, state } = await authorizationUrl();
+  setCookie(res, STATE_COOKIE, state, PENDING_TTL / 1000);
+  redirect(res, url);
+};
+
+// GET /auth/oidc/callback?code&state — and back to the dashboard
+export const oidcCallback = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  if (!oidcEnabled()) return sendError(res, 404, 'Single sign-on is not configured');
+  setCookie(res, STATE_COOKIE, '', 0);
+  if (req.query.error) return sendError(res, 401, `Sign-in failed: ${req.query.error}`);
+  startSession(res, oidcAccount(await completeLogin(req.query, parseCookies(req)[STATE_COOKIE])));
+  redirect(res, '/');
+};
+
+// GET /v1/workspaces — the caller's workspaces; POST { name } starts one
+export const workspaces = (req, res) => {
+  const user = signedIn(req);
+  if (req.method === 'GET') return sendJson(res, 200, { items: workspacesOf(user.id) });
+  if (req.method === 'POST') {
+    const name = String(req.body?.name || '').trim();
+    if (!name) throw new HttpError(400, 'Invalid workspace', ['name is required']);
+    const { id } = createWorkspace(name, user.id);
+    return sendJson(res, 201, { id, name, role: 'admin' });
+  }
+  sendError(res, 405, 'Method not allowed');
+};
+
+// GET /v1/workspace/members, POST { email, role } — in the current workspace
+export const members = (req, res) => {
+  signedIn(req);
+  const { workspace } = req.auth;
+  if (req.method === 'GET') return sendJson(res, 200, { items: listMembers(workspace) });
+  if (req.method === 'POST') return sendJson(res, 201, addMember(workspace, req.body));
+  sendError(res, 405, 'Method not allowed');
+};
+
+// PUT /v1/workspace/members/:userId { role }, DELETE
+export const member = (req, res) => {
+  signedIn(req);
+  const { workspace } = req.auth;
+  if (req.method === 'PUT') return sendJson(res, 200, updateMember(workspace, req.query.userId, req.body));
+  if (req.method === 'DELETE') {
+    removeMember(workspace, req.query.userId);
+    res.statusCode = 204;
+    return res.end();
+  }
+  sendError(res, 405, 'Method not allowed');
+};
+
+// GET /v1/workspace/keys, POST { name, scopes } — the secret is in the
+// POST response only
+export const keys = (req, res) => {
+  const user = signedIn(req);
+  const { workspace } = req.auth;
+  if (req.method === 'GET') {
+    return sendJson(res, 200, { items: keyStore.list().filter(key => key.workspace === workspace).map(presentKey) });
+  }
+  if (req.method === 'POST') return sendJson(res, 201, createKey(workspace, req.body, user.id));
+  sendError(res, 405, 'Method not allowed');
+};
+
+// DELETE /v1/workspace/keys/:id — revoke
+export const key = (req, res) => {
+  signedIn(req);
+  if (req.method !== 'DELETE') return sendError(res, 405, 'Method not allowed');
+  removeKey(req.auth.workspace, req.query.id);
+  res.statusCode = 204;
+  res.end();
+};
@@ -0,0 +1,28 @@
+import { sendJson, sendError } from '../http.js';
+
+// CRUD handlers for a store from stores/collection.js, picked per request
+// by storeOf(req): list(req, res) serves /<base>, item(req, res) /<base>/:id
+export const collectionHandlers = (storeOf, { present = (item) => item, merge } = {}) => ({
+  list(req, res) {
+    const store = storeOf(req);
+    if (req.method === 'GET') return sendJson(res, 200, { items: store.list().map(present) });
+    if (req.method === 'POST') return sendJson(res, 201, present(store.create(req.body)));
+    sendError(res, 405, 'Method not allowed');
+  },
+
+  item(req, res) {
+    const { id } = req.query;
+    const store = storeOf(req);
+    if (req.method === 'GET') {
+      const item = store.get(id);
+      return item ? sendJson(res, 200, present(item)) : sendError(res, 404, `Not found: ${id}`);
+    }
+    if (req.method === 'PUT') return sendJson(res, 200, present(store.update(id, req.body, merge)));
+    if (req.method === 'DELETE') {
+      store.remove(id);
+      res.statusCode = 204;
+      return res.end();
+    }
+    sendError(res, 405, 'Method not allowed');
+  },
+});
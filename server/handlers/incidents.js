@@ -0,0 +1,49 @@
+import { incidentStats as statsFor } from '../../lib/incidents.js';
+import { workspaceOf } from '../workspaces.js';
+import { sendJson, sendError } from '../http.js';
+
+// GET /v1/incidents?status=open|resolved&target=<id> — newest first
+export const incidents = (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { status, target } = req.query;
+  const items = workspaceOf(req).incidents.list()
+    .filter(incident => !status || incident.status === status)
+    .filter(incident => !target || incident.targets.some(t => t.id === target));
+  sendJson(res, 200, { items });
+};
+
+// GET /v1/incidents/stats — incident count, downtime, MTTR and MTBF per target
+export const incidentStats = (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { incidents: incidentStore, monitor } = workspaceOf(req);
+  const list = incidentStore.list();
+  sendJson(res, 200, { targets: Object.fromEntries(monitor.targets.map(t => [t.id, statsFor(list, t.id)])) });
+};
+
+// A signed-in user is the author of what they write; the name sent along
+// only counts for API keys and servers without accounts
+const authorOf = (req, claimed) => (req.auth?.user ? req.auth.user.name : claimed || null);
+
+// GET /v1/incidents/:id, PUT /v1/incidents/:id { title?, postmortem?, author? }
+export const incident = (req, res) => {
+  const { id } = req.query;
+  const { incidents: incidentStore } = workspaceOf(req);
+  if (req.method === 'GET') {
+    const item = incidentStore.get(id);
+    return item ? sendJson(res, 200, item) : sendError(res, 404, `Not found: ${id}`);
+  }
+  if (req.method === 'PUT') return sendJson(res, 200, incidentStore.update(id, req.body, authorOf(req, req.body?.author)));
+  sendError(res, 405, 'Method not allowed');
+};
+
+// POST /v1/incidents/:id/ack { by? }
+export const acknowledgeIncident = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  sendJson(res, 200, workspaceOf(req).incidents.acknowledge(req.query.id, authorOf(req, req.body?.by)));
+};
+
+// POST /v1/incidents/:id/notes { text, author? } — adds to the timeline
+export const incidentNote = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  sendJson(res, 201, workspaceOf(req).incidents.addNote(req.query.id, { ...req.body, author: authorOf(req, req.body?.author) }));
+};
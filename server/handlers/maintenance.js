@@ -0,0 +1,9 @@
+import { currentOrNext } from '../../lib/maintenance.js';
+import { workspaceOf } from '../workspaces.js';
+import { collectionHandlers } from './collection.js';
+
+// /v1/maintenance and /v1/maintenance/:id. Each window comes back with its
+// current or next occurrence.
+export const maintenance = collectionHandlers(req => workspaceOf(req).maintenance, {
+  present: (window) => ({ ...window, next: currentOrNext(window) }),
+});
@@ -0,0 +1,16 @@
+import { workspaceOf } from '../workspaces.js';
+import { CONTENT_TYPE } from '../telemetry/prometheus.js';
+import { sendBody, sendError, HttpError } from '../http.js';
+
+// Scrapers must send it as a bearer token when set, unless they use an
+// API key with the metrics:read scope
+export const METRICS_TOKEN = process.env.METAMONITOR_METRICS_TOKEN;
+
+// GET /metrics — Prometheus exposition of probe results since the server started
+export const metrics = (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  if (METRICS_TOKEN && !req.auth && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+    throw new HttpError(401, 'Invalid metrics token');
+  }
+  sendBody(res, 200, CONTENT_TYPE, workspaceOf(req).telemetry.render());
+};
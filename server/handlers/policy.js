@@ -0,0 +1,10 @@
+import { workspaceOf } from '../workspaces.js';
+import { sendJson, sendError } from '../http.js';
+
+// GET /v1/policy, PUT /v1/policy (partial updates merge)
+export const policy = (req, res) => {
+  const { policy: policyStore } = workspaceOf(req);
+  if (req.method === 'GET') return sendJson(res, 200, policyStore.get());
+  if (req.method === 'PUT') return sendJson(res, 200, policyStore.update(req.body));
+  sendError(res, 405, 'Method not allowed');
+};
@@ -0,0 +1,35 @@
+import { findTarget, normalizeTarget, validateTarget } from '../../lib/targets.js';
+import { probeTarget } from '../checks/index.js';
+import { sendJson, sendError } from '../http.js';
+
+// GET /api/probe?id=<built-in target id>
+// GET /api/probe?url=<http(s) url>&method=&timeout=&expect=200,3xx
+// POST /api/probe with a target definition, for any check type
+//
+// Ad-hoc targets come from the caller, so they are probed as untrusted
+// (see server/checks): no private addresses, no document values echoed.
+export default async function probe(req, res) {
+  if (req.method === 'POST') {
+    const target = normalizeTarget({ id: 'adhoc', name: 'adhoc', ...req.body });
+    const errors = validateTarget(target);
+    if (errors.length > 0) return sendError(res, 400, 'Invalid probe request', errors);
+    const result = await probeTarget(target, { untrusted: true });
+    return sendJson(res, 200, { id: target.id, ...result });
+  }
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+
+  const { id, url, method, timeout, expect } = req.query;
+  let target = !url && id ? findTarget(id) : null;
+
+  if (!url && id && !target) return sendError(res, 404, `Unknown target: ${id}`);
+
+  if (!target) {
+    if (!url) return sendError(res, 400, 'Expected ?id= or an http(s) ?url=');
+    target = normalizeTarget({ id: id || 'adhoc', name: id || url, url, method, timeout, expectedStatus: expect });
+    const errors = validateTarget(target);
+    if (errors.length > 0) return sendError(res, 400, 'Invalid probe request', errors);
+  }
+
+  const result = await probeTarget(target, { untrusted: Boolean(url) });
+  sendJson(res, 200, { id: id || null, ...result });
+}
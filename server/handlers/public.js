@@ -0,0 +1,87 @@
+import { DAY, WINDOWS } from '../../lib/history.js';
+import { monitor } from '../monitor.js';
+import { sendBody, sendError } from '../http.js';
+import { HISTORY_DAYS } from '../pages/common.js';
+import { renderStatusPage } from '../pages/statusPage.js';
+import { renderEmbed, WIDGET_SCRIPT } from '../pages/embed.js';
+import { renderBadge } from '../pages/badge.js';
+
+// Shareable views of the monitor: a static status page, an embeddable
+// widget and SVG badges. They read the same state as the dashboard.
+
+const CACHE_SECONDS = 60;
+
+const publicTarget = (target, withHistory) => {
+  const result = monitor.getStatus(target.id);
+  return {
+    id: target.id,
+    name: target.name,
+    url: target.url,
+    status: result?.status || 'PENDING',
+    latency: result?.latency || 0,
+    stats: monitor.getStats(target.id),
+    daily: withHistory ? monitor.getHistory(target.id, Date.now() - HISTORY_DAYS * DAY, 'daily') : [],
+    incidents: result?.upstream?.incidents || [],
+    maintenance: monitor.getMaintenance(target.id).upcoming,
+  };
+};
+
+const model = async ({ ids = null, withHistory = false } = {}) => {
+  await monitor.ensureFresh();
+  const targets = ids ? monitor.targets.filter(t => ids.includes(t.id)) : monitor.targets;
+  return {
+    globalHealth: monitor.globalHealth,
+    lastScan: monitor.lastScan,
+    targets: targets.map(t => publicTarget(t, withHistory)),
+  };
+};
+
+const parseIds = (value) => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : null);
+
+// GET /status[?refresh=<seconds>|0]
+export const statusPage = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const refresh = req.query.refresh != null ? Number(req.query.refresh) : 60;
+  sendBody(res, 200, 'text/html', renderStatusPage(await model({ withHistory: true }), { refresh }), CACHE_SECONDS);
+};
+
+// GET /embed?ids=a,b&theme=dark|light
+export const embed = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const data = await model({ ids: parseIds(req.query.ids) });
+  sendBody(res, 200, 'text/html', renderEmbed(data, { theme: req.query.theme }), CACHE_SECONDS);
+};
+
+// GET /widget.js
+export const widget = (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  sendBody(res, 200, 'application/javascript', WIDGET_SCRIPT, 3600);
+};
+
+const healthStatus = (health) => {
+  if (health == null) return 'PENDING';
+  if (health > 90) return 'UP';
+  return health > 70 ? 'DEGRADED' : 'DOWN';
+};
+
+// GET /badge/:id.svg?window=24h|7d|30d&label=  (no id: global health)
+export const badge = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { id, label } = req.query;
+  const window = req.query.window || '30d';
+  if (!WINDOWS[window]) return sendError(res, 400, `Invalid window: expected one of ${Object.keys(WINDOWS).join(', ')}`);
+  await monitor.ensureFresh();
+
+  let svg;
+  if (!id) {
+    const health = monitor.globalHealth;
+    svg = renderBadge({ label: label || 'metamonitor', status: healthStatus(health), detail: health != null ? `${health}%` : null });
+  } else {
+    const target = monitor.getTarget(id);
+    if (!target) return sendError(res, 404, `Unknown target: ${id}`);
+    const { status, stats } = publicTarget(target, false);
+    const uptime = stats[window]?.uptime;
+    svg = renderBadge({ label: label || target.name, status, detail: uptime != null ? `${uptime.toFixed(2)}%` : null });
+  }
+  sendBody(res, 200, 'image/svg+xml', svg, CACHE_SECONDS);
+};
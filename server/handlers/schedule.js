@@ -0,0 +1,16 @@
+import { workspaceOf } from '../workspaces.js';
+import { sendJson, sendError } from '../http.js';
+
+// GET /v1/schedule — next run, consecutive failures and pause state per target
+export const schedule = (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  sendJson(res, 200, workspaceOf(req).monitor.getSchedule());
+};
+
+// GET /v1/schedule/pause, PUT /v1/schedule/pause { all?, targets? }
+export const pause = (req, res) => {
+  const { schedule: scheduleStore } = workspaceOf(req);
+  if (req.method === 'GET') return sendJson(res, 200, scheduleStore.get());
+  if (req.method === 'PUT') return sendJson(res, 200, scheduleStore.update(req.body));
+  sendError(res, 405, 'Method not allowed');
+};
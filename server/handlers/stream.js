@@ -0,0 +1,47 @@
+import { workspaceOf } from '../workspaces.js';
+import { sendJson, sendError } from '../http.js';
+
+const RETRY_MS = 5000;
+const HEARTBEAT_MS = 15000;
+
+const write = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// GET /v1/stream — Server-Sent Events feed of scan results. Reconnecting
+// clients resume from Last-Event-ID (or ?lastEventId= for manual reconnects).
+export default function stream(req, res) {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { monitor } = workspaceOf(req);
+
+  res.writeHead(200, {
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-store',
+    connection: 'keep-alive',
+    'x-accel-buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.headers['last-event-id'] ?? req.query.lastEventId;
+  const missed = lastEventId != null ? monitor.eventsSince(Number(lastEventId)) : null;
+  if (missed) {
+    missed.forEach(event => write(res, event));
+  } else {
+    write(res, monitor.snapshot());
+  }
+
+  const unsubscribe = monitor.subscribe(event => write(res, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// POST /v1/scan — start a scan now; results arrive on the stream
+export const triggerScan = (req, res) => {
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
+  workspaceOf(req).monitor.scan();
+  sendJson(res, 202, { scanning: true });
+};
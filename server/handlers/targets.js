@@ -0,0 +1,37 @@
+import { workspaceOf } from '../workspaces.js';
+import { sendJson, sendError } from '../http.js';
+
+// /v1/targets — list, create, or replace the whole registry (import)
+export const targets = (req, res) => {
+  const { targets: targetStore } = workspaceOf(req);
+  if (req.method === 'GET') {
+    return sendJson(res, 200, { persistent: targetStore.persistent, targets: targetStore.list() });
+  }
+  if (req.method === 'POST') {
+    return sendJson(res, 201, targetStore.create(req.body));
+  }
+  if (req.method === 'PUT') {
+    const list = Array.isArray(req.body) ? req.body : req.body?.targets;
+    return sendJson(res, 200, { persistent: true, targets: targetStore.replace(list) });
+  }
+  sendError(res, 405, 'Method not allowed');
+};
+
+// /v1/targets/:id — read, update or delete one target
+export const target = (req, res) => {
+  const { id } = req.query;
+  const { targets: targetStore } = workspaceOf(req);
+  if (req.method === 'GET') {
+    const found = targetStore.get(id);
+    return found ? sendJson(res, 200, found) : sendError(res, 404, `Unknown target: ${id}`);
+  }
+  if (req.method === 'PUT') {
+    return sendJson(res, 200, targetStore.update(id, req.body));
+  }
+  if (req.method === 'DELETE') {
+    targetStore.remove(id);
+    res.statusCode = 204;
+    return res.end();
+  }
+  sendError(res, 405, 'Method not allowed');
+};
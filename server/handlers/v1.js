@@ -0,0 +1,102 @@
+import { RESOLUTIONS } from '../../lib/history.js';
+import { workspaceOf } from '../workspaces.js';
+import { sendJson, sendError } from '../http.js';
+
+export const API_VERSION = '1';
+const SCHEMA_BASE = '/schemas/v1';
+
+// A signed-in user's or API key's view of its workspace is theirs alone,
+// which the Vary header tells shared caches (and the service worker)
+const withVersion = (req, res, schema) => {
+  res.setHeader('x-metamonitor-api-version', API_VERSION);
+  res.setHeader('link', `<${SCHEMA_BASE}/${schema}.schema.json>; rel="describedby"`);
+  if (req.auth) res.setHeader('vary', 'Cookie, Authorization');
+};
+
+// Largest epoch a Date can hold (±100,000,000 days)
+const MAX_DATE = 8.64e15;
+
+const parseSince = (value) => {
+  if (value == null || value === '') return 0;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) || ms > MAX_DATE ? null : ms;
+};
+
+// GET /v1/status
+export const status = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { monitor } = workspaceOf(req);
+  await monitor.ensureFresh();
+
+  withVersion(req, res, 'status');
+  sendJson(res, 200, {
+    globalHealth: monitor.globalHealth,
+    timestamp: new Date().toISOString(),
+    targets: Object.fromEntries(monitor.targets.map(t => {
+      const result = monitor.getStatus(t.id);
+      return [t.id, {
+        name: t.name,
+        status: result?.status || 'PENDING',
+        latency: result?.latency || 0,
+        maintenance: monitor.getMaintenance(t.id).active,
+      }];
+    })),
+    maintenance: monitor.getMaintenance().upcoming,
+  });
+};
+
+// GET /v1/status/:id
+export const targetStatus = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { monitor } = workspaceOf(req);
+  const target = monitor.getTarget(req.query.id);
+  if (!target) return sendError(res, 404, `Unknown target: ${req.query.id}`);
+  await monitor.ensureFresh();
+
+  const result = monitor.getStatus(target.id);
+  withVersion(req, res, 'target-status');
+  sendJson(res, 200, {
+    id: target.id,
+    name: target.name,
+    url: target.url,
+    type: target.type,
+    status: result?.status || 'PENDING',
+    latency: result?.latency || 0,
+    statusCode: result?.statusCode ?? null,
+    timings: result?.timings ?? null,
+    error: result?.error ?? null,
+    errorClass: result?.errorClass ?? null,
+    details: result?.details ?? null,
+    upstream: result?.upstream ?? null,
+    regions: result?.regions ?? null,
+    quorum: result?.quorum ?? null,
+    maintenance: monitor.getMaintenance(target.id),
+    lastChecked: result?.lastChecked ?? null,
+    stats: monitor.getStats(target.id),
+  });
+};
+
+// GET /v1/history/:id?since=<ISO date | epoch ms>&resolution=raw|hourly|daily
+export const history = async (req, res) => {
+  if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  const { monitor } = workspaceOf(req);
+  const target = monitor.getTarget(req.query.id);
+  if (!target) return sendError(res, 404, `Unknown target: ${req.query.id}`);
+
+  const since = parseSince(req.query.since);
+  if (since === null) return sendError(res, 400, 'Invalid since: expected an ISO date or epoch milliseconds');
+  const resolution = req.query.resolution || 'raw';
+  if (!RESOLUTIONS.includes(resolution)) return sendError(res, 400, `Invalid resolution: expected one of ${RESOLUTIONS.join(', ')}`);
+  await monitor.ensureFresh();
+
+  const entries = monitor.getHistory(target.id, since, resolution);
+  withVersion(req, res, 'history');
+  sendJson(res, 200, {
+    id: target.id,
+    since: new Date(since).toISOString(),
+    resolution,
+    samples: resolution === 'raw'
+      ? entries.map(s => ({ ...s, timestamp: new Date(s.timestamp).toISOString() }))
+      : entries.map(b => ({ ...b, start: new Date(b.start).toISOString() })),
+  });
+};
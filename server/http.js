@@ -0,0 +1,117 @@
+export const sendJson = (res, statusCode, body) => {
+  res.statusCode = statusCode;
+  res.setHeader('content-type', 'application/json; charset=utf-8');
+  res.setHeader('cache-control', 'no-store');
+  res.end(JSON.stringify(body));
+};
+
+// Non-JSON responses (pages, badges, scripts); maxAge in seconds
+export const sendBody = (res, statusCode, contentType, body, maxAge = 0) => {
+  res.statusCode = statusCode;
+  res.setHeader('content-type', `${contentType}; charset=utf-8`);
+  res.setHeader('cache-control', maxAge > 0 ? `public, max-age=${maxAge}` : 'no-store');
+  res.end(body);
+};
+
+export const sendError = (res, statusCode, message, details) => (
+  sendJson(res, statusCode, details ? { error: message, details } : { error: message })
+);
+
+// Thrown by handlers and stores; the router turns it into a JSON error response
+export class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const MAX_BODY = 1024 * 1024;
+
+// Vercel parses JSON bodies before the handler runs; the local server does it here
+export const readJsonBody = async (req) => {
+  if (req.body !== undefined) return req.body;
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > MAX_BODY) throw new HttpError(413, 'Request body too large');
+  }
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+};
+
+// A malformed escape (/v1/status/%E0%A4%A) is the client's mistake
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, 'Malformed URL: invalid percent-encoding');
+  }
+};
+
+// Compile '/v1/status/:id' style paths into a matcher returning params
+const compile = (path) => {
+  const keys = [];
+  const pattern = path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  const regex = new RegExp(`^${pattern}/?$`);
+  return (pathname) => {
+    const match = regex.exec(pathname);
+    if (!match) return null;
+    return Object.fromEntries(keys.map((key, i) => [key, decodeParam(match[i + 1])]));
+  };
+};
+
+// guard() runs first and throws an HttpError to turn the request away
+const run = async (handler, req, res, guard) => {
+  try {
+    await guard?.(req);
+    if (['POST', 'PUT', 'PATCH'].includes(req.method)) req.body = await readJsonBody(req);
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      sendError(res, error.statusCode, error.message, error.details);
+      return;
+    }
+    console.error(`[server] ${req.method} ${req.url} failed:`, error);
+    if (!res.headersSent) sendError(res, 500, 'Internal error');
+  }
+};
+
+// Wrap a handler as a Vercel function entry point (see api/); guard(req)
+// is called first, as the router calls it
+export const serverless = (handler, { guard } = {}) => (req, res) => run(handler, req, res, guard && (() => guard(req)));
+
+// Minimal router that mirrors the request shape Vercel functions receive;
+// guard(req, route) is called before each matched handler
+export const createRouter = (routes, { guard } = {}) => {
+  const compiled = routes.map(route => ({ ...route, match: compile(route.path) }));
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    for (const route of compiled) {
+      let params;
+      try {
+        params = route.match(url.pathname);
+      } catch (error) {
+        sendError(res, error.statusCode, error.message);
+        return;
+      }
+      if (!params) continue;
+      if (route.method && route.method !== req.method) continue;
+
+      req.query = { ...Object.fromEntries(url.searchParams), ...params };
+      await run(route.handler, req, res, guard && (() => guard(req, route)));
+      return;
+    }
+
+    sendError(res, 404, 'Not found');
+  };
+};
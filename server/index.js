@@ -0,0 +1,21 @@
+import http from 'node:http';
+import { createRouter } from './http.js';
+import { routes } from './routes.js';
+import { authorize } from './auth/index.js';
+import { workspaceStore } from './stores/auth.js';
+import { startWorkspaces, flushWorkspaces } from './workspaces.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+
+const server = http.createServer(createRouter(routes, { guard: authorize }));
+
+server.listen(PORT, () => {
+  console.log(`[server] MetaMonitor probe service listening on http://localhost:${PORT}`);
+  startWorkspaces(workspaceStore.list().map(workspace => workspace.id));
+});
+
+// Write out buffered history before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  flushWorkspaces();
+  process.exit(0);
+}));
@@ -0,0 +1,203 @@
+import { computeHealth } from '../lib/health.js';
+import { LOCAL_REGION, combineRegions } from '../lib/regions.js';
+import { DEFAULT_CONCURRENCY, createPool, createScheduler } from '../lib/scheduler.js';
+import { activeWindow, upcomingWindows } from '../lib/maintenance.js';
+import { createScanner, createScanIds } from '../lib/scan.js';
+import { probeTarget } from './checks/index.js';
+import { targetStore } from './stores/targets.js';
+import { historyStore } from './stores/history.js';
+import { policyStore } from './stores/policy.js';
+import { scheduleStore } from './stores/schedule.js';
+import { maintenanceStore } from './stores/maintenance.js';
+import { incidentStore } from './stores/incidents.js';
+import { collector as agentCollector } from './collector.js';
+
+// Serverless instances rescan on demand once results are this old
+const SCAN_INTERVAL = 60000;
+// Enough to replay a few full scans to a reconnecting subscriber
+const EVENT_BUFFER = 500;
+const SNAPSHOT_HISTORY = 20;
+
+export const createMonitor = ({
+  store = targetStore,
+  history = historyStore,
+  policy = policyStore,
+  interval = SCAN_INTERVAL,
+  schedule = scheduleStore,
+  maintenance = maintenanceStore,
+  incidents = incidentStore,
+  concurrency = Number(process.env.METAMONITOR_CONCURRENCY) || DEFAULT_CONCURRENCY,
+  collector = agentCollector,
+  region = process.env.METAMONITOR_REGION || LOCAL_REGION,
+  untrusted = false,
+} = {}) => {
+  const statuses = {};
+  const listeners = new Set();
+  const events = [];
+  let seq = 0;
+  let globalHealth = null;
+  let lastScan = null;
+
+  const emit = (type, data) => {
+    const event = { id: ++seq, type, data };
+    events.push(event);
+    if (events.length > EVENT_BUFFER) events.shift();
+    listeners.forEach(listener => listener(event));
+  };
+
+  const record = (target, result) => {
+    statuses[target.id] = result;
+    history.add(target.id, {
+      timestamp: Date.parse(result.lastChecked),
+      status: result.status,
+      latency: result.latency,
+      statusCode: result.statusCode,
+    });
+  };
+
+  // The monitor's own probe is one vote; probe agents that reported
+  // recently add theirs. Only the monitor reads the target's status feed.
+  const vote = (target, result) => ({
+    ...combineRegions({ [region]: result, ...collector.resultsFor(target) }, policy.get().quorum),
+    upstream: result.upstream,
+  });
+
+  // Damping and maintenance windows as everywhere else (see lib/scan.js)
+  const scanner = createScanner({
+    probe: target => probeTarget(target, { untrusted }),
+    vote,
+    policy: () => policy.get(),
+    maintenance: () => maintenance.list(),
+  });
+
+  const health = () => computeHealth(statuses, store.list(), policy.get());
+
+  const allStats = () => Object.fromEntries(store.list().map(t => [t.id, history.stats(t.id)]));
+
+  // Shared by overlapping scans, so `concurrency` caps the whole monitor
+  const pool = createPool(concurrency);
+  const nextScanId = createScanIds();
+
+  // One scan: the targets the scheduler found due (or all of them, on
+  // request). settle() hands each result back to the scheduler as it lands.
+  const probeAll = async (targets, settle = () => {}) => {
+    const scanId = nextScanId();
+    const results = {};
+    emit('scan-start', { scanId, timestamp: new Date().toISOString(), targets: targets.length });
+    await pool(targets, async (target) => {
+      const result = await scanner.check(target);
+      if (!store.get(target.id)) return;
+      record(target, result);
+      results[target.id] = result;
+      emit('result', { scanId, id: target.id, name: target.name, ...result });
+      settle(target, result);
+    });
+    incidents.track(results, store.list());
+    globalHealth = health();
+    lastScan = new Date();
+    emit('scan-complete', { scanId, globalHealth, timestamp: lastScan.toISOString(), stats: allStats() });
+    return results;
+  };
+
+  const scheduler = createScheduler({ targets: () => store.list(), scan: probeAll, paused: () => schedule.get() });
+  scheduler.onChange(state => emit('schedule', { ...state, concurrency }));
+
+  // Probe every target that is not paused, now
+  const scan = () => scheduler.runNow();
+
+  // Serverless instances have no background loop, so scan on demand when stale
+  const ensureFresh = async () => {
+    if (!lastScan || Date.now() - lastScan.getTime() > interval) await scan();
+  };
+
+  const start = () => scheduler.start();
+  const stop = () => scheduler.stop();
+
+  // Forget removed targets and tell subscribers about the new registry
+  store.onChange((targets) => {
+    const ids = new Set(targets.map(t => t.id));
+    Object.keys(statuses).filter(id => !ids.has(id)).forEach(id => {
+      delete statuses[id];
+      scanner.forget(id);
+      collector.drop(id);
+      history.drop(id);
+    });
+    globalHealth = lastScan ? health() : globalHealth;
+    emit('targets', { targets, globalHealth });
+  });
+
+  policy.onChange((next) => {
+    globalHealth = lastScan ? health() : globalHealth;
+    emit('policy', { policy: next, globalHealth });
+  });
+
+  schedule.onChange(() => scheduler.refresh());
+
+  maintenance.onChange((windows) => emit('maintenance', { windows }));
+
+  incidents.onChange((changes) => changes.forEach(change => emit('incident', change)));
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Events after lastId, or null when the buffer no longer covers the gap
+  // (or the id is from before a restart) and the caller needs a snapshot
+  const eventsSince = (lastId) => {
+    if (!Number.isInteger(lastId) || lastId > seq) return null;
+    const oldest = events.length > 0 ? events[0].id : seq + 1;
+    if (lastId < oldest - 1) return null;
+    return events.filter(e => e.id > lastId);
+  };
+
+  const snapshot = () => ({
+    id: seq,
+    type: 'snapshot',
+    data: {
+      globalHealth,
+      lastScan: lastScan ? lastScan.toISOString() : null,
+      scanning: scheduler.running,
+      interval,
+      schedule: { ...scheduler.snapshot(), concurrency },
+      targets: store.list(),
+      persistent: store.persistent,
+      policy: policy.get(),
+      maintenance: maintenance.list(),
+      incidents: incidents.list(),
+      statuses,
+      stats: allStats(),
+      history: Object.fromEntries(store.list().map(t => [t.id, history.recent(t.id, SNAPSHOT_HISTORY)])),
+    },
+  });
+
+  return {
+    get targets() { return store.list(); },
+    region,
+    scan,
+    ensureFresh,
+    start,
+    stop,
+    subscribe,
+    // Lets other subsystems (alerts, ...) put their events on the same stream
+    publish: emit,
+    eventsSince,
+    snapshot,
+    getTarget: (id) => store.get(id),
+    getStatus: (id) => statuses[id] || null,
+    getHistory: (id, since = 0, resolution = 'raw') => history.samples(id, since, resolution),
+    getRecent: (id, count) => history.recent(id, count),
+    getStats: (id) => history.stats(id),
+    getSchedule: () => ({ ...scheduler.snapshot(), concurrency }),
+    // Without an id: every upcoming window, none of them active for a target
+    getMaintenance: (id = null) => ({
+      active: id == null ? null : activeWindow(maintenance.list(), id),
+      upcoming: upcomingWindows(maintenance.list(), id),
+    }),
+    get globalHealth() { return globalHealth; },
+    get lastScan() { return lastScan; },
+  };
+};
+
+// Shared instance used by the local server and the serverless functions
+export const monitor = createMonitor();
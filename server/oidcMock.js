@@ -0,0 +1,103 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+// A stand-in OpenID Connect provider for trying SSO locally. It signs in
+// whoever types an email on its form, so never point a real deployment at it.
+//
+//   npm run oidc-mock
+//   METAMONITOR_OIDC_ISSUER=http://localhost:3201 METAMONITOR_OIDC_CLIENT_ID=metamonitor \
+//     METAMONITOR_OIDC_CLIENT_SECRET=mock-secret npm run server
+
+const PORT = Number(process.env.OIDC_MOCK_PORT) || 3201;
+const ISSUER = `http://localhost:${PORT}`;
+const SECRET = process.env.METAMONITOR_OIDC_CLIENT_SECRET || 'mock-secret';
+
+// code -> claims, handed out by the form and redeemed once at /token
+const codes = new Map();
+
+const escape = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (claims) => {
+  const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', SECRET).update(unsigned).digest('base64url')}`;
+};
+
+const readForm = async (req) => {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return Object.fromEntries(new URLSearchParams(raw));
+};
+
+const send = (res, status, type, body) => {
+  res.writeHead(status, { 'content-type': type });
+  res.end(body);
+};
+
+const form = (query) => `<!doctype html>
+<title>Mock OIDC sign-in</title>
+<body style="font-family:monospace;background:#000;color:#ddd;padding:2rem">
+<h1>Mock OIDC provider</h1>
+<form method="post">
+${['redirect_uri', 'state', 'nonce', 'client_id'].map(key => `<input type="hidden" name="${key}" value="${escape(query.get(key))}">`).join('\n')}
+<p><label>Email <input name="email" type="email" required></label></p>
+<p><label>Name <input name="name"></label></p>
+<p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+<button>Sign in</button>
+</form>`;
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return send(res, 200, 'application/json', JSON.stringify({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['HS256'],
+    }));
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'GET') {
+    return send(res, 200, 'text/html; charset=utf-8', form(url.searchParams));
+  }
+
+  if (url.pathname === '/authorize' && req.method === 'POST') {
+    const input = await readForm(req);
+    const code = crypto.randomBytes(16).toString('hex');
+    const email = String(input.email || '').toLowerCase();
+    codes.set(code, {
+      iss: ISSUER,
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 16),
+      aud: input.client_id,
+      email,
+      email_verified: input.email_verified === 'true',
+      name: input.name || email,
+      nonce: input.nonce,
+    });
+    const redirect = new URL(input.redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', input.state);
+    res.writeHead(302, { location: redirect.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const { code } = await readForm(req);
+    const claims = codes.get(code);
+    codes.delete(code);
+    if (!claims) return send(res, 400, 'application/json', JSON.stringify({ error: 'invalid_grant' }));
+    const now = Math.floor(Date.now() / 1000);
+    return send(res, 200, 'application/json', JSON.stringify({
+      token_type: 'Bearer',
+      access_token: crypto.randomBytes(16).toString('hex'),
+      id_token: sign({ ...claims, iat: now, exp: now + 300 }),
+    }));
+  }
+
+  send(res, 404, 'text/plain', 'Not found');
+});
+
+server.listen(PORT, () => console.log(`[oidc-mock] provider listening on ${ISSUER}`));
@@ -0,0 +1,26 @@
+import { COLORS, escapeHtml } from './common.js';
+
+// Rough Verdana 11px advance; badges don't need exact metrics
+const textWidth = (text) => Math.round(text.length * 6.6 + 10);
+
+// Flat, shields.io-style badge: label on grey, status on its color
+export const renderBadge = ({ label, status, detail }) => {
+  const message = detail ? `${status} ${detail}` : status;
+  const left = textWidth(label);
+  const right = textWidth(message);
+  const width = left + right;
+  const color = COLORS[status] || COLORS.UNKNOWN;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeHtml(`${label}: ${message}`)}">
+  <title>${escapeHtml(`${label}: ${message}`)}</title>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${left}" height="20" fill="#1f2937"/>
+    <rect x="${left}" width="${right}" height="20" fill="${color}"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${left / 2}" y="14">${escapeHtml(label)}</text>
+    <text x="${left + right / 2}" y="14">${escapeHtml(message)}</text>
+  </g>
+</svg>
+`;
+};
@@ -0,0 +1,53 @@
+import { DAY, bucketUptime } from '../../lib/history.js';
+
+// Shared bits of the public pages. Colors follow the dashboard's Tailwind
+// palette so the pages read as the same product.
+
+export const COLORS = {
+  UP: '#22c55e',
+  DEGRADED: '#f59e0b',
+  DOWN: '#ef4444',
+  MAINTENANCE: '#3b82f6',
+  UNKNOWN: '#6b7280',
+  PENDING: '#6b7280',
+};
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}[c]));
+
+export const HISTORY_DAYS = 90;
+
+// Same thresholds as the dashboard heatmap (StatusHeatmap.jsx)
+export const dayColor = (bucket) => {
+  if (!bucket || bucket.count === 0) return '#1f2937';
+  const uptime = bucketUptime(bucket);
+  if (uptime == null) return COLORS.MAINTENANCE;
+  if (uptime >= 99.9 && bucket.degraded === 0) return '#22c55e';
+  if (uptime >= 99) return '#15803d';
+  if (uptime >= 95) return '#f59e0b';
+  return '#ef4444';
+};
+
+export const dayStarts = (now = Date.now()) => {
+  const today = Math.floor(now / DAY) * DAY;
+  return Array.from({ length: HISTORY_DAYS }, (_, i) => today - (HISTORY_DAYS - 1 - i) * DAY);
+};
+
+export const formatUptime = (uptime) => (uptime == null ? '—' : `${uptime.toFixed(2)}%`);
+
+// One-line verdict for the whole fleet
+export const overallStatus = (targets) => {
+  const statuses = targets.map(t => t.status);
+  if (statuses.includes('DOWN')) return { label: 'Major outage', color: COLORS.DOWN };
+  if (statuses.includes('DEGRADED')) return { label: 'Partial degradation', color: COLORS.DEGRADED };
+  if (statuses.length > 0 && statuses.every(s => s === 'UP')) return { label: 'All systems operational', color: COLORS.UP };
+  if (statuses.includes('MAINTENANCE') && statuses.every(s => s === 'UP' || s === 'MAINTENANCE')) {
+    return { label: 'Scheduled maintenance in progress', color: COLORS.MAINTENANCE };
+  }
+  return { label: 'Checking status', color: COLORS.UNKNOWN };
+};
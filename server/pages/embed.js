@@ -0,0 +1,57 @@
+import { COLORS, escapeHtml, formatUptime, overallStatus } from './common.js';
+
+const THEMES = {
+  dark: { background: '#000', text: '#e5e7eb', muted: '#6b7280', border: '#1f2937' },
+  light: { background: '#fff', text: '#111827', muted: '#6b7280', border: '#e5e7eb' },
+};
+
+// Compact list meant to sit in an iframe (see widget.js)
+export const renderEmbed = ({ globalHealth, targets }, { theme = 'dark', refresh = 60 } = {}) => {
+  const colors = THEMES[theme] || THEMES.dark;
+  const overall = overallStatus(targets);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="${Number(refresh)}">
+<title>MetaMonitor</title>
+<style>
+  body { margin: 0; background: ${colors.background}; color: ${colors.text}; font: 12px/1.6 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  a { color: inherit; text-decoration: none; }
+  header, li { display: flex; justify-content: space-between; padding: 6px 12px; border-bottom: 1px solid ${colors.border}; }
+  header { font-weight: bold; }
+  ul { list-style: none; margin: 0; padding: 0; }
+  .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 8px; }
+  .muted { color: ${colors.muted}; }
+</style>
+</head>
+<body>
+  <header><a href="/status" target="_blank" rel="noopener" style="color:${overall.color}">${overall.label}</a><span>${globalHealth ?? '—'}%</span></header>
+  <ul>
+    ${targets.map(t => `<li>
+      <span><span class="dot" style="background:${COLORS[t.status] || COLORS.UNKNOWN}"></span>${escapeHtml(t.name)}</span>
+      <span class="muted">${formatUptime(t.stats['30d']?.uptime)}</span>
+    </li>`).join('')}
+  </ul>
+</body>
+</html>
+`;
+};
+
+// <script src="https://host/widget.js" data-targets="aws,azure" data-theme="light" async></script>
+// drops an iframe of /embed next to the script tag
+export const WIDGET_SCRIPT = `(function () {
+  var script = document.currentScript;
+  if (!script) return;
+  var origin = new URL(script.src).origin;
+  var params = new URLSearchParams();
+  if (script.dataset.targets) params.set('ids', script.dataset.targets);
+  if (script.dataset.theme) params.set('theme', script.dataset.theme);
+  var frame = document.createElement('iframe');
+  frame.src = origin + '/embed' + (params.toString() ? '?' + params : '');
+  frame.title = 'MetaMonitor status';
+  frame.loading = 'lazy';
+  frame.style.cssText = 'border:0;width:100%;max-width:' + (script.dataset.width || '360px') + ';height:' + (script.dataset.height || '240px');
+  script.parentNode.insertBefore(frame, script);
+})();
+`;
@@ -0,0 +1,87 @@
+import { COLORS, escapeHtml, dayColor, dayStarts, formatUptime, overallStatus, HISTORY_DAYS } from './common.js';
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #000; color: #e5e7eb; font: 14px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  main { max-width: 880px; margin: 0 auto; padding: 48px 20px; }
+  h1 { font-size: 28px; letter-spacing: -0.02em; margin: 0 0 4px; color: #fff; }
+  .label { font-size: 10px; text-transform: uppercase; letter-spacing: 0.2em; color: #4b5563; }
+  .banner { border: 1px solid #1f2937; padding: 20px 24px; margin: 32px 0; display: flex; justify-content: space-between; align-items: center; font-weight: bold; }
+  .target { border: 1px solid #1f2937; border-top: 0; padding: 20px 24px; }
+  .target:first-of-type { border-top: 1px solid #1f2937; }
+  .row { display: flex; justify-content: space-between; align-items: baseline; gap: 16px; }
+  .name { color: #fff; font-weight: bold; text-decoration: none; }
+  .bars { display: flex; gap: 2px; height: 32px; margin: 12px 0 6px; }
+  .bars span { flex: 1; }
+  .incident { font-size: 12px; margin-top: 8px; }
+  footer { margin-top: 32px; display: flex; justify-content: space-between; }
+  a { color: inherit; }
+`;
+
+const bars = (daily, now) => {
+  const byDay = new Map(daily.map(b => [b.start, b]));
+  return dayStarts(now).map(start => {
+    const bucket = byDay.get(start);
+    const day = new Date(start).toISOString().slice(0, 10);
+    const title = bucket
+      ? `${day}: ${bucket.down} down, ${bucket.degraded} degraded${bucket.maintenance ? `, ${bucket.maintenance} in maintenance` : ''} of ${bucket.count} checks`
+      : `${day}: no data`;
+    return `<span style="background:${dayColor(bucket)}" title="${escapeHtml(title)}"></span>`;
+  }).join('');
+};
+
+const utc = (iso) => escapeHtml(iso.replace('T', ' ').slice(0, 16));
+
+const targetSection = (target, now) => `
+  <section class="target">
+    <div class="row">
+      <a class="name" href="${escapeHtml(target.url)}" rel="noopener">${escapeHtml(target.name)}</a>
+      <strong style="color:${COLORS[target.status] || COLORS.UNKNOWN}">${escapeHtml(target.status)}</strong>
+    </div>
+    <div class="bars">${bars(target.daily, now)}</div>
+    <div class="row label">
+      <span>${HISTORY_DAYS} days ago</span>
+      <span>24h ${formatUptime(target.stats['24h']?.uptime)} · 30d ${formatUptime(target.stats['30d']?.uptime)}</span>
+      <span>Today</span>
+    </div>
+    ${target.incidents.map(incident => `
+      <div class="incident" style="color:${incident.impact === 'major' || incident.impact === 'critical' ? COLORS.DOWN : COLORS.DEGRADED}">
+        ▲ ${incident.url ? `<a href="${escapeHtml(incident.url)}" rel="noopener">${escapeHtml(incident.title)}</a>` : escapeHtml(incident.title)}
+      </div>`).join('')}
+    ${target.maintenance.map(window => `
+      <div class="incident" style="color:${COLORS.MAINTENANCE}">
+        ◆ ${escapeHtml(window.title)}: ${utc(window.start)} – ${utc(window.end)} UTC
+      </div>`).join('')}
+  </section>`;
+
+// Standalone status page: no scripts, everything inline, so it can be
+// served directly or saved as a file. `refresh` adds a meta refresh.
+export const renderStatusPage = ({ globalHealth, lastScan, targets }, { refresh = 60, now = Date.now() } = {}) => {
+  const overall = overallStatus(targets);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${refresh ? `<meta http-equiv="refresh" content="${Number(refresh)}">` : ''}
+<title>MetaMonitor Status</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+  <div class="label">MetaMonitor // Public status</div>
+  <h1>Global health: ${globalHealth ?? '—'}%</h1>
+  <div class="banner" style="color:${overall.color}">
+    <span>${overall.label}</span>
+    <span class="label">${lastScan ? `Updated ${escapeHtml(lastScan.toISOString().replace('T', ' ').slice(0, 19))} UTC` : 'Waiting for first scan'}</span>
+  </div>
+  ${targets.map(target => targetSection(target, now)).join('')}
+  <footer class="label">
+    <span>Powered by MetaMonitor</span>
+    <a href="/">Open dashboard</a>
+  </footer>
+</main>
+</body>
+</html>
+`;
+};
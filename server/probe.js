@@ -0,0 +1,185 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { performance } from 'node:perf_hooks';
+import { matchesStatus } from '../lib/targets.js';
+
+export const DEFAULT_TIMEOUT = 10000;
+export const DEGRADED_LATENCY = 5000;
+const MAX_BODY = 1024 * 1024;
+
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'ENODATA'];
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+
+export const round = (ms) => (ms == null ? null : Math.round(ms));
+
+export const classifyError = (error) => {
+  if (!error) return null;
+  if (error.code === 'ETIMEDOUT' || error.name === 'TimeoutError') return 'TIMEOUT';
+  if (DNS_ERRORS.includes(error.code)) return 'DNS';
+  if (CONNECTION_ERRORS.includes(error.code)) return 'CONNECTION';
+  if (error.code === 'ETIMEOUT') return 'TIMEOUT';
+  if (/CERT|SSL|TLS/.test(error.code || '')) return 'TLS';
+  if (error.code === 'EPRIVATE') return 'BLOCKED';
+  return 'UNKNOWN';
+};
+
+// Ad-hoc probes (POST /api/probe) check whatever the caller describes, so
+// they must not reach the server's own network: loopback, private,
+// link-local (cloud metadata), shared, multicast and reserved ranges
+const PRIVATE = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+  .forEach(([prefix, bits]) => PRIVATE.addSubnet(prefix, bits, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([prefix, bits]) => PRIVATE.addSubnet(prefix, bits, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are judged as IPv4
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const refusal = (address) => Object.assign(new Error(`Refusing to probe private address ${address}`), { code: 'EPRIVATE' });
+
+// dns.lookup that fails when a name resolves to a private address
+const publicLookup = (hostname, options, callback) => dns.lookup(hostname, options, (error, address, family) => {
+  if (error) return callback(error);
+  const blocked = (Array.isArray(address) ? address : [{ address }]).find(entry => isPrivateAddress(entry.address));
+  if (blocked) return callback(refusal(blocked.address));
+  return callback(null, address, family);
+});
+
+// Connection options for a probe of host: untrusted ones resolve through
+// publicLookup, and IP literals, which skip the lookup, are checked here.
+// { error } when the connection must not be attempted at all.
+export const guardConnection = (host, untrusted) => {
+  if (!untrusted) return { options: {} };
+  const bare = host.replace(/^\[|\]$/g, '');
+  if (net.isIP(bare) && isPrivateAddress(bare)) return { error: refusal(bare) };
+  return { options: { lookup: publicLookup } };
+};
+
+// The address an untrusted connection to host may use, for clients that
+// take no lookup option (nodemailer). Rejects with EPRIVATE otherwise.
+export const publicAddress = (host) => new Promise((resolve, reject) => {
+  const bare = host.replace(/^\[|\]$/g, '');
+  if (net.isIP(bare)) return isPrivateAddress(bare) ? reject(refusal(bare)) : resolve(bare);
+  publicLookup(bare, {}, (error, address) => (error ? reject(error) : resolve(address)));
+});
+
+export const NO_TIMINGS = { dns: null, tcp: null, tls: null, ttfb: null, total: 0 };
+
+// Single request with per-phase timings. Resolves on response headers
+// unless readBody is set, in which case up to 1 MB of body is collected.
+export const request = (url, { method = 'HEAD', timeout = DEFAULT_TIMEOUT, readBody = false, untrusted = false } = {}) => {
+  return new Promise((resolve) => {
+    const parsed = new URL(url);
+    const guard = guardConnection(parsed.hostname, untrusted);
+    if (guard.error) {
+      resolve({ statusCode: null, timings: NO_TIMINGS, body: null, location: null, error: guard.error.message, errorClass: classifyError(guard.error) });
+      return;
+    }
+    const client = parsed.protocol === 'https:' ? https : http;
+    const start = performance.now();
+    const marks = {};
+    let location = null;
+    let settled = false;
+
+    const finish = (statusCode, error, body = null) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      const timings = {
+        dns: round(marks.lookup != null ? marks.lookup - start : null),
+        tcp: round(marks.connect != null ? marks.connect - (marks.lookup ?? start) : null),
+        tls: round(marks.secureConnect != null ? marks.secureConnect - marks.connect : null),
+        ttfb: round(marks.response != null ? marks.response - (marks.secureConnect ?? marks.connect ?? start) : null),
+        total: round(performance.now() - start),
+      };
+      resolve({ statusCode, timings, body, location, error: error ? error.message : null, errorClass: classifyError(error) });
+    };
+
+    const req = client.request(parsed, {
+      ...guard.options,
+      method,
+      agent: false,
+      headers: { 'user-agent': 'MetaMonitor/2.0 (+https://metamonitor.io)', accept: '*/*' },
+    });
+
+    req.on('socket', (socket) => {
+      socket.once('lookup', () => { marks.lookup = performance.now(); });
+      socket.once('connect', () => { marks.connect = performance.now(); });
+      socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+    });
+
+    req.on('response', (res) => {
+      marks.response = performance.now();
+      location = res.headers.location || null;
+      if (!readBody) {
+        finish(res.statusCode, null);
+        req.destroy();
+        return;
+      }
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (body.length >= MAX_BODY) {
+          finish(res.statusCode, null, body.slice(0, MAX_BODY));
+          req.destroy();
+        }
+      });
+      res.on('end', () => finish(res.statusCode, null, body));
+      res.on('error', (error) => finish(null, error));
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error('Connection timeout');
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    }, timeout);
+
+    req.on('error', (error) => finish(null, error));
+
+    req.end();
+  });
+};
+
+const MAX_REDIRECTS = 3;
+
+const isRedirect = ({ statusCode, location }) => statusCode >= 300 && statusCode < 400 && Boolean(location);
+
+// request(), following up to MAX_REDIRECTS redirects. Timings are the last
+// hop's, with total covering every hop.
+export const requestFollowing = async (url, options) => {
+  let current = url;
+  let elapsed = 0;
+  let outcome = await request(current, options);
+  elapsed += outcome.timings.total;
+  for (let hop = 0; hop < MAX_REDIRECTS && isRedirect(outcome); hop++) {
+    current = new URL(outcome.location, current).href;
+    outcome = await request(current, options);
+    elapsed += outcome.timings.total;
+  }
+  const timings = { ...outcome.timings, total: elapsed };
+  if (isRedirect(outcome)) return { ...outcome, url: current, timings, error: `More than ${MAX_REDIRECTS} redirects`, errorClass: 'HTTP' };
+  return { ...outcome, url: current, timings };
+};
+
+export const isHttpFailure = (statusCode, expectedStatus) => (
+  expectedStatus.length > 0 ? !matchesStatus(statusCode, expectedStatus) : statusCode >= 400
+);
+
+// Without expectedStatus, 5xx is DOWN and 4xx DEGRADED; with it, anything
+// outside the list is DOWN. Slow answers are DEGRADED.
+export const classify = ({ statusCode, timings, errorClass }, expectedStatus = [], degradedLatency = DEGRADED_LATENCY) => {
+  if (errorClass || statusCode == null) return 'DOWN';
+  if (isHttpFailure(statusCode, expectedStatus)) {
+    return expectedStatus.length === 0 && statusCode < 500 ? 'DEGRADED' : 'DOWN';
+  }
+  return timings.total > degradedLatency ? 'DEGRADED' : 'UP';
+};
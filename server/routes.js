@@ -0,0 +1,95 @@
+import { serverless } from './http.js';
+import { authorize } from './auth/index.js';
+import probe from './handlers/probe.js';
+import { status, targetStatus, history } from './handlers/v1.js';
+import stream, { triggerScan } from './handlers/stream.js';
+import { targets, target } from './handlers/targets.js';
+import { policy } from './handlers/policy.js';
+import { maintenance } from './handlers/maintenance.js';
+import { agents, agentReport, AGENT_TOKEN } from './handlers/agents.js';
+import { schedule, pause } from './handlers/schedule.js';
+import { statusPage, embed, widget, badge } from './handlers/public.js';
+import { metrics, METRICS_TOKEN } from './handlers/metrics.js';
+import { incidents, incidentStats, incident, acknowledgeIncident, incidentNote } from './handlers/incidents.js';
+import { activeAlerts, acknowledgeAlert, rules, channels, silences, testChannel } from './handlers/alerts.js';
+import {
+  authSession,
+  signup,
+  login,
+  logout,
+  oidcLogin,
+  oidcCallback,
+  workspaces,
+  members,
+  member,
+  keys,
+  key,
+} from './handlers/auth.js';
+
+// Keep in sync with the functions under api/ and the rewrites in vercel.json.
+// The stream, scan trigger, scheduler, incidents, metrics, alerting and the
+// probe-agent collector need the long-running monitor, so they are only
+// served here; serverless deploys fall back to browser-driven scans.
+//
+// scope names the resource a route belongs to (see lib/auth.js); once the
+// server has accounts, server/auth checks the caller holds '<scope>:read'
+// or ':write' for it (always ':write' with write set). Routes without one
+// are public. The public pages always show the default workspace.
+//
+// The probe makes the server fetch whatever the caller names, so it takes
+// the same scope as changing the targets the monitor fetches.
+export const routes = [
+  { path: '/api/probe', handler: probe, scope: 'targets', write: true },
+  { path: '/v1/status', handler: status, scope: 'status' },
+  { path: '/v1/status/:id', handler: targetStatus, scope: 'status' },
+  { path: '/v1/history/:id', handler: history, scope: 'status' },
+  { path: '/v1/targets', handler: targets, scope: 'targets' },
+  { path: '/v1/targets/:id', handler: target, scope: 'targets' },
+  { path: '/v1/policy', handler: policy, scope: 'settings' },
+  { path: '/v1/maintenance', handler: maintenance.list, scope: 'settings' },
+  { path: '/v1/maintenance/:id', handler: maintenance.item, scope: 'settings' },
+  { path: '/status', handler: statusPage },
+  { path: '/embed', handler: embed },
+  { path: '/widget.js', handler: widget },
+  { path: '/badge.svg', handler: badge },
+  { path: '/badge/:id.svg', handler: badge },
+  { path: '/v1/stream', handler: stream, scope: 'status' },
+  { path: '/v1/scan', handler: triggerScan, scope: 'status' },
+  { path: '/v1/schedule', handler: schedule, scope: 'status' },
+  { path: '/v1/schedule/pause', handler: pause, scope: 'settings' },
+  { path: '/v1/agents', handler: agents, scope: 'agents' },
+  { path: '/v1/agents/report', handler: agentReport, scope: 'agents', token: AGENT_TOKEN },
+  { path: '/metrics', handler: metrics, scope: 'metrics', token: METRICS_TOKEN },
+  { path: '/v1/incidents', handler: incidents, scope: 'incidents' },
+  { path: '/v1/incidents/stats', handler: incidentStats, scope: 'incidents' },
+  { path: '/v1/incidents/:id', handler: incident, scope: 'incidents' },
+  { path: '/v1/incidents/:id/ack', handler: acknowledgeIncident, scope: 'incidents' },
+  { path: '/v1/incidents/:id/notes', handler: incidentNote, scope: 'incidents' },
+  { path: '/v1/alerts', handler: activeAlerts, scope: 'alerts' },
+  { path: '/v1/alerts/rules', handler: rules.list, scope: 'alerts' },
+  { path: '/v1/alerts/rules/:id', handler: rules.item, scope: 'alerts' },
+  { path: '/v1/alerts/channels', handler: channels.list, scope: 'alerts' },
+  { path: '/v1/alerts/channels/:id', handler: channels.item, scope: 'alerts' },
+  { path: '/v1/alerts/channels/:id/test', handler: testChannel, scope: 'alerts' },
+  { path: '/v1/alerts/silences', handler: silences.list, scope: 'alerts' },
+  { path: '/v1/alerts/silences/:id', handler: silences.item, scope: 'alerts' },
+  { path: '/v1/alerts/:key/ack', handler: acknowledgeAlert, scope: 'alerts' },
+  { path: '/v1/auth/session', handler: authSession },
+  { path: '/v1/auth/signup', handler: signup },
+  { path: '/v1/auth/login', handler: login },
+  { path: '/v1/auth/logout', handler: logout },
+  { path: '/auth/oidc/login', handler: oidcLogin },
+  { path: '/auth/oidc/callback', handler: oidcCallback },
+  { path: '/v1/workspaces', handler: workspaces },
+  { path: '/v1/workspace/members', handler: members, scope: 'workspace' },
+  { path: '/v1/workspace/members/:userId', handler: member, scope: 'workspace' },
+  { path: '/v1/workspace/keys', handler: keys, scope: 'workspace' },
+  { path: '/v1/workspace/keys/:id', handler: key, scope: 'workspace' },
+];
+
+// The Vercel function (see api/) for the route at path, behind the same
+// auth guard as the long-running server
+export const serverlessRoute = (path) => {
+  const route = routes.find(r => r.path === path);
+  return serverless(route.handler, { guard: req => authorize(req, route) });
+};
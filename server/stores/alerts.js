@@ -0,0 +1,49 @@
+import { normalizeRule, validateRule } from '../../lib/alerts.js';
+import { normalizeChannel, validateChannel } from '../alerts/channels/index.js';
+import { createCollection } from './collection.js';
+
+const toIso = (value) => {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+};
+
+// A silence with neither ruleId nor targetId mutes everything
+const normalizeSilence = (input) => ({
+  id: input.id || `sil-${Date.now().toString(36)}`,
+  ruleId: input.ruleId || null,
+  targetId: input.targetId || null,
+  startsAt: input.startsAt ? toIso(input.startsAt) : new Date().toISOString(),
+  endsAt: toIso(input.endsAt),
+  comment: String(input.comment || ''),
+});
+
+const validateSilence = (silence) => {
+  if (!silence.startsAt) return ['startsAt must be a date'];
+  if (!silence.endsAt) return ['endsAt must be a date'];
+  if (Date.parse(silence.endsAt) <= Date.parse(silence.startsAt)) return ['endsAt must be after startsAt'];
+  return [];
+};
+
+// Rules, channels and silences of one workspace (dir '' for the default one)
+export const createAlertStores = ({ dir = '' } = {}) => ({
+  rules: createCollection({
+    file: `${dir}alerts/rules.json`,
+    label: 'Rule',
+    normalize: normalizeRule,
+    validate: validateRule,
+  }),
+  channels: createCollection({
+    file: `${dir}alerts/channels.json`,
+    label: 'Channel',
+    normalize: normalizeChannel,
+    validate: validateChannel,
+  }),
+  silences: createCollection({
+    file: `${dir}alerts/silences.json`,
+    label: 'Silence',
+    normalize: normalizeSilence,
+    validate: validateSilence,
+  }),
+});
+
+export const { rules: ruleStore, channels: channelStore, silences: silenceStore } = createAlertStores();
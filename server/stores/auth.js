@@ -0,0 +1,68 @@
+import { createCollection } from './collection.js';
+
+// Accounts, workspaces, API keys and sessions. Records are built by
+// server/auth/index.js, which checks the input first; the stores only
+// guard against half-formed records.
+
+const required = (fields) => (item) => fields.filter(field => !item[field]).map(field => `${field} is required`);
+
+export const DEFAULT_WORKSPACE = 'default';
+
+// passwordHash is null for accounts that only sign in through OIDC
+export const userStore = createCollection({
+  file: 'auth/users.json',
+  label: 'User',
+  normalize: (input) => ({
+    id: input.id,
+    email: input.email,
+    name: input.name,
+    passwordHash: input.passwordHash ?? null,
+    oidcSubject: input.oidcSubject ?? null,
+    createdAt: input.createdAt || new Date().toISOString(),
+  }),
+  validate: required(['id', 'email', 'name']),
+});
+
+// The default workspace is the original single-user install
+export const workspaceStore = createCollection({
+  file: 'auth/workspaces.json',
+  label: 'Workspace',
+  normalize: (input) => ({
+    id: input.id,
+    name: input.name,
+    members: Array.isArray(input.members) ? input.members : [],
+    createdAt: input.createdAt || new Date().toISOString(),
+  }),
+  validate: required(['id', 'name']),
+  seed: [{ id: DEFAULT_WORKSPACE, name: 'Default', members: [], createdAt: new Date(0).toISOString() }],
+});
+
+// Only a hash of the secret is kept; prefix is enough to tell keys apart
+export const keyStore = createCollection({
+  file: 'auth/keys.json',
+  label: 'API key',
+  normalize: (input) => ({
+    id: input.id,
+    name: input.name,
+    workspace: input.workspace,
+    scopes: input.scopes || [],
+    prefix: input.prefix,
+    hash: input.hash,
+    createdBy: input.createdBy ?? null,
+    createdAt: input.createdAt || new Date().toISOString(),
+  }),
+  validate: required(['id', 'name', 'workspace', 'hash']),
+});
+
+// Keyed by a hash of the cookie's token
+export const sessionStore = createCollection({
+  file: 'auth/sessions.json',
+  label: 'Session',
+  normalize: (input) => ({
+    id: input.id,
+    userId: input.userId,
+    workspace: input.workspace,
+    expiresAt: input.expiresAt,
+  }),
+  validate: required(['id', 'userId', 'workspace', 'expiresAt']),
+});
@@ -0,0 +1,62 @@
+import { HttpError } from '../http.js';
+import { readJsonFile, writeJsonFile, isWritable } from './file.js';
+
+// A JSON-file-backed list of records with string ids, for config that is
+// edited over the API (alert rules, channels, silences, ...)
+export const createCollection = ({ file, label, normalize, validate, seed = [] }) => {
+  const listeners = new Set();
+  const persistent = isWritable();
+  let items = readJsonFile(file, null)?.items || seed;
+
+  const commit = (next) => {
+    if (!persistent) throw new HttpError(503, `${label} store is read-only on this deployment`);
+    writeJsonFile(file, { version: 1, items: next });
+    items = next;
+    listeners.forEach(listener => listener(items));
+  };
+
+  const check = (input) => {
+    const item = normalize(input || {});
+    const errors = validate(item);
+    if (errors.length > 0) throw new HttpError(400, `Invalid ${label.toLowerCase()}`, errors);
+    return item;
+  };
+
+  const get = (id) => items.find(item => item.id === id) || null;
+
+  const findOrThrow = (id) => {
+    const item = get(id);
+    if (!item) throw new HttpError(404, `Unknown ${label.toLowerCase()}: ${id}`);
+    return item;
+  };
+
+  return {
+    persistent,
+    list: () => items,
+    get,
+
+    create(input) {
+      const item = check(input);
+      if (get(item.id)) throw new HttpError(409, `${label} already exists: ${item.id}`);
+      commit([...items, item]);
+      return item;
+    },
+
+    update(id, input, merge = (existing, next) => next) {
+      const existing = findOrThrow(id);
+      const item = check(merge(existing, { ...existing, ...input, id }));
+      commit(items.map(i => (i.id === id ? item : i)));
+      return item;
+    },
+
+    remove(id) {
+      findOrThrow(id);
+      commit(items.filter(i => i.id !== id));
+    },
+
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,37 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Local state lives next to the repo unless METAMONITOR_DATA_DIR says otherwise
+export const DATA_DIR = path.resolve(process.env.METAMONITOR_DATA_DIR || 'data');
+
+export const dataPath = (name) => path.join(DATA_DIR, name);
+
+export const readJsonFile = (name, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(dataPath(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+// Write to a temp file and rename so a crash never leaves half a document
+export const writeJsonFile = (name, data) => {
+  const file = dataPath(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(`${file}.tmp`, file);
+};
+
+export const removeFile = (name) => fs.rmSync(dataPath(name), { force: true });
+
+// Serverless filesystems are read-only outside /tmp
+export const isWritable = () => {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,48 @@
+import { createSeries, addSample, seriesStats, samplesSince } from '../../lib/history.js';
+import { readJsonFile, writeJsonFile, removeFile, isWritable } from './file.js';
+
+const FLUSH_INTERVAL = 10000;
+
+// One JSON document per target under data/history/, kept in memory and
+// flushed in batches so a scan does not rewrite every file
+export const createHistoryStore = ({ dir = '', flushInterval = FLUSH_INTERVAL } = {}) => {
+  const fileFor = (id) => `${dir}history/${id}.json`;
+  const series = new Map();
+  const dirty = new Set();
+  const persistent = isWritable();
+
+  const load = (id) => {
+    if (!series.has(id)) series.set(id, (persistent && readJsonFile(fileFor(id), null)) || createSeries());
+    return series.get(id);
+  };
+
+  const flush = () => {
+    if (!persistent) return;
+    dirty.forEach(id => writeJsonFile(fileFor(id), series.get(id)));
+    dirty.clear();
+  };
+
+  if (persistent) setInterval(flush, flushInterval).unref();
+
+  return {
+    persistent,
+    flush,
+
+    add(id, sample) {
+      addSample(load(id), sample);
+      dirty.add(id);
+    },
+
+    stats: (id, now) => seriesStats(load(id), now),
+    samples: (id, since, resolution) => samplesSince(load(id), since, resolution),
+    recent: (id, count) => load(id).raw.slice(-count),
+
+    drop(id) {
+      series.delete(id);
+      dirty.delete(id);
+      if (persistent) removeFile(fileFor(id));
+    },
+  };
+};
+
+export const historyStore = createHistoryStore();
@@ -0,0 +1,84 @@
+import {
+  trackIncidents,
+  acknowledgeIncident,
+  normalizeNote,
+  validateNote,
+  addIncidentNote,
+  normalizeIncidentEdit,
+  validateIncidentEdit,
+  editIncident,
+} from '../../lib/incidents.js';
+import { HttpError } from '../http.js';
+import { readJsonFile, writeJsonFile, isWritable } from './file.js';
+
+const FILE = 'incidents.json';
+
+// Incidents opened by the monitor (see lib/incidents.js) plus what operators
+// add to them. Tracking carries on in memory when the disk is read-only;
+// edits over the API need somewhere to keep them.
+export const createIncidentStore = ({ dir = '' } = {}) => {
+  const file = `${dir}${FILE}`;
+  const listeners = new Set();
+  const persistent = isWritable();
+  let items = readJsonFile(file, null)?.items || [];
+
+  const save = (next) => {
+    if (persistent) writeJsonFile(file, { version: 1, items: next });
+    items = next;
+  };
+
+  const get = (id) => items.find(item => item.id === id) || null;
+
+  // Replace one incident through fn(incident), announcing it as `kind`
+  const change = (id, kind, fn) => {
+    if (!persistent) throw new HttpError(503, 'Incident store is read-only on this deployment');
+    const existing = get(id);
+    if (!existing) throw new HttpError(404, `Unknown incident: ${id}`);
+    const incident = fn(existing);
+    save(items.map(item => (item.id === id ? incident : item)));
+    listeners.forEach(listener => listener([{ kind, incident }]));
+    return incident;
+  };
+
+  return {
+    persistent,
+    list: () => items,
+    get,
+
+    // Results of one scan; returns the changes, as trackIncidents does
+    track(results, targets, now) {
+      const { incidents, changes } = trackIncidents(items, results, targets, now);
+      if (changes.length === 0) return changes;
+      save(incidents);
+      listeners.forEach(listener => listener(changes));
+      return changes;
+    },
+
+    acknowledge(id, by = null) {
+      if (get(id)?.status === 'resolved') throw new HttpError(409, `Incident already resolved: ${id}`);
+      if (get(id)?.acknowledgedAt) throw new HttpError(409, `Incident already acknowledged: ${id}`);
+      return change(id, 'acknowledged', incident => acknowledgeIncident(incident, by));
+    },
+
+    addNote(id, input) {
+      const note = normalizeNote(input || {});
+      const errors = validateNote(note);
+      if (errors.length > 0) throw new HttpError(400, 'Invalid note', errors);
+      return change(id, 'note', incident => addIncidentNote(incident, note));
+    },
+
+    update(id, input, author = null) {
+      const edit = normalizeIncidentEdit(input || {});
+      const errors = validateIncidentEdit(edit);
+      if (errors.length > 0) throw new HttpError(400, 'Invalid incident', errors);
+      return change(id, 'updated', incident => editIncident(incident, edit, author));
+    },
+
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+export const incidentStore = createIncidentStore();
@@ -0,0 +1,11 @@
+import { normalizeWindow, validateWindow } from '../../lib/maintenance.js';
+import { createCollection } from './collection.js';
+
+export const createMaintenanceStore = ({ dir = '' } = {}) => createCollection({
+  file: `${dir}maintenance.json`,
+  label: 'Maintenance window',
+  normalize: normalizeWindow,
+  validate: validateWindow,
+});
+
+export const maintenanceStore = createMaintenanceStore();
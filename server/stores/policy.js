@@ -0,0 +1,41 @@
+import { DEFAULT_POLICY, normalizePolicy, validatePolicy } from '../../lib/health.js';
+import { HttpError } from '../http.js';
+import { readJsonFile, writeJsonFile, isWritable } from './file.js';
+
+const FILE = 'policy.json';
+
+// The scoring policy is a single document; updates merge into it
+export const createPolicyStore = ({ dir = '' } = {}) => {
+  const file = `${dir}${FILE}`;
+  const listeners = new Set();
+  const persistent = isWritable();
+  let policy = normalizePolicy(readJsonFile(file, null)?.policy || DEFAULT_POLICY);
+
+  return {
+    persistent,
+    get: () => policy,
+
+    update(input = {}) {
+      if (!persistent) throw new HttpError(503, 'Policy store is read-only on this deployment');
+      const next = normalizePolicy({
+        ...policy,
+        ...input,
+        scores: { ...policy.scores, ...input.scores },
+        damping: { ...policy.damping, ...input.damping },
+      });
+      const errors = validatePolicy(next);
+      if (errors.length > 0) throw new HttpError(400, 'Invalid policy', errors);
+      writeJsonFile(file, { version: 1, policy: next });
+      policy = next;
+      listeners.forEach(listener => listener(policy));
+      return policy;
+    },
+
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+export const policyStore = createPolicyStore();
@@ -0,0 +1,37 @@
+import { DEFAULT_PAUSE, normalizePause, validatePause } from '../../lib/scheduler.js';
+import { HttpError } from '../http.js';
+import { readJsonFile, writeJsonFile, isWritable } from './file.js';
+
+const FILE = 'schedule.json';
+
+// Which targets the scheduler skips (see lib/scheduler.js); kept across
+// restarts so paused monitoring stays paused
+export const createScheduleStore = ({ dir = '' } = {}) => {
+  const file = `${dir}${FILE}`;
+  const listeners = new Set();
+  const persistent = isWritable();
+  let pause = normalizePause(readJsonFile(file, null)?.pause || DEFAULT_PAUSE);
+
+  return {
+    persistent,
+    get: () => pause,
+
+    update(input = {}) {
+      if (!persistent) throw new HttpError(503, 'Schedule store is read-only on this deployment');
+      const next = normalizePause({ ...pause, ...input });
+      const errors = validatePause(next);
+      if (errors.length > 0) throw new HttpError(400, 'Invalid pause settings', errors);
+      writeJsonFile(file, { version: 1, pause: next });
+      pause = next;
+      listeners.forEach(listener => listener(pause));
+      return pause;
+    },
+
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+export const scheduleStore = createScheduleStore();
@@ -0,0 +1,81 @@
+import { DEFAULT_TARGETS, normalizeTarget, validateTarget } from '../../lib/targets.js';
+import { validateTargetList } from '../../lib/targetsFile.js';
+import { HttpError } from '../http.js';
+import { readJsonFile, writeJsonFile, isWritable } from './file.js';
+
+const FILE = 'targets.json';
+
+// dir: a workspace's folder under the data directory ('' for the default one)
+export const createTargetStore = ({ dir = '' } = {}) => {
+  const file = `${dir}${FILE}`;
+  const listeners = new Set();
+  const persistent = isWritable();
+  let targets = (readJsonFile(file, null)?.targets || DEFAULT_TARGETS).map(normalizeTarget);
+
+  const commit = (next) => {
+    if (!persistent) throw new HttpError(503, 'Target store is read-only on this deployment');
+    writeJsonFile(file, { version: 1, targets: next });
+    targets = next;
+    listeners.forEach(listener => listener(targets));
+    return targets;
+  };
+
+  const check = (input) => {
+    const target = normalizeTarget(input || {});
+    const errors = validateTarget(target);
+    if (errors.length > 0) throw new HttpError(400, 'Invalid target', errors);
+    return target;
+  };
+
+  const get = (id) => targets.find(t => t.id === id) || null;
+
+  const findOrThrow = (id) => {
+    const target = get(id);
+    if (!target) throw new HttpError(404, `Unknown target: ${id}`);
+    return target;
+  };
+
+  return {
+    persistent,
+    list: () => targets,
+    get,
+
+    create(input) {
+      const target = check(input);
+      if (get(target.id)) throw new HttpError(409, `Target already exists: ${target.id}`);
+      commit([...targets, target]);
+      return target;
+    },
+
+    // The id is fixed by the path; renaming means delete + create
+    update(id, input) {
+      const existing = findOrThrow(id);
+      const target = check({ ...existing, ...input, id });
+      commit(targets.map(t => (t.id === id ? target : t)));
+      return target;
+    },
+
+    remove(id) {
+      findOrThrow(id);
+      commit(targets.filter(t => t.id !== id));
+    },
+
+    // Whole-registry import; validated as one document so it is all-or-nothing
+    replace(list) {
+      let next;
+      try {
+        next = validateTargetList(list);
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+      return commit(next);
+    },
+
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+export const targetStore = createTargetStore();
@@ -0,0 +1,71 @@
+import { monitor as defaultMonitor } from '../monitor.js';
+import { createMetricsRegistry } from './prometheus.js';
+import { traceRequest, metricsRequest, parseHeaders, send } from './otlp.js';
+
+// Feeds every probe result the monitor publishes into the Prometheus
+// registry behind /metrics and, when OTEL_EXPORTER_OTLP_ENDPOINT is set
+// (e.g. http://localhost:4318), pushes each scan over OTLP/HTTP as traces
+// and/or metrics (METAMONITOR_OTLP_SIGNALS=traces,metrics).
+
+const SIGNALS = ['traces', 'metrics'];
+
+export const createTelemetry = ({
+  monitor = defaultMonitor,
+  registry = createMetricsRegistry(),
+  endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT,
+  headers = parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+  signals = (process.env.METAMONITOR_OTLP_SIGNALS || 'traces').split(',').map(s => s.trim()).filter(s => SIGNALS.includes(s)),
+  service = process.env.OTEL_SERVICE_NAME || 'metamonitor',
+  workspace = null,
+} = {}) => {
+  const startedAt = Date.now();
+  // Probes of scans in progress, by scan id
+  const scans = new Map();
+
+  const exportScan = async (scan, probes) => {
+    const base = endpoint.replace(/\/$/, '');
+    const requests = {
+      traces: () => traceRequest({ service, workspace, region: monitor.region, scan, probes }),
+      metrics: () => metricsRequest({ service, workspace, scan, probes, checks: registry.checks(), startedAt }),
+    };
+    await Promise.all(signals.map(async (signal) => {
+      try {
+        await send(`${base}/v1/${signal}`, headers, requests[signal]());
+      } catch (error) {
+        console.error(`[otlp] ${signal} export to ${base} failed:`, error.message);
+      }
+    }));
+  };
+
+  const handle = ({ type, data }) => {
+    if (type === 'scan-start') {
+      scans.set(data.scanId, { startedAt: Date.parse(data.timestamp), probes: [] });
+    } else if (type === 'result') {
+      const { scanId, id, name, ...result } = data;
+      const target = { ...monitor.getTarget(id), id, name };
+      registry.observe(target, result);
+      scans.get(scanId)?.probes.push({ target, result });
+    } else if (type === 'scan-complete') {
+      registry.setGlobalHealth(data.globalHealth);
+      const scan = scans.get(data.scanId);
+      scans.delete(data.scanId);
+      if (endpoint && scan && signals.length > 0) {
+        exportScan({ scanId: data.scanId, startedAt: scan.startedAt, endedAt: Date.parse(data.timestamp), globalHealth: data.globalHealth }, scan.probes);
+      }
+    } else if (type === 'targets') {
+      registry.retain(data.targets.map(t => t.id));
+      if (data.globalHealth != null) registry.setGlobalHealth(data.globalHealth);
+    } else if (type === 'policy' && data.globalHealth != null) {
+      registry.setGlobalHealth(data.globalHealth);
+    }
+  };
+
+  const start = () => {
+    if (endpoint) console.log(`[otlp] exporting ${signals.join(', ') || 'nothing'} to ${endpoint}`);
+    return monitor.subscribe(handle);
+  };
+
+  return { start, render: registry.render };
+};
+
+export const telemetry = createTelemetry();
@@ -0,0 +1,137 @@
+import { randomBytes } from 'node:crypto';
+
+// OTLP/HTTP (JSON encoding) payloads for probe results. A scan becomes one
+// trace: a root 'scan' span with a client span per probe. As metrics, each
+// scan reports gauges per target plus the cumulative check counters.
+
+const SCOPE = { name: 'metamonitor' };
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+const CUMULATIVE = 2;
+
+const hex = (bytes) => randomBytes(bytes).toString('hex');
+const nanos = (ms) => (BigInt(Math.round(ms)) * 1000000n).toString();
+
+// OTLP's AnyValue, for the attribute types we use
+const value = (v) => {
+  if (typeof v === 'boolean') return { boolValue: v };
+  if (Number.isInteger(v)) return { intValue: String(v) };
+  if (typeof v === 'number') return { doubleValue: v };
+  return { stringValue: String(v) };
+};
+
+const attributes = (pairs) => Object.entries(pairs)
+  .filter(([, v]) => v != null)
+  .map(([key, v]) => ({ key, value: value(v) }));
+
+// workspace is left out for the default one so single-user exports look as before
+const resource = (service, workspace) => ({ attributes: attributes({ 'service.name': service, 'metamonitor.workspace': workspace }) });
+
+const targetAttributes = (target) => ({
+  'metamonitor.target.id': target.id,
+  'metamonitor.target.name': target.name,
+  'metamonitor.check.type': target.type,
+});
+
+// scan: { scanId, startedAt, endedAt, globalHealth }; probes: [{ target, result }]
+export const traceRequest = ({ service, workspace, region, scan, probes }) => {
+  const traceId = hex(16);
+  const rootId = hex(8);
+  const root = {
+    traceId,
+    spanId: rootId,
+    name: 'scan',
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: nanos(scan.startedAt),
+    endTimeUnixNano: nanos(scan.endedAt),
+    attributes: attributes({
+      'metamonitor.scan.id': scan.scanId,
+      'metamonitor.scan.targets': probes.length,
+      'metamonitor.global_health': scan.globalHealth,
+      'metamonitor.region': region,
+    }),
+    status: { code: STATUS_OK },
+  };
+  const spans = probes.map(({ target, result }) => {
+    const end = Date.parse(result.lastChecked) || scan.endedAt;
+    const failed = ['DOWN', 'UNKNOWN'].includes(result.rawStatus || result.status);
+    return {
+      traceId,
+      spanId: hex(8),
+      parentSpanId: rootId,
+      name: `probe ${target.id}`,
+      kind: SPAN_KIND_CLIENT,
+      startTimeUnixNano: nanos(end - (result.latency || 0)),
+      endTimeUnixNano: nanos(end),
+      attributes: attributes({
+        ...targetAttributes(target),
+        'metamonitor.status': result.status,
+        'metamonitor.status.checked': result.rawStatus || result.status,
+        'metamonitor.latency_ms': result.latency,
+        'metamonitor.maintenance': result.maintenance?.title,
+        'metamonitor.quorum': result.quorum ? `${result.quorum.agreeing}/${result.quorum.total}` : null,
+        'url.full': target.checkUrl,
+        'http.response.status_code': result.statusCode,
+        'error.type': result.errorClass,
+      }),
+      status: failed ? { code: STATUS_ERROR, message: result.error || result.errorClass || 'check failed' } : { code: STATUS_OK },
+    };
+  });
+  return { resourceSpans: [{ resource: resource(service, workspace), scopeSpans: [{ scope: SCOPE, spans: [root, ...spans] }] }] };
+};
+
+const gauge = (name, unit, description, points) => ({ name, unit, description, gauge: { dataPoints: points } });
+
+// checks: [{ target, checks: { [result]: count } }] counted since startedAt
+export const metricsRequest = ({ service, workspace, scan, probes, checks, startedAt }) => {
+  const time = nanos(scan.endedAt);
+  const point = (target, v) => ({ timeUnixNano: time, asDouble: v, attributes: attributes(targetAttributes(target)) });
+  const reached = probes.filter(({ result }) => (result.rawStatus || result.status) !== 'UNKNOWN');
+  const metrics = [
+    gauge('metamonitor.up', '1', 'Whether the last check reached the target', reached.map(({ target, result }) => (
+      point(target, (result.rawStatus || result.status) === 'DOWN' ? 0 : 1)
+    ))),
+    gauge('metamonitor.probe.latency', 'ms', 'Latency of the last probe', reached.filter(({ result }) => result.latency > 0).map(({ target, result }) => (
+      point(target, result.latency)
+    ))),
+    {
+      name: 'metamonitor.checks',
+      unit: '{check}',
+      description: 'Checks run, by what the check found',
+      sum: {
+        aggregationTemporality: CUMULATIVE,
+        isMonotonic: true,
+        dataPoints: checks.flatMap(({ target, checks: counts }) => Object.entries(counts).map(([result, count]) => ({
+          startTimeUnixNano: nanos(startedAt),
+          timeUnixNano: time,
+          asInt: String(count),
+          attributes: attributes({ 'metamonitor.target.id': target, 'metamonitor.result': result }),
+        }))),
+      },
+    },
+  ];
+  if (scan.globalHealth != null) {
+    metrics.push(gauge('metamonitor.global_health', '%', 'Weighted health of all targets', [{ timeUnixNano: time, asDouble: scan.globalHealth }]));
+  }
+  return { resourceMetrics: [{ resource: resource(service, workspace), scopeMetrics: [{ scope: SCOPE, metrics }] }] };
+};
+
+// OTEL_EXPORTER_OTLP_HEADERS: 'key=value,key2=value2'
+export const parseHeaders = (text = '') => Object.fromEntries(text.split(',')
+  .map(pair => pair.split('='))
+  .filter(([key, ...rest]) => key.trim() && rest.length > 0)
+  .map(([key, ...rest]) => [key.trim(), decodeURIComponent(rest.join('=').trim())]));
+
+const TIMEOUT = 10000;
+
+export const send = async (url, headers, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+};
@@ -0,0 +1,108 @@
+// Probe results as Prometheus metrics, rendered in the text exposition
+// format (version 0.0.4). `up` and the check counters follow what each
+// check found; metamonitor_target_status is what MetaMonitor reports after
+// flap damping and maintenance windows.
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+// Seconds; probes time out at 30s at most
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const STATUSES = ['UP', 'DEGRADED', 'DOWN', 'UNKNOWN', 'MAINTENANCE'];
+
+const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const series = (name, labels, value) => {
+  const pairs = Object.entries(labels).map(([key, v]) => `${key}="${escape(v)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+};
+
+const family = (name, type, help, lines) => (
+  lines.length > 0 ? [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines] : []
+);
+
+export const createMetricsRegistry = () => {
+  const targets = new Map();
+  let globalHealth = null;
+
+  const entry = (target) => {
+    if (!targets.has(target.id)) {
+      targets.set(target.id, {
+        info: { target: target.id, name: target.name, type: target.type || 'http' },
+        up: null,
+        status: null,
+        lastChecked: null,
+        buckets: LATENCY_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0,
+        checks: {},
+      });
+    }
+    const item = targets.get(target.id);
+    item.info = { target: target.id, name: target.name, type: target.type || item.info.type };
+    return item;
+  };
+
+  // target: { id, name, type }; result: as probeTarget returns it, after
+  // the monitor's damping and maintenance
+  const observe = (target, result) => {
+    const item = entry(target);
+    const checked = result.rawStatus || result.status;
+    item.status = result.status;
+    item.checks[checked] = (item.checks[checked] || 0) + 1;
+    // A probe that could not run says nothing about the target
+    if (checked === 'UNKNOWN') return;
+    item.up = checked === 'DOWN' ? 0 : 1;
+    item.lastChecked = Date.parse(result.lastChecked) || Date.now();
+    if (!(result.latency > 0)) return;
+    const seconds = result.latency / 1000;
+    LATENCY_BUCKETS.forEach((le, i) => { if (seconds <= le) item.buckets[i] += 1; });
+    item.sum += seconds;
+    item.count += 1;
+  };
+
+  // Forget targets that are no longer monitored
+  const retain = (ids) => {
+    const keep = new Set(ids);
+    [...targets.keys()].filter(id => !keep.has(id)).forEach(id => targets.delete(id));
+  };
+
+  const render = () => {
+    const items = [...targets.values()];
+    const byTarget = (fn) => items.flatMap(item => fn(item, { target: item.info.target }));
+    const lines = [
+      ...family('metamonitor_target_info', 'gauge', 'Monitored targets', items.map(item => series('metamonitor_target_info', item.info, 1))),
+      ...family('metamonitor_up', 'gauge', 'Whether the last check reached the target (1 for UP or DEGRADED, 0 for DOWN)',
+        byTarget((item, labels) => (item.up == null ? [] : [series('metamonitor_up', labels, item.up)]))),
+      ...family('metamonitor_target_status', 'gauge', 'Reported status of each target, one series per status',
+        byTarget((item, labels) => (item.status == null ? [] : STATUSES.map(status => (
+          series('metamonitor_target_status', { ...labels, status }, item.status === status ? 1 : 0)
+        ))))),
+      ...family('metamonitor_probe_latency_seconds', 'histogram', 'Probe latency',
+        byTarget((item, labels) => (item.count === 0 ? [] : [
+          ...LATENCY_BUCKETS.map((le, i) => series('metamonitor_probe_latency_seconds_bucket', { ...labels, le }, item.buckets[i])),
+          series('metamonitor_probe_latency_seconds_bucket', { ...labels, le: '+Inf' }, item.count),
+          series('metamonitor_probe_latency_seconds_sum', labels, Number(item.sum.toFixed(3))),
+          series('metamonitor_probe_latency_seconds_count', labels, item.count),
+        ]))),
+      ...family('metamonitor_checks_total', 'counter', 'Checks run, by what the check found',
+        byTarget((item, labels) => Object.entries(item.checks).map(([result, count]) => (
+          series('metamonitor_checks_total', { ...labels, result }, count)
+        )))),
+      ...family('metamonitor_last_check_timestamp_seconds', 'gauge', 'When the target was last checked',
+        byTarget((item, labels) => (item.lastChecked == null ? [] : [series('metamonitor_last_check_timestamp_seconds', labels, item.lastChecked / 1000)]))),
+      ...family('metamonitor_global_health', 'gauge', 'Weighted health of all targets, 0-100',
+        globalHealth == null ? [] : [series('metamonitor_global_health', {}, globalHealth)]),
+    ];
+    return `${lines.join('\n')}\n`;
+  };
+
+  return {
+    observe,
+    retain,
+    render,
+    setGlobalHealth: (value) => { globalHealth = value; },
+    // Cumulative check counts, for exporters that push them elsewhere
+    checks: () => [...targets.values()].map(item => ({ target: item.info.target, checks: item.checks })),
+  };
+};
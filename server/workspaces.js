@@ -0,0 +1,107 @@
+import { createMonitor, monitor as defaultMonitor } from './monitor.js';
+import { createCollector, collector as defaultCollector } from './collector.js';
+import { createAlertManager, alertManager as defaultAlerts } from './alerts/index.js';
+import { createTelemetry, telemetry as defaultTelemetry } from './telemetry/index.js';
+import { createTargetStore, targetStore } from './stores/targets.js';
+import { createHistoryStore, historyStore } from './stores/history.js';
+import { createPolicyStore, policyStore } from './stores/policy.js';
+import { createScheduleStore, scheduleStore } from './stores/schedule.js';
+import { createMaintenanceStore, maintenanceStore } from './stores/maintenance.js';
+import { createIncidentStore, incidentStore } from './stores/incidents.js';
+import { createAlertStores, ruleStore, channelStore, silenceStore } from './stores/alerts.js';
+import { DEFAULT_WORKSPACE } from './stores/auth.js';
+
+// Everything a workspace owns: its targets, settings, history, incidents,
+// alerting and the monitor that scans them. The default workspace is the
+// original single-user install, so its files stay where they were under
+// data/; the others live under data/workspaces/<id>/.
+//
+// Anyone who signs up gets a workspace of their own, so only the default
+// one (the operator's) may probe or notify the server's private network;
+// the others are untrusted like ad-hoc probes (see server/probe.js).
+
+const contexts = new Map([[DEFAULT_WORKSPACE, {
+  id: DEFAULT_WORKSPACE,
+  targets: targetStore,
+  history: historyStore,
+  policy: policyStore,
+  schedule: scheduleStore,
+  maintenance: maintenanceStore,
+  incidents: incidentStore,
+  rules: ruleStore,
+  channels: channelStore,
+  silences: silenceStore,
+  collector: defaultCollector,
+  monitor: defaultMonitor,
+  alerts: defaultAlerts,
+  telemetry: defaultTelemetry,
+}]]);
+
+let started = false;
+
+const start = (context) => {
+  context.alerts.start();
+  context.telemetry.start();
+  context.monitor.start();
+};
+
+const createContext = (id) => {
+  const dir = `workspaces/${id}/`;
+  const stores = {
+    targets: createTargetStore({ dir }),
+    history: createHistoryStore({ dir }),
+    policy: createPolicyStore({ dir }),
+    schedule: createScheduleStore({ dir }),
+    maintenance: createMaintenanceStore({ dir }),
+    incidents: createIncidentStore({ dir }),
+    ...createAlertStores({ dir }),
+  };
+  const collector = createCollector();
+  const monitor = createMonitor({
+    store: stores.targets,
+    history: stores.history,
+    policy: stores.policy,
+    schedule: stores.schedule,
+    maintenance: stores.maintenance,
+    incidents: stores.incidents,
+    collector,
+    untrusted: true,
+  });
+  return {
+    id,
+    ...stores,
+    collector,
+    monitor,
+    alerts: createAlertManager({
+      monitor,
+      rules: stores.rules,
+      channels: stores.channels,
+      silences: stores.silences,
+      maintenance: stores.maintenance,
+      untrusted: true,
+    }),
+    telemetry: createTelemetry({ monitor, workspace: id }),
+  };
+};
+
+// Created on first use; scanning starts with the server or right away
+// for workspaces added while it runs
+export const workspaceContext = (id = DEFAULT_WORKSPACE) => {
+  if (!contexts.has(id)) {
+    const context = createContext(id);
+    contexts.set(id, context);
+    if (started) start(context);
+  }
+  return contexts.get(id);
+};
+
+// The workspace a request was authorized for (see server/auth); without
+// accounts every request gets the default one
+export const workspaceOf = (req) => req.workspace || contexts.get(DEFAULT_WORKSPACE);
+
+export const startWorkspaces = (ids) => {
+  started = true;
+  [...new Set([DEFAULT_WORKSPACE, ...ids])].forEach(id => start(workspaceContext(id)));
+};
+
+export const flushWorkspaces = () => contexts.forEach(context => context.history.flush());
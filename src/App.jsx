@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { 
   Terminal, 
   CheckCircle, 
@@ -6,28 +6,108 @@ import {
   AlertTriangle, 
   RefreshCw,
   Cpu,
-  Clock
+  Clock,
+  Pencil,
+  Trash2,
+  Pause,
+  Play,
+  Wrench,
+  LogIn,
+  LogOut,
+  Bell,
+  BellOff,
+  WifiOff
 } from 'lucide-react';
 
-// Real targets to monitor
-const TARGETS = [
-  { id: 'dd', name: 'DownDetector', url: 'https://downdetector.com', checkUrl: 'downdetector.com' },
-  { id: 'iidrn', name: 'IsItDownRightNow', url: 'https://isitdownrightnow.com', checkUrl: 'isitdownrightnow.com' },
-  { id: 'dfeojm', name: 'DownForEveryoneOrJustMe', url: 'https://downforeveryoneorjustme.com', checkUrl: 'downforeveryoneorjustme.com' },
-  { id: 'aws', name: 'AWS Health', url: 'https://health.aws.amazon.com/health/status', checkUrl: 'health.aws.amazon.com' },
-  { id: 'azure', name: 'Azure Status', url: 'https://status.azure.com', checkUrl: 'status.azure.com' },
-  { id: 'cloudflare', name: 'Cloudflare Status', url: 'https://www.cloudflarestatus.com', checkUrl: 'www.cloudflarestatus.com' },
-];
+import { displayHost } from '../lib/targets.js';
+import { CHECK_TYPES } from '../lib/checks.js';
+import { computeHealth, healthBreakdown } from '../lib/health.js';
+import { DEFAULT_CONCURRENCY, createPool, createScheduler } from '../lib/scheduler.js';
+import { upcomingWindows } from '../lib/maintenance.js';
+import { createScanner, createScanIds } from '../lib/scan.js';
+import { probeTarget } from './api.js';
+import { connectLiveFeed, requestScan } from './liveFeed.js';
+import { useTargetRegistry } from './targetRegistry.js';
+import { usePolicy } from './policy.js';
+import { usePause } from './schedule.js';
+import { useMaintenance } from './maintenance.js';
+import { useIncidents } from './incidents.js';
+import { useSession } from './auth.js';
+import { useOnline, useNotifications, notifyStatusChange, loadLastKnown, saveLastKnown } from './pwa.js';
+import { TargetToolbar, TargetForm } from './components/TargetManager.jsx';
+import { WINDOWS } from '../lib/history.js';
+import { recordSample, dropSeries, loadStats, loadRecent } from './historyDb.js';
+import { useHashRoute, matchTargetRoute, targetRoute, navigate } from './router.js';
+import Sparkline from './components/Sparkline.jsx';
+import TargetDetail from './components/TargetDetail.jsx';
+import CheckDetails from './components/CheckDetails.jsx';
+import UpstreamReport from './components/UpstreamReport.jsx';
+import RegionLatency from './components/RegionLatency.jsx';
+import HealthBreakdown from './components/HealthBreakdown.jsx';
+import NextProbe from './components/NextProbe.jsx';
+import TerminalLog from './components/TerminalLog.jsx';
+import MaintenancePanel from './components/MaintenancePanel.jsx';
+import IncidentList from './components/IncidentList.jsx';
+import AuthDialog from './components/AuthDialog.jsx';
+import WorkspacePanel from './components/WorkspacePanel.jsx';
+import { useEventLog } from './eventLog.js';
+import { formatDateTime, formatDuration } from './format.js';
+
+const nextScanId = createScanIds();
 
 export default function App() {
   const [statuses, setStatuses] = useState({});
   const [globalHealth, setGlobalHealth] = useState(100);
-  const [logs, setLogs] = useState([]);
-  const [isScanning, setIsScanning] = useState(false);
   const [lastCheck, setLastCheck] = useState(null);
   const [cursorVisible, setCursorVisible] = useState(true);
   const [historicalData, setHistoricalData] = useState({});
-  const logEndRef = useRef(null);
+  const [stats, setStats] = useState({});
+  const [feedMode, setFeedMode] = useState('connecting');
+  const [editing, setEditing] = useState(null);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const [schedule, setSchedule] = useState(null);
+  const [authMode, setAuthMode] = useState(null);
+  const { session, ready: sessionReady, canWrite, signUp, signIn, signOut, switchWorkspace, createWorkspace } = useSession();
+  const { targets, setTargets, addTarget, updateTarget, removeTarget, replaceTargets } = useTargetRegistry(feedMode);
+  const { policy, setPolicy, savePolicy } = usePolicy(feedMode);
+  const { pause, setPause, savePause } = usePause(feedMode);
+  const { windows: maintenanceWindows, setWindows, addWindow, removeWindow } = useMaintenance(feedMode);
+  const { incidents, setIncidents, applyIncident, trackLocal, acknowledge, addNote, updateIncident } = useIncidents(feedMode);
+  const { entries: logEntries, addEntry: addLog, clear: clearLog } = useEventLog();
+  const online = useOnline();
+  const notifications = useNotifications();
+  const onlineRef = useRef(online);
+  onlineRef.current = online;
+  const targetsRef = useRef(targets);
+  targetsRef.current = targets;
+  const policyRef = useRef(policy);
+  policyRef.current = policy;
+  const pauseRef = useRef(pause);
+  pauseRef.current = pause;
+  const maintenanceRef = useRef(maintenanceWindows);
+  maintenanceRef.current = maintenanceWindows;
+  // The tab's own scheduler and latest results, in local mode
+  const schedulerRef = useRef(null);
+  const resultsRef = useRef({});
+  // Same damping and maintenance handling as server/monitor.js, for
+  // browser-driven scans (see lib/scan.js)
+  const scannerRef = useRef(null);
+  const poolRef = useRef(null);
+  if (!scannerRef.current) {
+    // Scheduled scans overlap; they share the tab's concurrency
+    poolRef.current = createPool(DEFAULT_CONCURRENCY);
+    scannerRef.current = createScanner({
+      probe: probeTarget,
+      policy: () => policyRef.current,
+      maintenance: () => maintenanceRef.current,
+    });
+  }
+  // Last status shown per target, to notice changes worth a notification
+  const lastStatusRef = useRef({});
+  const route = useHashRoute();
+  // Scans overlap, so "scanning" is any target still being probed
+  const isScanning = Object.values(schedule?.targets || {}).some(entry => entry.running);
+  const detailTarget = targets.find(t => t.id === matchTargetRoute(route));
 
   // Blinking cursor
   useEffect(() => {
@@ -35,128 +115,356 @@ export default function App() {
     return () => clearInterval(interval);
   }, []);
 
-  const addLog = (msg, type = 'info') => {
-    const timestamp = new Date().toLocaleTimeString('en-US', { hour12: false });
-    setLogs(prev => [...prev.slice(-25), { time: timestamp, msg, type }]);
+  // Targets are scheduled one by one, so most scans cover only a few
+  const startScan = (scanId, count) => {
+    const scope = count >= targetsRef.current.length ? 'GLOBAL SCAN' : `SCAN OF ${count} TARGET${count === 1 ? '' : 'S'}`;
+    addLog(`═══ INITIATING ${scope} ═══`, 'warning', { scanId });
   };
 
-  useEffect(() => {
-    logEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [logs]);
+  const recordResult = (target, result, scanId) => {
+    const meta = { scanId, targetId: target.id, latency: result.latency, errorClass: result.errorClass || null };
+    if (result.status === 'MAINTENANCE') {
+      addLog(`◆ ${target.name} in maintenance (${result.maintenance.title}), check found ${result.rawStatus}`, 'info', meta);
+    } else if (result.rawStatus && result.rawStatus !== result.status) {
+      addLog(`~ ${target.name} checked ${result.rawStatus}, still reported ${result.status} until confirmed`, 'warning', meta);
+    } else if (result.status === 'UNKNOWN') {
+      addLog(`? ${target.name} - ${result.error}`, 'warning', meta);
+    } else if (result.status === 'DOWN') {
+      addLog(`✗ CRITICAL: ${target.name} - ${result.errorClass || 'ERROR'}: ${result.error || 'Unreachable'}`, 'error', meta);
+    } else if (result.status === 'DEGRADED') {
+      addLog(`⚠ WARNING: ${target.name} - ${result.error || 'High latency'} (${result.latency}ms)`, 'warning', meta);
+    } else if (result.upstream && ['DEGRADED', 'DOWN'].includes(result.upstream.status)) {
+      addLog(`⚠ ${target.name} reachable but reports ${result.upstream.status}: ${result.upstream.summary}`, 'warning', meta);
+    } else {
+      addLog(`✓ ${target.name} operational (${result.statusCode ? `HTTP ${result.statusCode}` : CHECK_TYPES[result.type]?.label || 'OK'}, ${result.latency}ms)`, 'success', meta);
+    }
+    // Regions the quorum outvoted (see lib/regions.js)
+    const verdict = result.rawStatus || result.status;
+    const dissent = Object.entries(result.regions || {}).filter(([, r]) => r.status !== verdict);
+    if (dissent.length > 0) {
+      addLog(`  ↳ ${result.quorum.agreeing}/${result.quorum.total} regions agree; ${dissent.map(([region, r]) => `${region} saw ${r.status}`).join(', ')}`, 'info', meta);
+    }
+
+    notifyStatusChange(target, lastStatusRef.current[target.id], result.status);
+    lastStatusRef.current[target.id] = result.status;
+    setStatuses(prev => ({ ...prev, [target.id]: result }));
+    setHistoricalData(prev => ({
+      ...prev,
+      [target.id]: [...(prev[target.id] || []).slice(-20), {
+        timestamp: Date.parse(result.lastChecked) || Date.now(),
+        status: result.status,
+        latency: result.latency
+      }]
+    }));
+  };
+
+  const completeScan = (health, timestamp, scanId) => {
+    setGlobalHealth(health);
+    setLastCheck(new Date(timestamp));
+    addLog(`═══ SCAN COMPLETE - Health: ${health}% ═══`, health < 80 ? 'error' : 'success', { scanId });
+  };
+
+  const logIncident = ({ kind, incident }) => {
+    const meta = { targetId: incident.targets.length === 1 ? incident.targets[0].id : null };
+    if (kind === 'opened') {
+      addLog(`▲ INCIDENT OPENED: ${incident.title}`, 'error', meta);
+    } else if (kind === 'resolved') {
+      addLog(`▼ INCIDENT RESOLVED: ${incident.title} after ${formatDuration(incident.duration)}`, 'success', meta);
+    } else if (kind === 'acknowledged') {
+      addLog(`✓ Incident acknowledged: ${incident.title}`, 'info', meta);
+    }
+  };
+
+  // Browser-driven scan of the targets the tab's scheduler found due, used
+  // only when there is no live feed to follow
+  const performCheck = async (list, settle) => {
+    // Offline, every probe would fail; keep the last-known statuses and
+    // let the scheduler back off until the connection returns
+    if (!onlineRef.current) {
+      const lastChecked = new Date().toISOString();
+      return Object.fromEntries(list.map(target => [target.id, { status: 'UNKNOWN', latency: 0, lastChecked, error: 'Browser offline', errorClass: 'OFFLINE' }]));
+    }
+    const scanId = nextScanId();
+    startScan(scanId, list.length);
+
+    const results = {};
+    await poolRef.current(list, async (target) => {
+      addLog(`→ Probing ${target.name}...`, 'info', { scanId, targetId: target.id });
+      const result = await scannerRef.current.check(target);
+      results[target.id] = result;
+      resultsRef.current[target.id] = result;
+      recordResult(target, result, scanId);
+      settle(target, result);
+      if (result.status !== 'UNKNOWN') await persistSample(target.id, result);
+    });
+
+    trackLocal(results, targetsRef.current).forEach(logIncident);
+    completeScan(computeHealth(resultsRef.current, targetsRef.current, policyRef.current), Date.now(), scanId);
+    await refreshLocalStats();
+    return results;
+  };
 
-  // Real backend check function
-  const checkSiteStatus = async (target) => {
-    const startTime = Date.now();
-    
+  const persistSample = async (id, result) => {
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
-      
-      const response = await fetch(target.url, {
-        method: 'HEAD',
-        mode: 'no-cors',
-        signal: controller.signal,
-        cache: 'no-store'
+      await recordSample(id, {
+        timestamp: Date.parse(result.lastChecked),
+        status: result.status,
+        latency: result.latency,
+        statusCode: result.statusCode
       });
-      
-      clearTimeout(timeoutId);
-      const latency = Date.now() - startTime;
-      
-      if (latency < 15000) {
-        return {
-          status: latency > 5000 ? 'DEGRADED' : 'UP',
-          latency: Math.min(latency, 9999),
-          lastChecked: new Date(),
-          error: null
-        };
-      } else {
-        return {
-          status: 'DEGRADED',
-          latency: latency,
-          lastChecked: new Date(),
-          error: 'High latency detected'
-        };
-      }
     } catch (error) {
-      const latency = Date.now() - startTime;
-      
-      if (error.name === 'AbortError' || latency > 8000) {
-        return {
-          status: 'DOWN',
-          latency: 0,
-          lastChecked: new Date(),
-          error: 'Connection timeout'
-        };
-      }
-      
-      return {
-        status: latency < 3000 ? 'UP' : 'DEGRADED',
-        latency: latency,
-        lastChecked: new Date(),
-        error: null
-      };
+      addLog(`History store unavailable: ${error.message}`, 'warning');
     }
   };
 
-  const performCheck = async () => {
-    if (isScanning) return;
-    
-    setIsScanning(true);
-    addLog("═══ INITIATING GLOBAL SCAN ═══", 'warning');
-    
-    const newStatuses = {};
-    const checkPromises = TARGETS.map(async (target) => {
-      addLog(`→ Probing ${target.name}...`, 'info');
-      
-      const result = await checkSiteStatus(target);
-      
-      if (result.status === 'DOWN') {
-        addLog(`✗ CRITICAL: ${target.name} - ${result.error || 'Unreachable'}`, 'error');
-      } else if (result.status === 'DEGRADED') {
-        addLog(`⚠ WARNING: ${target.name} - High latency (${result.latency}ms)`, 'warning');
-      } else {
-        addLog(`✓ ${target.name} operational (${result.latency}ms)`, 'success');
-      }
-      
-      newStatuses[target.id] = result;
-      
-      setHistoricalData(prev => ({
-        ...prev,
-        [target.id]: [...(prev[target.id] || []).slice(-20), {
-          timestamp: Date.now(),
-          status: result.status,
-          latency: result.latency
-        }]
-      }));
-      
-      return result;
-    });
+  const refreshLocalStats = async () => {
+    try {
+      setStats(await loadStats(targetsRef.current.map(t => t.id)));
+    } catch (error) {
+      addLog(`History store unavailable: ${error.message}`, 'warning');
+    }
+  };
 
-    await Promise.all(checkPromises);
-    
-    const totalScore = Object.values(newStatuses).reduce((acc, s) => {
-      if (s.status === 'UP') return acc + 1;
-      if (s.status === 'DEGRADED') return acc + 0.5;
-      return acc;
-    }, 0);
-    
-    const health = Math.round((totalScore / TARGETS.length) * 100);
-    
-    setStatuses(newStatuses);
-    setGlobalHealth(health);
-    setLastCheck(new Date());
-    setIsScanning(false);
-    
-    addLog(`═══ SCAN COMPLETE - Health: ${health}% ═══`, health < 80 ? 'error' : 'success');
+  const handleFeedEvent = (type, data) => {
+    if (type === 'snapshot') {
+      setTargets(data.targets);
+      setPolicy(data.policy);
+      setStatuses(data.statuses);
+      lastStatusRef.current = Object.fromEntries(Object.entries(data.statuses).map(([id, result]) => [id, result.status]));
+      setHistoricalData(data.history);
+      setStats(data.stats);
+      setSchedule(data.schedule);
+      setPause(data.schedule.paused);
+      setWindows(data.maintenance);
+      setIncidents(data.incidents);
+      if (data.globalHealth != null) setGlobalHealth(data.globalHealth);
+      if (data.lastScan) setLastCheck(new Date(data.lastScan));
+      addLog('Attached to live feed', 'success');
+    } else if (type === 'scan-start') {
+      startScan(data.scanId, data.targets);
+    } else if (type === 'result') {
+      recordResult({ id: data.id, name: data.name }, data, data.scanId);
+    } else if (type === 'targets') {
+      const ids = new Set(data.targets.map(t => t.id));
+      setTargets(data.targets);
+      const keep = (prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => ids.has(id)));
+      setStatuses(keep);
+      setHistoricalData(keep);
+      setStats(keep);
+      if (data.globalHealth != null) setGlobalHealth(data.globalHealth);
+    } else if (type === 'scan-complete') {
+      completeScan(data.globalHealth, data.timestamp, data.scanId);
+      setStats(data.stats);
+    } else if (type === 'schedule') {
+      setSchedule(data);
+      setPause(data.paused);
+    } else if (type === 'incident') {
+      applyIncident(data.incident);
+      logIncident(data);
+    } else if (type === 'maintenance') {
+      setWindows(data.windows);
+    } else if (type === 'policy') {
+      setPolicy(data.policy);
+      if (data.globalHealth != null) setGlobalHealth(data.globalHealth);
+      addLog(`Scoring policy updated (${data.policy.formula}, confirm ${data.policy.damping.required} of ${data.policy.damping.window}, ${data.policy.quorum} quorum)`, 'info');
+    } else if (type === 'alert') {
+      const { alert } = data;
+      const subject = alert.targetName ? `${alert.ruleName} - ${alert.targetName}` : alert.ruleName;
+      const failed = data.deliveries.filter(d => !d.ok).map(d => d.channel);
+      addLog(
+        `⚑ ${data.kind.toUpperCase()} ${subject}: ${alert.message}${failed.length ? ` (delivery failed: ${failed.join(', ')})` : ''}`,
+        data.kind === 'resolved' ? 'success' : 'error',
+        { targetId: alert.targetId }
+      );
+    }
   };
 
+  // The feed follows whoever is signed in to whichever workspace; on a
+  // server with accounts nothing is shown until someone signs in
+  const signedOut = session.authRequired && !session.user;
+  const feedKey = sessionReady && !signedOut ? `${session.user?.id ?? ''}/${session.workspace?.id ?? ''}` : null;
+
+  // Start from the statuses the service worker kept (see src/pwa.js) until
+  // a scan or the live feed has something newer
   useEffect(() => {
-    performCheck();
-    const interval = setInterval(performCheck, 60000);
-    return () => clearInterval(interval);
-  }, []);
+    if (feedKey == null) return;
+    loadLastKnown(feedKey).then((state) => {
+      if (!state?.statuses) return;
+      setStatuses(prev => (Object.keys(prev).length > 0 ? prev : state.statuses));
+      setLastCheck(prev => prev || (state.checkedAt ? new Date(state.checkedAt) : null));
+      lastStatusRef.current = { ...Object.fromEntries(Object.entries(state.statuses).map(([id, result]) => [id, result.status])), ...lastStatusRef.current };
+    });
+  }, [feedKey]);
+
+  // Follow the shared monitor so every open tab sees the same scans; without
+  // a long-running backend this tab schedules its own scans instead
+  useEffect(() => {
+    if (feedKey == null) return undefined;
+    setFeedMode('connecting');
+    return connectLiveFeed({
+      onEvent: (type, data) => {
+        setFeedMode('live');
+        handleFeedEvent(type, data);
+      },
+      onUnavailable: () => setFeedMode('local')
+    });
+  }, [feedKey]);
+
+  useEffect(() => {
+    if (feedMode !== 'local') return;
+    addLog('Live feed unavailable - scanning from this tab', 'warning');
+    loadRecent(targetsRef.current.map(t => t.id), 20)
+      .then(recent => setHistoricalData(prev => ({ ...recent, ...prev })))
+      .catch(() => {});
+    refreshLocalStats();
+    const scheduler = createScheduler({
+      targets: () => targetsRef.current,
+      scan: performCheck,
+      paused: () => pauseRef.current
+    });
+    schedulerRef.current = scheduler;
+    const unsubscribe = scheduler.onChange(state => setSchedule({ ...state, concurrency: DEFAULT_CONCURRENCY }));
+    scheduler.start();
+    return () => {
+      scheduler.stop();
+      unsubscribe();
+    };
+  }, [feedMode]);
+
+  // Tell the user's own connection problems apart from target outages, and
+  // catch up as soon as it is back
+  const wasOnlineRef = useRef(online);
+  useEffect(() => {
+    if (wasOnlineRef.current === online) return;
+    wasOnlineRef.current = online;
+    if (!online) {
+      addLog('⚠ This browser went offline - statuses are last known, not outages', 'warning');
+      return;
+    }
+    addLog('Connection restored', 'success');
+    if (feedMode === 'local') schedulerRef.current?.runNow();
+  }, [online]);
+
+  // Keep the last-known state where the service worker can find it, for
+  // offline starts and background checks
+  useEffect(() => {
+    if (!lastCheck || feedKey == null || (feedMode !== 'live' && feedMode !== 'local')) return;
+    saveLastKnown({ mode: feedMode, owner: feedKey, targets: targetsRef.current, statuses, checkedAt: lastCheck.toISOString() });
+  }, [lastCheck, feedMode, feedKey, notifications.enabled]);
+
+  const toggleNotifications = async () => {
+    try {
+      await notifications.toggle();
+      addLog(notifications.enabled ? 'Desktop notifications off' : 'Desktop notifications on for status changes', 'info');
+    } catch (error) {
+      addLog(`✗ ${error.message}`, 'error');
+    }
+  };
+
+  const handlePolicySave = async (input) => {
+    const next = await savePolicy(input);
+    // The server recomputes and broadcasts health itself
+    if (feedMode === 'local') setGlobalHealth(computeHealth(statuses, targets, next));
+  };
+
+  const executeScan = () => (feedMode === 'live' ? requestScan() : schedulerRef.current?.runNow());
+
+  // Pause or resume one target, or all monitoring when called without one
+  const togglePause = async (target) => {
+    const paused = target ? !pause.targets.includes(target.id) : !pause.all;
+    const input = target
+      ? { targets: paused ? [...pause.targets, target.id] : pause.targets.filter(id => id !== target.id) }
+      : { all: paused };
+    const subject = target ? target.name : 'all monitoring';
+    try {
+      const next = await savePause(input);
+      // The server's scheduler hears about it from its store
+      if (feedMode === 'local') {
+        pauseRef.current = next;
+        schedulerRef.current?.refresh();
+      }
+      addLog(`${paused ? '‖ Paused' : '▶ Resumed'} ${subject}`, 'info', { targetId: target?.id ?? null });
+    } catch (error) {
+      addLog(`✗ Could not ${paused ? 'pause' : 'resume'} ${subject}: ${error.message}`, 'error', { targetId: target?.id ?? null });
+    }
+  };
+
+  // Soonest probe among targets that are not paused
+  const nextRun = Object.values(schedule?.targets || {})
+    .filter(entry => !entry.paused && entry.nextRun)
+    .map(entry => entry.nextRun)
+    .sort()[0];
+
+  const handleRemove = async (target) => {
+    if (!window.confirm(`Stop monitoring ${target.name}?`)) return;
+    try {
+      await removeTarget(target.id);
+      if (feedMode === 'local') await dropSeries(target.id);
+      addLog(`- Removed target ${target.name}`, 'warning', { targetId: target.id });
+    } catch (error) {
+      addLog(`✗ Could not remove ${target.name}: ${error.message}`, 'error', { targetId: target.id });
+    }
+  };
+
+  const handleAddWindow = async (input) => {
+    const created = await addWindow(input);
+    addLog(`◆ Scheduled maintenance: ${input.title}`, 'info');
+    return created;
+  };
+
+  const handleRemoveWindow = async (entry) => {
+    if (!window.confirm(`Remove maintenance window ${entry.title}?`)) return;
+    try {
+      await removeWindow(entry.id);
+      addLog(`- Removed maintenance window ${entry.title}`, 'warning');
+    } catch (error) {
+      addLog(`✗ Could not remove ${entry.title}: ${error.message}`, 'error');
+    }
+  };
+
+  // The monitor announces its incidents on the feed; local changes are logged here
+  const handleAcknowledge = async (incident) => {
+    await acknowledge(incident.id);
+    if (feedMode === 'local') logIncident({ kind: 'acknowledged', incident });
+  };
+
+  const handleNote = (incident, text) => addNote(incident.id, { text });
+
+  const handleIncidentUpdate = (incident, input) => updateIncident(incident.id, input);
+
+  const handleSwitchWorkspace = async (id) => {
+    try {
+      const next = await switchWorkspace(id);
+      addLog(`Switched to workspace ${next.workspace.name}`, 'info');
+    } catch (error) {
+      addLog(`✗ Could not switch workspace: ${error.message}`, 'error');
+    }
+  };
+
+  const handleNewWorkspace = async () => {
+    const name = window.prompt('Name of the new workspace');
+    if (!name) return;
+    try {
+      await createWorkspace(name);
+      addLog(`+ Created workspace ${name}`, 'success');
+    } catch (error) {
+      addLog(`✗ Could not create workspace ${name}: ${error.message}`, 'error');
+    }
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    addLog('Signed out', 'info');
+  };
+
+  const closeDetail = useCallback(() => navigate(''), []);
+
+  const handleSave = (input) => (editing === 'new' ? addTarget(input) : updateTarget(editing.id, input));
+
+  const isAdmin = Boolean(session.user) && canWrite('workspace');
 
   const scrollTo = (id) => {
+    if (detailTarget) navigate('');
     document.getElementById(id)?.scrollIntoView({ behavior: 'smooth' });
   };
 
@@ -180,7 +488,7 @@ export default function App() {
               <span className="text-xl font-bold tracking-tighter text-white">META_MONITOR</span>
             </div>
             <div className="hidden md:flex space-x-8 text-xs font-bold">
-              {['status', 'targets', 'logs', 'api'].map((item) => (
+              {['status', 'targets', 'incidents', 'logs', ...(isAdmin ? ['workspace'] : []), 'api'].map((item) => (
                 <button
                   key={item}
                   onClick={() => scrollTo(item)}
@@ -190,10 +498,42 @@ export default function App() {
                 </button>
               ))}
             </div>
+            {session.user ? (
+              <div className="flex items-center gap-3 text-[10px] font-bold uppercase tracking-widest">
+                <select
+                  value={session.workspace?.id ?? ''}
+                  onChange={(event) => (event.target.value === '+' ? handleNewWorkspace() : handleSwitchWorkspace(event.target.value))}
+                  className="bg-black border border-gray-800 px-2 py-1 text-gray-300 uppercase tracking-widest outline-none focus:border-white"
+                  title={`Signed in as ${session.user.email}`}
+                >
+                  {session.workspaces.map(w => <option key={w.id} value={w.id}>{w.name} · {w.role === 'admin' ? 'admin' : 'read-only'}</option>)}
+                  <option value="+">+ New workspace</option>
+                </select>
+                <span className="hidden lg:inline text-gray-500">{session.user.name}</span>
+                <button onClick={handleSignOut} title="Sign out" className="text-gray-500 hover:text-white">
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </div>
+            ) : session.authRequired ? (
+              <button onClick={() => setAuthMode('login')} className="border border-gray-700 px-4 py-1 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white flex items-center gap-2">
+                <LogIn className="w-3 h-3" /> Sign In
+              </button>
+            ) : null}
           </div>
         </div>
       </nav>
 
+      {!online && (
+        <div className="fixed top-16 w-full z-40 border-b border-amber-900 bg-amber-950/90 backdrop-blur-sm">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center gap-3 text-[10px] font-bold uppercase tracking-widest text-amber-400">
+            <WifiOff className="w-4 h-4 shrink-0" />
+            <span>
+              You are offline · statuses below are last known{lastCheck ? ` from ${lastCheck.toLocaleTimeString()}` : ''} · a problem with your connection, not the targets
+            </span>
+          </div>
+        </div>
+      )}
+
       <section id="status" className="pt-32 pb-20 px-4 sm:px-6 lg:px-8 max-w-7xl mx-auto min-h-[70vh] flex flex-col justify-center border-l border-r border-gray-900">
         <div className="max-w-5xl">
           <div className="inline-flex items-center gap-3 border border-gray-700 px-4 py-2 mb-8 text-xs tracking-[0.2em] uppercase text-gray-400">
@@ -209,13 +549,19 @@ export default function App() {
           
           <p className="text-xl text-gray-400 max-w-2xl leading-relaxed mb-12 border-l-2 border-white pl-6">
             Real-time monitoring of internet monitoring services. When DownDetector goes down, 
-            we're the ones watching. Live infrastructure health checks updated every 60 seconds.
+            we're the ones watching. Live infrastructure health checks, each on its own schedule.
           </p>
 
+          {signedOut && (
+            <p className="text-xs text-gray-500 uppercase tracking-widest mb-8">
+              This monitor has accounts. <button onClick={() => setAuthMode('login')} className="text-white underline">Sign in</button> to follow your workspace.
+            </p>
+          )}
+
           <div className="flex flex-col sm:flex-row gap-4">
             <button 
-              onClick={performCheck}
-              disabled={isScanning}
+              onClick={executeScan}
+              disabled={isScanning || !canWrite('status')}
               className="bg-white text-black px-8 py-4 text-sm font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors flex items-center justify-center gap-3 group disabled:opacity-50"
             >
               <RefreshCw className={`w-4 h-4 ${isScanning ? 'animate-spin' : ''}`} />
@@ -228,7 +574,20 @@ export default function App() {
               <Terminal className="w-4 h-4" />
               View Terminal
             </button>
+            <button 
+              onClick={() => setShowBreakdown(v => !v)}
+              className="border border-gray-700 text-gray-300 px-8 py-4 text-sm font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2"
+            >
+              <Cpu className="w-4 h-4" />
+              {showBreakdown ? 'Hide Breakdown' : 'Health Breakdown'}
+            </button>
           </div>
+
+          {showBreakdown && (
+            <div className="mt-12">
+              <HealthBreakdown breakdown={healthBreakdown(statuses, targets, policy)} policy={policy} onSave={canWrite('settings') ? handlePolicySave : undefined} />
+            </div>
+          )}
         </div>
       </section>
 
@@ -236,12 +595,12 @@ export default function App() {
         <div className="animate-marquee inline-block">
           {[...Array(3)].map((_, i) => (
              <React.Fragment key={i}>
-                {TARGETS.map(t => {
+                {targets.map(t => {
                    const status = statuses[t.id]?.status || 'PENDING';
                    return (
                      <span key={`${t.id}-${i}`} className="mx-8 text-xs uppercase tracking-[0.3em] font-bold">
                        <span className="text-white">{t.name}:</span>
-                       <span className={`ml-2 ${status === 'DOWN' ? 'text-red-500' : status === 'DEGRADED' ? 'text-amber-500' : 'text-green-500'}`}>
+                       <span className={`ml-2 ${status === 'DOWN' ? 'text-red-500' : status === 'DEGRADED' ? 'text-amber-500' : status === 'UP' ? 'text-green-500' : status === 'MAINTENANCE' ? 'text-blue-400' : 'text-gray-500'}`}>
                          {status} ///
                        </span>
                      </span>
@@ -259,38 +618,86 @@ export default function App() {
               <span className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2 block">Live Status Grid</span>
               <h2 className="text-4xl font-bold text-white">MONITORED TARGETS</h2>
             </div>
-            <p className="text-right text-gray-500 mt-4 md:mt-0 max-w-xs text-xs uppercase tracking-widest">
-              Next refresh in {isScanning ? '...' : '60s'}
-            </p>
+            <div className="flex items-center gap-4 mt-4 md:mt-0">
+              <p className="text-right text-gray-500 max-w-xs text-xs uppercase tracking-widest">
+                Next probe in <NextProbe at={nextRun} paused={pause.all} running={isScanning} className="text-white" />
+              </p>
+              <button
+                onClick={() => togglePause()}
+                disabled={!canWrite('settings')}
+                className="border border-gray-700 text-gray-300 px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2 disabled:opacity-50"
+              >
+                {pause.all ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+                {pause.all ? 'Resume All' : 'Pause All'}
+              </button>
+              {notifications.supported && (
+                <button
+                  onClick={toggleNotifications}
+                  title="Desktop notifications when a target changes status"
+                  className="border border-gray-700 text-gray-300 px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2"
+                >
+                  {notifications.enabled ? <BellOff className="w-3 h-3" /> : <Bell className="w-3 h-3" />}
+                  {notifications.enabled ? 'Mute' : 'Notify'}
+                </button>
+              )}
+            </div>
           </div>
 
+          <TargetToolbar
+            targets={targets}
+            onAdd={canWrite('targets') ? () => setEditing('new') : undefined}
+            onImport={canWrite('targets') ? replaceTargets : undefined}
+          />
+
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-0 border border-gray-800">
-            {TARGETS.map((target, index) => {
+            {targets.map((target, index) => {
               const info = statuses[target.id] || { status: 'PENDING', latency: 0 };
-              const history = historicalData[target.id] || [];
-              const uptime = history.length > 0 
-                ? (history.filter(h => h.status === 'UP').length / history.length * 100).toFixed(1)
-                : '...';
+              const windows = stats[target.id];
+              const scheduled = schedule?.targets[target.id];
+              const targetPaused = pause.all || pause.targets.includes(target.id);
+              const [nextWindow] = upcomingWindows(maintenanceWindows, target.id, Date.now(), 1);
               
               return (
-                <div key={target.id} className={`group relative p-8 border border-gray-800 transition-all ${
+                <div key={target.id} onClick={() => navigate(targetRoute(target.id))} className={`group relative p-8 border border-gray-800 transition-all cursor-pointer ${
                   info.status === 'DOWN' ? 'bg-red-950/20' : 
                   info.status === 'DEGRADED' ? 'bg-amber-950/10' : 
+                  info.status === 'MAINTENANCE' ? 'bg-blue-950/10' : 
                   'bg-black hover:bg-neutral-900'
                 }`}>
                    <div className="absolute top-4 right-4">
                       {info.status === 'UP' ? <CheckCircle className="w-5 h-5 text-green-500" /> : 
                        info.status === 'DOWN' ? <XCircle className="w-5 h-5 text-red-500" /> : 
                        info.status === 'DEGRADED' ? <AlertTriangle className="w-5 h-5 text-amber-500" /> :
+                       info.status === 'MAINTENANCE' ? <Wrench className="w-5 h-5 text-blue-400" /> :
                        <Clock className="w-5 h-5 text-gray-500 animate-pulse" />}
                    </div>
+                   <div className="absolute top-4 right-12 flex gap-3 opacity-0 group-hover:opacity-100 transition-opacity">
+                      {canWrite('settings') && <button onClick={(event) => { event.stopPropagation(); togglePause(target); }} title={pause.targets.includes(target.id) ? 'Resume target' : 'Pause target'} className="text-gray-600 hover:text-white">
+                        {pause.targets.includes(target.id) ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                      </button>}
+                      {canWrite('targets') && <>
+                        <button onClick={(event) => { event.stopPropagation(); setEditing(target); }} title="Edit target" className="text-gray-600 hover:text-white">
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button onClick={(event) => { event.stopPropagation(); handleRemove(target); }} title="Remove target" className="text-gray-600 hover:text-red-500">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>}
+                   </div>
                    
                    <div className="mb-8">
-                     <span className="text-xs font-bold text-gray-600 uppercase tracking-widest block mb-2">Node_{String(index + 1).padStart(2, '0')}</span>
+                     <span className="text-xs font-bold text-gray-600 uppercase tracking-widest block mb-2">Node_{String(index + 1).padStart(2, '0')} · {CHECK_TYPES[target.type]?.label}</span>
                      <h3 className="text-xl font-bold text-white mb-1">{target.name}</h3>
-                     <a href={target.url} target="_blank" rel="noopener noreferrer" className="text-xs text-gray-500 hover:text-white transition-colors font-mono break-all">
-                       {target.checkUrl}
+                     <a href={target.url} target="_blank" rel="noopener noreferrer" onClick={(event) => event.stopPropagation()} className="text-xs text-gray-500 hover:text-white transition-colors font-mono break-all">
+                       {displayHost(target)}
                      </a>
+                     {target.tags.length > 0 && (
+                       <div className="flex flex-wrap gap-1 mt-2">
+                         {target.tags.map(tag => (
+                           <span key={tag} className="px-2 py-0.5 border border-gray-800 text-[9px] text-gray-500 uppercase tracking-widest">{tag}</span>
+                         ))}
+                       </div>
+                     )}
                    </div>
 
                    <div className="space-y-3 pt-6 border-t border-gray-800">
@@ -299,7 +706,8 @@ export default function App() {
                        <span className={`text-sm font-bold ${
                          info.status === 'DOWN' ? 'text-red-500' : 
                          info.status === 'DEGRADED' ? 'text-amber-500' : 
-                         info.status === 'UP' ? 'text-green-500' : 'text-gray-500'
+                         info.status === 'UP' ? 'text-green-500' : 
+                         info.status === 'MAINTENANCE' ? 'text-blue-400' : 'text-gray-500'
                        }`}>
                          {info.status}
                        </span>
@@ -311,14 +719,87 @@ export default function App() {
                        </span>
                      </div>
                      <div className="flex justify-between items-center">
-                       <span className="text-[10px] text-gray-600 uppercase tracking-widest">Uptime</span>
-                       <span className="text-sm font-bold text-white">{uptime}%</span>
+                       <span className="text-[10px] text-gray-600 uppercase tracking-widest">Trend</span>
+                       <Sparkline samples={historicalData[target.id]} />
+                     </div>
+                     <div className="flex justify-between items-center">
+                       <span className="text-[10px] text-gray-600 uppercase tracking-widest">Next probe</span>
+                       <NextProbe
+                         at={scheduled?.nextRun}
+                         paused={targetPaused}
+                         running={scheduled?.running}
+                         className={`text-sm font-bold font-mono ${targetPaused ? 'text-gray-500' : scheduled?.failures > 0 ? 'text-amber-500' : 'text-white'}`}
+                       />
                      </div>
+                     {nextWindow && (
+                       <div className="flex justify-between items-center gap-4">
+                         <span className="text-[10px] text-gray-600 uppercase tracking-widest">Maintenance</span>
+                         <span className="text-xs font-bold text-blue-400 text-right truncate" title={`${nextWindow.title}: ${nextWindow.start} - ${nextWindow.end}`}>
+                           {Date.parse(nextWindow.start) <= Date.now() ? 'NOW' : formatDateTime(nextWindow.start)} · {nextWindow.title}
+                         </span>
+                       </div>
+                     )}
+                     <CheckDetails target={target} info={info} />
+                     {target.provider && <UpstreamReport provider={target.provider} report={info.upstream} />}
+                     <RegionLatency regions={info.regions} quorum={info.quorum} />
+                     <table className="w-full text-[10px] font-mono">
+                       <thead>
+                         <tr className="text-gray-600 uppercase tracking-widest">
+                           <th className="text-left font-normal">Uptime</th>
+                           <th className="text-right font-normal">%</th>
+                           <th className="text-right font-normal">P50</th>
+                           <th className="text-right font-normal">P95</th>
+                           <th className="text-right font-normal">P99</th>
+                         </tr>
+                       </thead>
+                       <tbody>
+                         {Object.keys(WINDOWS).map(name => {
+                           const w = windows?.[name];
+                           return (
+                             <tr key={name} className="text-white">
+                               <td className="text-gray-600 uppercase">{name}</td>
+                               <td className="text-right font-bold">{w?.uptime != null ? w.uptime.toFixed(2) : '...'}</td>
+                               <td className="text-right text-gray-400">{w?.p50 ?? '-'}</td>
+                               <td className="text-right text-gray-400">{w?.p95 ?? '-'}</td>
+                               <td className="text-right text-gray-400">{w?.p99 ?? '-'}</td>
+                             </tr>
+                           );
+                         })}
+                       </tbody>
+                     </table>
                    </div>
                 </div>
               );
             })}
           </div>
+
+          <MaintenancePanel
+            windows={maintenanceWindows}
+            targets={targets}
+            onAdd={canWrite('settings') ? handleAddWindow : undefined}
+            onRemove={canWrite('settings') ? handleRemoveWindow : undefined}
+          />
+        </div>
+      </section>
+
+      <section id="incidents" className="py-24 border-t border-gray-900">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-col md:flex-row justify-between items-end mb-16 border-b border-gray-800 pb-8">
+            <div>
+              <span className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2 block">Opened &amp; Resolved Automatically</span>
+              <h2 className="text-4xl font-bold text-white">INCIDENTS</h2>
+            </div>
+            <p className="text-right text-gray-500 max-w-xs text-xs uppercase tracking-widest mt-4 md:mt-0">
+              {incidents.filter(incident => incident.status === 'open').length} open · {incidents.length} recorded
+            </p>
+          </div>
+          <IncidentList
+            incidents={incidents}
+            targets={targets}
+            onAcknowledge={canWrite('incidents') ? handleAcknowledge : undefined}
+            onNote={canWrite('incidents') ? handleNote : undefined}
+            onUpdate={canWrite('incidents') ? handleIncidentUpdate : undefined}
+          />
         </div>
       </section>
 
@@ -340,15 +821,19 @@ export default function App() {
                    <div className="space-y-2 font-mono text-xs">
                      <div className="flex justify-between">
                        <span>CHECKS</span>
-                       <span className="text-white">{Object.keys(statuses).length}/{TARGETS.length}</span>
+                       <span className="text-white">{Object.keys(statuses).length}/{targets.length}</span>
                      </div>
                      <div className="flex justify-between">
                        <span>UPTIME</span>
                        <span className="text-green-500">{globalHealth}%</span>
                      </div>
                      <div className="flex justify-between">
-                       <span>REFRESH</span>
-                       <span className="text-white">60s</span>
+                       <span>NEXT PROBE</span>
+                       <NextProbe at={nextRun} paused={pause.all} running={isScanning} className="text-white" />
+                     </div>
+                     <div className="flex justify-between">
+                       <span>CONCURRENCY</span>
+                       <span className="text-white">{schedule?.concurrency ?? '-'}</span>
                      </div>
                    </div>
                 </div>
@@ -356,40 +841,29 @@ export default function App() {
             </div>
             
             <div className="lg:col-span-2">
-              <div className="h-[500px] bg-black border border-gray-800 p-6 font-mono text-xs overflow-hidden flex flex-col relative">
-                 <div className="absolute top-0 left-0 right-0 h-6 bg-gray-900/50 border-b border-gray-800 flex items-center px-4 gap-2 z-10">
-                    <div className="w-2 h-2 rounded-full bg-red-500/50"></div>
-                    <div className="w-2 h-2 rounded-full bg-amber-500/50"></div>
-                    <div className="w-2 h-2 rounded-full bg-green-500/50"></div>
-                    <span className="ml-4 text-[10px] text-gray-500 uppercase tracking-widest">metamonitor@live:~$ tail -f /var/log/health.log</span>
-                 </div>
-                 <div className="mt-8 flex-1 overflow-y-auto space-y-1 pr-2">
-                   {logs.map((log, i) => (
-                     <div key={i} className="flex gap-3 pb-1">
-                       <span className="text-gray-700 shrink-0 select-none text-[10px]">[{log.time}]</span>
-                       <span className={`text-[11px] ${
-                         log.type === 'error' ? 'text-red-400 font-bold' : 
-                         log.type === 'warning' ? 'text-amber-400' : 
-                         log.type === 'success' ? 'text-green-400' : 'text-gray-500'
-                       }`}>
-                         {log.msg}
-                       </span>
-                     </div>
-                   ))}
-                   <div ref={logEndRef} />
-                   {isScanning && (
-                     <div className="flex gap-3">
-                       <span className="text-gray-700 text-[10px]">[{new Date().toLocaleTimeString('en-US', { hour12: false })}]</span>
-                       <span className="animate-pulse text-gray-500 text-[11px]">Processing...</span>
-                     </div>
-                   )}
-                 </div>
-              </div>
+              <TerminalLog entries={logEntries} targets={targets} isScanning={isScanning} onClear={clearLog} />
             </div>
           </div>
         </div>
       </section>
 
+      {isAdmin && (
+        <section id="workspace" className="py-24 border-t border-gray-900">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex flex-col md:flex-row justify-between items-end mb-16 border-b border-gray-800 pb-8">
+              <div>
+                <span className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2 block">Members &amp; API Keys</span>
+                <h2 className="text-4xl font-bold text-white uppercase">{session.workspace.name}</h2>
+              </div>
+              <p className="text-right text-gray-500 max-w-xs text-xs uppercase tracking-widest mt-4 md:mt-0">
+                Own targets, alert rules and history
+              </p>
+            </div>
+            <WorkspacePanel session={session} />
+          </div>
+        </section>
+      )}
+
       <section id="api" className="py-32 bg-neutral-950 border-t border-gray-900">
         <div className="max-w-4xl mx-auto px-4">
           <div className="text-center mb-12">
@@ -399,19 +873,29 @@ export default function App() {
           
           <div className="bg-black border border-gray-800 p-8 font-mono text-xs">
             <div className="mb-6">
-              <span className="text-gray-600 uppercase tracking-widest text-[10px]">GET Endpoint</span>
-              <div className="mt-2 bg-gray-900 p-4 border border-gray-800">
-                <code className="text-green-400">GET https://api.metamonitor.io/v1/status</code>
+              <span className="text-gray-600 uppercase tracking-widest text-[10px]">GET Endpoints</span>
+              <div className="mt-2 bg-gray-900 p-4 border border-gray-800 space-y-1">
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/status</code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/status/:id</code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/history/:id?since=</code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/stream <span className="text-gray-600">(text/event-stream)</span></code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/alerts <span className="text-gray-600">(rules, channels, silences)</span></code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/maintenance <span className="text-gray-600">(scheduled downtime)</span></code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/incidents <span className="text-gray-600">(timeline, postmortem, MTTR/MTBF)</span></code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/v1/auth/session <span className="text-gray-600">(Authorization: Bearer mm_... with scoped API keys)</span></code>
+                <code className="block text-green-400">GET https://api.metamonitor.io/metrics <span className="text-gray-600">(Prometheus; OTLP/HTTP push via OTEL_EXPORTER_OTLP_ENDPOINT)</span></code>
               </div>
             </div>
             
             <div className="mb-6">
-              <span className="text-gray-600 uppercase tracking-widest text-[10px]">Response Format</span>
+              <span className="text-gray-600 uppercase tracking-widest text-[10px]">
+                Response Format (<a href="/schemas/v1/status.schema.json" className="hover:text-white underline">JSON Schema</a>)
+              </span>
               <div className="mt-2 bg-gray-900 p-4 border border-gray-800 overflow-x-auto">
                 <pre className="text-gray-400">{`{
   "globalHealth": ${globalHealth},
   "timestamp": "${new Date().toISOString()}",
-  "targets": {${TARGETS.slice(0, 2).map(t => `
+  "targets": {${targets.slice(0, 2).map(t => `
     "${t.id}": {
       "name": "${t.name}",
       "status": "${statuses[t.id]?.status || 'PENDING'}",
@@ -422,11 +906,33 @@ export default function App() {
               </div>
             </div>
 
+            <div className="mb-6">
+              <span className="text-gray-600 uppercase tracking-widest text-[10px]">
+                Share (<a href="/status" target="_blank" rel="noopener noreferrer" className="hover:text-white underline">Public status page</a>)
+              </span>
+              <div className="mt-2 bg-gray-900 p-4 border border-gray-800 space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  <img src="/badge.svg" alt="Global health badge" />
+                  {targets.map(t => <img key={t.id} src={`/badge/${encodeURIComponent(t.id)}.svg`} alt={`${t.name} status badge`} />)}
+                </div>
+                <code className="block text-gray-400">{'![status](https://api.metamonitor.io/badge/:id.svg?window=30d)'}</code>
+                <code className="block text-gray-400">{'<script src="https://api.metamonitor.io/widget.js" data-targets="aws,azure" async></script>'}</code>
+              </div>
+            </div>
+
             <div className="pt-6 border-t border-gray-800 flex justify-between items-center">
-              <span className="text-gray-600 text-[10px] uppercase tracking-widest">Coming Soon: REST API + WebSocket</span>
-              <button className="bg-white text-black px-6 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors">
-                Join Waitlist
-              </button>
+              <span className="text-gray-600 text-[10px] uppercase tracking-widest">REST API v1 + Live Event Stream</span>
+              {session.user ? (
+                isAdmin && (
+                  <button onClick={() => scrollTo('workspace')} className="bg-white text-black px-6 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors">
+                    Create API Key
+                  </button>
+                )
+              ) : (session.signup || session.authRequired) && (
+                <button onClick={() => setAuthMode(session.signup ? 'signup' : 'login')} className="bg-white text-black px-6 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors">
+                  {session.signup ? 'Sign Up' : 'Sign In'}
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -441,12 +947,41 @@ export default function App() {
             </div>
             <div className="flex gap-6">
                <span className="px-3 py-1 border border-gray-800 text-[10px]">V.2.0.0</span>
-               <span className="px-3 py-1 border border-gray-800 text-[10px]">LIVE</span>
+               <span className="px-3 py-1 border border-gray-800 text-[10px]">{!online ? 'OFFLINE' : feedMode === 'local' ? 'LOCAL' : 'LIVE'}</span>
             </div>
           </div>
         </div>
       </footer>
 
+      {detailTarget && (
+        <TargetDetail
+          target={detailTarget}
+          info={statuses[detailTarget.id] || { status: 'PENDING', latency: 0 }}
+          windows={stats[detailTarget.id]}
+          feedMode={feedMode}
+          refreshKey={lastCheck?.getTime()}
+          onBack={closeDetail}
+        />
+      )}
+
+      {authMode && (
+        <AuthDialog
+          mode={authMode}
+          session={session}
+          onSignIn={signIn}
+          onSignUp={signUp}
+          onClose={() => setAuthMode(null)}
+        />
+      )}
+
+      {editing && (
+        <TargetForm
+          target={editing === 'new' ? null : editing}
+          onSave={handleSave}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
       <style>{`
         @keyframes marquee {
           0% { transform: translateX(0); }
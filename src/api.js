@@ -0,0 +1,36 @@
+// JSON request to the backend; throws with the server's error and details
+export const api = async (path, options = {}) => {
+  const response = await fetch(path, {
+    ...options,
+    headers: { 'content-type': 'application/json' },
+    body: options.body && JSON.stringify(options.body),
+  });
+  if (response.status === 204) return null;
+  const body = await response.json();
+  if (!response.ok) throw new Error([body.error, ...(body.details || [])].join('\n'));
+  return body;
+};
+
+// Probes run server-side (npm run server / api/probe) so we see real status
+// codes; an unreachable probe service is UNKNOWN, not an outage
+export const probeTarget = async (target) => {
+  try {
+    const response = await fetch('/api/probe', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(target),
+      cache: 'no-store'
+    });
+    if (!response.ok) throw new Error(`Probe service returned ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    return {
+      status: 'UNKNOWN',
+      latency: 0,
+      statusCode: null,
+      lastChecked: new Date().toISOString(),
+      error: 'Probe service unreachable',
+      errorClass: 'PROBE'
+    };
+  }
+};
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { ROLE_SCOPES } from '../lib/auth.js';
+import { api } from './api.js';
+import { clearLastKnown } from './pwa.js';
+
+// Without a backend, or one with no accounts yet, there is nobody to sign
+// in as and the dashboard may change anything
+const OPEN_SESSION = {
+  authRequired: false,
+  signup: false,
+  oidc: false,
+  user: null,
+  workspace: null,
+  role: null,
+  scopes: ROLE_SCOPES.admin,
+  workspaces: [],
+};
+
+// Who is signed in and to which workspace (see server/auth). ready turns
+// true once that is known; the live feed waits for it.
+export const useSession = () => {
+  const [session, setSession] = useState(OPEN_SESSION);
+  const [ready, setReady] = useState(false);
+
+  const refresh = async () => {
+    try {
+      setSession(await api('/v1/auth/session'));
+    } catch {
+      setSession(OPEN_SESSION);
+    }
+    setReady(true);
+  };
+
+  useEffect(() => { refresh(); }, []);
+
+  const signUp = async (input) => {
+    await api('/v1/auth/signup', { method: 'POST', body: input });
+    await refresh();
+  };
+
+  const signIn = async (input) => {
+    await api('/v1/auth/login', { method: 'POST', body: input });
+    await refresh();
+  };
+
+  const signOut = async () => {
+    await api('/v1/auth/logout', { method: 'POST' });
+    await clearLastKnown();
+    await refresh();
+  };
+
+  const switchWorkspace = async (workspace) => {
+    const next = await api('/v1/auth/session', { method: 'PUT', body: { workspace } });
+    setSession(next);
+    return next;
+  };
+
+  const createWorkspace = async (name) => {
+    const created = await api('/v1/workspaces', { method: 'POST', body: { name } });
+    await switchWorkspace(created.id);
+    return created;
+  };
+
+  // Whether the session may change a resource of lib/auth.js
+  const canWrite = (resource) => session.scopes.includes(`${resource}:write`);
+
+  return { session, ready, canWrite, signUp, signIn, signOut, switchWorkspace, createWorkspace };
+};
+
+// Members and API keys of the current workspace, for its admins
+export const useWorkspaceAdmin = (workspaceId) => {
+  const [members, setMembers] = useState([]);
+  const [keys, setKeys] = useState([]);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      const [memberList, keyList] = await Promise.all([api('/v1/workspace/members'), api('/v1/workspace/keys')]);
+      setMembers(memberList.items);
+      setKeys(keyList.items);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => { if (workspaceId) load(); }, [workspaceId]);
+
+  const addMember = async (input) => {
+    const member = await api('/v1/workspace/members', { method: 'POST', body: input });
+    setMembers(prev => [...prev, member]);
+  };
+
+  const setRole = async (userId, role) => {
+    const member = await api(`/v1/workspace/members/${encodeURIComponent(userId)}`, { method: 'PUT', body: { role } });
+    setMembers(prev => prev.map(m => (m.userId === userId ? member : m)));
+    // Their keys are trimmed to the new role
+    setKeys((await api('/v1/workspace/keys')).items);
+  };
+
+  const removeMember = async (userId) => {
+    await api(`/v1/workspace/members/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+    setMembers(prev => prev.filter(m => m.userId !== userId));
+    setKeys(prev => prev.filter(k => k.createdBy !== userId));
+  };
+
+  // Resolves to the key including its secret, which is never shown again
+  const createKey = async (input) => {
+    const key = await api('/v1/workspace/keys', { method: 'POST', body: input });
+    const { secret, ...stored } = key;
+    setKeys(prev => [...prev, stored]);
+    return key;
+  };
+
+  const revokeKey = async (id) => {
+    await api(`/v1/workspace/keys/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    setKeys(prev => prev.filter(k => k.id !== id));
+  };
+
+  return { members, keys, error, addMember, setRole, removeMember, createKey, revokeKey };
+};
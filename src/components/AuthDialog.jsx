@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { X, LogIn } from 'lucide-react';
+
+const buttonClass = 'border border-gray-700 text-gray-300 px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2';
+const inputClass = 'w-full bg-black border border-gray-800 px-3 py-2 text-xs text-white font-mono focus:border-white outline-none';
+
+const EMPTY_FORM = { email: '', name: '', password: '', workspace: '' };
+
+const Field = ({ label, children }) => (
+  <label className="block">
+    <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+// Modal sign-in / sign-up. mode is 'login' or 'signup'; single sign-on
+// leaves the page for the provider and comes back signed in.
+export default function AuthDialog({ mode: initialMode = 'login', session, onSignIn, onSignUp, onClose }) {
+  const [mode, setMode] = useState(session.signup ? initialMode : 'login');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // The first account takes over the existing dashboard
+  const first = !session.authRequired;
+
+  const set = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      if (mode === 'signup') await onSignUp(form);
+      else await onSignIn({ email: form.email, password: form.password });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const tabClass = (tab) => `flex-1 py-2 text-[10px] font-bold uppercase tracking-widest border-b ${mode === tab ? 'border-white text-white' : 'border-gray-800 text-gray-600 hover:text-white'}`;
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/80 flex items-center justify-center p-4" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(event) => event.stopPropagation()}
+        className="w-full max-w-md bg-black border border-gray-700 p-8 font-mono space-y-4"
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-white uppercase tracking-tight">{mode === 'signup' ? 'Create Account' : 'Sign In'}</h3>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-white"><X className="w-5 h-5" /></button>
+        </div>
+
+        {session.signup && (
+          <div className="flex">
+            <button type="button" onClick={() => setMode('login')} className={tabClass('login')}>Sign In</button>
+            <button type="button" onClick={() => setMode('signup')} className={tabClass('signup')}>Sign Up</button>
+          </div>
+        )}
+
+        {mode === 'signup' && first && (
+          <p className="text-xs text-gray-500">
+            The first account becomes the admin of this dashboard. From then on the API needs a sign-in or an API key.
+          </p>
+        )}
+
+        <Field label="Email">
+          <input className={inputClass} type="email" value={form.email} onChange={set('email')} autoComplete="email" required />
+        </Field>
+        {mode === 'signup' && (
+          <Field label="Name">
+            <input className={inputClass} value={form.name} onChange={set('name')} autoComplete="name" required />
+          </Field>
+        )}
+        <Field label="Password">
+          <input
+            className={inputClass}
+            type="password"
+            value={form.password}
+            onChange={set('password')}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            minLength={mode === 'signup' ? 8 : undefined}
+            required
+          />
+        </Field>
+        {mode === 'signup' && !first && (
+          <Field label="Workspace">
+            <input className={inputClass} value={form.workspace} onChange={set('workspace')} placeholder={form.name ? `${form.name}'s workspace` : 'Your workspace'} />
+          </Field>
+        )}
+
+        {error && <pre className="p-3 border border-red-900 bg-red-950/20 text-red-400 text-[11px] whitespace-pre-wrap">{error}</pre>}
+
+        <div className="flex justify-between items-center gap-3 pt-4 border-t border-gray-800">
+          {session.oidc ? (
+            <a href="/auth/oidc/login" className={buttonClass}>
+              <LogIn className="w-3 h-3" /> Single Sign-On
+            </a>
+          ) : <span />}
+          <button type="submit" disabled={saving} className="bg-white text-black px-6 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors disabled:opacity-50">
+            {saving ? 'Working...' : mode === 'signup' ? 'Create Account' : 'Sign In'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React from 'react';
+import { endpointOf } from '../../lib/checks.js';
+
+const Row = ({ label, children, error }) => (
+  <div className="flex justify-between items-center gap-4">
+    <span className="text-[10px] text-gray-600 uppercase tracking-widest shrink-0">{label}</span>
+    <span className={`text-sm font-bold font-mono truncate ${error ? 'text-red-500' : 'text-white'}`}>{children}</span>
+  </div>
+);
+
+const Timings = ({ timings, phases }) => (
+  <div className="flex justify-between items-center text-[10px] text-gray-600 font-mono">
+    {phases.map(phase => (
+      <span key={phase}>
+        {phase.toUpperCase()} <span className="text-gray-400">{timings[phase] ?? '-'}</span>
+      </span>
+    ))}
+  </div>
+);
+
+const HttpRows = ({ info }) => (
+  <>
+    <Row label="HTTP" error={Boolean(info.errorClass)}>{info.statusCode || info.errorClass || '---'}</Row>
+    {info.timings && <Timings timings={info.timings} phases={['dns', 'tcp', 'tls', 'ttfb']} />}
+  </>
+);
+
+// Type-specific rows for a target card. `details` comes from the check
+// plugin (server/checks/) and is missing until the first result arrives.
+export default function CheckDetails({ target, info }) {
+  const details = info.details;
+
+  switch (target.type) {
+    case 'keyword': {
+      const { keyword, absent } = target.check;
+      const ok = details?.found != null && details.found !== absent;
+      return (
+        <>
+          <HttpRows info={info} />
+          <Row label={absent ? 'Must not contain' : 'Must contain'} error={details?.found != null && !ok}>
+            "{keyword}" {details?.found == null ? '' : ok ? '✓' : '✗'}
+          </Row>
+        </>
+      );
+    }
+
+    case 'json':
+      return (
+        <>
+          <HttpRows info={info} />
+          <div className="space-y-1">
+            {(details?.assertions?.length ? details.assertions : target.check.assertions).map((a, i) => (
+              <div key={i} className="flex justify-between gap-4 text-[10px] font-mono">
+                <span className="text-gray-500 truncate">{a.path} {a.op}{a.value !== undefined ? ` ${JSON.stringify(a.value)}` : ''}</span>
+                <span className={a.pass == null ? 'text-gray-600' : a.pass ? 'text-green-500' : 'text-red-500'}>
+                  {a.pass == null ? '-' : JSON.stringify(a.actual)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      );
+
+    case 'tcp': {
+      const { host, port } = details || endpointOf(target.checkUrl) || {};
+      return (
+        <>
+          <Row label="Port" error={Boolean(info.errorClass)}>{info.errorClass || `${host}:${port}`}</Row>
+          {info.timings && <Timings timings={info.timings} phases={['dns', 'tcp']} />}
+        </>
+      );
+    }
+
+    case 'dns':
+      return (
+        <>
+          <Row label={target.check.recordType} error={Boolean(info.errorClass)}>
+            {/* Ad-hoc probes leave the records out (see server/checks/dns.js) */}
+            {!details ? '---' : details.records?.length > 0 ? `${details.records.length} record${details.records.length === 1 ? '' : 's'}` : info.errorClass || 'OK'}
+          </Row>
+          {details?.records?.length > 0 && (
+            <div className="text-[10px] text-gray-400 font-mono break-all">
+              {details.records.slice(0, 3).join(' · ')}{details.records.length > 3 ? ' …' : ''}
+            </div>
+          )}
+          {details?.missing.length > 0 && (
+            <div className="text-[10px] text-red-500 font-mono break-all">missing {details.missing.join(', ')}</div>
+          )}
+        </>
+      );
+
+    case 'tls':
+      return (
+        <>
+          <Row label="Cert expiry" error={info.status === 'DOWN'}>
+            {details ? `${details.daysRemaining}d` : info.errorClass || '---'}
+          </Row>
+          {details && (
+            <div className="flex justify-between gap-4 text-[10px] text-gray-600 font-mono">
+              <span className="truncate">{details.issuer}</span>
+              <span className="text-gray-400">{details.validTo.slice(0, 10)}</span>
+            </div>
+          )}
+        </>
+      );
+
+    default:
+      return <HttpRows info={info} />;
+  }
+}
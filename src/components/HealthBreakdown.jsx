@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from 'react';
+import { FORMULAS } from '../../lib/health.js';
+import { QUORUM_RULES } from '../../lib/regions.js';
+
+const inputClass = 'bg-black border border-gray-800 px-2 py-1 text-xs text-white font-mono focus:border-white outline-none w-20';
+const STATUS_CLASS = { UP: 'text-green-500', DEGRADED: 'text-amber-500', DOWN: 'text-red-500', MAINTENANCE: 'text-blue-400' };
+
+const toForm = (policy) => ({
+  formula: policy.formula,
+  up: policy.scores.UP,
+  degraded: policy.scores.DEGRADED,
+  down: policy.scores.DOWN,
+  required: policy.damping.required,
+  window: policy.damping.window,
+  quorum: policy.quorum,
+});
+
+// How globalHealth was computed, target by target, plus the policy behind it
+// (editable when onSave is given)
+export default function HealthBreakdown({ breakdown, policy, onSave }) {
+  const [form, setForm] = useState(() => toForm(policy));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => setForm(toForm(policy)), [policy]);
+
+  const set = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({
+        formula: form.formula,
+        scores: { UP: Number(form.up), DEGRADED: Number(form.degraded), DOWN: Number(form.down) },
+        damping: { required: Number(form.required), window: Number(form.window) },
+        quorum: form.quorum,
+      });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="border border-gray-800 bg-black p-6 font-mono text-xs space-y-6">
+      <div>
+        <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-2">{FORMULAS[breakdown.formula]}</span>
+        <div className="text-gray-300">{breakdown.explanation} = <span className="text-white font-bold">{breakdown.health}%</span></div>
+      </div>
+
+      <table className="w-full text-[11px]">
+        <thead>
+          <tr className="text-[10px] text-gray-600 uppercase tracking-widest">
+            <th className="text-left font-normal py-1">Target</th>
+            <th className="text-left font-normal">Status</th>
+            <th className="text-right font-normal">Score</th>
+            <th className="text-right font-normal">Weight</th>
+            <th className="text-right font-normal">Share</th>
+            <th className="text-left font-normal pl-4">Notes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {breakdown.rows.map(row => (
+            <tr key={row.id} className={`border-t border-gray-900 ${row.counted ? 'text-white' : 'text-gray-600'}`}>
+              <td className="py-1">{row.name}{row.critical && <span className="ml-2 text-[9px] text-red-400 uppercase tracking-widest">critical</span>}</td>
+              <td className={STATUS_CLASS[row.status] || 'text-gray-500'}>{row.status}</td>
+              <td className="text-right">{row.score ?? '-'}</td>
+              <td className="text-right text-gray-400">{row.weight}</td>
+              <td className="text-right text-gray-400">{row.share != null ? `${row.share}%` : '-'}</td>
+              <td className="pl-4 text-gray-500">{row.notes.join('; ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {onSave && (
+        <form onSubmit={handleSubmit} className="pt-4 border-t border-gray-800 flex flex-wrap items-end gap-4">
+          <label className="block">
+            <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-1">Formula</span>
+            <select className={`${inputClass} w-auto`} value={form.formula} onChange={set('formula')}>
+              {Object.entries(FORMULAS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          {[['up', 'UP'], ['degraded', 'DEGRADED'], ['down', 'DOWN']].map(([field, label]) => (
+            <label key={field} className="block">
+              <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-1">{label} score</span>
+              <input className={inputClass} type="number" min="0" max="1" step="0.05" value={form[field]} onChange={set(field)} />
+            </label>
+          ))}
+          <label className="block">
+            <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-1">Confirm (N of M)</span>
+            <span className="flex items-center gap-2 text-gray-500">
+              <input className={`${inputClass} w-14`} type="number" min="1" max="10" value={form.required} onChange={set('required')} />
+              of
+              <input className={`${inputClass} w-14`} type="number" min="1" max="10" value={form.window} onChange={set('window')} />
+            </span>
+          </label>
+          <label className="block">
+            <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-1">Region quorum</span>
+            <select className={`${inputClass} w-auto`} value={form.quorum} onChange={set('quorum')}>
+              {Object.entries(QUORUM_RULES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <button type="submit" disabled={saving} className="bg-white text-black px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors disabled:opacity-50">
+            {saving ? 'Saving...' : 'Apply Policy'}
+          </button>
+        </form>
+      )}
+      {error && <pre className="p-3 border border-red-900 bg-red-950/20 text-red-400 text-[11px] whitespace-pre-wrap">{error}</pre>}
+    </div>
+  );
+}
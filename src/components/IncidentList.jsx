@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, Check } from 'lucide-react';
+import { incidentStats } from '../../lib/incidents.js';
+import { formatDateTime, formatDuration } from '../format.js';
+
+const buttonClass = 'border border-gray-700 text-gray-300 px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2 disabled:opacity-50';
+const inputClass = 'w-full bg-black border border-gray-800 px-3 py-2 text-xs text-white font-mono focus:border-white outline-none';
+
+const FILTERS = ['all', 'open', 'resolved'];
+
+const stateOf = (incident) => (incident.status === 'resolved' ? 'RESOLVED' : incident.acknowledgedAt ? 'ACKNOWLEDGED' : 'OPEN');
+
+const STATE_CLASS = {
+  OPEN: 'border-red-900 text-red-500',
+  ACKNOWLEDGED: 'border-amber-900 text-amber-500',
+  RESOLVED: 'border-green-900 text-green-500',
+};
+
+const KIND_CLASS = {
+  affected: 'text-red-500',
+  recovered: 'text-green-500',
+  resolved: 'text-green-500',
+  acknowledged: 'text-amber-500',
+  note: 'text-white',
+  postmortem: 'text-blue-400',
+};
+
+const durationOf = (incident, now) => formatDuration(incident.duration ?? now - Date.parse(incident.startedAt));
+
+// Time the target spent failing, summed over its outages in this incident
+const downtimeOf = (incident, target) => {
+  const { downtime, outages } = incidentStats([incident], target.id);
+  return outages > 1 ? `${formatDuration(downtime)} in ${outages} outages` : formatDuration(downtime);
+};
+
+const orDash = (ms) => (ms != null ? formatDuration(ms) : '-');
+
+function IncidentItem({ incident, now, onAcknowledge, onNote, onUpdate }) {
+  const [open, setOpen] = useState(incident.status === 'open');
+  const [note, setNote] = useState('');
+  const [postmortem, setPostmortem] = useState(incident.postmortem);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const state = stateOf(incident);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitNote = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await onNote(incident, note);
+      setNote('');
+    });
+  };
+
+  return (
+    <div className="border border-gray-800 bg-black">
+      <button onClick={() => setOpen(v => !v)} className="w-full flex items-center gap-4 px-4 py-3 text-left text-xs hover:bg-neutral-900">
+        {open ? <ChevronDown className="w-3 h-3 text-gray-600 shrink-0" /> : <ChevronRight className="w-3 h-3 text-gray-600 shrink-0" />}
+        <span className={`px-2 py-0.5 border text-[9px] font-bold uppercase tracking-widest shrink-0 ${STATE_CLASS[state]}`}>{state}</span>
+        <span className="text-white font-bold truncate">{incident.title}</span>
+        <span className={`text-[10px] uppercase tracking-widest shrink-0 ${incident.severity === 'DOWN' ? 'text-red-500' : 'text-amber-500'}`}>{incident.severity}</span>
+        <span className="ml-auto text-gray-500 shrink-0">{formatDateTime(incident.startedAt)}</span>
+        <span className="text-gray-400 font-mono w-20 text-right shrink-0">{durationOf(incident, now)}</span>
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 pt-2 border-t border-gray-800 space-y-4 text-xs">
+          <div className="flex flex-wrap gap-2">
+            {incident.targets.map(t => (
+              <span key={t.id} className="px-2 py-0.5 border border-gray-800 text-[10px] uppercase tracking-widest text-gray-400">
+                {t.name} · {t.worst} · {t.resolvedAt ? downtimeOf(incident, t) : 'ongoing'}
+              </span>
+            ))}
+          </div>
+
+          <ol className="space-y-1 font-mono">
+            {incident.timeline.map((item, i) => (
+              <li key={i} className="flex gap-3">
+                <span className="text-gray-600 shrink-0">{formatDateTime(item.at)}</span>
+                <span className={`uppercase text-[10px] tracking-widest w-24 shrink-0 pt-px ${KIND_CLASS[item.kind] || 'text-gray-400'}`}>{item.kind}</span>
+                <span className="text-gray-300 whitespace-pre-wrap break-words">{item.message}{item.author ? <span className="text-gray-600"> - {item.author}</span> : null}</span>
+              </li>
+            ))}
+          </ol>
+
+          {onAcknowledge && (
+            <div className="flex flex-wrap gap-3">
+              {incident.status === 'open' && !incident.acknowledgedAt && (
+                <button onClick={() => run(() => onAcknowledge(incident))} disabled={busy} className={buttonClass}>
+                  <Check className="w-3 h-3" /> Acknowledge
+                </button>
+              )}
+              <form onSubmit={submitNote} className="flex flex-1 gap-3 min-w-[16rem]">
+                <input className={inputClass} value={note} onChange={(event) => setNote(event.target.value)} placeholder="Add a timeline note" />
+                <button type="submit" disabled={busy || !note.trim()} className={buttonClass}>Note</button>
+              </form>
+            </div>
+          )}
+
+          {(onUpdate || incident.postmortem) && (
+            <div>
+              <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-1">Postmortem</span>
+              <textarea
+                className={`${inputClass} h-28`}
+                value={postmortem}
+                onChange={(event) => setPostmortem(event.target.value)}
+                readOnly={!onUpdate}
+                placeholder="Impact, root cause, what we changed"
+              />
+              {onUpdate && (
+                <div className="flex justify-end mt-2">
+                  <button onClick={() => run(() => onUpdate(incident, { postmortem }))} disabled={busy || postmortem === incident.postmortem} className={buttonClass}>
+                    Save Postmortem
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {error && <pre className="p-3 border border-red-900 bg-red-950/20 text-red-400 text-[11px] whitespace-pre-wrap">{error}</pre>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Incidents opened from scan results (see lib/incidents.js), newest first,
+// with MTTR and MTBF per target. Read-only without the handlers.
+export default function IncidentList({ incidents, targets, onAcknowledge, onNote, onUpdate }) {
+  const [filter, setFilter] = useState('all');
+  const now = Date.now();
+  const shown = incidents.filter(incident => filter === 'all' || incident.status === filter);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-16">
+      <div className="lg:col-span-1">
+        <span className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-4 block">Reliability</span>
+        <table className="w-full text-[10px] font-mono">
+          <thead>
+            <tr className="text-gray-600 uppercase tracking-widest">
+              <th className="text-left font-normal pb-2">Target</th>
+              <th className="text-right font-normal pb-2">Inc</th>
+              <th className="text-right font-normal pb-2">MTTR</th>
+              <th className="text-right font-normal pb-2">MTBF</th>
+            </tr>
+          </thead>
+          <tbody>
+            {targets.map(target => {
+              const stats = incidentStats(incidents, target.id, now);
+              return (
+                <tr key={target.id} className="text-white border-t border-gray-900">
+                  <td className={`py-1 ${stats.open ? 'text-red-500' : 'text-gray-400'}`}>{target.name}</td>
+                  <td className="text-right font-bold">{stats.incidents}</td>
+                  <td className="text-right text-gray-400">{orDash(stats.mttr)}</td>
+                  <td className="text-right text-gray-400">{orDash(stats.mtbf)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="lg:col-span-2">
+        <div className="flex gap-2 mb-4">
+          {FILTERS.map(name => (
+            <button
+              key={name}
+              onClick={() => setFilter(name)}
+              className={`px-3 py-1 border text-[10px] font-bold uppercase tracking-widest ${filter === name ? 'border-white text-white' : 'border-gray-800 text-gray-500 hover:text-white'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        {shown.length === 0 ? (
+          <p className="text-xs text-gray-600">No incidents. One opens when a target goes DOWN or DEGRADED and resolves once it recovers.</p>
+        ) : (
+          <div className="space-y-2">
+            {shown.map(incident => (
+              <IncidentItem key={incident.id} incident={incident} now={now} onAcknowledge={onAcknowledge} onNote={onNote} onUpdate={onUpdate} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useRef, useState } from 'react';
+
+const WIDTH = 800;
+const HEIGHT = 220;
+const PAD = { top: 10, right: 10, bottom: 24, left: 48 };
+const MIN_SELECTION = 8;
+
+const formatTime = (ts) => new Date(ts).toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
+
+// Round the y-axis ceiling up to a readable number
+const niceMax = (value) => {
+  const magnitude = 10 ** Math.floor(Math.log10(Math.max(value, 1)));
+  return Math.ceil(value / magnitude) * magnitude;
+};
+
+// Latency over time. Drag across the plot to zoom into a time range.
+export default function LatencyChart({ samples }) {
+  const svgRef = useRef(null);
+  const [domain, setDomain] = useState(null);
+  const [drag, setDrag] = useState(null);
+
+  if (samples.length < 2) {
+    return <div className="h-[220px] flex items-center justify-center text-xs text-gray-600 border border-gray-800">Not enough samples yet</div>;
+  }
+
+  const [from, to] = domain || [samples[0].timestamp, samples[samples.length - 1].timestamp];
+  const visible = samples.filter(s => s.timestamp >= from && s.timestamp <= to);
+  const max = niceMax(Math.max(...visible.map(s => s.latency), 1));
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+
+  const x = (ts) => PAD.left + ((ts - from) / Math.max(to - from, 1)) * plotWidth;
+  const y = (latency) => PAD.top + plotHeight - (latency / max) * plotHeight;
+
+  // Pointer position in viewBox units, clamped to the plot area
+  const pointerX = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const vx = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    return Math.min(Math.max(vx, PAD.left), WIDTH - PAD.right);
+  };
+  const timeAt = (vx) => from + ((vx - PAD.left) / plotWidth) * (to - from);
+
+  const handleMouseUp = () => {
+    if (drag && Math.abs(drag.end - drag.start) >= MIN_SELECTION) {
+      const a = timeAt(Math.min(drag.start, drag.end));
+      const b = timeAt(Math.max(drag.start, drag.end));
+      setDomain([a, b]);
+    }
+    setDrag(null);
+  };
+
+  const line = visible.filter(s => s.latency > 0).map(s => `${x(s.timestamp).toFixed(1)},${y(s.latency).toFixed(1)}`).join(' ');
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2 text-[10px] uppercase tracking-widest text-gray-600">
+        <span>{domain ? 'Zoomed' : 'Drag to zoom'} · {visible.length} samples</span>
+        {domain && (
+          <button onClick={() => setDomain(null)} className="text-gray-400 hover:text-white uppercase tracking-widest">Reset zoom</button>
+        )}
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full border border-gray-800 bg-black select-none cursor-crosshair"
+        onMouseDown={(event) => { const vx = pointerX(event); setDrag({ start: vx, end: vx }); }}
+        onMouseMove={(event) => drag && setDrag({ ...drag, end: pointerX(event) })}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={() => setDrag(null)}
+      >
+        {[0, 0.5, 1].map(f => (
+          <g key={f}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(max * f)} y2={y(max * f)} stroke="#1f2937" />
+            <text x={PAD.left - 6} y={y(max * f) + 3} textAnchor="end" fontSize="10" fill="#6b7280">{Math.round(max * f)}ms</text>
+          </g>
+        ))}
+
+        <polyline points={line} fill="none" stroke="#e5e7eb" strokeWidth="1.5" />
+
+        {visible.map(s => s.status === 'DOWN' && (
+          <rect key={s.timestamp} x={x(s.timestamp) - 1.5} y={PAD.top} width="3" height={plotHeight} fill="#ef4444" opacity="0.35" />
+        ))}
+        {visible.map(s => s.status === 'DEGRADED' && (
+          <circle key={s.timestamp} cx={x(s.timestamp)} cy={y(s.latency)} r="3" fill="#f59e0b" />
+        ))}
+
+        <text x={PAD.left} y={HEIGHT - 6} fontSize="10" fill="#6b7280">{formatTime(from)}</text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end" fontSize="10" fill="#6b7280">{formatTime(to)}</text>
+
+        {drag && (
+          <rect
+            x={Math.min(drag.start, drag.end)}
+            y={PAD.top}
+            width={Math.abs(drag.end - drag.start)}
+            height={plotHeight}
+            fill="#ffffff"
+            opacity="0.1"
+          />
+        )}
+      </svg>
+    </div>
+  );
+}
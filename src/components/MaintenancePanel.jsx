@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { currentOrNext } from '../../lib/maintenance.js';
+import { formatDateTime, formatDuration } from '../format.js';
+
+const buttonClass = 'border border-gray-700 text-gray-300 px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2';
+const inputClass = 'w-full bg-black border border-gray-800 px-3 py-2 text-xs text-white font-mono focus:border-white outline-none';
+const labelClass = 'text-[10px] text-gray-600 uppercase tracking-widest block mb-1';
+
+const EMPTY_FORM = { title: '', targets: [], recurring: false, start: '', end: '', cron: '0 3 * * 0', duration: 60 };
+
+// datetime-local inputs are in the browser's time zone; send an instant
+const toInstant = (value) => (value ? new Date(value).toISOString() : '');
+
+const describe = (entry) => (entry.cron
+  ? `cron ${entry.cron} UTC · ${formatDuration(entry.duration * 60000)}`
+  : `${formatDateTime(entry.start)} → ${formatDateTime(entry.end)}`);
+
+const nextText = (entry, now) => {
+  const next = currentOrNext(entry, now);
+  if (!next) return { text: 'ENDED', active: false };
+  const start = Date.parse(next.start);
+  if (start <= now) return { text: `ACTIVE · ends in ${formatDuration(Date.parse(next.end) - now)}`, active: true };
+  return { text: `in ${formatDuration(start - now)}`, active: false };
+};
+
+// Scheduled downtime: results inside a window are reported as MAINTENANCE
+// and stay out of health, uptime and alerts (see lib/maintenance.js).
+// Read-only without onAdd/onRemove.
+export default function MaintenancePanel({ windows, targets, onAdd, onRemove }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState(null);
+  const now = Date.now();
+  const names = Object.fromEntries(targets.map(t => [t.id, t.name]));
+
+  const set = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const toggleTarget = (id) => setForm(prev => ({
+    ...prev,
+    targets: prev.targets.includes(id) ? prev.targets.filter(t => t !== id) : [...prev.targets, id],
+  }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const { title, targets: scope, recurring, start, end, cron, duration } = form;
+    try {
+      await onAdd(recurring
+        ? { title, targets: scope, cron, duration: Number(duration) }
+        : { title, targets: scope, start: toInstant(start), end: toInstant(end) });
+      setForm(EMPTY_FORM);
+      setAdding(false);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-12 border border-gray-800 bg-black p-8">
+      <div className="flex justify-between items-center mb-6">
+        <span className="text-xs font-bold text-gray-500 uppercase tracking-widest">Scheduled Maintenance</span>
+        {onAdd && (
+          <button onClick={() => setAdding(v => !v)} className={buttonClass}>
+            <Plus className="w-3 h-3" /> {adding ? 'Cancel' : 'Add Window'}
+          </button>
+        )}
+      </div>
+
+      {windows.length === 0 && !adding && (
+        <p className="text-xs text-gray-600">No maintenance windows. Checks inside a window report MAINTENANCE instead of paging anyone.</p>
+      )}
+
+      <div className="space-y-2">
+        {windows.map(w => {
+          const next = nextText(w, now);
+          return (
+            <div key={w.id} className="flex items-start justify-between gap-4 border border-gray-800 px-4 py-3 text-xs">
+              <div className="min-w-0">
+                <div className="text-white font-bold">{w.title}</div>
+                <div className="text-gray-500 mt-1">{describe(w)}</div>
+                <div className="text-gray-600 mt-1 uppercase tracking-widest text-[10px]">
+                  {w.targets.length === 0 ? 'All targets' : w.targets.map(id => names[id] || id).join(', ')}
+                </div>
+              </div>
+              <div className="flex items-center gap-4 shrink-0">
+                <span className={`font-bold ${next.active ? 'text-blue-400' : 'text-gray-400'}`}>{next.text}</span>
+                {onRemove && (
+                  <button onClick={() => onRemove(w)} title="Remove window" className="text-gray-600 hover:text-red-500">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {adding && (
+        <form onSubmit={handleSubmit} className="mt-6 pt-6 border-t border-gray-800 space-y-4">
+          <div className="grid grid-cols-3 gap-4">
+            <label className="block col-span-2">
+              <span className={labelClass}>Title</span>
+              <input className={inputClass} value={form.title} onChange={set('title')} placeholder="Database upgrade" required />
+            </label>
+            <label className="block">
+              <span className={labelClass}>Schedule</span>
+              <select className={inputClass} value={form.recurring ? 'recurring' : 'once'} onChange={(event) => setForm(prev => ({ ...prev, recurring: event.target.value === 'recurring' }))}>
+                <option value="once">One-off</option>
+                <option value="recurring">Recurring</option>
+              </select>
+            </label>
+          </div>
+          {form.recurring ? (
+            <div className="grid grid-cols-3 gap-4">
+              <label className="block col-span-2">
+                <span className={labelClass}>Cron (UTC: minute hour day month weekday)</span>
+                <input className={inputClass} value={form.cron} onChange={set('cron')} required />
+              </label>
+              <label className="block">
+                <span className={labelClass}>Duration (min)</span>
+                <input className={inputClass} type="number" min="1" max="10080" value={form.duration} onChange={set('duration')} />
+              </label>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block">
+                <span className={labelClass}>Start</span>
+                <input className={inputClass} type="datetime-local" value={form.start} onChange={set('start')} required />
+              </label>
+              <label className="block">
+                <span className={labelClass}>End</span>
+                <input className={inputClass} type="datetime-local" value={form.end} onChange={set('end')} required />
+              </label>
+            </div>
+          )}
+          <div>
+            <span className={labelClass}>Targets (none selected = all)</span>
+            <div className="flex flex-wrap gap-2">
+              {targets.map(t => (
+                <button
+                  key={t.id}
+                  type="button"
+                  onClick={() => toggleTarget(t.id)}
+                  className={`px-2 py-1 border text-[10px] uppercase tracking-widest ${form.targets.includes(t.id) ? 'border-white text-white' : 'border-gray-800 text-gray-500 hover:text-white'}`}
+                >
+                  {t.name}
+                </button>
+              ))}
+            </div>
+          </div>
+          {error && <pre className="p-3 border border-red-900 bg-red-950/20 text-red-400 text-[11px] whitespace-pre-wrap">{error}</pre>}
+          <div className="flex justify-end">
+            <button type="submit" className="bg-white text-black px-6 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors">
+              Save Window
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
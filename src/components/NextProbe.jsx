@@ -0,0 +1,19 @@
+import React, { useEffect, useState } from 'react';
+import { formatDuration } from '../format.js';
+
+// Live countdown to a scheduled probe; ticks on its own so the rest of the
+// page does not re-render every second
+export default function NextProbe({ at, paused, running, className = '' }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  let text = '---';
+  if (paused) text = 'PAUSED';
+  else if (running) text = 'PROBING';
+  else if (at) text = Date.parse(at) <= now ? 'DUE' : formatDuration(Date.parse(at) - now);
+  return <span className={className}>{text}</span>;
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import { QUORUM_RULES } from '../../lib/regions.js';
+
+const STATUS_CLASS = { UP: 'text-green-500', DEGRADED: 'text-amber-500', DOWN: 'text-red-500' };
+
+// Per-region results behind a quorum status (see lib/regions.js). Hidden
+// until a probe agent reports, since a lone region has nothing to agree on.
+export default function RegionLatency({ regions, quorum }) {
+  if (!regions || Object.keys(regions).length < 2) return null;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between items-center gap-4">
+        <span className="text-[10px] text-gray-600 uppercase tracking-widest shrink-0">Regions</span>
+        <span className="text-[10px] text-gray-500 font-mono truncate" title={QUORUM_RULES[quorum.rule]}>
+          {quorum.agreeing}/{quorum.total} agree · {quorum.rule}
+        </span>
+      </div>
+      {Object.entries(regions).map(([region, result]) => (
+        <div key={region} className="flex justify-between gap-4 text-[10px] font-mono" title={result.error || undefined}>
+          <span className="text-gray-400 truncate">{region}</span>
+          <span className={STATUS_CLASS[result.status] || 'text-gray-500'}>
+            {result.status === 'UP' || result.status === 'DEGRADED' ? `${result.latency}ms` : result.errorClass || result.status}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from 'react';
+
+const WIDTH = 120;
+const HEIGHT = 28;
+
+// Inline latency trend for a target card; DOWN samples drop to a red tick
+export default function Sparkline({ samples }) {
+  if (!samples || samples.length < 2) {
+    return <span className="text-[10px] text-gray-700">collecting...</span>;
+  }
+
+  const max = Math.max(...samples.map(s => s.latency), 1);
+  const step = WIDTH / (samples.length - 1);
+  const y = (latency) => HEIGHT - 2 - (latency / max) * (HEIGHT - 4);
+  const points = samples
+    .map((s, i) => (s.latency > 0 ? `${(i * step).toFixed(1)},${y(s.latency).toFixed(1)}` : null))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="overflow-visible">
+      <polyline points={points} fill="none" stroke="#9ca3af" strokeWidth="1" />
+      {samples.map((s, i) => (s.status === 'DOWN' || s.status === 'DEGRADED') && (
+        <line
+          key={i}
+          x1={i * step}
+          x2={i * step}
+          y1={s.status === 'DOWN' ? HEIGHT - 6 : y(s.latency) - 2}
+          y2={s.status === 'DOWN' ? HEIGHT : y(s.latency) + 2}
+          stroke={s.status === 'DOWN' ? '#ef4444' : '#f59e0b'}
+          strokeWidth="2"
+        />
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,41 @@
+import React from 'react';
+import { DAY, bucketUptime } from '../../lib/history.js';
+
+const DAYS = 90;
+
+const colorFor = (bucket) => {
+  if (!bucket || bucket.count === 0) return 'bg-gray-800';
+  const uptime = bucketUptime(bucket);
+  if (uptime == null) return 'bg-blue-500';
+  if (uptime >= 99.9 && bucket.degraded === 0) return 'bg-green-500';
+  if (uptime >= 99) return 'bg-green-700';
+  if (uptime >= 95) return 'bg-amber-500';
+  return 'bg-red-500';
+};
+
+// One bar per UTC day from the daily rollups, status-page style
+export default function StatusHeatmap({ daily, now = Date.now() }) {
+  const today = Math.floor(now / DAY) * DAY;
+  const byDay = new Map(daily.map(b => [b.start, b]));
+  const days = Array.from({ length: DAYS }, (_, i) => today - (DAYS - 1 - i) * DAY);
+
+  return (
+    <div>
+      <div className="flex gap-[2px] h-10">
+        {days.map(start => {
+          const bucket = byDay.get(start);
+          const label = new Date(start).toISOString().slice(0, 10);
+          const uptime = bucket && bucketUptime(bucket);
+          const detail = bucket
+            ? `${uptime != null ? `${uptime.toFixed(2)}% up · ` : ''}${bucket.down} down · ${bucket.degraded} degraded${bucket.maintenance ? ` · ${bucket.maintenance} in maintenance` : ''}`
+            : 'no data';
+          return <div key={start} title={`${label}: ${detail}`} className={`flex-1 ${colorFor(bucket)} hover:opacity-70`} />;
+        })}
+      </div>
+      <div className="flex justify-between mt-2 text-[10px] text-gray-600 uppercase tracking-widest">
+        <span>{DAYS} days ago</span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { DAY, WINDOWS, statusIntervals } from '../../lib/history.js';
+import { displayHost } from '../../lib/targets.js';
+import { loadSeries } from '../historyDb.js';
+import { formatDuration, formatDateTime } from '../format.js';
+import LatencyChart from './LatencyChart.jsx';
+import StatusHeatmap from './StatusHeatmap.jsx';
+
+const fetchHistory = async (id, resolution, since) => {
+  const response = await fetch(`/v1/history/${encodeURIComponent(id)}?resolution=${resolution}&since=${since}`);
+  if (!response.ok) throw new Error(`History request failed (${response.status})`);
+  return (await response.json()).samples;
+};
+
+// Raw samples for the chart and intervals, daily rollups for the heatmap
+const loadDetail = async (id, feedMode) => {
+  if (feedMode === 'local') {
+    const series = await loadSeries(id);
+    return { raw: series.raw, daily: series.daily };
+  }
+  const [raw, daily] = await Promise.all([
+    fetchHistory(id, 'raw', 0),
+    fetchHistory(id, 'daily', Date.now() - 90 * DAY)
+  ]);
+  return {
+    raw: raw.map(s => ({ ...s, timestamp: Date.parse(s.timestamp) })),
+    daily: daily.map(b => ({ ...b, start: Date.parse(b.start) }))
+  };
+};
+
+const statusColor = (status) => (
+  status === 'DOWN' ? 'text-red-500' : status === 'DEGRADED' ? 'text-amber-500' : status === 'UP' ? 'text-green-500' : status === 'MAINTENANCE' ? 'text-blue-400' : 'text-gray-500'
+);
+
+export default function TargetDetail({ target, info, windows, feedMode, refreshKey, onBack }) {
+  const [detail, setDetail] = useState({ raw: [], daily: [] });
+  const [error, setError] = useState(null);
+
+  // Reload whenever a scan completes so the view stays live
+  useEffect(() => {
+    let cancelled = false;
+    loadDetail(target.id, feedMode)
+      .then(data => { if (!cancelled) { setDetail(data); setError(null); } })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [target.id, feedMode, refreshKey]);
+
+  useEffect(() => {
+    const onKey = (event) => event.key === 'Escape' && onBack();
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onBack]);
+
+  const intervals = statusIntervals(detail.raw);
+
+  // Rendered over the dashboard (below the nav) so closing it keeps the scroll position
+  return (
+    <div className="fixed inset-0 z-40 bg-black overflow-y-auto">
+      <section className="pt-32 pb-24 px-4 sm:px-6 lg:px-8 max-w-7xl mx-auto">
+        <button onClick={onBack} className="flex items-center gap-2 text-xs text-gray-500 hover:text-white uppercase tracking-widest mb-8">
+          <ArrowLeft className="w-4 h-4" /> All targets
+        </button>
+
+        <div className="flex flex-col md:flex-row justify-between md:items-end gap-6 border-b border-gray-800 pb-8 mb-12">
+          <div>
+            <span className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-2 block">Target Detail</span>
+            <h2 className="text-4xl font-bold text-white">{target.name}</h2>
+            <a href={target.url} target="_blank" rel="noopener noreferrer" className="text-xs text-gray-500 hover:text-white font-mono">
+              {displayHost(target)}
+            </a>
+          </div>
+          <div className="text-right">
+            <span className={`text-3xl font-bold ${statusColor(info.status)}`}>{info.status}</span>
+            <span className="block text-xs text-gray-500 font-mono">{info.latency > 0 ? `${info.latency}ms` : '---'}</span>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-0 border border-gray-800 mb-12">
+          {Object.keys(WINDOWS).map(name => {
+            const w = windows?.[name];
+            return (
+              <div key={name} className="p-6 border border-gray-800">
+                <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-2">Uptime {name}</span>
+                <span className="text-2xl font-bold text-white">{w?.uptime != null ? `${w.uptime.toFixed(2)}%` : '...'}</span>
+                <span className="block text-[10px] text-gray-500 font-mono mt-2">
+                  p50 {w?.p50 ?? '-'} · p95 {w?.p95 ?? '-'} · p99 {w?.p99 ?? '-'} ms
+                </span>
+              </div>
+            );
+          })}
+        </div>
+
+        {error && <p className="mb-8 text-xs text-red-400">{error}</p>}
+
+        <div className="mb-12">
+          <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-4">Latency · Last 24h</h3>
+          <LatencyChart samples={detail.raw} />
+        </div>
+
+        <div className="mb-12">
+          <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-4">Daily Status · 90 Days</h3>
+          <StatusHeatmap daily={detail.daily} />
+        </div>
+
+        <div>
+          <h3 className="text-xs font-bold text-gray-500 uppercase tracking-widest mb-4">Outages &amp; Degradations · Last 24h</h3>
+          {intervals.length === 0 ? (
+            <p className="text-xs text-gray-600">No DOWN or DEGRADED periods recorded.</p>
+          ) : (
+            <table className="w-full text-xs font-mono border border-gray-800">
+              <thead>
+                <tr className="text-[10px] text-gray-600 uppercase tracking-widest border-b border-gray-800">
+                  <th className="text-left p-3 font-normal">Status</th>
+                  <th className="text-left p-3 font-normal">Started</th>
+                  <th className="text-left p-3 font-normal">Ended</th>
+                  <th className="text-right p-3 font-normal">Duration</th>
+                </tr>
+              </thead>
+              <tbody>
+                {intervals.map(interval => (
+                  <tr key={interval.start} className="border-b border-gray-900">
+                    <td className={`p-3 font-bold ${statusColor(interval.status)}`}>{interval.status}</td>
+                    <td className="p-3 text-gray-400">{formatDateTime(interval.start)}</td>
+                    <td className="p-3 text-gray-400">{interval.end ? formatDateTime(interval.end) : 'ongoing'}</td>
+                    <td className="p-3 text-right text-white">{formatDuration(interval.duration)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,303 @@
+import React, { useRef, useState } from 'react';
+import { Plus, Upload, Download, X } from 'lucide-react';
+import { METHODS, TARGET_DEFAULTS } from '../../lib/targets.js';
+import { CHECK_TYPES, HTTP_CHECKS, RECORD_TYPES } from '../../lib/checks.js';
+import { PROVIDERS } from '../../lib/providers/index.js';
+import { parseTargets, serializeTargets } from '../../lib/targetsFile.js';
+import { download } from '../download.js';
+
+const buttonClass = 'border border-gray-700 text-gray-300 px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2';
+const inputClass = 'w-full bg-black border border-gray-800 px-3 py-2 text-xs text-white font-mono focus:border-white outline-none disabled:text-gray-600';
+
+// Without onAdd/onImport (read-only members) only the exports are offered
+export function TargetToolbar({ targets, onAdd, onImport }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseTargets(await file.text());
+      if (!window.confirm(`Replace ${targets.length} targets with ${imported.length} from ${file.name}?`)) return;
+      await onImport(imported);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mb-8">
+      <div className="flex flex-wrap gap-3">
+        {onAdd && (
+          <button onClick={onAdd} className={buttonClass}>
+            <Plus className="w-3 h-3" /> Add Target
+          </button>
+        )}
+        {onImport && (
+          <button onClick={() => fileRef.current.click()} className={buttonClass}>
+            <Upload className="w-3 h-3" /> Import
+          </button>
+        )}
+        <button onClick={() => download(serializeTargets(targets, 'json'), 'metamonitor-targets.json', 'application/json')} className={buttonClass}>
+          <Download className="w-3 h-3" /> Export JSON
+        </button>
+        <button onClick={() => download(serializeTargets(targets, 'yaml'), 'metamonitor-targets.yaml', 'application/yaml')} className={buttonClass}>
+          <Download className="w-3 h-3" /> Export YAML
+        </button>
+        <input ref={fileRef} type="file" accept=".json,.yaml,.yml,application/json,application/yaml" className="hidden" onChange={handleFile} />
+      </div>
+      {error && <pre className="mt-4 p-4 border border-red-900 bg-red-950/20 text-red-400 text-[11px] whitespace-pre-wrap">{error}</pre>}
+    </div>
+  );
+}
+
+// JSON assertions are edited one per line as '<path> <op> [value]'; the
+// value is read as JSON when it parses, as a plain string otherwise
+const formatAssertion = ({ path, op, value }) => `${path} ${op}${value !== undefined ? ` ${JSON.stringify(value)}` : ''}`;
+
+const parseAssertion = (line) => {
+  const [, path, op, raw] = /^(\S+)\s+(\S+)(?:\s+(.*))?$/.exec(line.trim()) || [null, line.trim(), 'exists'];
+  if (raw === undefined) return { path, op };
+  try {
+    return { path, op, value: JSON.parse(raw) };
+  } catch {
+    return { path, op, value: raw };
+  }
+};
+
+const CHECK_URL_HINTS = {
+  http: 'same as page URL',
+  keyword: 'same as page URL',
+  json: 'https://status.example.com/api/v2/status.json',
+  tcp: 'tcp://db.example.com:5432',
+  dns: 'dns://example.com',
+  tls: 'tls://example.com:443',
+};
+
+const toForm = (target) => ({
+  id: target?.id || '',
+  name: target?.name || '',
+  url: target?.url || '',
+  type: target?.type || TARGET_DEFAULTS.type,
+  checkUrl: target?.checkUrl || '',
+  method: target?.method || TARGET_DEFAULTS.method,
+  interval: (target?.interval || TARGET_DEFAULTS.interval) / 1000,
+  timeout: target?.timeout || TARGET_DEFAULTS.timeout,
+  expectedStatus: (target?.expectedStatus || []).join(', '),
+  tags: (target?.tags || []).join(', '),
+  degradedLatency: target?.degradedLatency ?? TARGET_DEFAULTS.degradedLatency,
+  weight: target?.weight ?? TARGET_DEFAULTS.weight,
+  critical: Boolean(target?.critical),
+  keyword: target?.check?.keyword || '',
+  absent: Boolean(target?.check?.absent),
+  assertions: (target?.check?.assertions || []).map(formatAssertion).join('\n'),
+  recordType: target?.check?.recordType || 'A',
+  expected: (target?.check?.expected || []).join(', '),
+  warnDays: target?.check?.warnDays ?? 14,
+  providerType: target?.provider?.type || '',
+  providerUrl: target?.provider?.url || '',
+});
+
+const toCheck = (form) => ({
+  http: {},
+  keyword: { keyword: form.keyword, absent: form.absent },
+  json: { assertions: form.assertions.split('\n').filter(line => line.trim()).map(parseAssertion) },
+  tcp: {},
+  dns: { recordType: form.recordType, expected: form.expected.split(',').map(v => v.trim()).filter(Boolean) },
+  tls: { warnDays: Number(form.warnDays) },
+}[form.type]);
+
+const Field = ({ label, children }) => (
+  <label className="block">
+    <span className="text-[10px] text-gray-600 uppercase tracking-widest block mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+// Modal editor; target is null when adding a new one
+export function TargetForm({ target, onSave, onClose }) {
+  const [form, setForm] = useState(() => toForm(target));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const set = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+  const isHttp = HTTP_CHECKS.includes(form.type);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    try {
+      const { id, name, url, type, checkUrl, method, expectedStatus, tags } = form;
+      await onSave({
+        id: id || undefined,
+        name,
+        url: url || checkUrl,
+        type,
+        checkUrl: checkUrl || url,
+        method,
+        interval: Math.round(Number(form.interval) * 1000),
+        timeout: Number(form.timeout),
+        expectedStatus: isHttp ? expectedStatus : [],
+        tags,
+        degradedLatency: Number(form.degradedLatency),
+        weight: Number(form.weight),
+        critical: form.critical,
+        check: toCheck(form),
+        provider: form.providerType ? { type: form.providerType, url: form.providerUrl } : null,
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/80 flex items-center justify-center p-4" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(event) => event.stopPropagation()}
+        className="w-full max-w-xl bg-black border border-gray-700 p-8 font-mono space-y-4 max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-white uppercase tracking-tight">{target ? `Edit ${target.name}` : 'New Target'}</h3>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-white"><X className="w-5 h-5" /></button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <Field label="Id">
+            <input className={inputClass} value={form.id} onChange={set('id')} disabled={Boolean(target)} placeholder="derived from name" />
+          </Field>
+          <Field label="Name">
+            <input className={inputClass} value={form.name} onChange={set('name')} required />
+          </Field>
+        </div>
+        <Field label="Page URL">
+          <input className={inputClass} value={form.url} onChange={set('url')} placeholder={isHttp ? 'https://status.example.com' : 'same as check URL'} required={isHttp} />
+        </Field>
+        <div className="grid grid-cols-3 gap-4">
+          <Field label="Check type">
+            <select className={inputClass} value={form.type} onChange={set('type')}>
+              {Object.entries(CHECK_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+          </Field>
+          <div className="col-span-2">
+            <Field label="Check URL">
+              <input className={inputClass} value={form.checkUrl} onChange={set('checkUrl')} placeholder={CHECK_URL_HINTS[form.type]} required={!isHttp} />
+            </Field>
+          </div>
+        </div>
+
+        {form.type === 'keyword' && (
+          <div className="grid grid-cols-3 gap-4 items-end">
+            <div className="col-span-2">
+              <Field label="Keyword">
+                <input className={inputClass} value={form.keyword} onChange={set('keyword')} placeholder="All Systems Operational" required />
+              </Field>
+            </div>
+            <label className="flex items-center gap-2 text-[10px] text-gray-400 uppercase tracking-widest pb-2">
+              <input type="checkbox" checked={form.absent} onChange={(event) => setForm(prev => ({ ...prev, absent: event.target.checked }))} />
+              Must be absent
+            </label>
+          </div>
+        )}
+        {form.type === 'json' && (
+          <Field label="Assertions (one per line: path op value)">
+            <textarea
+              className={`${inputClass} h-24`}
+              value={form.assertions}
+              onChange={set('assertions')}
+              placeholder={'$.status.indicator equals "none"\n$.components[0].status exists'}
+              required
+            />
+          </Field>
+        )}
+        {form.type === 'dns' && (
+          <div className="grid grid-cols-3 gap-4">
+            <Field label="Record type">
+              <select className={inputClass} value={form.recordType} onChange={set('recordType')}>
+                {RECORD_TYPES.map(t => <option key={t}>{t}</option>)}
+              </select>
+            </Field>
+            <div className="col-span-2">
+              <Field label="Expected records">
+                <input className={inputClass} value={form.expected} onChange={set('expected')} placeholder="any answer, or e.g. 192.0.2.10, 192.0.2.11" />
+              </Field>
+            </div>
+          </div>
+        )}
+        {form.type === 'tls' && (
+          <Field label="Warn when certificate expires within (days)">
+            <input className={inputClass} type="number" min="0" value={form.warnDays} onChange={set('warnDays')} />
+          </Field>
+        )}
+
+        <div className="grid grid-cols-3 gap-4">
+          <Field label="Method">
+            <select className={inputClass} value={form.type === 'http' ? form.method : 'GET'} onChange={set('method')} disabled={form.type !== 'http'}>
+              {METHODS.map(m => <option key={m}>{m}</option>)}
+            </select>
+          </Field>
+          <Field label="Interval (s)">
+            <input className={inputClass} type="number" min="10" value={form.interval} onChange={set('interval')} />
+          </Field>
+          <Field label="Timeout (ms)">
+            <input className={inputClass} type="number" min="1000" max="30000" step="500" value={form.timeout} onChange={set('timeout')} />
+          </Field>
+        </div>
+        <div className="grid grid-cols-3 gap-4 items-end">
+          <Field label="Degraded above (ms)">
+            <input className={inputClass} type="number" min="100" max="60000" step="100" value={form.degradedLatency} onChange={set('degradedLatency')} />
+          </Field>
+          <Field label="Health weight">
+            <input className={inputClass} type="number" min="0" max="100" step="0.5" value={form.weight} onChange={set('weight')} />
+          </Field>
+          <label className="flex items-center gap-2 text-[10px] text-gray-400 uppercase tracking-widest pb-2">
+            <input type="checkbox" checked={form.critical} onChange={(event) => setForm(prev => ({ ...prev, critical: event.target.checked }))} />
+            Critical
+          </label>
+        </div>
+        {isHttp && (
+          <Field label="Expected status codes">
+            <input className={inputClass} value={form.expectedStatus} onChange={set('expectedStatus')} placeholder="any below 400, or e.g. 200, 3xx, 401-403" />
+          </Field>
+        )}
+        <div className="grid grid-cols-3 gap-4">
+          <Field label="Status feed">
+            <select className={inputClass} value={form.providerType} onChange={set('providerType')}>
+              <option value="">None</option>
+              {Object.entries(PROVIDERS).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+          </Field>
+          <div className="col-span-2">
+            <Field label="Feed URL">
+              <input
+                className={inputClass}
+                value={form.providerUrl}
+                onChange={set('providerUrl')}
+                disabled={!form.providerType}
+                required={Boolean(form.providerType)}
+                placeholder="https://status.example.com/api/v2/summary.json"
+              />
+            </Field>
+          </div>
+        </div>
+        <Field label="Tags">
+          <input className={inputClass} value={form.tags} onChange={set('tags')} placeholder="status-page, cloud" />
+        </Field>
+
+        {error && <pre className="p-3 border border-red-900 bg-red-950/20 text-red-400 text-[11px] whitespace-pre-wrap">{error}</pre>}
+
+        <div className="flex justify-end gap-3 pt-4 border-t border-gray-800">
+          <button type="button" onClick={onClose} className={buttonClass}>Cancel</button>
+          <button type="submit" disabled={saving} className="bg-white text-black px-6 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save Target'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Download, Pause, Play } from 'lucide-react';
+import { LEVELS, toNdjson, toCsv } from '../eventLog.js';
+import { download } from '../download.js';
+
+const LEVEL_CLASS = {
+  error: 'text-red-400 font-bold',
+  warning: 'text-amber-400',
+  success: 'text-green-400',
+  info: 'text-gray-500',
+};
+
+const controlClass = 'bg-black border border-gray-800 px-2 py-1 text-[10px] text-gray-300 font-mono focus:border-white outline-none';
+const buttonClass = 'border border-gray-800 text-gray-400 px-2 py-1 text-[10px] uppercase tracking-widest hover:border-white hover:text-white transition-colors flex items-center gap-1';
+
+const clock = (iso) => new Date(iso).toLocaleTimeString('en-US', { hour12: false });
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Lines from the same scan are gathered under one header, placed where the
+// scan started; everything else (feed, alerts, registry changes) stands alone
+const groupEntries = (entries) => {
+  const items = [];
+  const scans = new Map();
+  entries.forEach(entry => {
+    if (!entry.scanId) {
+      items.push({ key: entry.id, entry });
+      return;
+    }
+    let group = scans.get(entry.scanId);
+    if (!group) {
+      group = { key: entry.scanId, scanId: entry.scanId, entries: [] };
+      scans.set(entry.scanId, group);
+      items.push(group);
+    }
+    group.entries.push(entry);
+  });
+  return items;
+};
+
+const Line = ({ entry }) => (
+  <div className="flex gap-3 pb-1">
+    <span className="text-gray-700 shrink-0 select-none text-[10px]">[{clock(entry.timestamp)}]</span>
+    <span className={`text-[11px] ${LEVEL_CLASS[entry.level]}`}>{entry.message}</span>
+  </div>
+);
+
+const ScanHeader = ({ group, open, onToggle }) => {
+  const targets = new Set(group.entries.map(e => e.targetId).filter(Boolean)).size;
+  const errors = group.entries.filter(e => e.level === 'error').length;
+  const warnings = group.entries.filter(e => e.level === 'warning' && e.targetId).length;
+  const tone = errors > 0 ? 'text-red-400' : warnings > 0 ? 'text-amber-400' : 'text-gray-400';
+  return (
+    <button onClick={onToggle} className="w-full flex gap-3 pb-1 text-left hover:bg-gray-900/50">
+      <span className="text-gray-700 shrink-0 select-none text-[10px]">[{clock(group.entries[0].timestamp)}]</span>
+      <span className={`text-[11px] ${tone}`}>
+        {open ? '▾' : '▸'} SCAN {group.scanId} · {plural(targets, 'target')}
+        {errors > 0 && ` · ${plural(errors, 'error')}`}
+        {warnings > 0 && ` · ${plural(warnings, 'warning')}`}
+      </span>
+    </button>
+  );
+};
+
+// The "System Kernel" terminal: the structured event log from useEventLog,
+// with filters, collapsible scans and export
+export default function TerminalLog({ entries, targets, isScanning, onClear }) {
+  const [level, setLevel] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [search, setSearch] = useState('');
+  const [follow, setFollow] = useState(true);
+  // Scans the user expanded or collapsed; the rest follow the defaults below
+  const [open, setOpen] = useState({});
+  const scrollRef = useRef(null);
+
+  const names = useMemo(() => Object.fromEntries(targets.map(t => [t.id, t.name])), [targets]);
+  // Removed targets still have lines in the log
+  const targetIds = useMemo(
+    () => [...new Set([...targets.map(t => t.id), ...entries.map(e => e.targetId).filter(Boolean)])],
+    [targets, entries]
+  );
+
+  const filtering = Boolean(level || targetId || search);
+  const filtered = useMemo(() => {
+    const needle = search.trim().toLowerCase();
+    return entries.filter(e => (!level || e.level === level)
+      && (!targetId || e.targetId === targetId)
+      && (!needle || [e.message, e.scanId, e.targetId, e.errorClass].some(v => v && v.toLowerCase().includes(needle))));
+  }, [entries, level, targetId, search]);
+  const items = useMemo(() => groupEntries(filtered), [filtered]);
+  const latestScan = [...items].reverse().find(item => item.scanId)?.scanId;
+
+  useEffect(() => {
+    if (follow && scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+  }, [items, follow, isScanning]);
+
+  // Matches are shown expanded; otherwise only the latest scan is
+  const isOpen = (scanId) => open[scanId] ?? (filtering || scanId === latestScan);
+  const toggle = (scanId) => setOpen(prev => ({ ...prev, [scanId]: !isOpen(scanId) }));
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+  return (
+    <div className="h-[500px] bg-black border border-gray-800 font-mono text-xs overflow-hidden flex flex-col">
+      <div className="h-6 bg-gray-900/50 border-b border-gray-800 flex items-center px-4 gap-2 shrink-0">
+        <div className="w-2 h-2 rounded-full bg-red-500/50"></div>
+        <div className="w-2 h-2 rounded-full bg-amber-500/50"></div>
+        <div className="w-2 h-2 rounded-full bg-green-500/50"></div>
+        <span className="ml-4 text-[10px] text-gray-500 uppercase tracking-widest">metamonitor@live:~$ tail -f /var/log/health.log</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 px-4 py-2 border-b border-gray-800 shrink-0">
+        <input
+          className={`${controlClass} flex-1 min-w-[8rem]`}
+          placeholder="grep..."
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+        />
+        <select className={controlClass} value={level} onChange={(event) => setLevel(event.target.value)}>
+          <option value="">all levels</option>
+          {LEVELS.map(l => <option key={l} value={l}>{l}</option>)}
+        </select>
+        <select className={controlClass} value={targetId} onChange={(event) => setTargetId(event.target.value)}>
+          <option value="">all targets</option>
+          {targetIds.map(id => <option key={id} value={id}>{names[id] || id}</option>)}
+        </select>
+        <button onClick={() => setFollow(f => !f)} className={buttonClass} title={follow ? 'Pause auto-scroll' : 'Resume auto-scroll'}>
+          {follow ? <Pause className="w-3 h-3" /> : <Play className="w-3 h-3" />} {follow ? 'Follow' : 'Paused'}
+        </button>
+        <button onClick={() => download(toNdjson(filtered), `metamonitor-log-${stamp}.ndjson`, 'application/x-ndjson')} className={buttonClass}>
+          <Download className="w-3 h-3" /> NDJSON
+        </button>
+        <button onClick={() => download(toCsv(filtered), `metamonitor-log-${stamp}.csv`, 'text/csv')} className={buttonClass}>
+          <Download className="w-3 h-3" /> CSV
+        </button>
+        <button onClick={onClear} className={buttonClass}>Clear</button>
+      </div>
+
+      <div ref={scrollRef} className="flex-1 overflow-y-auto space-y-1 p-4 pr-2">
+        {items.map(item => (item.scanId ? (
+          <div key={item.key}>
+            <ScanHeader group={item} open={isOpen(item.scanId)} onToggle={() => toggle(item.scanId)} />
+            {isOpen(item.scanId) && (
+              <div className="pl-4 border-l border-gray-900 ml-1">
+                {item.entries.map(entry => <Line key={entry.id} entry={entry} />)}
+              </div>
+            )}
+          </div>
+        ) : (
+          <Line key={item.key} entry={item.entry} />
+        )))}
+        {filtering && filtered.length === 0 && (
+          <div className="text-gray-600 text-[11px]">No log lines match ({entries.length} total)</div>
+        )}
+        {isScanning && (
+          <div className="flex gap-3">
+            <span className="text-gray-700 text-[10px]">[{clock(new Date().toISOString())}]</span>
+            <span className="animate-pulse text-gray-500 text-[11px]">Processing...</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React from 'react';
+import { PROVIDERS } from '../../lib/providers/index.js';
+
+const STATUS_CLASS = { UP: 'text-green-500', DEGRADED: 'text-amber-500', DOWN: 'text-red-500' };
+
+// What a status page says about itself (see lib/providers/): overall state,
+// affected components and active incidents
+export default function UpstreamReport({ provider, report }) {
+  if (!report) {
+    return (
+      <div className="flex justify-between items-center">
+        <span className="text-[10px] text-gray-600 uppercase tracking-widest">Reports</span>
+        <span className="text-sm font-bold text-gray-500">---</span>
+      </div>
+    );
+  }
+
+  const affected = report.components.filter(c => c.status !== 'UP');
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between items-center gap-4">
+        <span className="text-[10px] text-gray-600 uppercase tracking-widest shrink-0">Reports</span>
+        <span className={`text-sm font-bold truncate ${STATUS_CLASS[report.status] || 'text-gray-500'}`} title={report.error || report.summary}>
+          {report.status === 'UNKNOWN' ? 'FEED ERROR' : report.status}
+        </span>
+      </div>
+      <div className="text-[10px] text-gray-600 font-mono">
+        {PROVIDERS[provider.type]?.label} · {report.error || report.summary}
+        {affected.length > 0 && ` · ${affected.length}/${report.components.length} components affected`}
+      </div>
+      {report.incidents.slice(0, 3).map(incident => (
+        <a
+          key={incident.id}
+          href={incident.url || undefined}
+          target="_blank"
+          rel="noopener noreferrer"
+          onClick={(event) => event.stopPropagation()}
+          className={`block text-[10px] font-mono truncate hover:text-white ${incident.impact === 'major' || incident.impact === 'critical' ? 'text-red-400' : 'text-amber-400'}`}
+          title={incident.title}
+        >
+          ▲ {incident.title}
+        </a>
+      ))}
+      {report.incidents.length > 3 && <div className="text-[10px] text-gray-600 font-mono">+{report.incidents.length - 3} more incidents</div>}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, KeyRound, Users } from 'lucide-react';
+import { ROLES, RESOURCES } from '../../lib/auth.js';
+import { useWorkspaceAdmin } from '../auth.js';
+import { formatDateTime } from '../format.js';
+
+const buttonClass = 'border border-gray-700 text-gray-300 px-4 py-2 text-[10px] font-bold uppercase tracking-widest hover:border-white hover:text-white transition-all flex items-center gap-2';
+const inputClass = 'w-full bg-black border border-gray-800 px-3 py-2 text-xs text-white font-mono focus:border-white outline-none';
+const labelClass = 'text-[10px] text-gray-600 uppercase tracking-widest block mb-1';
+const errorClass = 'p-3 border border-red-900 bg-red-950/20 text-red-400 text-[11px] whitespace-pre-wrap';
+
+const EMPTY_MEMBER = { email: '', role: 'viewer' };
+const EMPTY_KEY = { name: '', scopes: ['status:read'] };
+
+// Members and API keys of the signed-in admin's workspace. Keys carry
+// '<resource>:read|write' scopes from lib/auth.js and are shown once.
+export default function WorkspacePanel({ session }) {
+  const { members, keys, error: loadError, addMember, setRole, removeMember, createKey, revokeKey } = useWorkspaceAdmin(session.workspace?.id);
+  const [member, setMember] = useState(EMPTY_MEMBER);
+  const [keyForm, setKeyForm] = useState(EMPTY_KEY);
+  const [secret, setSecret] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleScope = (scope) => setKeyForm(prev => ({
+    ...prev,
+    scopes: prev.scopes.includes(scope) ? prev.scopes.filter(s => s !== scope) : [...prev.scopes, scope],
+  }));
+
+  const submitMember = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await addMember(member);
+      setMember(EMPTY_MEMBER);
+    });
+  };
+
+  const submitKey = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const created = await createKey(keyForm);
+      setSecret(created);
+      setKeyForm(EMPTY_KEY);
+    });
+  };
+
+  const handleRemove = (m) => {
+    if (!window.confirm(`Remove ${m.email} from ${session.workspace.name}? API keys they created here are revoked.`)) return;
+    run(() => removeMember(m.userId));
+  };
+
+  const handleRevoke = (key) => {
+    if (!window.confirm(`Revoke API key ${key.name}? Anything using it stops working.`)) return;
+    run(() => revokeKey(key.id));
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+      <div className="border border-gray-800 bg-black p-8">
+        <div className="flex items-center gap-3 mb-6">
+          <Users className="w-4 h-4 text-white" />
+          <span className="text-xs font-bold text-gray-500 uppercase tracking-widest">Members</span>
+        </div>
+        <div className="space-y-2">
+          {members.map(m => (
+            <div key={m.userId} className="flex items-center justify-between gap-4 border border-gray-800 px-4 py-3 text-xs">
+              <div className="min-w-0">
+                <div className="text-white font-bold truncate">{m.name}{m.userId === session.user.id && <span className="text-gray-600"> (you)</span>}</div>
+                <div className="text-gray-500 truncate">{m.email}</div>
+              </div>
+              <div className="flex items-center gap-3 shrink-0">
+                <select className={`${inputClass} w-auto`} value={m.role} onChange={(event) => run(() => setRole(m.userId, event.target.value))}>
+                  {Object.entries(ROLES).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+                </select>
+                <button onClick={() => handleRemove(m)} title="Remove member" className="text-gray-600 hover:text-red-500">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <form onSubmit={submitMember} className="mt-6 pt-6 border-t border-gray-800 flex items-end gap-3">
+          <label className="block flex-1">
+            <span className={labelClass}>Email (they sign up first)</span>
+            <input className={inputClass} type="email" value={member.email} onChange={(event) => setMember(prev => ({ ...prev, email: event.target.value }))} required />
+          </label>
+          <select className={`${inputClass} w-auto`} value={member.role} onChange={(event) => setMember(prev => ({ ...prev, role: event.target.value }))}>
+            {Object.entries(ROLES).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+          </select>
+          <button type="submit" className={buttonClass}><Plus className="w-3 h-3" /> Add</button>
+        </form>
+      </div>
+
+      <div className="border border-gray-800 bg-black p-8">
+        <div className="flex items-center gap-3 mb-6">
+          <KeyRound className="w-4 h-4 text-white" />
+          <span className="text-xs font-bold text-gray-500 uppercase tracking-widest">API Keys</span>
+        </div>
+        {keys.length === 0 && <p className="text-xs text-gray-600">No keys. Send one as "Authorization: Bearer mm_..." to call /v1 from scripts and CI.</p>}
+        <div className="space-y-2">
+          {keys.map(key => (
+            <div key={key.id} className="flex items-start justify-between gap-4 border border-gray-800 px-4 py-3 text-xs">
+              <div className="min-w-0">
+                <div className="text-white font-bold">{key.name} <span className="text-gray-500 font-normal">{key.prefix}…</span></div>
+                <div className="text-gray-600 mt-1 text-[10px]">{key.scopes.join(' ')}</div>
+                <div className="text-gray-600 mt-1 text-[10px] uppercase tracking-widest">Created {formatDateTime(key.createdAt)}</div>
+              </div>
+              <button onClick={() => handleRevoke(key)} title="Revoke key" className="text-gray-600 hover:text-red-500 shrink-0">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {secret && (
+          <div className="mt-6 p-4 border border-green-900 bg-green-950/20 text-xs space-y-2">
+            <div className="text-green-400 font-bold uppercase tracking-widest text-[10px]">Copy {secret.name} now - it is not shown again</div>
+            <code className="block text-white break-all select-all">{secret.secret}</code>
+            <button onClick={() => setSecret(null)} className="text-gray-500 hover:text-white text-[10px] uppercase tracking-widest">Done</button>
+          </div>
+        )}
+
+        <form onSubmit={submitKey} className="mt-6 pt-6 border-t border-gray-800 space-y-4">
+          <label className="block">
+            <span className={labelClass}>Name</span>
+            <input className={inputClass} value={keyForm.name} onChange={(event) => setKeyForm(prev => ({ ...prev, name: event.target.value }))} placeholder="ci-pipeline" required />
+          </label>
+          <table className="w-full text-[11px]">
+            <thead>
+              <tr className="text-[10px] text-gray-600 uppercase tracking-widest">
+                <th className="text-left font-normal py-1">Scope</th>
+                <th className="text-center font-normal">Read</th>
+                <th className="text-center font-normal">Write</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(RESOURCES).map(([resource, description]) => (
+                <tr key={resource} className="border-t border-gray-900">
+                  <td className="py-1 text-gray-300" title={description}>{resource}</td>
+                  {['read', 'write'].map(access => (
+                    <td key={access} className="text-center">
+                      <input type="checkbox" checked={keyForm.scopes.includes(`${resource}:${access}`)} onChange={() => toggleScope(`${resource}:${access}`)} />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex justify-end">
+            <button type="submit" className="bg-white text-black px-6 py-2 text-[10px] font-bold uppercase tracking-widest hover:bg-gray-300 transition-colors">
+              Create Key
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {(error || loadError) && <pre className={`${errorClass} lg:col-span-2`}>{error || loadError}</pre>}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'metamonitor.log';
+// Roughly the last dozen scans of a few dozen targets
+const MAX_ENTRIES = 1000;
+
+export const LEVELS = ['info', 'success', 'warning', 'error'];
+
+const FIELDS = ['timestamp', 'level', 'scanId', 'targetId', 'latency', 'errorClass', 'message'];
+
+let seq = 0;
+
+const loadEntries = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(e => e && e.id && e.timestamp && LEVELS.includes(e.level)) : [];
+  } catch {
+    return [];
+  }
+};
+
+// The terminal's structured event log. Each entry carries the scan and
+// target it belongs to so it can be filtered, grouped and exported; the
+// tail survives reloads in localStorage.
+export const useEventLog = () => {
+  const [entries, setEntries] = useState(loadEntries);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch {
+      // Quota exceeded or storage disabled; the log still works in memory
+    }
+  }, [entries]);
+
+  const addEntry = (message, level = 'info', { targetId = null, scanId = null, latency = null, errorClass = null } = {}) => {
+    const entry = {
+      id: `${Date.now().toString(36)}-${++seq}`,
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      targetId,
+      scanId,
+      latency,
+      errorClass,
+    };
+    setEntries(prev => [...prev.slice(-(MAX_ENTRIES - 1)), entry]);
+  };
+
+  const clear = () => setEntries([]);
+
+  return { entries, addEntry, clear };
+};
+
+export const toNdjson = (entries) => entries.map(e => JSON.stringify(Object.fromEntries(FIELDS.map(f => [f, e[f]])))).join('\n') + '\n';
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (entries) => [FIELDS, ...entries.map(e => FIELDS.map(f => e[f]))]
+  .map(row => row.map(csvCell).join(','))
+  .join('\n') + '\n';
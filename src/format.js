@@ -0,0 +1,13 @@
+// "45s", "12m 05s", "3h 07m", "2d 04h"
+export const formatDuration = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${pad(seconds % 60)}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${pad(minutes % 60)}m`;
+  return `${Math.floor(hours / 24)}d ${pad(hours % 24)}h`;
+};
+
+export const formatDateTime = (ts) => new Date(ts).toLocaleString('en-US', { hour12: false });
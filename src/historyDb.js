@@ -0,0 +1,54 @@
+import { createSeries, addSample, seriesStats } from '../lib/history.js';
+
+// Browser-only mode keeps each target's history document (see lib/history.js)
+// in IndexedDB so uptime windows survive reloads
+
+const DB_NAME = 'metamonitor';
+const DB_VERSION = 1;
+const STORE = 'series';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const transaction = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    let result;
+    work(tx.objectStore(STORE), (value) => { result = value; });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const loadSeries = (id) => transaction('readonly', (store, done) => {
+  const request = store.get(id);
+  request.onsuccess = () => done(request.result || createSeries());
+});
+
+// Read-modify-write inside one transaction so concurrent probes don't race
+export const recordSample = (id, sample) => transaction('readwrite', (store) => {
+  const request = store.get(id);
+  request.onsuccess = () => store.put(addSample(request.result || createSeries(), sample), id);
+});
+
+export const dropSeries = (id) => transaction('readwrite', (store) => store.delete(id));
+
+export const loadStats = async (ids) => Object.fromEntries(
+  await Promise.all(ids.map(async id => [id, seriesStats(await loadSeries(id))]))
+);
+
+export const loadRecent = async (ids, count) => Object.fromEntries(
+  await Promise.all(ids.map(async id => [id, (await loadSeries(id)).raw.slice(-count)]))
+);
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import {
+  trackIncidents,
+  acknowledgeIncident,
+  normalizeNote,
+  validateNote,
+  addIncidentNote,
+  normalizeIncidentEdit,
+  validateIncidentEdit,
+  editIncident,
+} from '../lib/incidents.js';
+import { api } from './api.js';
+
+const STORAGE_KEY = 'metamonitor.incidents';
+
+const loadLocalIncidents = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+// Incidents, kept like the target registry: the monitor tracks them when the
+// live feed is up (arriving with the snapshot and as 'incident' events), this
+// tab does in browser-only mode. Mutations throw with a readable message.
+export const useIncidents = (feedMode) => {
+  const [localIncidents, setLocalIncidents] = useState(loadLocalIncidents);
+  const [remoteIncidents, setIncidents] = useState([]);
+  const remote = feedMode === 'live';
+  const incidents = remote ? remoteIncidents : localIncidents;
+
+  const commitLocal = (next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setLocalIncidents(next);
+  };
+
+  // An 'incident' event from the monitor
+  const applyIncident = (incident) => setIncidents(prev => [incident, ...prev.filter(i => i.id !== incident.id)]
+    .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt)));
+
+  // Browser-only mode: one scan's results. Reads the latest list from
+  // storage since scans run outside React's render cycle.
+  const trackLocal = (results, targets) => {
+    const { incidents: next, changes } = trackIncidents(loadLocalIncidents(), results, targets);
+    if (changes.length > 0) commitLocal(next);
+    return changes;
+  };
+
+  const changeLocal = (id, fn) => {
+    const next = incidents.map(incident => (incident.id === id ? fn(incident) : incident));
+    commitLocal(next);
+    return next.find(incident => incident.id === id);
+  };
+
+  const acknowledge = async (id, by) => {
+    if (remote) return api(`/v1/incidents/${encodeURIComponent(id)}/ack`, { method: 'POST', body: { by } });
+    return changeLocal(id, incident => acknowledgeIncident(incident, by || null));
+  };
+
+  const addNote = async (id, input) => {
+    if (remote) return api(`/v1/incidents/${encodeURIComponent(id)}/notes`, { method: 'POST', body: input });
+    const note = normalizeNote(input);
+    const errors = validateNote(note);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    return changeLocal(id, incident => addIncidentNote(incident, note));
+  };
+
+  const updateIncident = async (id, input) => {
+    if (remote) return api(`/v1/incidents/${encodeURIComponent(id)}`, { method: 'PUT', body: input });
+    const edit = normalizeIncidentEdit(input);
+    const errors = validateIncidentEdit(edit);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    return changeLocal(id, incident => editIncident(incident, edit, input.author || null));
+  };
+
+  return { incidents, setIncidents, applyIncident, trackLocal, acknowledge, addNote, updateIncident };
+};
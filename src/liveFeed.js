@@ -0,0 +1,48 @@
+const STREAM_URL = '/v1/stream';
+const RECONNECT_DELAY = 5000;
+const EVENT_TYPES = ['snapshot', 'scan-start', 'result', 'scan-complete', 'targets', 'policy', 'schedule', 'maintenance', 'incident', 'alert'];
+
+// Subscribe to the monitor's event stream. EventSource retries dropped
+// connections by itself; when the server answers with an error instead we
+// reopen manually and resume from the last event we saw. If the stream was
+// never reachable there is no long-running backend and onUnavailable fires.
+export const connectLiveFeed = ({ onEvent, onUnavailable }) => {
+  let source = null;
+  let lastEventId = null;
+  let connected = false;
+  let closed = false;
+  let retryTimer = null;
+
+  const open = () => {
+    const url = lastEventId != null ? `${STREAM_URL}?lastEventId=${encodeURIComponent(lastEventId)}` : STREAM_URL;
+    source = new EventSource(url);
+
+    source.onopen = () => { connected = true; };
+
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (event) => {
+        lastEventId = event.lastEventId;
+        onEvent(type, JSON.parse(event.data));
+      });
+    });
+
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED || closed) return;
+      if (!connected) {
+        onUnavailable();
+        return;
+      }
+      retryTimer = setTimeout(open, RECONNECT_DELAY);
+    };
+  };
+
+  open();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+};
+
+export const requestScan = () => fetch('/v1/scan', { method: 'POST' });
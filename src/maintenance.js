@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { normalizeWindow, validateWindow } from '../lib/maintenance.js';
+import { api } from './api.js';
+
+const STORAGE_KEY = 'metamonitor.maintenance';
+
+const loadLocalWindows = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    return saved.map(normalizeWindow).filter(w => validateWindow(w).length === 0);
+  } catch {
+    return [];
+  }
+};
+
+// Maintenance windows, kept like the target registry: on the backend when
+// the live feed is up (arriving as 'maintenance' events), in localStorage
+// otherwise. Mutations throw with a readable message on failure.
+export const useMaintenance = (feedMode) => {
+  const [localWindows, setLocalWindows] = useState(loadLocalWindows);
+  const [remoteWindows, setWindows] = useState([]);
+  const remote = feedMode === 'live';
+  const windows = remote ? remoteWindows : localWindows;
+
+  const commitLocal = (next) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setLocalWindows(next);
+  };
+
+  const addWindow = async (input) => {
+    if (remote) return api('/v1/maintenance', { method: 'POST', body: input });
+    const created = normalizeWindow(input);
+    const errors = validateWindow(created);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    if (windows.some(w => w.id === created.id)) throw new Error(`Maintenance window already exists: ${created.id}`);
+    commitLocal([...windows, created]);
+  };
+
+  const removeWindow = async (id) => {
+    if (remote) return api(`/v1/maintenance/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    commitLocal(windows.filter(w => w.id !== id));
+  };
+
+  return { windows, setWindows, addWindow, removeWindow };
+};
@@ -0,0 +1,35 @@
+import { useState } from 'react';
+import { DEFAULT_POLICY, normalizePolicy, validatePolicy } from '../lib/health.js';
+import { api } from './api.js';
+
+const STORAGE_KEY = 'metamonitor.policy';
+
+const loadLocalPolicy = () => {
+  try {
+    const saved = normalizePolicy(JSON.parse(localStorage.getItem(STORAGE_KEY)) || DEFAULT_POLICY);
+    return validatePolicy(saved).length === 0 ? saved : DEFAULT_POLICY;
+  } catch {
+    return DEFAULT_POLICY;
+  }
+};
+
+// Scoring policy, kept like the target registry: on the backend when the
+// live feed is up (arriving as 'policy' events), in localStorage otherwise
+export const usePolicy = (feedMode) => {
+  const [localPolicy, setLocalPolicy] = useState(loadLocalPolicy);
+  const [remotePolicy, setPolicy] = useState(DEFAULT_POLICY);
+  const remote = feedMode === 'live';
+  const policy = remote ? remotePolicy : localPolicy;
+
+  const savePolicy = async (input) => {
+    if (remote) return api('/v1/policy', { method: 'PUT', body: input });
+    const next = normalizePolicy(input);
+    const errors = validatePolicy(next);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setLocalPolicy(next);
+    return next;
+  };
+
+  return { policy, setPolicy, savePolicy };
+};
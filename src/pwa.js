@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { DATA_CACHE, STATE_URL, SYNC_TAG, NOTIFY_STATUSES } from './pwaConstants.js';
+
+// Installable app support: the service worker in src/sw.js caches the
+// shell, keeps the last-known statuses for offline starts and, where the
+// browser offers periodic background sync, re-checks targets and notifies
+// about status changes while no tab is open.
+
+const NOTIFY_KEY = 'metamonitor.notifications';
+const SYNC_INTERVAL = 15 * 60 * 1000;
+
+const supported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+export const registerServiceWorker = async () => {
+  if (!supported()) return;
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    await enableBackgroundChecks(registration);
+  } catch (error) {
+    console.warn('[pwa] service worker unavailable:', error.message);
+  }
+};
+
+// Chromium only, and only for installed apps the browser trusts enough
+const enableBackgroundChecks = async (registration) => {
+  if (!('periodicSync' in registration)) return;
+  const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' }).catch(() => ({ state: 'denied' }));
+  if (state !== 'granted') return;
+  await registration.periodicSync.register(SYNC_TAG, { minInterval: SYNC_INTERVAL });
+};
+
+// --- Last-known state, shared with the service worker through the Cache API ---
+
+// { mode, owner, targets, statuses, checkedAt, notify } or null. owner is
+// the user and workspace it was saved for, so nobody else's state shows.
+export const loadLastKnown = async (owner) => {
+  if (typeof caches === 'undefined') return null;
+  try {
+    const response = await (await caches.open(DATA_CACHE)).match(STATE_URL);
+    const state = response ? await response.json() : null;
+    return state?.owner === owner ? state : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveLastKnown = async (state) => {
+  if (typeof caches === 'undefined') return;
+  try {
+    const body = JSON.stringify({ ...state, notify: notificationsEnabled() });
+    await (await caches.open(DATA_CACHE)).put(STATE_URL, new Response(body, { headers: { 'content-type': 'application/json' } }));
+  } catch {
+    // Private windows may refuse storage; the dashboard works without it
+  }
+};
+
+// On sign-out: the state and any cached status belonged to that user, and
+// background checks stop until the next user's dashboard saves its own
+export const clearLastKnown = async () => {
+  if (typeof caches === 'undefined') return;
+  try {
+    await caches.delete(DATA_CACHE);
+  } catch {
+    // Nothing was stored
+  }
+};
+
+// --- Desktop notifications ---
+
+export const notificationsSupported = () => typeof Notification !== 'undefined';
+
+const notificationsEnabled = () => (
+  notificationsSupported() && Notification.permission === 'granted' && localStorage.getItem(NOTIFY_KEY) === 'on'
+);
+
+// Notification permission plus the user's own on/off switch
+export const useNotifications = () => {
+  const [enabled, setEnabled] = useState(notificationsEnabled);
+
+  const toggle = async () => {
+    if (enabled) {
+      localStorage.setItem(NOTIFY_KEY, 'off');
+      setEnabled(false);
+      return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') throw new Error('Notifications are blocked in this browser');
+    localStorage.setItem(NOTIFY_KEY, 'on');
+    setEnabled(true);
+  };
+
+  return { supported: notificationsSupported(), enabled, toggle };
+};
+
+// Only when the user is looking elsewhere; the dashboard shows it already
+export const notifyStatusChange = async (target, from, to) => {
+  if (from === to || !NOTIFY_STATUSES.includes(from) || !NOTIFY_STATUSES.includes(to)) return;
+  if (!notificationsEnabled() || document.hasFocus()) return;
+  const title = `${target.name} is ${to}`;
+  const options = { body: `Was ${from}`, tag: `metamonitor-${target.id}`, data: { targetId: target.id }, icon: '/favicon.svg' };
+  const registration = supported() ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration) registration.showNotification(title, options);
+  else new Notification(title, options);
+};
+
+// --- Connectivity ---
+
+// The browser's own connection, so an offline laptop is not mistaken for
+// every target going down at once
+export const useOnline = () => {
+  const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
@@ -0,0 +1,10 @@
+// Shared by the page (src/pwa.js) and the service worker (src/sw.js), which
+// the build bundles on its own (see vite.config.js)
+
+// Where the page keeps its last-known state for the service worker
+export const DATA_CACHE = 'metamonitor-data';
+export const STATE_URL = '/__metamonitor/state.json';
+export const SYNC_TAG = 'metamonitor-check';
+
+// Moves between these are worth a notification; PENDING and UNKNOWN are not
+export const NOTIFY_STATUSES = ['UP', 'DEGRADED', 'DOWN', 'MAINTENANCE'];
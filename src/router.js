@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+
+// Hash routes keep the dashboard deployable as static files: '#/targets/:id'
+
+export const useHashRoute = () => {
+  const [hash, setHash] = useState(() => window.location.hash);
+
+  useEffect(() => {
+    const onChange = () => setHash(window.location.hash);
+    window.addEventListener('hashchange', onChange);
+    return () => window.removeEventListener('hashchange', onChange);
+  }, []);
+
+  return hash;
+};
+
+export const targetRoute = (id) => `#/targets/${encodeURIComponent(id)}`;
+
+export const matchTargetRoute = (hash) => {
+  const match = /^#\/targets\/([^/]+)$/.exec(hash);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+export const navigate = (hash) => {
+  window.location.hash = hash;
+};
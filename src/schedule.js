@@ -0,0 +1,33 @@
+import { useState } from 'react';
+import { DEFAULT_PAUSE, normalizePause, validatePause } from '../lib/scheduler.js';
+import { api } from './api.js';
+
+const STORAGE_KEY = 'metamonitor.pause';
+
+const loadLocalPause = () => {
+  try {
+    const saved = normalizePause(JSON.parse(localStorage.getItem(STORAGE_KEY)) || DEFAULT_PAUSE);
+    return validatePause(saved).length === 0 ? saved : DEFAULT_PAUSE;
+  } catch {
+    return DEFAULT_PAUSE;
+  }
+};
+
+// Scheduler pause flags, kept like the policy: on the backend when the live
+// feed is up (arriving with 'schedule' events), in localStorage otherwise
+export const usePause = (feedMode) => {
+  const [localPause, setLocalPause] = useState(loadLocalPause);
+  const [remotePause, setPause] = useState(DEFAULT_PAUSE);
+  const remote = feedMode === 'live';
+  const pause = remote ? remotePause : localPause;
+
+  const savePause = async (input) => {
+    if (remote) return api('/v1/schedule/pause', { method: 'PUT', body: input });
+    const next = normalizePause({ ...localPause, ...input });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setLocalPause(next);
+    return next;
+  };
+
+  return { pause, setPause, savePause };
+};
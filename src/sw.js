@@ -0,0 +1,155 @@
+import { DATA_CACHE, STATE_URL, SYNC_TAG, NOTIFY_STATUSES } from './pwaConstants.js';
+
+// MetaMonitor service worker (registered by src/pwa.js). The build bundles
+// it on its own into /sw.js (see vite.config.js).
+//
+// - The app shell is cached so the dashboard opens offline; hashed build
+//   assets are cached the first time they load. Each build gets a cache of
+//   its own, and the previous build's assets go once it activates.
+// - /v1/status is network-first with the last response kept for offline use,
+//   unless it belongs to a signed-in user or API key.
+// - The page keeps its last-known targets and statuses in the data cache
+//   (STATE_URL). Periodic background sync re-checks them, through the live
+//   monitor or /api/probe, and shows a notification for each status change.
+
+// Replaced by the build with a hash of its output
+const SHELL_CACHE = `metamonitor-shell-${__BUILD_VERSION__}`;
+const SHELL = ['/', '/manifest.webmanifest', '/favicon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('metamonitor-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// The server marks responses that depend on who is asking (see
+// server/handlers/v1.js); those stay out of the caches every user shares
+const shareable = (response) => !/\b(cookie|authorization)\b/i.test(response.headers.get('vary') || '');
+
+const networkFirst = async (request, cacheName, fallback = request) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok && shareable(response)) cache.put(fallback, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallback);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate' && url.pathname === '/') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+  } else if (url.pathname.startsWith('/assets/') || SHELL.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname === '/v1/status') {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  }
+  // Everything else (the stream, the rest of the API) goes straight to the network
+});
+
+// --- Background checks ---
+
+const readState = async () => {
+  const response = await (await caches.open(DATA_CACHE)).match(STATE_URL);
+  return response ? response.json() : null;
+};
+
+const writeState = async (state) => {
+  const body = JSON.stringify(state);
+  await (await caches.open(DATA_CACHE)).put(STATE_URL, new Response(body, { headers: { 'content-type': 'application/json' } }));
+};
+
+// { [id]: { status, latency, lastChecked } } from the long-running monitor
+const liveStatuses = async () => {
+  const response = await fetch('/v1/status', { cache: 'no-store' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const { targets, timestamp } = await response.json();
+  return Object.fromEntries(Object.entries(targets).map(([id, t]) => [id, { status: t.status, latency: t.latency, lastChecked: timestamp }]));
+};
+
+// The same probes a browser-driven scan runs
+const probeTargets = async (targets) => Object.fromEntries(await Promise.all(targets.map(async (target) => {
+  const response = await fetch('/api/probe', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(target),
+    cache: 'no-store',
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const { status, latency, lastChecked } = await response.json();
+  return [target.id, { status, latency, lastChecked }];
+})));
+
+const backgroundCheck = async () => {
+  const state = await readState();
+  if (!state?.targets?.length) return;
+  let statuses;
+  try {
+    statuses = state.mode === 'live' ? await liveStatuses() : await probeTargets(state.targets);
+  } catch {
+    // Offline or the backend is gone; try again next time
+    return;
+  }
+
+  const windows = await self.clients.matchAll({ type: 'window' });
+  const watching = windows.some(client => client.focused);
+  if (state.notify && !watching && Notification.permission === 'granted') {
+    await Promise.all(state.targets.map((target) => {
+      const from = state.statuses?.[target.id]?.status;
+      const to = statuses[target.id]?.status;
+      if (!NOTIFY_STATUSES.includes(from) || !NOTIFY_STATUSES.includes(to) || from === to) return null;
+      return self.registration.showNotification(`${target.name} is ${to}`, {
+        body: `Was ${from} · checked in the background`,
+        tag: `metamonitor-${target.id}`,
+        data: { targetId: target.id },
+        icon: '/favicon.svg',
+      });
+    }));
+  }
+
+  // Signed out meanwhile (see clearLastKnown in src/pwa.js)
+  if ((await readState())?.owner !== state.owner) return;
+  await writeState({ ...state, statuses: { ...state.statuses, ...statuses }, checkedAt: new Date().toISOString() });
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(backgroundCheck());
+});
+
+// Open the target's detail view, reusing a dashboard tab if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { targetId } = event.notification.data || {};
+  const url = targetId ? `/#/targets/${encodeURIComponent(targetId)}` : '/';
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(w => new URL(w.url).origin === self.location.origin);
+    if (!client) return self.clients.openWindow(url);
+    await client.focus();
+    return client.navigate(url);
+  })());
+});
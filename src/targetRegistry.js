@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { DEFAULT_TARGETS, normalizeTarget, validateTarget } from '../lib/targets.js';
+import { validateTargetList } from '../lib/targetsFile.js';
+import { api } from './api.js';
+
+const STORAGE_KEY = 'metamonitor.targets';
+
+const loadLocalTargets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved ? validateTargetList(saved) : DEFAULT_TARGETS;
+  } catch {
+    return DEFAULT_TARGETS;
+  }
+};
+
+const saveLocalTargets = (targets) => localStorage.setItem(STORAGE_KEY, JSON.stringify(targets));
+
+const checkLocal = (input) => {
+  const target = normalizeTarget(input);
+  const errors = validateTarget(target);
+  if (errors.length > 0) throw new Error(errors.join('\n'));
+  return target;
+};
+
+// Targets live on the backend when the live feed is up (the server's file
+// store, broadcast to every tab as 'targets' events) and in localStorage in
+// browser-only mode. Mutations throw with a readable message on failure.
+export const useTargetRegistry = (feedMode) => {
+  const [localTargets, setLocalTargets] = useState(loadLocalTargets);
+  const [remoteTargets, setTargets] = useState([]);
+  const remote = feedMode === 'live';
+  // Nothing to show until we know which registry is authoritative
+  const targets = remote ? remoteTargets : feedMode === 'local' ? localTargets : [];
+
+  const commitLocal = (next) => {
+    saveLocalTargets(next);
+    setLocalTargets(next);
+  };
+
+  const addTarget = async (input) => {
+    if (remote) return api('/v1/targets', { method: 'POST', body: input });
+    const target = checkLocal(input);
+    if (targets.some(t => t.id === target.id)) throw new Error(`Target already exists: ${target.id}`);
+    commitLocal([...targets, target]);
+  };
+
+  const updateTarget = async (id, input) => {
+    if (remote) return api(`/v1/targets/${encodeURIComponent(id)}`, { method: 'PUT', body: input });
+    const target = checkLocal({ ...input, id });
+    commitLocal(targets.map(t => (t.id === id ? target : t)));
+  };
+
+  const removeTarget = async (id) => {
+    if (remote) return api(`/v1/targets/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    commitLocal(targets.filter(t => t.id !== id));
+  };
+
+  const replaceTargets = async (list) => {
+    if (remote) return api('/v1/targets', { method: 'PUT', body: { targets: list } });
+    commitLocal(validateTargetList(list));
+  };
+
+  return { targets, setTargets, addTarget, updateTarget, removeTarget, replaceTargets };
+};
@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { SMTPServer } from 'smtp-server';
+import { createAlertEngine, normalizeRule } from '../lib/alerts.js';
+import { deliver, normalizeChannel, validateChannel, redactChannel, mergeSecrets } from '../server/alerts/channels/index.js';
+
+// An in-process SMTP sink that keeps every message it accepts
+const received = [];
+const sink = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onData(stream, session, callback) {
+    let raw = '';
+    stream.on('data', (chunk) => { raw += chunk; });
+    stream.on('end', () => {
+      received.push({ from: session.envelope.mailFrom.address, to: session.envelope.rcptTo.map(r => r.address), raw });
+      callback();
+    });
+  },
+});
+
+let port;
+before(() => new Promise((resolve) => sink.listen(0, '127.0.0.1', () => {
+  ({ port } = sink.server.address());
+  resolve();
+})));
+after(() => new Promise(resolve => sink.close(resolve)));
+
+const channel = () => ({ id: 'ops-mail', name: 'Ops mail', type: 'smtp', host: '127.0.0.1', port, from: 'monitor@example.com', to: 'ops@example.com' });
+
+const rule = normalizeRule({ name: 'Down twice', type: 'consecutive-down', count: 2, channels: ['ops-mail'] });
+const target = { id: 'api', name: 'API' };
+
+const context = (statuses) => ({
+  targets: [target],
+  globalHealth: null,
+  recent: (id, n) => statuses.slice(-n).map(status => ({ status })),
+  since: () => [],
+});
+
+test('a firing and a resolved alert are mailed through the SMTP channel', async () => {
+  const engine = createAlertEngine();
+  const [firing] = engine.evaluate({ rules: [rule], context: context(['UP', 'DOWN', 'DOWN']), now: Date.parse('2026-01-01T00:00:00Z') });
+  assert.equal(firing.kind, 'firing');
+  await deliver(channel(), firing);
+
+  // Still down: deduplicated, nothing new to send
+  assert.deepEqual(engine.evaluate({ rules: [rule], context: context(['DOWN', 'DOWN', 'DOWN']) }), []);
+
+  const [resolved] = engine.evaluate({ rules: [rule], context: context(['DOWN', 'UP']) });
+  assert.equal(resolved.kind, 'resolved');
+  await deliver(channel(), resolved);
+
+  assert.equal(received.length, 2);
+  assert.equal(received[0].from, 'monitor@example.com');
+  assert.deepEqual(received[0].to, ['ops@example.com']);
+  assert.match(received[0].raw, /Subject: \[MetaMonitor\] \[FIRING\] Down twice - API/);
+  assert.match(received[0].raw, /DOWN for 2 consecutive checks/);
+  assert.match(received[0].raw, /Alert: down-twice:api/);
+  assert.match(received[1].raw, /Subject: \[MetaMonitor\] \[RESOLVED\] Down twice - API/);
+  assert.match(received[1].raw, /Resolved: /);
+});
+
+test('a refused connection rejects the delivery', async () => {
+  const engine = createAlertEngine();
+  const [firing] = engine.evaluate({ rules: [rule], context: context(['DOWN', 'DOWN']) });
+  await assert.rejects(deliver({ ...channel(), port: 1 }, firing));
+});
+
+test('webhooks post JSON, and untrusted channels may not reach private addresses', async () => {
+  const posted = [];
+  const hook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      posted.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(req.url === '/fail' ? 500 : 204).end();
+    });
+  });
+  await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${hook.address().port}`;
+  const webhook = { id: 'hook', name: 'Hook', type: 'webhook', url: `${url}/alerts`, headers: { 'x-token': 't0ken' } };
+  const [firing] = createAlertEngine().evaluate({ rules: [rule], context: context(['DOWN', 'DOWN']) });
+  try {
+    await deliver(webhook, firing);
+    assert.equal(posted.length, 1);
+    assert.equal(posted[0].headers['x-token'], 't0ken');
+    assert.deepEqual(Object.keys(posted[0].body), ['version', 'kind', 'timestamp', 'alert']);
+    await assert.rejects(deliver({ ...webhook, url: `${url}/fail` }, firing), /Webhook responded 500/);
+
+    await assert.rejects(deliver(webhook, firing, { untrusted: true }), /private address 127\.0\.0\.1/);
+    await assert.rejects(deliver({ ...webhook, type: 'slack', url: `http://localhost:${hook.address().port}/` }, firing, { untrusted: true }), { code: 'EPRIVATE' });
+    await assert.rejects(deliver(channel(), firing, { untrusted: true }), /private address 127\.0\.0\.1/);
+    await assert.rejects(deliver({ ...channel(), host: 'localhost' }, firing, { untrusted: true }), { code: 'EPRIVATE' });
+    assert.equal(posted.length, 2);
+  } finally {
+    await new Promise(resolve => hook.close(resolve));
+  }
+});
+
+test('channels keep only the fields of their type', () => {
+  const stored = normalizeChannel({ name: 'Hook', type: 'webhook', url: 'https://hooks.example.com/t/abc', headers: { authorization: 'Bearer s3cret' }, host: 'smtp.internal', extra: { a: 1 } });
+  assert.deepEqual(stored, { id: 'hook', name: 'Hook', type: 'webhook', url: 'https://hooks.example.com/t/abc', headers: { authorization: 'Bearer s3cret' } });
+  assert.deepEqual(validateChannel(normalizeChannel({ name: 'Hook', type: 'webhook', url: 'https://x.io', headers: ['a'] })), ['headers must map header names to strings']);
+  assert.deepEqual(Object.keys(normalizeChannel({ ...channel(), user: 'ops', pass: 'pw', url: 'https://x.io' })).sort(), ['from', 'host', 'id', 'name', 'pass', 'port', 'to', 'type', 'user']);
+});
+
+test('listed channels hide passwords, URLs and header values, and edits keep them', () => {
+  const webhook = normalizeChannel({ name: 'Hook', type: 'webhook', url: 'https://hooks.example.com/t/abc', headers: { authorization: 'Bearer s3cret' } });
+  const shown = redactChannel(webhook);
+  assert.equal(shown.url, 'https://hooks.example.com/********');
+  assert.deepEqual(shown.headers, { authorization: '********' });
+  assert.deepEqual(mergeSecrets(webhook, { ...shown, name: 'Renamed' }), { ...webhook, name: 'Renamed' });
+  assert.deepEqual(mergeSecrets(webhook, { ...shown, url: 'https://other.example.com/x', headers: { authorization: '********', 'x-extra': '1' } }), {
+    ...webhook,
+    url: 'https://other.example.com/x',
+    headers: { authorization: 'Bearer s3cret', 'x-extra': '1' },
+  });
+
+  const mail = normalizeChannel({ ...channel(), user: 'ops', pass: 'pw' });
+  assert.equal(redactChannel(mail).pass, '********');
+  assert.equal(mergeSecrets(mail, redactChannel(mail)).pass, 'pw');
+});
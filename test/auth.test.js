@@ -0,0 +1,286 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { spawn } from 'node:child_process';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+const freePort = async () => {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await close(probe);
+  return port;
+};
+
+// The server under test; its handler is set once the modules are loaded
+let handle = (req, res) => res.writeHead(503).end();
+const app = http.createServer((req, res) => handle(req, res));
+const base = await listen(app);
+
+// The stand-in OIDC provider from `npm run oidc-mock`
+const mockPort = await freePort();
+const provider = spawn(process.execPath, [new URL('../server/oidcMock.js', import.meta.url).pathname], {
+  env: { ...process.env, OIDC_MOCK_PORT: String(mockPort), METAMONITOR_OIDC_CLIENT_SECRET: 'mock-secret' },
+  stdio: ['ignore', 'pipe', 'inherit'],
+});
+await new Promise(resolve => provider.stdout.once('data', resolve));
+
+// Stores, OIDC settings and the public URL are read on import
+process.env.METAMONITOR_DATA_DIR = mkdtempSync(path.join(tmpdir(), 'metamonitor-'));
+process.env.METAMONITOR_PUBLIC_URL = base;
+process.env.METAMONITOR_OIDC_ISSUER = `http://localhost:${mockPort}`;
+process.env.METAMONITOR_OIDC_CLIENT_ID = 'metamonitor';
+process.env.METAMONITOR_OIDC_CLIENT_SECRET = 'mock-secret';
+const { createRouter } = await import('../server/http.js');
+const { routes } = await import('../server/routes.js');
+const { authorize } = await import('../server/auth/index.js');
+handle = createRouter(routes, { guard: authorize });
+
+// A service on the server's own network, and a webhook receiver next to it
+const hooks = [];
+const internal = http.createServer((req, res) => {
+  if (req.method === 'POST') {
+    hooks.push(req.url);
+    return res.writeHead(204).end();
+  }
+  res.writeHead(200, { 'content-type': 'application/json' }).end('{"token":"internal-token-123"}');
+});
+let internalUrl;
+before(async () => { internalUrl = await listen(internal); });
+after(async () => {
+  await Promise.all([close(internal), close(app)]);
+  provider.kill();
+});
+
+// A browser of sorts: keeps the cookies the server sets
+const browser = () => {
+  const jar = new Map();
+  const call = async (url, { method = 'GET', body, headers = {} } = {}) => {
+    const response = await fetch(new URL(url, base), {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body ? { 'content-type': 'application/json' } : {}),
+        cookie: [...jar].map(([name, value]) => `${name}=${value}`).join('; '),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    response.headers.getSetCookie().forEach((cookie) => {
+      const [name, value] = cookie.split(';')[0].split('=');
+      if (value) jar.set(name, value);
+      else jar.delete(name);
+    });
+    return response;
+  };
+  // Resolves to { status, body }
+  const json = async (url, options) => {
+    const response = await call(url, options);
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  };
+  return { call, json, jar };
+};
+
+const withKey = (secret) => ({ headers: { authorization: `Bearer ${secret}` } });
+
+const signUp = async (email, name) => {
+  const client = browser();
+  const { status, body } = await client.json('/v1/auth/signup', { method: 'POST', body: { email, name, password: 'correct horse battery' } });
+  assert.equal(status, 201);
+  return { client, ...body };
+};
+
+// Through the provider's form, as the person typing their email would.
+// finish is the browser that follows the redirect back.
+const ssoSignIn = async (start, email, { verified = true, finish = start } = {}) => {
+  const login = await start.call('/auth/oidc/login');
+  assert.equal(login.status, 302);
+  const page = new URL(login.headers.get('location'));
+  const form = new URLSearchParams({ ...Object.fromEntries(page.searchParams), email, ...(verified ? { email_verified: 'true' } : {}) });
+  const answer = await fetch(page, { method: 'POST', body: form, redirect: 'manual' });
+  return finish.call(answer.headers.get('location'));
+};
+
+const waitForResult = async (client, id) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await client.json(`/v1/status/${id}`);
+    if (body.lastChecked) return body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`${id} was never checked`);
+};
+
+const secretTarget = () => ({
+  id: 'secret',
+  name: 'Secret',
+  type: 'json',
+  url: `${internalUrl}/meta`,
+  check: { assertions: [{ path: 'token', op: 'equals', value: 'guess' }] },
+});
+
+let ann;
+let eve;
+let bob;
+
+test('auth: the API is open until the first account, which takes the default workspace', async () => {
+  const anonymous = browser();
+  assert.equal((await anonymous.json('/v1/targets')).status, 200);
+
+  ann = await signUp('ann@example.com', 'Ann');
+  assert.equal(ann.workspace, 'default');
+  const { body: session } = await ann.client.json('/v1/auth/session');
+  assert.equal(session.role, 'admin');
+  assert.ok(session.scopes.includes('workspace:write'));
+
+  assert.deepEqual(await anonymous.json('/v1/targets'), { status: 401, body: { error: 'Sign in or send an API key' } });
+  assert.equal((await anonymous.json('/v1/auth/login', { method: 'POST', body: { email: 'ann@example.com', password: 'wrong password' } })).status, 401);
+  assert.equal((await browser().json('/v1/auth/login', { method: 'POST', body: { email: 'ann@example.com', password: 'correct horse battery' } })).status, 200);
+});
+
+test('auth: later accounts get a workspace of their own, kept apart from the rest', async () => {
+  eve = await signUp('eve@example.com', 'Eve');
+  assert.equal(eve.workspace, 'eves-workspace');
+  assert.equal((await eve.client.json('/v1/targets', { method: 'PUT', body: [secretTarget()] })).status, 200);
+
+  const eveTargets = (await eve.client.json('/v1/targets')).body.targets.map(t => t.id);
+  const annTargets = (await ann.client.json('/v1/targets')).body.targets.map(t => t.id);
+  assert.deepEqual(eveTargets, ['secret']);
+  assert.ok(!annTargets.includes('secret'));
+  assert.equal((await ann.client.json('/v1/targets/secret')).status, 404);
+  assert.deepEqual((await eve.client.json('/v1/workspace/members')).body.items.map(m => m.email), ['eve@example.com']);
+
+  // Nor can they step into someone else's
+  assert.deepEqual(await eve.client.json('/v1/auth/session', { method: 'PUT', body: { workspace: 'default' } }), {
+    status: 403,
+    body: { error: 'Not a member of default' },
+  });
+});
+
+test('auth: only the default workspace may probe or notify the private network', async () => {
+  await eve.client.json('/v1/scan', { method: 'POST' });
+  const blocked = await waitForResult(eve.client, 'secret');
+  assert.equal(blocked.status, 'DOWN');
+  assert.equal(blocked.errorClass, 'BLOCKED');
+  assert.doesNotMatch(JSON.stringify(blocked), /internal-token-123/);
+
+  const hook = { id: 'hook', name: 'Hook', type: 'webhook', url: `${internalUrl}/hook` };
+  assert.equal((await eve.client.json('/v1/alerts/channels', { method: 'POST', body: hook })).status, 201);
+  const refused = await eve.client.json('/v1/alerts/channels/hook/test', { method: 'POST' });
+  assert.equal(refused.status, 502);
+  assert.match(refused.body.error, /private address 127\.0\.0\.1/);
+  const mail = { id: 'mail', name: 'Mail', type: 'smtp', host: 'localhost', port: 25, from: 'mm@example.com', to: 'ops@example.com' };
+  assert.equal((await eve.client.json('/v1/alerts/channels', { method: 'POST', body: mail })).status, 201);
+  assert.match((await eve.client.json('/v1/alerts/channels/mail/test', { method: 'POST' })).body.error, /private address/);
+  assert.deepEqual(hooks, []);
+
+  // The operator's own workspace still can
+  assert.equal((await ann.client.json('/v1/targets', { method: 'PUT', body: [secretTarget()] })).status, 200);
+  await ann.client.json('/v1/scan', { method: 'POST' });
+  const trusted = await waitForResult(ann.client, 'secret');
+  assert.equal(trusted.errorClass, 'ASSERTION');
+  assert.match(JSON.stringify(trusted.details), /internal-token-123/);
+  assert.equal((await ann.client.json('/v1/alerts/channels', { method: 'POST', body: hook })).status, 201);
+  assert.deepEqual(await ann.client.json('/v1/alerts/channels/hook/test', { method: 'POST' }), { status: 200, body: { ok: true } });
+  assert.deepEqual(hooks, ['/hook']);
+});
+
+test('auth: viewers read, admins write and manage the workspace', async () => {
+  bob = await signUp('bob@example.com', 'Bob');
+  assert.equal((await ann.client.json('/v1/workspace/members', { method: 'POST', body: { email: 'nobody@example.com' } })).status, 404);
+  const added = await ann.client.json('/v1/workspace/members', { method: 'POST', body: { email: 'bob@example.com', role: 'viewer' } });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.role, 'viewer');
+
+  const { body: session } = await bob.client.json('/v1/auth/session', { method: 'PUT', body: { workspace: 'default' } });
+  assert.equal(session.role, 'viewer');
+  assert.ok((await bob.client.json('/v1/targets')).body.targets.some(t => t.id === 'secret'));
+  assert.deepEqual(await bob.client.json('/v1/targets/secret', { method: 'DELETE' }), { status: 403, body: { error: 'Missing scope: targets:write' } });
+  assert.deepEqual(await bob.client.json('/v1/workspace/members'), { status: 403, body: { error: 'Missing scope: workspace:read' } });
+
+  // The last admin stays
+  assert.equal((await ann.client.json(`/v1/workspace/members/${ann.user.id}`, { method: 'PUT', body: { role: 'viewer' } })).status, 409);
+});
+
+test('auth: API keys are scoped, and lose access with their creator', async () => {
+  assert.equal((await ann.client.json(`/v1/workspace/members/${bob.user.id}`, { method: 'PUT', body: { role: 'admin' } })).body.role, 'admin');
+  const { status, body: key } = await bob.client.json('/v1/workspace/keys', { method: 'POST', body: { name: 'CI', scopes: ['targets:read', 'targets:write', 'status:read'] } });
+  assert.equal(status, 201);
+  assert.match(key.secret, /^mm_/);
+  const { body: annKey } = await ann.client.json('/v1/workspace/keys', { method: 'POST', body: { name: 'Dashboards', scopes: ['targets:read'] } });
+
+  const robot = browser();
+  assert.equal((await robot.json('/v1/targets', withKey(key.secret))).status, 200);
+  assert.deepEqual(await robot.json('/v1/alerts', withKey(key.secret)), { status: 403, body: { error: 'Missing scope: alerts:read' } });
+  // Keys never manage members or keys
+  assert.deepEqual(await robot.json('/v1/workspace/keys', withKey(key.secret)), { status: 403, body: { error: 'Missing scope: workspace:read' } });
+
+  // Demoted: the key keeps only what a viewer may do
+  await ann.client.json(`/v1/workspace/members/${bob.user.id}`, { method: 'PUT', body: { role: 'viewer' } });
+  const keys = (await ann.client.json('/v1/workspace/keys')).body.items;
+  assert.deepEqual(keys.find(k => k.id === key.id).scopes, ['targets:read', 'status:read']);
+  assert.equal((await robot.json('/v1/targets', withKey(key.secret))).status, 200);
+  assert.equal((await robot.json('/v1/targets/secret', { method: 'DELETE', ...withKey(key.secret) })).status, 403);
+
+  // Removed: the key is revoked, other members' keys are not
+  assert.equal((await ann.client.json(`/v1/workspace/members/${bob.user.id}`, { method: 'DELETE' })).status, 204);
+  assert.deepEqual((await ann.client.json('/v1/workspace/keys')).body.items.map(k => k.id), [annKey.id]);
+  assert.deepEqual(await robot.json('/v1/targets', withKey(key.secret)), { status: 401, body: { error: 'Invalid API key' } });
+  assert.equal((await robot.json('/v1/targets', withKey(annKey.secret))).status, 200);
+});
+
+test('oidc: a new person signs in through the provider and gets a workspace', async () => {
+  const carol = browser();
+  const callback = await ssoSignIn(carol, 'carol@example.com');
+  assert.equal(callback.status, 302);
+  assert.equal(callback.headers.get('location'), '/');
+  assert.equal(carol.jar.has('metamonitor_oidc'), false);
+  const { body: session } = await carol.json('/v1/auth/session');
+  assert.equal(session.user.email, 'carol@example.com');
+  assert.equal(session.workspace.id, 'carol-example-coms-workspace');
+  assert.equal(session.role, 'admin');
+
+  // Signing in again finds the same account
+  const again = browser();
+  await ssoSignIn(again, 'carol@example.com', { verified: false });
+  assert.equal((await again.json('/v1/auth/session')).body.user.id, session.user.id);
+});
+
+test('oidc: an existing account is only linked through a verified email', async () => {
+  const unverified = browser();
+  const refused = await ssoSignIn(unverified, 'ann@example.com', { verified: false });
+  assert.equal(refused.status, 409);
+  assert.match((await refused.json()).error, /provider has not verified that address/);
+  assert.equal((await unverified.json('/v1/auth/session')).body.user, null);
+
+  const verified = browser();
+  assert.equal((await ssoSignIn(verified, 'ann@example.com')).status, 302);
+  const { body: session } = await verified.json('/v1/auth/session');
+  assert.equal(session.user.id, ann.user.id);
+  assert.equal(session.workspace.id, 'default');
+});
+
+test('oidc: a sign-in started in another browser is refused', async () => {
+  const attacker = browser();
+  const victim = browser();
+  const callback = await ssoSignIn(attacker, 'mallory@example.com', { finish: victim });
+  assert.equal(callback.status, 400);
+  assert.deepEqual(await callback.json(), { error: 'Sign-in was started in another browser; try again' });
+  assert.equal((await victim.json('/v1/auth/session')).body.user, null);
+
+  // Nor can a callback be replayed once used
+  const replayed = browser();
+  const login = await replayed.call('/auth/oidc/login');
+  const page = new URL(login.headers.get('location'));
+  const answer = await fetch(page, { method: 'POST', body: new URLSearchParams({ ...Object.fromEntries(page.searchParams), email: 'dan@example.com' }), redirect: 'manual' });
+  const location = answer.headers.get('location');
+  const cookies = [...replayed.jar];
+  assert.equal((await replayed.call(location)).status, 302);
+  cookies.forEach(([name, value]) => replayed.jar.set(name, value));
+  assert.equal((await replayed.call(location)).status, 400);
+});
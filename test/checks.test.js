@@ -0,0 +1,42 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Resolver } from 'node:dns/promises';
+import { probeTarget } from '../server/checks/index.js';
+import { normalizeTarget } from '../lib/targets.js';
+
+// Stands in for the server's resolver: one A record per name
+const ANSWERS = { 'internal.test': ['10.1.2.3'], 'public.test': ['93.184.216.34'] };
+
+before(() => {
+  mock.method(Resolver.prototype, 'resolve', async (hostname) => {
+    if (ANSWERS[hostname]) return ANSWERS[hostname];
+    throw Object.assign(new Error(`queryA ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+  });
+});
+after(() => mock.restoreAll());
+
+const dnsTarget = (host, expected = []) => normalizeTarget({ id: 'dns', name: 'DNS', type: 'dns', url: `dns://${host}`, check: { recordType: 'A', expected } });
+
+test('dns: registry checks report the records found', async () => {
+  const result = await probeTarget(dnsTarget('internal.test', ['10.1.2.3']));
+  assert.equal(result.status, 'UP');
+  assert.deepEqual(result.details.records, ['10.1.2.3']);
+  assert.deepEqual(result.details.missing, []);
+});
+
+test('dns: ad-hoc checks refuse private answers and leave the records out', async () => {
+  const blocked = await probeTarget(dnsTarget('internal.test'), { untrusted: true });
+  assert.equal(blocked.status, 'DOWN');
+  assert.equal(blocked.errorClass, 'BLOCKED');
+  assert.equal(blocked.details.records, undefined);
+
+  const missing = await probeTarget(dnsTarget('public.test', ['1.1.1.1']), { untrusted: true });
+  assert.equal(missing.status, 'DOWN');
+  assert.equal(missing.errorClass, 'DNS');
+  assert.equal(missing.details.records, undefined);
+  assert.deepEqual(missing.details.missing, ['1.1.1.1']);
+
+  const found = await probeTarget(dnsTarget('public.test', ['93.184.216.34']), { untrusted: true });
+  assert.equal(found.status, 'UP');
+  assert.equal(found.details.records, undefined);
+});
@@ -0,0 +1,208 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, writeFileSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { DEFAULT_TARGETS } from '../lib/targets.js';
+import { DEFAULT_POLICY } from '../lib/health.js';
+import { parseConfig, loadConfig } from '../server/cli/config.js';
+import { formatTable, formatJunit } from '../server/cli/reports.js';
+
+const CLI = new URL('../server/cli/index.js', import.meta.url).pathname;
+const dir = mkdtempSync(path.join(tmpdir(), 'metamonitor-cli-'));
+
+const file = (name, text) => {
+  const target = path.join(dir, name);
+  writeFileSync(target, text);
+  return target;
+};
+
+// Runs the CLI to completion; resolves to { code, stdout, stderr }
+const cli = (...args) => new Promise((resolve) => {
+  execFile(process.execPath, [CLI, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+});
+
+// The targets the CLI checks: / answers, /fail is an outage
+const site = http.createServer((req, res) => {
+  if (req.url === '/fail') return res.writeHead(500, { 'content-type': 'text/plain' }).end('broken');
+  res.writeHead(200, { 'content-type': 'text/plain' }).end('ok');
+});
+
+let base;
+before(() => new Promise(resolve => site.listen(0, '127.0.0.1', () => {
+  base = `http://127.0.0.1:${site.address().port}`;
+  resolve();
+})));
+after(() => new Promise(resolve => site.close(resolve)));
+
+const healthy = () => file('healthy.yaml', `version: 1
+targets:
+  - { id: web, name: Web, url: ${base}/ }
+  - { id: api, name: API, url: ${base}/ }
+`);
+
+const failing = () => file('failing.yaml', `version: 1
+targets:
+  - { id: web, name: "Web <main>", url: ${base}/ }
+  - { id: api, name: API, url: ${base}/fail }
+  - { id: jobs, name: Jobs, url: ${base}/fail }
+policy: { formula: mean }
+maintenance:
+  - { title: Planned, targets: [jobs], cron: '* * * * *', duration: 5 }
+`);
+
+// --- Config loading ---
+
+test('config: YAML with a policy and maintenance windows', () => {
+  const config = parseConfig(`version: 1
+targets:
+  - { id: web, name: Web, url: https://example.com }
+policy: { formula: critical, damping: { required: 2, window: 3 } }
+maintenance:
+  - { title: Nightly backup, cron: '0 3 * * *', duration: 30 }
+`);
+  assert.deepEqual(config.targets.map(t => [t.id, t.type, t.checkUrl]), [['web', 'http', 'https://example.com']]);
+  assert.equal(config.policy.formula, 'critical');
+  assert.deepEqual(config.policy.damping, { required: 2, window: 3 });
+  assert.equal(config.maintenance.length, 1);
+  assert.equal(config.maintenance[0].title, 'Nightly backup');
+  assert.equal(config.maintenance[0].cron, '0 3 * * *');
+});
+
+test('config: a bare JSON list of targets gets the default policy', () => {
+  const config = parseConfig(JSON.stringify([{ id: 'web', name: 'Web', url: 'https://example.com' }]));
+  assert.equal(config.targets.length, 1);
+  assert.equal(config.policy, DEFAULT_POLICY);
+  assert.deepEqual(config.maintenance, []);
+});
+
+test('config: invalid policies and windows are rejected', () => {
+  const targets = 'targets:\n  - { id: web, name: Web, url: https://example.com }\n';
+  assert.throws(() => parseConfig(`${targets}policy: { formula: loudest }\n`), /^Error: Invalid policy:/);
+  assert.throws(() => parseConfig(`${targets}maintenance: { title: x }\n`), /maintenance must be a list of windows/);
+  assert.throws(() => parseConfig(`${targets}maintenance:\n  - { title: x }\n`), /Invalid maintenance window #1:/);
+});
+
+test('config: no file means the built-in targets; a missing one is an error', async () => {
+  assert.deepEqual(await loadConfig(), { targets: DEFAULT_TARGETS, policy: DEFAULT_POLICY, maintenance: [] });
+  await assert.rejects(loadConfig(path.join(dir, 'missing.yaml')), /^Error: Could not read .*missing\.yaml: /);
+});
+
+// --- Exit codes and output formats, against the local site ---
+
+test('cli: a healthy scan prints a table and exits 0', async () => {
+  const { code, stdout, stderr } = await cli('--config', healthy());
+  assert.equal(code, 0);
+  assert.match(stderr, /\[metamonitor\] checking 2 targets/);
+  const lines = stdout.split('\n');
+  assert.match(lines[0], /^TARGET\s+STATUS\s+LATENCY\s+CODE\s+DETAIL$/);
+  assert.match(lines[1], /^Web\s+UP\s+\d+ms\s+200/);
+  assert.match(lines[2], /^API\s+UP\s+\d+ms\s+200/);
+  assert.match(stdout, /^globalHealth 100% \(threshold 80%\) PASS$/m);
+});
+
+test('cli: below the threshold exits 1 with a JSON report', async () => {
+  const { code, stdout } = await cli('-c', failing(), '-f', 'json', '-t', '90');
+  assert.equal(code, 1);
+  const report = JSON.parse(stdout);
+  assert.equal(report.passed, false);
+  assert.equal(report.threshold, 90);
+  assert.equal(report.formula, 'mean');
+  assert.ok(report.globalHealth < 90);
+  assert.deepEqual(report.targets.map(t => [t.id, t.status, t.statusCode]), [
+    ['web', 'UP', 200],
+    ['api', 'DOWN', 500],
+    ['jobs', 'MAINTENANCE', 500],
+  ]);
+  assert.equal(report.targets[2].maintenance, 'Planned');
+});
+
+test('cli: --threshold 0 passes the same scan', async () => {
+  const { code, stdout } = await cli('-c', failing(), '-t', '0');
+  assert.equal(code, 0);
+  assert.match(stdout, /^API\s+DOWN\s+\d+ms\s+500/m);
+  assert.match(stdout, /^Jobs\s+MAINTENANCE\s+.*maintenance: Planned$/m);
+  assert.match(stdout, /\(threshold 0%\) PASS$/m);
+});
+
+test('cli: --output writes a JUnit report instead of printing it', async () => {
+  const output = path.join(dir, 'report.xml');
+  const { code, stdout } = await cli('-c', failing(), '-f', 'junit', '-o', output, '-t', '90');
+  assert.equal(code, 1);
+  assert.equal(stdout, '');
+  const xml = readFileSync(output, 'utf8');
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="metamonitor" tests="4" failures="2" errors="0" skipped="1" /);
+  assert.match(xml, /<testcase classname="metamonitor\.http" name="Web &lt;main&gt;" time="[\d.]+"><\/testcase>/);
+  assert.match(xml, /<testcase classname="metamonitor\.http" name="API" [^>]*>\n {6}<failure type="HTTP" /);
+  assert.match(xml, /<testcase classname="metamonitor\.http" name="Jobs" [^>]*>\n {6}<skipped message="maintenance: Planned" \/>/);
+  assert.match(xml, /name="globalHealth &gt;= 90%" time="0\.000">\n {6}<failure type="THRESHOLD" message="globalHealth \d+% is below 90%">/);
+});
+
+test('cli: usage and config errors exit 2', async () => {
+  const threshold = await cli('--threshold', '120');
+  assert.equal(threshold.code, 2);
+  assert.match(threshold.stderr, /--threshold must be a number from 0 to 100/);
+
+  const format = await cli('--format', 'xml');
+  assert.equal(format.code, 2);
+  assert.match(format.stderr, /--format must be one of table, json, junit/);
+
+  const unknown = await cli('--verbose');
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Usage: metamonitor/);
+
+  const missing = await cli('-c', path.join(dir, 'missing.yaml'));
+  assert.equal(missing.code, 2);
+  assert.match(missing.stderr, /Could not read/);
+
+  const invalid = await cli('-c', file('invalid.yaml', 'targets:\n  - { id: web, name: Web, url: https://example.com }\npolicy: { formula: loudest }\n'));
+  assert.equal(invalid.code, 2);
+  assert.match(invalid.stderr, /Invalid policy/);
+});
+
+test('cli: --help prints usage and exits 0', async () => {
+  const { code, stdout } = await cli('--help');
+  assert.equal(code, 0);
+  assert.match(stdout, /^Usage: metamonitor \[options\]/);
+  assert.match(stdout, /Exit status: 0 at or above the threshold, 1 below it, 2 for a usage or config error\./);
+});
+
+// --- Formatters, on a report with every kind of row ---
+
+const report = {
+  timestamp: '2026-10-17T22:00:00.000Z',
+  globalHealth: 40,
+  threshold: 80,
+  passed: false,
+  formula: 'weighted',
+  explanation: 'Σ(score × weight) / Σweight = 1.2 / 3',
+  targets: [
+    { name: 'Web', type: 'http', host: 'web.example.com', status: 'UP', latency: 120, statusCode: 200, error: null, errorClass: null, maintenance: null, notes: [] },
+    { name: 'Queue', type: 'tcp', host: 'queue:5672', status: 'DEGRADED', latency: 900, statusCode: null, error: null, errorClass: null, maintenance: null, notes: ['slow'] },
+    { name: 'Probe', type: 'http', host: 'probe.example.com', status: 'UNKNOWN', latency: null, statusCode: null, error: 'Probe unavailable', errorClass: 'PROBE', maintenance: null, notes: [] },
+  ],
+};
+
+test('format: table pads columns and states the verdict', () => {
+  assert.equal(formatTable(report), [
+    'TARGET  STATUS    LATENCY  CODE  DETAIL',
+    'Web     UP        120ms    200',
+    'Queue   DEGRADED  900ms    -     slow',
+    'Probe   UNKNOWN   -        -     Probe unavailable',
+    '',
+    'globalHealth 40% (threshold 80%) FAIL',
+    'weighted: Σ(score × weight) / Σweight = 1.2 / 3',
+    '',
+  ].join('\n'));
+});
+
+test('format: JUnit counts unknown targets as errors and notes degraded ones', () => {
+  const xml = formatJunit(report);
+  assert.match(xml, /<testsuites name="metamonitor" tests="4" failures="1" errors="1" skipped="0" time="1\.020">/);
+  assert.match(xml, /name="Queue" time="0\.900">\n {6}<system-out>DEGRADED: slow<\/system-out>/);
+  assert.match(xml, /name="Probe" time="0\.000">\n {6}<error type="PROBE" message="Probe unavailable" \/>/);
+});
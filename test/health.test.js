@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POLICY, healthBreakdown } from '../lib/health.js';
+
+const TARGETS = [
+  { id: 'web', name: 'Web', weight: 0 },
+  { id: 'docs', name: 'Docs', weight: 0 },
+];
+
+test('nothing probed yet is 0', () => {
+  const { health, explanation } = healthBreakdown({}, TARGETS, DEFAULT_POLICY);
+  assert.equal(health, 0);
+  assert.equal(explanation, 'No targets have been probed yet');
+});
+
+test('probed targets that all have weight 0 leave health at 100', () => {
+  const { health, explanation, rows } = healthBreakdown({ web: { status: 'DOWN' }, docs: { status: 'UP' } }, TARGETS, DEFAULT_POLICY);
+  assert.equal(health, 100);
+  assert.equal(explanation, 'Every probed target has weight 0, so none counts towards health');
+  assert.deepEqual(rows.map(row => [row.id, row.counted, row.notes]), [['web', false, ['weight 0']], ['docs', false, ['weight 0']]]);
+});
+
+test('a weighted target still counts next to zero-weight ones', () => {
+  const { health } = healthBreakdown({ web: { status: 'DOWN' }, api: { status: 'DOWN' } }, [...TARGETS, { id: 'api', name: 'API', weight: 1 }], DEFAULT_POLICY);
+  assert.equal(health, 0);
+});
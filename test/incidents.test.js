@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trackIncidents, incidentStats } from '../lib/incidents.js';
+
+const TARGETS = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+const T0 = Date.parse('2026-09-01T00:00:00Z');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const result = (status, at) => ({ status, lastChecked: new Date(at).toISOString() });
+const apply = (incidents, results, at) => trackIncidents(incidents, results, TARGETS, at).incidents;
+
+test('relapses within one incident are separate outages', () => {
+  // B staying DEGRADED keeps the incident open while A fails daily for a minute
+  let incidents = apply([], { b: result('DEGRADED', T0) }, T0);
+  for (let day = 0; day < 30; day++) {
+    const at = T0 + day * DAY + 60 * MINUTE;
+    incidents = apply(incidents, { a: result('DOWN', at) }, at);
+    incidents = apply(incidents, { a: result('UP', at + MINUTE) }, at + MINUTE);
+  }
+  assert.equal(incidents.length, 1);
+  assert.equal(incidents[0].status, 'open');
+  assert.equal(incidents[0].targets.find(t => t.id === 'a').outages.length, 30);
+
+  const stats = incidentStats(incidents, 'a', T0 + 40 * DAY);
+  assert.equal(stats.incidents, 1);
+  assert.equal(stats.outages, 30);
+  assert.equal(stats.open, false);
+  assert.equal(stats.downtime, 30 * MINUTE);
+  assert.equal(stats.mttr, MINUTE);
+  assert.equal(stats.mtbf, DAY - MINUTE);
+});
+
+test('an ongoing outage counts towards downtime but not MTTR', () => {
+  let incidents = apply([], { a: result('DOWN', T0) }, T0);
+  incidents = apply(incidents, { a: result('UP', T0 + 5 * MINUTE) }, T0 + 5 * MINUTE);
+  incidents = apply(incidents, { a: result('DOWN', T0 + DAY) }, T0 + DAY);
+  const stats = incidentStats(incidents, 'a', T0 + DAY + 10 * MINUTE);
+  assert.equal(stats.incidents, 2);
+  assert.equal(stats.open, true);
+  assert.equal(stats.downtime, 15 * MINUTE);
+  assert.equal(stats.mttr, 5 * MINUTE);
+  assert.equal(stats.mtbf, DAY - 5 * MINUTE);
+});
+
+test('incidents recorded before outages were tracked count as one outage per target', () => {
+  const legacy = {
+    id: 'inc-legacy',
+    status: 'resolved',
+    targets: [{ id: 'a', name: 'A', worst: 'DOWN', startedAt: new Date(T0).toISOString(), resolvedAt: new Date(T0 + MINUTE).toISOString() }],
+    timeline: [],
+  };
+  assert.deepEqual(incidentStats([legacy], 'a'), { incidents: 1, outages: 1, open: false, downtime: MINUTE, mttr: MINUTE, mtbf: null });
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCron, nextOccurrence, normalizeWindow, validateWindow, activeWindow, upcomingWindows, applyMaintenance,
+} from '../lib/maintenance.js';
+import { createScanner } from '../lib/scan.js';
+import { healthBreakdown } from '../lib/health.js';
+
+const at = (iso) => Date.parse(iso);
+const next = (cron, from) => new Date(nextOccurrence(parseCron(cron), at(from))).toISOString();
+
+// 2026-10-17 is a Saturday
+test('cron: the next match, in UTC', () => {
+  assert.equal(next('0 3 * * *', '2026-10-17T22:00:00.000Z'), '2026-10-18T03:00:00.000Z');
+  assert.equal(next('0 3 * * *', '2026-10-18T03:00:00.000Z'), '2026-10-18T03:00:00.000Z');
+  assert.equal(next('*/15 * * * *', '2026-10-17T22:00:30.000Z'), '2026-10-17T22:15:00.000Z');
+  assert.equal(next('30 2 * * 1-5', '2026-10-17T22:00:00.000Z'), '2026-10-19T02:30:00.000Z');
+  // Sunday is 0 or 7
+  assert.equal(next('0 0 * * 7', '2026-10-17T22:00:00.000Z'), '2026-10-18T00:00:00.000Z');
+  assert.equal(next('0 12 1 1 *', '2026-10-17T22:00:00.000Z'), '2027-01-01T12:00:00.000Z');
+  // Both day fields restricted: either one will do
+  assert.equal(next('0 0 20 * 1', '2026-10-17T22:00:00.000Z'), '2026-10-19T00:00:00.000Z');
+  assert.equal(nextOccurrence(parseCron('0 0 31 2 *'), at('2026-10-17T22:00:00.000Z')), null);
+});
+
+test('cron: malformed expressions are rejected', () => {
+  assert.throws(() => parseCron('0 3 * *'), /cron needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute out of range: 60/);
+  assert.throws(() => parseCron('0 5-2 * * *'), /hour out of range: 5-2/);
+  assert.throws(() => parseCron('0 3 * * mon'), /invalid day of week: mon/);
+});
+
+test('maintenance: windows are validated', () => {
+  assert.deepEqual(validateWindow(normalizeWindow({ title: 'Nightly backup', cron: '0 3 * * *', duration: 30 })), []);
+  assert.deepEqual(validateWindow(normalizeWindow({ title: 'Nightly', cron: '0 3 * *', duration: 0 })), [
+    'cron: cron needs 5 fields: minute hour day-of-month month day-of-week',
+    'duration must be a whole number of minutes, up to a week',
+  ]);
+  assert.deepEqual(validateWindow(normalizeWindow({ title: 'Upgrade', start: '2026-10-18T02:00:00Z', end: '2026-10-18T01:00:00Z' })), ['end must be after start']);
+  assert.deepEqual(validateWindow(normalizeWindow({})), [
+    'id is required',
+    'title is required',
+    'start must be a date (or give cron and duration for a recurring window)',
+    'end must be a date',
+  ]);
+});
+
+const WINDOWS = [
+  normalizeWindow({ title: 'Nightly backup', targets: ['db'], cron: '0 3 * * *', duration: 30 }),
+  normalizeWindow({ title: 'Upgrade', start: '2026-10-18T10:00:00Z', end: '2026-10-18T12:00:00Z' }),
+];
+
+test('maintenance: a target is in a window from its start until the duration is up', () => {
+  assert.equal(activeWindow(WINDOWS, 'db', at('2026-10-18T02:59:59.000Z')), null);
+  assert.deepEqual(activeWindow(WINDOWS, 'db', at('2026-10-18T03:29:59.000Z')), {
+    id: 'nightly-backup',
+    title: 'Nightly backup',
+    start: '2026-10-18T03:00:00.000Z',
+    end: '2026-10-18T03:30:00.000Z',
+  });
+  assert.equal(activeWindow(WINDOWS, 'db', at('2026-10-18T03:30:00.000Z')), null);
+  // Only the listed targets; an empty list covers every target
+  assert.equal(activeWindow(WINDOWS, 'web', at('2026-10-18T03:10:00.000Z')), null);
+  assert.equal(activeWindow(WINDOWS, 'web', at('2026-10-18T11:00:00.000Z')).id, 'upgrade');
+  assert.equal(activeWindow(WINDOWS, 'web', at('2026-10-18T12:00:00.000Z')), null);
+
+  assert.deepEqual(upcomingWindows(WINDOWS, null, at('2026-10-18T03:10:00.000Z')).map(w => [w.id, w.start]), [
+    ['nightly-backup', '2026-10-18T03:00:00.000Z'],
+    ['upgrade', '2026-10-18T10:00:00.000Z'],
+  ]);
+  assert.deepEqual(upcomingWindows(WINDOWS, 'web', at('2026-10-18T13:00:00.000Z')), []);
+});
+
+test('maintenance: results inside a window are suppressed and kept out of health', async () => {
+  const window = activeWindow(WINDOWS, 'web', at('2026-10-18T11:00:00.000Z'));
+  const result = applyMaintenance({ status: 'DOWN', latency: 0, errorClass: 'CONNECTION' }, window);
+  assert.equal(result.status, 'MAINTENANCE');
+  assert.equal(result.rawStatus, 'DOWN');
+  assert.equal(result.errorClass, 'CONNECTION');
+  assert.equal(result.maintenance, window);
+  assert.deepEqual(applyMaintenance({ status: 'DOWN' }, null), { status: 'DOWN' });
+
+  const targets = [{ id: 'web', name: 'Web', weight: 1 }, { id: 'db', name: 'Database', weight: 1 }];
+  const windows = [normalizeWindow({ title: 'Now', targets: ['db'], start: new Date(Date.now() - 60000).toISOString(), end: new Date(Date.now() + 60000).toISOString() })];
+  const scanner = createScanner({ probe: async target => ({ id: target.id, status: target.id === 'db' ? 'DOWN' : 'UP' }), maintenance: () => windows });
+  const results = await scanner.scan(targets);
+  assert.equal(results.web.status, 'UP');
+  assert.equal(results.db.status, 'MAINTENANCE');
+  assert.equal(results.db.rawStatus, 'DOWN');
+  const breakdown = healthBreakdown(results, targets);
+  assert.equal(breakdown.health, 100);
+  assert.deepEqual(breakdown.rows.map(row => [row.id, row.counted, row.notes]), [
+    ['web', true, []],
+    ['db', false, ['in maintenance: Now']],
+  ]);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseUpstream } from '../lib/providers/index.js';
+import { parseRss } from '../lib/providers/rss.js';
+
+// Recorded feed payloads, replayed at a fixed time so "recent" stays put
+const fixture = (name) => readFileSync(new URL(`./fixtures/providers/${name}`, import.meta.url), 'utf8');
+const NOW = Date.parse('2026-10-17T22:00:00Z');
+
+test('statuspage: an outage maps indicator, components and incidents', () => {
+  const report = parseUpstream('statuspage', fixture('statuspage-incident.json'), NOW);
+  assert.equal(report.provider, 'statuspage');
+  assert.equal(report.status, 'DOWN');
+  assert.equal(report.summary, 'Major Service Outage');
+  assert.equal(report.fetchedAt, '2026-10-17T22:00:00.000Z');
+  // The group row is left out; maintenance counts as up
+  assert.deepEqual(report.components.map(c => [c.name, c.status]), [
+    ['API', 'UP'],
+    ['Dashboard', 'DEGRADED'],
+    ['Workers', 'DOWN'],
+    ['Billing', 'UP'],
+  ]);
+  assert.deepEqual(report.incidents, [{
+    id: 'p7h2m1n9kq3c',
+    title: 'Elevated Workers errors in multiple regions',
+    status: 'identified',
+    impact: 'major',
+    startedAt: '2026-10-17T13:38:00.000Z',
+    updatedAt: '2026-10-17T14:05:31.598Z',
+    url: 'https://stspg.io/p7h2m1n9kq3c',
+    components: ['Workers', 'Dashboard'],
+  }]);
+});
+
+test('statuspage: all operational is UP with no incidents', () => {
+  const report = parseUpstream('statuspage', fixture('statuspage-operational.json'), NOW);
+  assert.equal(report.status, 'UP');
+  assert.equal(report.summary, 'All Systems Operational');
+  assert.deepEqual(report.incidents, []);
+});
+
+test('statuspage: anything but a summary document is rejected', () => {
+  assert.throws(() => parseUpstream('statuspage', '{"page":{}}', NOW), /Not a Statuspage summary/);
+  assert.throws(() => parseUpstream('statuspage', '<html></html>', NOW), SyntaxError);
+});
+
+test('aws: the latest item per service decides, and old items are ignored', () => {
+  const report = parseUpstream('aws', fixture('aws-all.rss'), NOW);
+  assert.equal(report.status, 'DOWN');
+  assert.equal(report.summary, '2 services affected');
+  assert.deepEqual(report.components.map(c => [c.id, c.status]), [
+    ['ec2-us-east-1', 'DOWN'],
+    ['lambda-eu-west-1', 'DEGRADED'],
+    // Resolved after its performance issue
+    ['s3-us-west-2', 'UP'],
+  ]);
+  assert.deepEqual(report.incidents.map(i => [i.title, i.impact, i.components]), [
+    ['Increased API Error Rates', 'major', ['ec2-us-east-1']],
+    ['Increased Invoke Latencies', 'none', ['lambda-eu-west-1']],
+  ]);
+  assert.equal(report.incidents[0].startedAt, '2026-10-17T21:12:40.000Z');
+});
+
+test('aws: a day later the same feed reports nothing', () => {
+  const report = parseUpstream('aws', fixture('aws-all.rss'), NOW + 2 * 24 * 60 * 60 * 1000);
+  assert.equal(report.status, 'UP');
+  assert.equal(report.summary, 'All services operating normally');
+  assert.deepEqual(report.components, []);
+});
+
+test('azure: active incidents count, mitigated ones are skipped', () => {
+  const report = parseUpstream('azure', fixture('azure-feed.rss'), NOW);
+  assert.equal(report.status, 'DOWN');
+  assert.equal(report.summary, '2 active incidents');
+  assert.deepEqual(report.components.map(c => [c.name, c.status]), [
+    ['Azure Front Door', 'DOWN'],
+    ['Azure Cosmos DB', 'DEGRADED'],
+  ]);
+  assert.deepEqual(report.incidents.map(i => [i.id, i.impact]), [
+    ['https://azure.status.microsoft/en-us/status/#KT4P-9Z8', 'major'],
+    ['https://azure.status.microsoft/en-us/status/#3LW1-R5Q', 'minor'],
+  ]);
+});
+
+test('azure: an empty feed is healthy', () => {
+  const report = parseUpstream('azure', fixture('azure-empty.rss'), NOW);
+  assert.equal(report.status, 'UP');
+  assert.equal(report.summary, 'No active incidents');
+});
+
+test('rss: CDATA, escaped HTML descriptions and non-RSS input', () => {
+  const [frontDoor] = parseRss(fixture('azure-feed.rss'));
+  assert.equal(frontDoor.category, 'Azure Front Door');
+  assert.match(frontDoor.description, /^Impact Statement: Starting at 19:42 UTC .* resources & may see HTTP 502 errors\. Current Status: We are investigating\.$/);
+  const [ec2] = parseRss(fixture('aws-all.rss'));
+  assert.equal(ec2.title, 'Service disruption: Increased API Error Rates');
+  assert.throws(() => parseRss('<html><body>Down for maintenance</body></html>'), /Not an RSS document/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quorumStatus, isFresh, combineRegions } from '../lib/regions.js';
+import { createCollector } from '../server/collector.js';
+
+const target = { id: 'api', interval: 60000 };
+
+test('quorum: majority needs more than half of the regions that voted', () => {
+  assert.equal(quorumStatus(['UP', 'UP', 'DOWN']), 'UP');
+  assert.equal(quorumStatus(['UP', 'DOWN', 'DOWN']), 'DOWN');
+  assert.equal(quorumStatus(['UP', 'DOWN', 'DEGRADED']), 'DEGRADED');
+  assert.equal(quorumStatus(['UP', 'DOWN']), 'UP');
+  // Regions that could not tell abstain
+  assert.equal(quorumStatus(['DOWN', 'UNKNOWN', 'UNKNOWN']), 'DOWN');
+  assert.equal(quorumStatus(['UNKNOWN', 'UNKNOWN']), 'UNKNOWN');
+});
+
+test('quorum: any and all', () => {
+  assert.equal(quorumStatus(['UP', 'UP', 'DOWN'], 'any'), 'DOWN');
+  assert.equal(quorumStatus(['UP', 'UP', 'DEGRADED'], 'any'), 'DEGRADED');
+  assert.equal(quorumStatus(['UP', 'DOWN', 'DOWN'], 'all'), 'UP');
+  assert.equal(quorumStatus(['DEGRADED', 'DOWN', 'DOWN'], 'all'), 'DEGRADED');
+  assert.equal(quorumStatus(['DOWN', 'DOWN', 'UNKNOWN'], 'all'), 'DOWN');
+  assert.equal(quorumStatus(['UP', 'UP'], 'all'), 'UP');
+});
+
+test('quorum: reports go stale after two intervals and some slack', () => {
+  const now = Date.parse('2026-10-17T22:00:00.000Z');
+  const at = (ms) => ({ lastChecked: new Date(now - ms).toISOString() });
+  assert.equal(isFresh(at(0), target, now), true);
+  assert.equal(isFresh(at(135000), target, now), true);
+  assert.equal(isFresh(at(135001), target, now), false);
+});
+
+test('quorum: the combined result keeps every region and counts the agreeing ones', () => {
+  const combined = combineRegions({
+    local: { status: 'UP', latency: 80, statusCode: 200, lastChecked: '2026-10-17T22:00:00.000Z' },
+    'eu-west': { status: 'DOWN', latency: 0, error: 'Connection refused', errorClass: 'CONNECTION', lastChecked: '2026-10-17T22:00:01.000Z' },
+    'us-east': { status: 'DOWN', latency: 0, error: 'Timed out', errorClass: 'TIMEOUT', lastChecked: '2026-10-17T22:00:02.000Z' },
+    'ap-south': { status: 'UNKNOWN', latency: null, lastChecked: '2026-10-17T22:00:03.000Z' },
+  });
+  assert.equal(combined.status, 'DOWN');
+  // The details come from the first region that agrees with the verdict
+  assert.equal(combined.error, 'Connection refused');
+  assert.deepEqual(combined.quorum, { rule: 'majority', agreeing: 2, total: 3 });
+  assert.deepEqual(Object.keys(combined.regions), ['local', 'eu-west', 'us-east', 'ap-south']);
+  assert.equal(combined.regions.local.status, 'UP');
+});
+
+test('quorum: the collector only votes fresh reports and forgets silent regions', () => {
+  const collector = createCollector({ maxRegions: 2, ttl: 60 * 60 * 1000 });
+  const now = Date.parse('2026-10-17T22:00:00.000Z');
+  const report = (status, ago = 0) => [{ id: 'api', status, latency: 10, lastChecked: new Date(now - ago).toISOString() }];
+
+  assert.equal(collector.record('eu-west', 'agent-1', report('DOWN'), now), true);
+  assert.equal(collector.record('us-east', 'agent-2', report('UP', 200000), now), true);
+  // A third region is turned away while two are reporting
+  assert.equal(collector.record('ap-south', 'agent-3', report('UP'), now), false);
+  assert.deepEqual(Object.keys(collector.resultsFor(target, now)), ['eu-west']);
+
+  // A clock running ahead still counts as now
+  collector.record('eu-west', 'agent-1', report('UP', -600000), now);
+  assert.equal(collector.resultsFor(target, now)['eu-west'].lastChecked, new Date(now).toISOString());
+
+  const later = now + 2 * 60 * 60 * 1000;
+  assert.deepEqual(collector.list(later), []);
+  assert.deepEqual(collector.resultsFor(target, later), {});
+});
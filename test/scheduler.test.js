@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, createPool, nextDelay, isFailing, DEFAULT_PAUSE } from '../lib/scheduler.js';
+
+const TARGETS = [
+  { id: 'slow', interval: 60000 },
+  { id: 'fast', interval: 60000 },
+  { id: 'flaky', interval: 60000 },
+];
+
+// A scan whose probes finish when the test says so: release(id, status)
+const controlledScan = () => {
+  const calls = [];
+  const pending = new Map();
+  const pool = createPool(4);
+  const scan = async (list, settle) => {
+    calls.push(list.map(t => t.id));
+    const results = {};
+    await pool(list, async (target) => {
+      const status = await new Promise(resolve => pending.set(target.id, resolve));
+      results[target.id] = { status };
+      settle(target, results[target.id]);
+    });
+    return results;
+  };
+  const release = (id, status = 'UP') => {
+    const resolve = pending.get(id);
+    pending.delete(id);
+    resolve(status);
+  };
+  return { scan, calls, release };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('scheduler: a slow target only holds back itself', async () => {
+  const { scan, calls, release } = controlledScan();
+  const scheduler = createScheduler({ targets: () => TARGETS, scan, paused: () => DEFAULT_PAUSE, random: () => 0 });
+  const before = Date.now();
+  scheduler.start();
+  scheduler.stop();
+  await flush();
+  assert.deepEqual(calls, [['slow', 'fast', 'flaky']]);
+
+  release('fast');
+  release('flaky', 'DOWN');
+  await flush();
+  const { targets } = scheduler.snapshot();
+  assert.equal(targets.slow.running, true);
+  assert.equal(targets.fast.running, false);
+  assert.equal(scheduler.running, true);
+  // Rescheduled from the start of the scan, failing ones sooner
+  assert.ok(Date.parse(targets.fast.nextRun) >= before + 60000);
+  assert.equal(targets.fast.failures, 0);
+  assert.equal(targets.flaky.failures, 1);
+  assert.equal(Date.parse(targets.flaky.nextRun) - Date.parse(targets.fast.nextRun), 10000 - 60000);
+
+  // A new run starts the finished targets but waits for the one in flight
+  let done = false;
+  const run = scheduler.runNow().then((results) => { done = true; return results; });
+  await flush();
+  assert.deepEqual(calls[1], ['fast', 'flaky']);
+  release('fast');
+  release('flaky');
+  await flush();
+  assert.equal(done, false);
+
+  release('slow', 'DEGRADED');
+  const results = await run;
+  assert.deepEqual(Object.keys(results), ['slow', 'fast', 'flaky']);
+  assert.equal(results.slow.status, 'DEGRADED');
+  assert.equal(scheduler.snapshot().targets.flaky.failures, 0);
+  assert.equal(scheduler.running, false);
+});
+
+test('scheduler: paused targets are skipped and listeners hear every change', async () => {
+  const { scan, calls, release } = controlledScan();
+  const paused = { all: false, targets: ['slow'] };
+  const scheduler = createScheduler({ targets: () => TARGETS, scan, paused: () => paused, random: () => 0 });
+  const states = [];
+  const unsubscribe = scheduler.onChange(state => states.push(state));
+
+  const run = scheduler.runNow();
+  await flush();
+  assert.deepEqual(calls, [['fast', 'flaky']]);
+  release('fast');
+  release('flaky');
+  await run;
+  unsubscribe();
+  // Started, then once per settled target
+  assert.equal(states.length, 3);
+  assert.equal(states[0].targets.slow.paused, true);
+  assert.equal(states[0].targets.fast.running, true);
+  assert.equal(states[2].targets.flaky.running, false);
+});
+
+test('scheduler: a scan that throws counts its targets as failing', async () => {
+  const scheduler = createScheduler({
+    targets: () => TARGETS.slice(0, 1),
+    scan: async () => { throw new Error('probe crashed'); },
+    paused: () => DEFAULT_PAUSE,
+  });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual(await scheduler.runNow(), {});
+  } finally {
+    console.error = error;
+  }
+  assert.equal(scheduler.snapshot().targets.slow.failures, 1);
+});
+
+test('scheduler: failing targets back off to their interval', () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5].map(failures => nextDelay(60000, failures)), [60000, 10000, 20000, 40000, 60000, 60000]);
+  assert.equal(isFailing({ status: 'DOWN' }), true);
+  assert.equal(isFailing({ status: 'UP', rawStatus: 'UNKNOWN' }), true);
+  assert.equal(isFailing({ status: 'DEGRADED' }), false);
+  assert.equal(isFailing({ status: 'MAINTENANCE', rawStatus: 'DOWN' }), false);
+});
+
+test('scheduler: overlapping scans share one concurrency limit', async () => {
+  const pool = createPool(3);
+  let active = 0;
+  let peak = 0;
+  const work = async () => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active -= 1;
+  };
+  await Promise.all([pool([1, 2, 3, 4], work), pool([5, 6, 7], work)]);
+  assert.equal(peak, 3);
+  assert.equal(active, 0);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TARGETS, normalizeTarget } from '../lib/targets.js';
+import { serializeTargets, parseTargets } from '../lib/targetsFile.js';
+
+// One of each check type, with the scoring and feed settings set
+const TARGETS = [
+  ...DEFAULT_TARGETS,
+  { id: 'db', name: 'Database', type: 'tcp', url: 'tcp://db.example.com:5432', weight: 3, critical: true },
+  { id: 'cert', name: 'Certificate', type: 'tls', url: 'tls://example.com', check: { warnDays: 21 } },
+  { id: 'mx', name: 'Mail', type: 'dns', url: 'dns://example.com', check: { recordType: 'MX', expected: ['10 mail.example.com'] } },
+  { id: 'home', name: 'Home', type: 'keyword', url: 'https://example.com', check: { keyword: 'Welcome' }, degradedLatency: 2000 },
+  { id: 'health', name: 'Health', type: 'json', url: 'https://example.com/health', check: { assertions: [{ path: 'ok', op: 'equals', value: true }] }, weight: 0 },
+  { id: 'app', name: 'App', url: 'https://app.example.com', provider: { type: 'statuspage', url: 'https://status.example.com/api/v2/summary.json' }, tags: ['prod'] },
+].map(normalizeTarget);
+
+['json', 'yaml'].forEach((format) => {
+  test(`an export in ${format} imports back unchanged`, () => {
+    assert.deepEqual(parseTargets(serializeTargets(TARGETS, format)), TARGETS);
+  });
+});
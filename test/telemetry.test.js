@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createTelemetry } from '../server/telemetry/index.js';
+import { createRouter } from '../server/http.js';
+
+// The handler reads its token and the workspace stores on import, so both
+// point somewhere harmless first
+process.env.METAMONITOR_DATA_DIR = mkdtempSync(path.join(tmpdir(), 'metamonitor-'));
+process.env.METAMONITOR_METRICS_TOKEN = 'scrape-secret';
+const { metrics } = await import('../server/handlers/metrics.js');
+
+const TARGETS = {
+  api: { id: 'api', name: 'API', type: 'http', checkUrl: 'https://api.example.com' },
+  db: { id: 'db', name: 'Database', type: 'tcp' },
+};
+
+// Just enough of the monitor for telemetry: targets and its event stream
+const fakeMonitor = () => {
+  const listeners = new Set();
+  return {
+    region: 'test',
+    getTarget: (id) => TARGETS[id],
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    publish: (type, data) => listeners.forEach(listener => listener({ type, data })),
+  };
+};
+
+const runScan = (monitor, scanId = 's1') => {
+  monitor.publish('scan-start', { scanId, timestamp: '2026-10-17T22:00:00.000Z', targets: 2 });
+  monitor.publish('result', { scanId, id: 'api', name: 'API', status: 'UP', rawStatus: 'UP', latency: 120, statusCode: 200, lastChecked: '2026-10-17T22:00:00.500Z' });
+  monitor.publish('result', { scanId, id: 'db', name: 'Database', status: 'DOWN', rawStatus: 'DOWN', latency: 0, error: 'Connection refused', errorClass: 'CONNECTION', lastChecked: '2026-10-17T22:00:00.700Z' });
+  monitor.publish('scan-complete', { scanId, globalHealth: 50, timestamp: '2026-10-17T22:00:01.000Z' });
+};
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+// An OTLP/HTTP collector that keeps every request it receives
+const exported = [];
+let waiting = [];
+const collector = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    exported.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.writeHead(200, { 'content-type': 'application/json' }).end('{}');
+    waiting.filter(w => exported.length >= w.count).forEach(w => w.resolve());
+    waiting = waiting.filter(w => exported.length < w.count);
+  });
+});
+const received = (count) => (exported.length >= count ? Promise.resolve() : new Promise(resolve => waiting.push({ count, resolve })));
+
+let endpoint;
+before(async () => { endpoint = await listen(collector); });
+after(() => close(collector));
+
+test('GET /metrics exposes the scan as Prometheus text', async () => {
+  const monitor = fakeMonitor();
+  const telemetry = createTelemetry({ monitor, endpoint: null });
+  const stop = telemetry.start();
+  runScan(monitor);
+
+  const workspace = { telemetry };
+  const server = http.createServer(createRouter([{ path: '/metrics', handler: metrics }], {
+    guard: (req) => { req.workspace = workspace; },
+  }));
+  const base = await listen(server);
+  try {
+    assert.equal((await fetch(`${base}/metrics`)).status, 401);
+
+    const response = await fetch(`${base}/metrics`, { headers: { authorization: 'Bearer scrape-secret' } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    const text = await response.text();
+    assert.match(text, /^# HELP metamonitor_target_info /m);
+    assert.match(text, /^metamonitor_target_info\{target="api",name="API",type="http"\} 1$/m);
+    assert.match(text, /^metamonitor_up\{target="api"\} 1$/m);
+    assert.match(text, /^metamonitor_up\{target="db"\} 0$/m);
+    assert.match(text, /^metamonitor_target_status\{target="db",status="DOWN"\} 1$/m);
+    assert.match(text, /^metamonitor_probe_latency_seconds_bucket\{target="api",le="0\.25"\} 1$/m);
+    assert.match(text, /^metamonitor_probe_latency_seconds_count\{target="api"\} 1$/m);
+    assert.doesNotMatch(text, /metamonitor_probe_latency_seconds_count\{target="db"\}/);
+    assert.match(text, /^metamonitor_checks_total\{target="db",result="DOWN"\} 1$/m);
+    assert.match(text, /^metamonitor_last_check_timestamp_seconds\{target="api"\} 1792274400\.5$/m);
+    assert.match(text, /^metamonitor_global_health 50$/m);
+
+    // Removed targets drop out of the next scrape
+    monitor.publish('targets', { targets: [TARGETS.api], globalHealth: 100 });
+    const rescraped = await (await fetch(`${base}/metrics`, { headers: { authorization: 'Bearer scrape-secret' } })).text();
+    assert.doesNotMatch(rescraped, /target="db"/);
+    assert.match(rescraped, /^metamonitor_global_health 100$/m);
+  } finally {
+    stop();
+    await close(server);
+  }
+});
+
+test('a completed scan is pushed as OTLP traces and metrics', async () => {
+  exported.length = 0;
+  const monitor = fakeMonitor();
+  const telemetry = createTelemetry({
+    monitor,
+    endpoint: `${endpoint}/`,
+    headers: { 'x-api-key': 'otlp-secret' },
+    signals: ['traces', 'metrics'],
+    service: 'metamonitor-test',
+    workspace: 'team',
+  });
+  const stop = telemetry.start();
+  runScan(monitor);
+  await received(2);
+  stop();
+
+  const byPath = Object.fromEntries(exported.map(request => [request.path, request]));
+  assert.deepEqual(Object.keys(byPath).sort(), ['/v1/metrics', '/v1/traces']);
+  exported.forEach(request => {
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-api-key'], 'otlp-secret');
+  });
+
+  const [traces] = byPath['/v1/traces'].body.resourceSpans;
+  assert.deepEqual(traces.resource.attributes, [
+    { key: 'service.name', value: { stringValue: 'metamonitor-test' } },
+    { key: 'metamonitor.workspace', value: { stringValue: 'team' } },
+  ]);
+  const [root, api, db] = traces.scopeSpans[0].spans;
+  assert.equal(root.name, 'scan');
+  assert.equal(root.startTimeUnixNano, '1792274400000000000');
+  assert.equal(root.endTimeUnixNano, '1792274401000000000');
+  assert.deepEqual([api.name, db.name], ['probe api', 'probe db']);
+  [api, db].forEach(span => {
+    assert.equal(span.traceId, root.traceId);
+    assert.equal(span.parentSpanId, root.spanId);
+  });
+  assert.equal(api.startTimeUnixNano, '1792274400380000000');
+  assert.deepEqual(api.status, { code: 1 });
+  assert.deepEqual(db.status, { code: 2, message: 'Connection refused' });
+  assert.deepEqual(db.attributes.find(a => a.key === 'error.type'), { key: 'error.type', value: { stringValue: 'CONNECTION' } });
+
+  const { metrics: sent } = byPath['/v1/metrics'].body.resourceMetrics[0].scopeMetrics[0];
+  const metric = (name) => sent.find(m => m.name === name);
+  assert.deepEqual(metric('metamonitor.up').gauge.dataPoints.map(p => p.asDouble), [1, 0]);
+  assert.deepEqual(metric('metamonitor.probe.latency').gauge.dataPoints.map(p => p.asDouble), [120]);
+  assert.deepEqual(metric('metamonitor.checks').sum.dataPoints.map(p => [p.attributes[0].value.stringValue, p.asInt]), [['api', '1'], ['db', '1']]);
+  assert.equal(metric('metamonitor.global_health').gauge.dataPoints[0].asDouble, 50);
+});
+
+test('nothing is pushed without an endpoint', async () => {
+  exported.length = 0;
+  const monitor = fakeMonitor();
+  const stop = createTelemetry({ monitor, endpoint: undefined, signals: ['traces', 'metrics'] }).start();
+  runScan(monitor);
+  stop();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(exported.length, 0);
+});
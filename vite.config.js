@@ -1,9 +1,58 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { build, defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Local probe service (npm run server); on Vercel these paths are serverless functions
+const proxy = {
+  '/api': 'http://localhost:3001',
+  '/v1': 'http://localhost:3001',
+  '/status': 'http://localhost:3001',
+  '/embed': 'http://localhost:3001',
+  '/widget.js': 'http://localhost:3001',
+  '/badge': 'http://localhost:3001',
+  '/metrics': 'http://localhost:3001',
+  '/auth': 'http://localhost:3001',
+}
+
+// Bundles src/sw.js into <outDir>/sw.js as a classic script once the app is
+// built. Its version is a hash of the app's output file names, which carry
+// the content hashes, so every deploy with new assets installs a new worker.
+const serviceWorker = () => {
+  let config
+  let version
+  return {
+    name: 'metamonitor-service-worker',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(options, bundle) {
+      version = createHash('sha256').update(Object.keys(bundle).sort().join('\n')).digest('hex').slice(0, 12)
+    },
+    async closeBundle() {
+      await build({
+        configFile: false,
+        root: config.root,
+        logLevel: 'warn',
+        publicDir: false,
+        define: { __BUILD_VERSION__: JSON.stringify(version) },
+        build: {
+          outDir: config.build.outDir,
+          emptyOutDir: false,
+          lib: { entry: 'src/sw.js', formats: ['iife'], name: 'metamonitorServiceWorker', fileName: () => 'sw.js' },
+        },
+      })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
-    port: 3000
+    port: 3000,
+    proxy
+  },
+  preview: {
+    proxy
   }
 })